@@ -5,21 +5,83 @@
 
 import * as THREE from 'three';
 import { CSS2DRenderer, CSS2DObject } from 'three/examples/jsm/renderers/CSS2DRenderer.js';
-import { createPanelGeometry } from './src/models/index.js';
+import { normalizePanelShape, validatePanelShape } from './src/models/panelOutline.js';
+import { getOutlineBounds, validateOutline } from './src/models/freeformOutline.js';
+import { PANEL_SHAPES } from './src/models/panelShapes.js';
+import { normalizeEdgeBanding, validateEdgeBanding } from './src/models/edgeBanding.js';
+import {
+  createAssembly,
+  createAssemblyPart,
+  getActivePart,
+  activatePart,
+  getAssemblyExtent,
+  nextPartName,
+  placeBesideAssembly,
+  validateTransform
+} from './src/models/assembly.js';
 import { materials, constraints } from './src/materials.js';
 import { defaultConfig } from './src/config.js';
+import { initCircularCutModal, editCircularCut } from './src/modals/circularCutModal.js';
+import { initRectangularCutModal, editRectangularCut } from './src/modals/rectangularCutModal.js';
+import { initSlotCutModal, editSlotCut } from './src/modals/slotCutModal.js';
+import { initGrooveModal, editGrooveCut } from './src/modals/grooveModal.js';
+import { initPatternModal, editCutPattern } from './src/modals/patternModal.js';
+import { initOutlineModal, editPanelOutline } from './src/modals/outlineModal.js';
+import { initNestingModal, openNesting } from './src/modals/nestingModal.js';
+import {
+  initHardwareModal,
+  openHardwareLibrary,
+  setHardwareCatalog,
+  getHardwareCatalog
+} from './src/modals/hardwareModal.js';
+import { initCutListPanel, renderCutList, selectCut, setCutIssues } from './src/ui/cutListPanel.js';
+import { upsertCut, removeCut, duplicateCut, moveCut, cloneCut } from './src/cuts/cutOperations.js';
+import { initHistory, executeCommand, undo, redo, clearHistory } from './src/history/historyManager.js';
+import {
+  createPanelCommand,
+  createGridCommand,
+  createCutsCommand,
+  createPartCommand,
+  createAddPartCommand,
+  createRemovePartCommand,
+  createCarcassCommand
+} from './src/history/commands.js';
+import { serializeProject, parseProject } from './src/io/projectFile.js';
+import { downloadFile, pickTextFile, fileDateStamp } from './src/io/fileTransfer.js';
+import { exportDXF } from './src/io/dxfExporter.js';
+import { exportMesh, MESH_FORMATS } from './src/io/meshExporter.js';
+import { buildTechnicalDrawing } from './src/drawing/technicalDrawing.js';
+import { renderDrawingSvg } from './src/drawing/svgWriter.js';
+import { renderDrawingPdf } from './src/drawing/pdfWriter.js';
+import { renderNestingSvg, buildCuttingListCsv } from './src/nesting/nestingExport.js';
+import { generateGCode } from './src/cam/gcodeGenerator.js';
+import { initCamPanel, readToolSettings, setToolpathPreviewState } from './src/ui/camPanel.js';
+import { initSnapPanel } from './src/ui/snapPanel.js';
+import { initEdgeBandingPanel, readEdgeBanding, syncEdgeBandingPanel } from './src/ui/edgeBandingPanel.js';
+import { initCostPanel, renderCostBreakdown } from './src/ui/costPanel.js';
+import { initOutlinerPanel, renderOutliner } from './src/ui/outlinerPanel.js';
+import { initCarcassPanel, renderCarcassPanel } from './src/ui/carcassPanel.js';
+import { buildCarcassParts, isCarcassPart, validateCarcass } from './src/cabinet/carcassGenerator.js';
+import { DEFAULT_PRICE_TABLES, parsePriceTables } from './src/pricing/priceTables.js';
+import { estimateCost } from './src/pricing/costEstimator.js';
+import { parseHardwareCatalog, mergeHardwareCatalogs } from './src/hardware/drillingTemplates.js';
+import { animateModal, resizeModalPreview } from './src/modals/modalPreview.js';
+import { updateCutHighlight } from './src/Tools/cutHighlight.js';
+import { updateIssueHighlight, disposeIssueHighlight } from './src/Tools/issueHighlight.js';
+import { checkDesignRules } from './src/cuts/designRules.js';
+import { updateAssemblyDisplay, getPartGroup, getPartMesh } from './src/Tools/assemblyDisplay.js';
+import { initCutInteraction, startCutPlacement, cancelCutInteraction } from './src/Tools/cutInteraction.js';
 import {
-  initCircularCutModal,
-  animateModal,
-  getModalCamera,
-  getModalRenderer
-} from './src/modals/circularCutModal.js';
-import { CSGManager } from './src/csg/CSGManager.ts';
+  updateToolpathPreview,
+  isToolpathPreviewVisible,
+  disposeToolpathPreview
+} from './src/Tools/toolpathPreview.js';
 import {
   updateGrid,
   toggleGrid as toggleGridHelper,
   updateGridSettings as updateGridSettingsHelper,
   calculateOptimalGridSize,
+  getGridStep,
   disposeGrid
 } from './src/Tools/grid.js';
 import {
@@ -43,37 +105,61 @@ import {
   setControlsCanvas,
   getCamera,
   getControls,
+  getCameraSettings,
+  applyCameraSettings,
   disposeCamera
 } from './src/Tools/cameraManager.js';
 
 // Variables globales pour la scène Three.js
 let scene, camera, renderer, controls, labelRenderer;
-let currentPanelMesh = null;
 
-// Variables du modal gérées dans src/modals/circularCutModal.js
+// Variables de l'aperçu des modals gérées dans src/modals/modalPreview.js
+
+// Panneau par défaut des pièces ajoutées (copie prise avant toute modification de config.panel)
+const defaultPanel = JSON.parse(JSON.stringify(defaultConfig.panel));
 
 // Configuration du panneau principal et des découpes - importée depuis src/config.js
 const config = { ...defaultConfig };
 
+// Assemblage : le panneau par défaut en est la première pièce, active
+// (config.panel et config.cuts désignent ensuite toujours le panneau et les découpes de la pièce active)
+config.assembly = createAssembly(config.panel, config.cuts);
+
+// Tarifs de chiffrage (remplaçables par un fichier JSON)
+let priceTables = DEFAULT_PRICE_TABLES;
+
 /**
  * Valide les dimensions du panneau selon les contraintes
  * @param {number} length - Longueur
  * @param {number} width - Largeur
  * @param {number} thickness - Épaisseur
  * @param {string} material - Matériau
+ * @param {Object} shape - Contour, angles, profil et placage de chants { outline, corners, edgeProfile, edgeBanding }
  * @returns {Object} Résultat de validation avec erreurs éventuelles
  */
-function validatePanelDimensions(length, width, thickness, material) {
+function validatePanelDimensions(length, width, thickness, material, shape = {}) {
   const errors = [];
+
+  // Contour libre : les contraintes portent sur son encombrement
+  // (les erreurs du contour lui-même, dont les auto-intersections, viennent de validatePanelShape)
+  let lengthLabel = 'La longueur';
+  let widthLabel = 'La largeur';
+  if (shape.outline && validateOutline(shape.outline.vertices).length === 0) {
+    const bounds = getOutlineBounds(shape.outline.vertices);
+    length = bounds.maxX - bounds.minX;
+    width = bounds.maxY - bounds.minY;
+    lengthLabel = 'La longueur hors tout du contour';
+    widthLabel = 'La largeur hors tout du contour';
+  }
   
   // Validation de la longueur
   if (length < constraints.panel.length.min || length > constraints.panel.length.max) {
-    errors.push(`La longueur doit être entre ${constraints.panel.length.min} et ${constraints.panel.length.max}mm`);
+    errors.push(`${lengthLabel} doit être entre ${constraints.panel.length.min} et ${constraints.panel.length.max}mm`);
   }
   
   // Validation de la largeur
   if (width < constraints.panel.width.min || width > constraints.panel.width.max) {
-    errors.push(`La largeur doit être entre ${constraints.panel.width.min} et ${constraints.panel.width.max}mm`);
+    errors.push(`${widthLabel} doit être entre ${constraints.panel.width.min} et ${constraints.panel.width.max}mm`);
   }
   
   // Validation de l'épaisseur selon le matériau
@@ -81,6 +167,12 @@ function validatePanelDimensions(length, width, thickness, material) {
   if (!availableThicknesses.includes(thickness)) {
     errors.push(`Épaisseur ${thickness}mm non disponible pour ${materials[material]?.name || material}. Épaisseurs disponibles: ${availableThicknesses.join(', ')}mm`);
   }
+
+  // Validation des angles arrondis et du profil de chant
+  errors.push(...validatePanelShape({ length, width, thickness, ...shape }));
+
+  // Validation du placage de chants (l'âme doit rester positive en cotes finies)
+  errors.push(...validateEdgeBanding({ length, width, thickness, ...shape }));
   
   return {
     isValid: errors.length === 0,
@@ -111,14 +203,125 @@ function updateThicknessOptions(material) {
   });
   
   // Restaurer la valeur si elle est disponible, sinon prendre la première
+  // (la configuration est mise à jour par la commande du panneau, pour rester annulable)
   if (availableThicknesses.includes(currentThickness)) {
     thicknessSelect.value = currentThickness;
   } else {
     thicknessSelect.value = availableThicknesses[0] || 18;
-    config.panel.thickness = parseInt(thicknessSelect.value);
   }
 }
 
+// Champs des rayons des angles du panneau
+const CORNER_INPUTS = {
+  frontRight: 'panel-corner-front-right',
+  backRight: 'panel-corner-back-right',
+  backLeft: 'panel-corner-back-left',
+  frontLeft: 'panel-corner-front-left'
+};
+
+/**
+ * Lit les angles et le profil de chant depuis l'interface (le contour n'est modifié que par son modal)
+ * @returns {Object} { outline, corners, edgeProfile }
+ */
+function readPanelShape() {
+  const corners = {};
+  Object.entries(CORNER_INPUTS).forEach(([key, id]) => {
+    corners[key] = parseFloat(document.getElementById(id).value) || 0;
+  });
+
+  return {
+    outline: config.panel.outline || null,
+    corners,
+    edgeProfile: {
+      type: document.getElementById('panel-edge-profile').value,
+      size: parseFloat(document.getElementById('panel-edge-size').value),
+      sides: document.getElementById('panel-edge-sides').value
+    }
+  };
+}
+
+/**
+ * Synchronise les champs du contour, des angles et du profil de chant avec la configuration
+ * Un contour libre fixe la longueur et la largeur (son encombrement) et remplace les angles arrondis
+ */
+function syncPanelShapeControls() {
+  const { outline, corners, edgeProfile } = normalizePanelShape(config.panel);
+  document.getElementById('panel-length').disabled = !!outline;
+  document.getElementById('panel-width').disabled = !!outline;
+  document.getElementById('panel-corners-group').style.display = outline ? 'none' : 'block';
+  document.getElementById('panel-shape-summary').textContent = outline
+    ? `${(PANEL_SHAPES[outline.shape] || PANEL_SHAPES.custom).name} · ${outline.vertices.length} sommets`
+    : PANEL_SHAPES.rectangle.name;
+
+  Object.entries(CORNER_INPUTS).forEach(([key, id]) => {
+    document.getElementById(id).value = corners[key];
+  });
+  document.getElementById('panel-edge-profile').value = edgeProfile.type;
+  document.getElementById('panel-edge-size').value = edgeProfile.size;
+  document.getElementById('panel-edge-sides').value = edgeProfile.sides;
+  updateEdgeProfileOptions();
+}
+
+/**
+ * Affiche les réglages du profil de chant uniquement si un profil est choisi
+ */
+function updateEdgeProfileOptions() {
+  const type = document.getElementById('panel-edge-profile').value;
+  document.getElementById('panel-edge-profile-options').style.display = type === 'none' ? 'none' : 'block';
+}
+
+/**
+ * Synchronise les champs du panneau avec la configuration (après annulation par exemple)
+ */
+function syncPanelControls() {
+  document.getElementById('panel-length').value = config.panel.length;
+  document.getElementById('panel-width').value = config.panel.width;
+  document.getElementById('panel-material').value = config.panel.material;
+  updateThicknessOptions(config.panel.material);
+  document.getElementById('panel-thickness').value = config.panel.thickness;
+  syncPanelShapeControls();
+  syncEdgeBandingPanel(config.panel);
+}
+
+/**
+ * Répercute une modification du panneau sur la scène et l'interface
+ */
+function applyPanelChange() {
+  syncPanelControls();
+
+  // Mise à jour de la caméra selon le nouvel encombrement de l'assemblage via le module cameraManager
+  updateCameraForPanel(getSceneExtent());
+
+  // Mise à jour du panneau 3D
+  updatePanel3D(config);
+
+  console.log('Panneau mis à jour:', config.panel);
+}
+
+/**
+ * Encombrement de l'assemblage, utilisé pour la caméra, la grille, les axes et le cube de visualisation
+ * @returns {Object} { length, width, thickness, center }
+ */
+function getSceneExtent() {
+  return getAssemblyExtent(config.assembly);
+}
+
+/**
+ * Groupe de la pièce active : repère du panneau dans lequel sont placés les aperçus
+ * @returns {THREE.Group} Groupe de la pièce active
+ */
+function getActiveFrame() {
+  return getPartGroup(config.assembly.activePartId) || scene;
+}
+
+/**
+ * Maillage découpé de la pièce active
+ * @returns {THREE.Mesh|null} Maillage de la pièce active
+ */
+function getActivePanelMesh() {
+  return getPartMesh(config.assembly.activePartId);
+}
+
 /**
  * Initialisation de la scène Three.js
  */
@@ -145,7 +348,7 @@ function initThreeJS() {
   container.appendChild(renderer.domElement);
 
   // Initialisation de la caméra et des contrôles via le module cameraManager
-  const cameraData = initCamera(container, config.panel);
+  const cameraData = initCamera(container, getSceneExtent());
   camera = cameraData.camera;
   controls = cameraData.controls;
   
@@ -161,13 +364,13 @@ function initThreeJS() {
   container.appendChild(labelRenderer.domElement);
 
   // Initialisation du cube de visualisation
-  initViewCube(container, camera, controls, config.panel);
+  initViewCube(container, camera, controls, getSceneExtent());
   
   // Éclairage de la scène
   setupLighting();
   
   // Axes de référence adaptatifs et leurs labels
-  updateAxesAndLabels(config.panel, scene);
+  updateAxesAndLabels(getSceneExtent(), scene);
 }
 
 /**
@@ -202,11 +405,38 @@ function setupLighting() {
  * Wrapper functions pour la grille - utilisent le module grid.js
  */
 function toggleGridDisplay(show) {
-  toggleGridHelper(show, config.grid, config.panel, scene);
+  toggleGridHelper(show, config.grid, getSceneExtent(), scene);
 }
 
 function updateGridSettingsWrapper(sizeX, sizeZ, autoSize) {
-  updateGridSettingsHelper(sizeX, sizeZ, autoSize, config.grid, config.panel, scene);
+  // Passage par l'historique pour que le changement soit annulable
+  executeCommand(createGridCommand(config, {
+    sizeX: Math.max(1, sizeX),
+    sizeZ: Math.max(1, sizeZ),
+    autoSize
+  }, applyGridChange));
+}
+
+/**
+ * Répercute une modification des paramètres de grille sur la scène et l'interface
+ */
+function applyGridChange() {
+  const { sizeX, sizeZ, autoSize } = config.grid;
+  updateGridSettingsHelper(sizeX, sizeZ, autoSize, config.grid, getSceneExtent(), scene);
+  syncGridControls();
+}
+
+/**
+ * Synchronise les champs de la grille avec la configuration
+ */
+function syncGridControls() {
+  const gridAutoSizeCheckbox = document.getElementById('grid-auto-size');
+  if (!gridAutoSizeCheckbox) return;
+
+  gridAutoSizeCheckbox.checked = config.grid.autoSize;
+  document.getElementById('manual-grid-controls').style.display = config.grid.autoSize ? 'none' : 'block';
+  document.getElementById('grid-size-x').value = config.grid.sizeX;
+  document.getElementById('grid-size-z').value = config.grid.sizeZ;
 }
 
 /**
@@ -228,6 +458,8 @@ function initUIControls() {
   // Mise à jour des options d'épaisseur selon le matériau initial
   updateThicknessOptions(config.panel.material);
   thicknessSelect.value = config.panel.thickness;
+  syncPanelShapeControls();
+  syncEdgeBandingPanel(config.panel);
 
   // Fonction de mise à jour du panneau
   function updatePanelFromUI() {
@@ -236,9 +468,10 @@ function initUIControls() {
     const newWidth = parseFloat(widthInput.value);
     const newThickness = parseInt(thicknessSelect.value);
     const newMaterial = materialSelect.value;
+    const newShape = { ...readPanelShape(), edgeBanding: readEdgeBanding() };
 
     // Validation des valeurs avec les nouvelles contraintes
-    const validation = validatePanelDimensions(newLength, newWidth, newThickness, newMaterial);
+    const validation = validatePanelDimensions(newLength, newWidth, newThickness, newMaterial, newShape);
     
     if (!validation.isValid) {
       // Affichage des erreurs de validation
@@ -249,32 +482,38 @@ function initUIControls() {
       widthInput.value = config.panel.width;
       thicknessSelect.value = config.panel.thickness;
       materialSelect.value = config.panel.material;
+      syncPanelShapeControls();
+      syncEdgeBandingPanel(config.panel);
       return;
     }
 
-    // Mise à jour de la configuration
-    config.panel.length = newLength;
-    config.panel.width = newWidth;
-    config.panel.thickness = newThickness;
-    config.panel.material = newMaterial;
-
-    // Mise à jour de la configuration du panneau pour le cube de visualisation
-    updatePanelConfig(config.panel);
-
-    // Mise à jour de la caméra selon les nouvelles dimensions via le module cameraManager
-    updateCameraForPanel(config.panel);
+    const changes = {
+      length: newLength,
+      width: newWidth,
+      thickness: newThickness,
+      material: newMaterial
+    };
 
-    // Mise à jour du panneau 3D
-    updatePanel3D(config);
+    // Angles, profil et placage : objets neufs à chaque lecture, inclus seulement s'ils changent
+    // pour ne pas créer d'entrée d'historique vide
+    const currentShape = { ...normalizePanelShape(config.panel), edgeBanding: normalizeEdgeBanding(config.panel) };
+    const shape = { ...normalizePanelShape(newShape), edgeBanding: normalizeEdgeBanding(newShape) };
+    ['corners', 'edgeProfile', 'edgeBanding'].forEach(key => {
+      if (JSON.stringify(shape[key]) !== JSON.stringify(currentShape[key])) {
+        changes[key] = shape[key];
+      }
+    });
 
-    console.log('Panneau mis à jour:', config.panel);
+    // Mise à jour de la configuration via une commande annulable
+    executeCommand(createPanelCommand(config, changes, applyPanelChange));
   }
 
   // Événements
   updateButton.addEventListener('click', updatePanelFromUI);
 
   // Mise à jour en temps réel avec Enter
-  [lengthInput, widthInput].forEach(input => {
+  const shapeInputs = [...Object.values(CORNER_INPUTS), 'panel-edge-size'].map(id => document.getElementById(id));
+  [lengthInput, widthInput, ...shapeInputs].forEach(input => {
     input.addEventListener('keypress', (e) => {
       if (e.key === 'Enter') {
         updatePanelFromUI();
@@ -291,11 +530,618 @@ function initUIControls() {
   // Gestion du changement d'épaisseur
   thicknessSelect.addEventListener('change', updatePanelFromUI);
 
+  // Profil des chants : appliqué dès le choix du type ou des arêtes
+  document.getElementById('panel-edge-profile').addEventListener('change', () => {
+    updateEdgeProfileOptions();
+    updatePanelFromUI();
+  });
+  document.getElementById('panel-edge-sides').addEventListener('change', updatePanelFromUI);
+
+  // Placage des chants : appliqué dès le choix d'une bande, d'une épaisseur ou du mode de cotes
+  initEdgeBandingPanel(updatePanelFromUI);
+
   // Initialisation des contrôles de grille
   initGridControls();
 
-  // Initialisation des contrôles du modal de découpe circulaire
-  initCircularCutModal(config);
+  // Contour du panneau : la modification est validée avec les autres paramètres du panneau
+  document.getElementById('open-outline-modal').addEventListener('click', editPanelOutline);
+  initOutlineModal(config, (changes) => {
+    const validation = validatePanelDimensions(changes.length, changes.width, config.panel.thickness, config.panel.material, {
+      ...normalizePanelShape(config.panel),
+      edgeBanding: normalizeEdgeBanding(config.panel),
+      outline: changes.outline
+    });
+    if (validation.isValid) {
+      executeCommand(createPanelCommand(config, changes, applyPanelChange));
+    }
+    return validation;
+  });
+
+  // Initialisation des modals de découpe (circulaire, rectangulaire, oblongue et rainure)
+  // Les rainures sont cotées depuis leur chant : pas de placement à la souris
+  initCircularCutModal(config, commitCut, placeCut);
+  initRectangularCutModal(config, commitCut, placeCut);
+  initSlotCutModal(config, commitCut, placeCut);
+  initGrooveModal(config, commitCut);
+
+  // Motifs de répétition : la découpe reste une seule entrée paramétrique
+  initPatternModal(config, (id, pattern) => {
+    executeCutsCommand(pattern ? 'Répétition d\'une découpe' : 'Suppression d\'une répétition', (cuts) => {
+      const cut = cuts.find(c => c.id === id);
+      if (!cut) return;
+      if (pattern) {
+        cut.pattern = pattern;
+      } else {
+        delete cut.pattern;
+      }
+    });
+  });
+
+  // Gabarits de perçage de quincaillerie : un groupe de trous inséré en une seule modification annulable
+  document.getElementById('open-hardware-modal').addEventListener('click', openHardwareLibrary);
+  initHardwareModal(config, {
+    onInsert: (cuts, template) => {
+      executeCutsCommand(`Perçages : ${template.name}`, (list) => {
+        list.push(...cuts);
+      });
+      console.log(`Gabarit inséré: ${template.name}`, cuts);
+    },
+    onLoadCatalog: loadHardwareCatalog,
+    onExportCatalog: () => {
+      downloadFile(JSON.stringify(getHardwareCatalog(), null, 2), `quincaillerie-${fileDateStamp()}.json`, 'application/json');
+    }
+  });
+
+  // Placement au clic et déplacement par glisser des découpes dans la vue 3D, avec accrochage
+  initSnapPanel(config.snap);
+  initCutInteraction({
+    canvas: renderer.domElement,
+    getPanelFrame: getActiveFrame,
+    config,
+    getCamera,
+    getControls,
+    getPanelMesh: getActivePanelMesh,
+    getGridStep: () => getGridStep(getSceneExtent(), config.grid),
+    onPlace: commitCut,
+    onMove: (id, position) => {
+      executeCutsCommand('Déplacement d\'une découpe', (cuts) => {
+        const cut = cuts.find(c => c.id === id);
+        if (cut) {
+          cut.position = { ...cut.position, ...position };
+        }
+      });
+      selectCut(id);
+    },
+    onSelect: selectCut
+  });
+
+  // Initialisation de la liste des découpes (chaque action passe par l'historique)
+  initCutListPanel(config, {
+    onSelect: (cut) => updateCutHighlight(cut, config.panel, getActiveFrame()),
+    onEdit: editCut,
+    onPattern: editCutPattern,
+    onDuplicate: (id) => {
+      let copy = null;
+      executeCutsCommand('Duplication d\'une découpe', (cuts) => {
+        copy = duplicateCut(cuts, id);
+      });
+      if (copy) {
+        selectCut(copy.id);
+      }
+    },
+    onDelete: (id) => {
+      executeCutsCommand('Suppression d\'une découpe', (cuts) => removeCut(cuts, id));
+    },
+    onMove: (id, delta) => {
+      executeCutsCommand('Réordonnancement des découpes', (cuts) => moveCut(cuts, id, delta));
+    }
+  });
+
+  // Arborescence de l'assemblage : sélection, visibilité, nom et placement des pièces
+  initOutliner();
+
+  // Caisson paramétrique : génération puis régénération à chaque modification d'un paramètre
+  initCarcassPanel(config, generateCarcassAssembly);
+
+  // Initialisation de l'historique (annuler / rétablir)
+  initHistoryControls();
+
+  // Enregistrement et ouverture de projets
+  document.getElementById('save-project').addEventListener('click', saveProject);
+  document.getElementById('open-project').addEventListener('click', openProject);
+
+  // Exports de fabrication
+  document.getElementById('export-dxf').addEventListener('click', exportDxfFile);
+  document.getElementById('export-mesh').addEventListener('click', exportMeshFile);
+  document.getElementById('export-drawing-svg').addEventListener('click', () => exportDrawingFile('svg'));
+  document.getElementById('export-drawing-pdf').addEventListener('click', () => exportDrawingFile('pdf'));
+
+  // Débit des feuilles standard : plan de découpe et liste de débit
+  document.getElementById('open-nesting-modal').addEventListener('click', openNesting);
+  initNestingModal(config, {
+    onExportSvg: (result) => {
+      downloadFile(renderNestingSvg(result), `plan-de-decoupe-${fileDateStamp()}.svg`, 'image/svg+xml');
+    },
+    onExportCsv: (result) => {
+      downloadFile(buildCuttingListCsv(result), `liste-de-debit-${fileDateStamp()}.csv`, 'text/csv');
+    }
+  });
+
+  // Usinage CNC : aperçu des trajectoires et export G-code
+  initCamPanel({
+    onTogglePreview: toggleToolpathPreview,
+    onExport: exportGCodeFile,
+    onToolChange: refreshToolpathPreview
+  });
+
+  // Chiffrage : détail du prix et tarifs chargés depuis un fichier JSON
+  initCostPanel({
+    onLoadPrices: loadPriceTables,
+    onExportPrices: exportPriceTables
+  });
+}
+
+/**
+ * Exporte le contour du panneau et ses découpes au format DXF
+ */
+function exportDxfFile() {
+  const filename = `panneau-${config.panel.length}x${config.panel.width}x${config.panel.thickness}.dxf`;
+  downloadFile(exportDXF(config), filename, 'application/dxf');
+}
+
+/**
+ * Exporte la mise en plan (vues, cotes, nomenclature, cartouche) en SVG ou en PDF
+ * @param {string} format - 'svg' ou 'pdf'
+ */
+function exportDrawingFile(format) {
+  const drawing = buildTechnicalDrawing(config);
+  if (drawing.hiddenGroups > 0) {
+    console.warn(`Mise en plan: ${drawing.hiddenGroups} repère(s) absent(s) de la nomenclature faute de place`);
+  }
+
+  const basename = `plan-${config.panel.length}x${config.panel.width}x${config.panel.thickness}-${fileDateStamp()}`;
+  if (format === 'pdf') {
+    downloadFile(renderDrawingPdf(drawing, basename), `${basename}.pdf`, 'application/pdf');
+  } else {
+    downloadFile(renderDrawingSvg(drawing), `${basename}.svg`, 'image/svg+xml');
+  }
+}
+
+/**
+ * Exporte le maillage du panneau découpé (STL, OBJ, glTF/GLB) selon les options choisies
+ */
+async function exportMeshFile() {
+  const mesh = getActivePanelMesh();
+  if (!mesh) return;
+
+  const format = document.getElementById('mesh-export-format').value;
+  const options = {
+    upAxis: document.getElementById('mesh-export-up-axis').value,
+    mergeCoplanar: document.getElementById('mesh-export-merge').checked
+  };
+
+  try {
+    const content = await exportMesh(mesh, config.panel, format, options);
+    const { extension, mimeType } = MESH_FORMATS[format];
+    const filename = `panneau-${config.panel.length}x${config.panel.width}x${config.panel.thickness}.${extension}`;
+    downloadFile(content, filename, mimeType);
+  } catch (error) {
+    console.error('Erreur lors de l\'export du modèle 3D:', error);
+    alert('Erreur lors de l\'export du modèle 3D:\n' + error.message);
+  }
+}
+
+/**
+ * Génère le programme G-code avec l'outil défini dans le panneau d'usinage
+ * @returns {Object|null} Résultat de generateGCode, ou null si l'outil est invalide
+ */
+function buildGCode() {
+  try {
+    return generateGCode(config, readToolSettings());
+  } catch (error) {
+    alert('Erreurs de validation:\n' + error.message);
+    return null;
+  }
+}
+
+/**
+ * Exporte le programme G-code des découpes
+ */
+function exportGCodeFile() {
+  const result = buildGCode();
+  if (!result) return;
+
+  if (result.warnings.length > 0) {
+    alert('Avertissements G-code:\n' + result.warnings.join('\n'));
+  }
+
+  const filename = `panneau-${config.panel.length}x${config.panel.width}x${config.panel.thickness}.nc`;
+  downloadFile(result.gcode, filename, 'text/plain');
+}
+
+/**
+ * Affiche ou masque l'aperçu des trajectoires d'usinage
+ */
+function toggleToolpathPreview() {
+  if (isToolpathPreviewVisible()) {
+    disposeToolpathPreview(getActiveFrame());
+  } else {
+    const result = buildGCode();
+    if (result) {
+      updateToolpathPreview(result.moves, config.panel, getActiveFrame());
+    }
+  }
+  setToolpathPreviewState(isToolpathPreviewVisible());
+}
+
+/**
+ * Recalcule l'aperçu des trajectoires s'il est affiché (panneau, découpes ou outil modifiés)
+ */
+function refreshToolpathPreview() {
+  if (!isToolpathPreviewVisible()) return;
+
+  const result = buildGCode();
+  if (result) {
+    updateToolpathPreview(result.moves, config.panel, getActiveFrame());
+  } else {
+    disposeToolpathPreview(getActiveFrame());
+  }
+  setToolpathPreviewState(isToolpathPreviewVisible());
+}
+
+/**
+ * Recalcule le chiffrage du panneau (panneau, découpes ou tarifs modifiés)
+ */
+function refreshCostEstimate() {
+  renderCostBreakdown(estimateCost(config, priceTables), priceTables.name || 'Tarif sans nom');
+}
+
+/**
+ * Charge des tarifs depuis un fichier JSON et rechiffre le panneau
+ */
+async function loadPriceTables() {
+  const file = await pickTextFile('.json,application/json');
+  if (!file) return;
+
+  const { tables, errors } = parsePriceTables(file.text);
+  if (!tables) {
+    alert(`Impossible de charger les tarifs ${file.name}:\n` + errors.map(e => `- ${e.field}: ${e.message}`).join('\n'));
+    return;
+  }
+
+  priceTables = { ...tables, name: tables.name || file.name };
+  console.log(`Tarifs chargés: ${file.name}`, priceTables);
+  refreshCostEstimate();
+}
+
+/**
+ * Exporte les tarifs courants, comme modèle de fichier à modifier
+ */
+function exportPriceTables() {
+  downloadFile(JSON.stringify(priceTables, null, 2), `tarifs-${fileDateStamp()}.json`, 'application/json');
+}
+
+/**
+ * Charge un catalogue de gabarits de perçage ; ses gabarits complètent ceux du catalogue courant
+ */
+async function loadHardwareCatalog() {
+  const file = await pickTextFile('.json,application/json');
+  if (!file) return;
+
+  const { catalog, errors } = parseHardwareCatalog(file.text);
+  if (!catalog) {
+    alert(`Impossible de charger le catalogue ${file.name}:\n` + errors.map(e => `- ${e.field}: ${e.message}`).join('\n'));
+    return;
+  }
+
+  setHardwareCatalog(mergeHardwareCatalogs(getHardwareCatalog(), { ...catalog, name: catalog.name || file.name }));
+  console.log(`Catalogue de quincaillerie chargé: ${file.name}`, catalog);
+}
+
+/**
+ * Enregistre le projet courant (panneau, découpes, grille, vue) dans un fichier JSON
+ */
+function saveProject() {
+  const project = serializeProject(config, getCameraSettings());
+  const filename = `panneau-${config.panel.length}x${config.panel.width}-${fileDateStamp()}.json`;
+  downloadFile(JSON.stringify(project, null, 2), filename, 'application/json');
+}
+
+/**
+ * Ouvre un fichier projet, le valide puis remplace le projet courant
+ */
+async function openProject() {
+  const file = await pickTextFile('.json,application/json');
+  if (!file) return;
+
+  const { project, errors } = parseProject(file.text);
+  if (!project) {
+    alert(`Impossible d'ouvrir ${file.name}:\n` + errors.map(e => `- ${e.field}: ${e.message}`).join('\n'));
+    return;
+  }
+
+  applyProject(project);
+  console.log(`Projet chargé: ${file.name}`, project);
+}
+
+/**
+ * Remplace la configuration courante par celle d'un projet validé
+ * @param {Object} project - Projet à la version courante du schéma
+ */
+function applyProject(project) {
+  // Aperçus de la pièce active retirés avant que son repère ne disparaisse
+  cancelCutInteraction();
+  selectCut(null);
+  disposeToolpathPreview(getActiveFrame());
+  disposeIssueHighlight();
+  setToolpathPreviewState(false);
+
+  // Les projets sans angles, profil ni placage retrouvent des panneaux à angles vifs et chants nus
+  const parts = project.parts.map(part => ({
+    ...part,
+    panel: { ...part.panel, ...normalizePanelShape(part.panel), edgeBanding: normalizeEdgeBanding(part.panel) }
+  }));
+  config.assembly.parts.splice(0, config.assembly.parts.length, ...parts);
+  config.assembly.carcass = project.carcass || null;
+  activatePart(config, project.activePartId);
+  if (project.grid) {
+    Object.assign(config.grid, project.grid);
+  }
+
+  // L'historique du projet précédent n'a plus de sens
+  clearHistory();
+
+  syncPanelControls();
+  syncGridControls();
+  toggleGridDisplay(config.grid.show);
+
+  // Cadrage par défaut puis vue enregistrée si disponible
+  updateCameraForPanel(getSceneExtent());
+  if (project.view?.camera) {
+    applyCameraSettings(project.view.camera);
+  }
+
+  updatePanel3D(config);
+}
+
+/**
+ * Initialise l'historique, les boutons de la barre d'outils et les raccourcis clavier
+ */
+function initHistoryControls() {
+  const undoButton = document.getElementById('undo-button');
+  const redoButton = document.getElementById('redo-button');
+
+  initHistory({
+    limit: 100,
+    onChange: (state) => {
+      undoButton.disabled = !state.canUndo;
+      redoButton.disabled = !state.canRedo;
+      undoButton.title = state.undoLabel ? `Annuler : ${state.undoLabel} (Ctrl+Z)` : 'Annuler (Ctrl+Z)';
+      redoButton.title = state.redoLabel ? `Rétablir : ${state.redoLabel} (Ctrl+Shift+Z)` : 'Rétablir (Ctrl+Shift+Z)';
+    }
+  });
+
+  undoButton.addEventListener('click', undo);
+  redoButton.addEventListener('click', redo);
+
+  document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey)) return;
+
+    // Les champs de saisie gardent leur propre annulation native
+    const tag = e.target.tagName;
+    if (tag === 'INPUT' || tag === 'SELECT' || tag === 'TEXTAREA') return;
+
+    // Pas d'annulation pendant l'édition d'une découpe dans un modal
+    if (document.querySelector('.modal-overlay.active')) return;
+
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      undo();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+      e.preventDefault();
+      redo();
+    }
+  });
+}
+
+/**
+ * Exécute une modification annulable de la liste des découpes
+ * Une modification sans effet n'est pas enregistrée dans l'historique
+ * @param {string} label - Libellé affiché dans l'historique
+ * @param {Function} mutate - Modifie en place la liste des découpes qui lui est passée
+ */
+function executeCutsCommand(label, mutate) {
+  executeCommand(createCutsCommand(config, label, mutate, () => updatePanel3D(config)));
+}
+
+/**
+ * Active une pièce de l'assemblage : contrôles du panneau, découpes, exports et chiffrage portent sur elle
+ * L'activation n'est pas une modification du projet et ne passe pas par l'historique
+ * @param {string} id - Identifiant de la pièce
+ */
+function selectPart(id) {
+  // Les aperçus sont rattachés au repère de la pièce précédente
+  const toolpathVisible = isToolpathPreviewVisible();
+  cancelCutInteraction();
+  selectCut(null);
+  disposeToolpathPreview(getActiveFrame());
+  disposeIssueHighlight();
+
+  if (!activatePart(config, id)) return;
+
+  syncPanelControls();
+  updatePanel3D(config);
+  if (toolpathVisible) {
+    toggleToolpathPreview();
+  } else {
+    setToolpathPreviewState(false);
+  }
+  console.log(`Pièce active: ${getActivePart(config.assembly).name}`);
+}
+
+/**
+ * Répercute une modification de l'assemblage (pièce ajoutée, retirée, déplacée, masquée ou renommée)
+ */
+function applyAssemblyChange() {
+  // La pièce active a pu être retirée (suppression ou annulation d'un ajout) : la première pièce prend le relais
+  // Une pièce régénérée garde son identifiant mais porte un nouveau panneau : elle est réactivée
+  const active = getActivePart(config.assembly);
+  if (!active || active.panel !== config.panel || active.cuts !== config.cuts) {
+    cancelCutInteraction();
+    selectCut(null);
+    activatePart(config, (active || config.assembly.parts[0]).id);
+    syncPanelControls();
+  }
+
+  updatePanel3D(config);
+}
+
+/**
+ * Ajoute une pièce à l'assemblage, à droite des autres, et l'active
+ * @param {Object} part - Pièce créée par createAssemblyPart
+ */
+function addAssemblyPart(part) {
+  part.transform = placeBesideAssembly(config.assembly, part.panel);
+  executeCommand(createAddPartCommand(config, part, applyAssemblyChange));
+  selectPart(part.id);
+  updateCameraForPanel(getSceneExtent());
+}
+
+/**
+ * Applique la position et la rotation saisies à la pièce active
+ * @param {Object} transform - { position, rotation } (rotation en radians)
+ */
+function updatePartTransform(transform) {
+  const part = getActivePart(config.assembly);
+  const errors = validateTransform(transform);
+  if (errors.length > 0) {
+    alert('Erreurs de validation:\n' + errors.join('\n'));
+    renderOutliner();
+    return;
+  }
+
+  if (JSON.stringify(transform) === JSON.stringify(part.transform)) return;
+  executeCommand(createPartCommand(part, { transform }, 'Déplacement d\'une pièce', applyAssemblyChange));
+}
+
+/**
+ * Initialise l'arborescence de l'assemblage (chaque modification passe par l'historique)
+ */
+function initOutliner() {
+  const findPart = (id) => config.assembly.parts.find(p => p.id === id);
+
+  initOutlinerPanel(config, {
+    onActivate: selectPart,
+    onToggleVisible: (id) => {
+      const part = findPart(id);
+      executeCommand(createPartCommand(part, { visible: !part.visible },
+        part.visible ? 'Masquage d\'une pièce' : 'Affichage d\'une pièce', applyAssemblyChange));
+    },
+    onRename: (id, name) => {
+      executeCommand(createPartCommand(findPart(id), { name }, 'Renommage d\'une pièce', applyAssemblyChange));
+    },
+    onAdd: () => {
+      addAssemblyPart(createAssemblyPart({
+        name: nextPartName(config.assembly),
+        panel: JSON.parse(JSON.stringify(defaultPanel))
+      }));
+    },
+    onDuplicate: () => {
+      const source = getActivePart(config.assembly);
+      addAssemblyPart(createAssemblyPart({
+        name: `${source.name} (copie)`,
+        panel: JSON.parse(JSON.stringify(source.panel)),
+        cuts: source.cuts.map(cloneCut)
+      }));
+    },
+    onDelete: () => {
+      if (config.assembly.parts.length <= 1) return;
+      executeCommand(createRemovePartCommand(config, getActivePart(config.assembly), applyAssemblyChange));
+    },
+    onTransform: updatePartTransform
+  });
+}
+
+/**
+ * Génère le caisson paramétrique ou le régénère avec de nouveaux paramètres
+ * La première génération remplace tout l'assemblage ; les suivantes ne recalculent que les pièces
+ * du caisson et conservent les pièces ajoutées depuis
+ * @param {Object} params - Paramètres lus dans le panneau du caisson
+ */
+function generateCarcassAssembly(params) {
+  const errors = validateCarcass(params);
+  if (errors.length > 0) {
+    alert('Erreurs de validation:\n' + errors.join('\n'));
+    renderCarcassPanel();
+    return;
+  }
+
+  const { assembly } = config;
+  const otherParts = assembly.carcass ? assembly.parts.filter(part => !isCarcassPart(part)) : [];
+  const parts = [...buildCarcassParts(params, assembly.parts), ...otherParts];
+  const label = assembly.carcass ? 'Modification du caisson' : 'Génération du caisson';
+
+  executeCommand(createCarcassCommand(config, parts, params, label, () => {
+    updateCameraForPanel(getSceneExtent());
+    applyAssemblyChange();
+  }));
+  console.log(`Caisson généré: ${parts.length} pièces`, params);
+}
+
+/**
+ * Conserve le motif de répétition d'une découpe modifiée (les modals ne le connaissent pas)
+ * @param {Object} cut - Découpe créée ou modifiée par un modal
+ * @returns {Object} Découpe avec le motif de la découpe existante de même identifiant
+ */
+function keepCutPattern(cut) {
+  const existing = config.cuts.find(c => c.id === cut.id);
+  return existing?.pattern && !cut.pattern ? { ...cut, pattern: existing.pattern } : cut;
+}
+
+/**
+ * Démarre le placement à la souris d'une découpe issue d'un modal
+ * @param {Object} cut - Découpe créée ou modifiée par un modal
+ */
+function placeCut(cut) {
+  startCutPlacement(keepCutPattern(cut));
+}
+
+/**
+ * Ajoute une découpe au panneau (ou remplace celle modifiée) et reconstruit le mesh
+ * @param {Object} cut - Découpe créée ou modifiée par un modal
+ */
+function commitCut(cut) {
+  cut = keepCutPattern(cut);
+  const isEdit = config.cuts.some(c => c.id === cut.id);
+  executeCutsCommand(isEdit ? 'Modification d\'une découpe' : 'Ajout d\'une découpe', (cuts) => {
+    upsertCut(cuts, cut);
+  });
+  selectCut(cut.id);
+  console.log('Découpe enregistrée:', cut);
+}
+
+/**
+ * Rouvre le modal correspondant au type de la découpe, prérempli
+ * @param {Object} cut - Découpe à modifier
+ */
+function editCut(cut) {
+  switch (cut.type) {
+    case 'circular':
+      editCircularCut(cut);
+      break;
+    case 'rectangular':
+      editRectangularCut(cut);
+      break;
+    case 'slot':
+      editSlotCut(cut);
+      break;
+    case 'groove':
+      editGrooveCut(cut);
+      break;
+    default:
+      console.warn(`Aucun modal de modification pour le type: ${cut.type}`);
+  }
 }
 
 /**
@@ -335,7 +1181,7 @@ function initGridControls() {
   `;
   
   // Insertion après la section des découpes
-  const cutsSection = document.querySelector('.control-section:nth-child(2)');
+  const cutsSection = document.getElementById('cuts-section');
   cutsSection.parentNode.insertBefore(gridSection, cutsSection.nextSibling);
   
   // Événements pour les contrôles de grille
@@ -358,7 +1204,7 @@ function initGridControls() {
     
     if (autoSize) {
       // Mise à jour immédiate avec taille automatique
-      const optimalSize = calculateOptimalGridSize(config.panel);
+      const optimalSize = calculateOptimalGridSize(getSceneExtent());
       gridSizeXInput.value = optimalSize.sizeX;
       gridSizeZInput.value = optimalSize.sizeZ;
       updateGridSettingsWrapper(optimalSize.sizeX, optimalSize.sizeZ, true);
@@ -385,44 +1231,39 @@ function initGridControls() {
 }
 
 /**
- * Fonction principale pour mettre à jour le panneau 3D avec les opérations CSG
- * @param {Object} panelConfig - Configuration du panneau et des découpes
+ * Fonction principale pour mettre à jour les panneaux 3D de l'assemblage avec les opérations CSG
+ * Seules les pièces dont le panneau ou les découpes ont changé sont recalculées
+ * @param {Object} panelConfig - Configuration de l'application (assemblage, panneau et découpes actifs)
  */
 function updatePanel3D(panelConfig) {
-  // Suppression du mesh existant
-  if (currentPanelMesh) {
-    scene.remove(currentPanelMesh);
-    currentPanelMesh.geometry.dispose();
-    if (currentPanelMesh.material) {
-      currentPanelMesh.material.dispose();
-    }
-  }
-  
-  // Mise à jour de la grille selon les nouvelles dimensions du panneau
-  updateGrid(panelConfig.panel, config.grid, scene);
-  
-  // Mise à jour des axes et leurs labels selon les nouvelles dimensions du panneau
-  updateAxesAndLabels(panelConfig.panel, scene);
+  const extent = getAssemblyExtent(panelConfig.assembly);
+
+  // Mise à jour de la grille selon l'encombrement de l'assemblage
+  updateGrid(extent, config.grid, scene);
   
-  try {
-    currentPanelMesh = CSGManager.applyCuts(panelConfig);
-    
-    // Ajout à la scène
-    scene.add(currentPanelMesh);
-    
-    console.log('Panneau 3D mis à jour avec succès');
-    
-  } catch (error) {
-    console.error('Erreur lors de la mise à jour du panneau 3D:', error);
-    
-    // Création d'un panneau simple en cas d'erreur
-    const fallbackGeometry = createPanelGeometry(panelConfig.panel);
-    const fallbackMaterial = new THREE.MeshLambertMaterial({ color: 0xff6b6b });
-    currentPanelMesh = new THREE.Mesh(fallbackGeometry, fallbackMaterial);
-    currentPanelMesh.castShadow = true;
-    currentPanelMesh.receiveShadow = true;
-    scene.add(currentPanelMesh);
-  }
+  // Mise à jour des axes et leurs labels selon l'encombrement de l'assemblage
+  updateAxesAndLabels(extent, scene);
+
+  // Mise à jour de l'encombrement pour le cube de visualisation
+  updatePanelConfig(extent);
+
+  // Règles d'usinage vérifiées avant le calcul CSG des découpes de la pièce active
+  const issues = checkDesignRules(panelConfig.panel, panelConfig.cuts);
+  setCutIssues(issues);
+
+  // Panneaux découpés et bandes de chant, chacun dans le repère de sa pièce
+  updateAssemblyDisplay(panelConfig.assembly, scene);
+  console.log('Panneau 3D mis à jour avec succès');
+  updateIssueHighlight(panelConfig.cuts, issues, panelConfig.panel, getActiveFrame());
+
+  // Synchronisation de l'arborescence, du caisson, de la liste des découpes et de la mise en évidence
+  renderOutliner();
+  renderCarcassPanel();
+  renderCutList();
+
+  // Les trajectoires et le chiffrage dépendent du panneau et des découpes
+  refreshToolpathPreview();
+  refreshCostEstimate();
 }
 
 /**
@@ -462,17 +1303,8 @@ function handleWindowResize() {
   // Redimensionnement du cube de visualisation
   resizeViewCube();
   
-  // Redimensionnement du renderer du modal si actif
-  const modalRenderer = getModalRenderer();
-  const modalCamera = getModalCamera();
-  if (modalRenderer && modalCamera) {
-    const modalContainer = document.querySelector('.modal-3d-display');
-    if (modalContainer) {
-      modalCamera.aspect = modalContainer.clientWidth / modalContainer.clientHeight;
-      modalCamera.updateProjectionMatrix();
-      modalRenderer.setSize(modalContainer.clientWidth, modalContainer.clientHeight);
-    }
-  }
+  // Redimensionnement de l'aperçu du modal si actif
+  resizeModalPreview();
 }
 
 /**
@@ -0,0 +1,127 @@
+/**
+ * Module d'affichage de l'assemblage dans la scène
+ * Chaque pièce a son groupe, placé selon sa transformation, qui contient le panneau découpé et ses bandes de chant ;
+ * les aperçus liés à la pièce active (mise en évidence, trajectoires, placement) sont ajoutés à son groupe
+ * Le CSG d'une pièce n'est recalculé que si son panneau ou ses découpes ont changé
+ */
+
+import * as THREE from 'three';
+import { CSGManager } from '../csg/CSGManager.ts';
+import { createPanelGeometry } from '../models/index.js';
+import { getPanelCore } from '../models/edgeBanding.js';
+import { createEdgeBandingGroup, disposeEdgeBandingGroup } from './edgeBandingDisplay.js';
+
+// Vues des pièces : identifiant -> { group, mesh, bands, signature }
+const partViews = new Map();
+
+/**
+ * Construit le maillage découpé d'une pièce (panneau simple en rouge si le CSG échoue)
+ * @param {Object} part - Pièce de l'assemblage
+ * @returns {THREE.Mesh} Maillage dans le repère du panneau
+ */
+function buildPartMesh(part) {
+  try {
+    return CSGManager.applyCuts({ panel: part.panel, cuts: part.cuts });
+  } catch (error) {
+    console.error(`Erreur lors de la mise à jour de ${part.name}:`, error);
+
+    // Âme du panneau, hors placage
+    const core = getPanelCore(part.panel);
+    const fallbackGeometry = createPanelGeometry(core);
+    fallbackGeometry.translate(core.offsetX, 0, core.offsetZ);
+    const fallbackMaterial = new THREE.MeshLambertMaterial({ color: 0xff6b6b });
+    const mesh = new THREE.Mesh(fallbackGeometry, fallbackMaterial);
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    return mesh;
+  }
+}
+
+/**
+ * Retire le maillage et les bandes d'une vue et dispose de leurs ressources
+ * @param {Object} view - Vue d'une pièce
+ */
+function disposePartContent(view) {
+  if (view.mesh) {
+    view.group.remove(view.mesh);
+    view.mesh.geometry.dispose();
+    view.mesh.material?.dispose();
+    view.mesh = null;
+  }
+  if (view.bands) {
+    disposeEdgeBandingGroup(view.bands);
+    view.bands = null;
+  }
+}
+
+/**
+ * Met à jour la scène selon l'assemblage : pièces ajoutées, retirées, déplacées, masquées ou modifiées
+ * @param {Object} assembly - Assemblage
+ * @param {THREE.Scene} scene - Scène Three.js
+ */
+export function updateAssemblyDisplay(assembly, scene) {
+  partViews.forEach((view, id) => {
+    if (!assembly.parts.some(part => part.id === id)) {
+      disposePartContent(view);
+      scene.remove(view.group);
+      partViews.delete(id);
+    }
+  });
+
+  assembly.parts.forEach(part => {
+    let view = partViews.get(part.id);
+    if (!view) {
+      view = { group: new THREE.Group(), mesh: null, bands: null, signature: null };
+      view.group.userData.partId = part.id;
+      scene.add(view.group);
+      partViews.set(part.id, view);
+    }
+
+    const { position, rotation } = part.transform;
+    view.group.name = part.name;
+    view.group.position.set(position.x, position.y, position.z);
+    view.group.rotation.set(rotation.x, rotation.y, rotation.z);
+    view.group.visible = part.visible;
+
+    // Signature du panneau et des découpes : une annulation sur une pièce inactive est aussi répercutée
+    const signature = JSON.stringify({ panel: part.panel, cuts: part.cuts });
+    if (signature === view.signature) return;
+
+    disposePartContent(view);
+    view.mesh = buildPartMesh(part);
+    view.mesh.userData.partId = part.id;
+    view.bands = createEdgeBandingGroup(part.panel);
+    view.group.add(view.mesh, view.bands);
+    view.signature = signature;
+  });
+}
+
+/**
+ * Retourne le groupe d'une pièce (repère dans lequel sont placés son panneau et ses aperçus)
+ * @param {string} id - Identifiant de la pièce
+ * @returns {THREE.Group|null} Groupe de la pièce
+ */
+export function getPartGroup(id) {
+  return partViews.get(id)?.group || null;
+}
+
+/**
+ * Retourne le maillage découpé d'une pièce
+ * @param {string} id - Identifiant de la pièce
+ * @returns {THREE.Mesh|null} Maillage de la pièce
+ */
+export function getPartMesh(id) {
+  return partViews.get(id)?.mesh || null;
+}
+
+/**
+ * Dispose des ressources de toutes les pièces affichées
+ * @param {THREE.Scene} scene - Scène Three.js
+ */
+export function disposeAssemblyDisplay(scene) {
+  partViews.forEach(view => {
+    disposePartContent(view);
+    scene.remove(view.group);
+  });
+  partViews.clear();
+}
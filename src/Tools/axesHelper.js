@@ -35,7 +35,11 @@ export function updateAxes(panelConfig, scene) {
   }
   
   // Calcul de la taille des axes basée sur les dimensions du panneau
-  const maxDimension = Math.max(panelConfig.length, panelConfig.width, panelConfig.thickness);
+  const maxDimension = Math.max(
+    panelConfig.length / 2 + Math.abs(panelConfig.center?.x || 0),
+    panelConfig.thickness / 2 + Math.abs(panelConfig.center?.y || 0),
+    panelConfig.width / 2 + Math.abs(panelConfig.center?.z || 0)
+  ) * 2;
   const axesSize = Math.max(maxDimension * 0.7, 140); // 70% de la plus grande dimension, minimum 140
   
   // Création des nouveaux axes
@@ -53,9 +57,11 @@ export function updateAxisLabels(panelConfig, scene) {
   disposeAxisLabels(scene);
   
   // Calcul des nouvelles positions basées sur les dimensions du panneau avec des offsets plus petits
-  const xPosition = (panelConfig.length / 2) + 30; // Position X basée sur la longueur + décalage réduit
-  const yPosition = (panelConfig.thickness / 2) + 30; // Position Y basée sur l'épaisseur + décalage réduit
-  const zPosition = (panelConfig.width / 2) + 30; // Position Z basée sur la largeur + décalage réduit
+  // (encombrement d'un assemblage : au-delà de son centre)
+  const center = panelConfig.center || { x: 0, y: 0, z: 0 };
+  const xPosition = Math.max(center.x + panelConfig.length / 2, 0) + 30; // Position X basée sur la longueur + décalage réduit
+  const yPosition = Math.max(center.y + panelConfig.thickness / 2, 0) + 30; // Position Y basée sur l'épaisseur + décalage réduit
+  const zPosition = Math.max(center.z + panelConfig.width / 2, 0) + 30; // Position Z basée sur la largeur + décalage réduit
   
   // Création des nouveaux labels
   xLabelObj = createAxisLabel('X');
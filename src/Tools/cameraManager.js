@@ -11,13 +11,26 @@ let camera = null;
 let controls = null;
 let container = null;
 
+/**
+ * Point visé par la caméra : centre de l'encombrement d'un assemblage, sinon milieu de l'épaisseur du panneau
+ * @param {Object} panelConfig - Configuration du panneau ou encombrement { length, width, thickness, center }
+ * @returns {THREE.Vector3} Point visé
+ */
+function getCameraTarget(panelConfig) {
+  const { center } = panelConfig;
+  return center
+    ? new THREE.Vector3(center.x, center.y, center.z)
+    : new THREE.Vector3(0, panelConfig.thickness / 2, 0);
+}
+
 /**
  * Calcule la position optimale de la caméra en fonction des dimensions du panneau
- * @param {Object} panelConfig - Configuration du panneau
+ * @param {Object} panelConfig - Configuration du panneau ou encombrement de l'assemblage
  * @returns {Object} Position et paramètres de caméra optimaux
  */
 export function calculateOptimalCameraSettings(panelConfig) {
   const { length, width, thickness } = panelConfig;
+  const center = panelConfig.center || { x: 0, y: 0, z: 0 };
   
   // Calcul de la diagonale du panneau pour déterminer la distance optimale
   const diagonal = Math.sqrt(length * length + width * width + thickness * thickness);
@@ -34,9 +47,9 @@ export function calculateOptimalCameraSettings(panelConfig) {
     minDistance: minDistance,
     maxDistance: maxDistance,
     position: {
-      x: cameraDistance * 0.7,
-      y: cameraDistance * 0.7,
-      z: cameraDistance * 0.7
+      x: center.x + cameraDistance * 0.7,
+      y: center.y + cameraDistance * 0.7,
+      z: center.z + cameraDistance * 0.7
     }
   };
 }
@@ -78,7 +91,7 @@ export function initCamera(containerElement, panelConfig) {
 
 /**
  * Met à jour la position et les limites de la caméra selon la configuration du panneau
- * @param {Object} panelConfig - Configuration du panneau
+ * @param {Object} panelConfig - Configuration du panneau ou encombrement de l'assemblage { length, width, thickness, center }
  */
 export function updateCameraForPanel(panelConfig) {
   if (!camera) {
@@ -101,7 +114,7 @@ export function updateCameraForPanel(panelConfig) {
     controls.maxDistance = cameraSettings.maxDistance;
     
     // Recentrage sur l'objet
-    controls.target.set(0, panelConfig.thickness / 2, 0);
+    controls.target.copy(getCameraTarget(panelConfig));
     controls.update();
   }
   
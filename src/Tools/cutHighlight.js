@@ -0,0 +1,61 @@
+/**
+ * Module de mise en évidence d'une découpe dans la scène
+ * Affiche le volume de la découpe sélectionnée par-dessus le panneau
+ */
+
+import * as THREE from 'three';
+import { buildCutVolume } from '../csg/cutGeometry.js';
+import { expandCut } from '../cuts/cutPattern.js';
+
+// Volumes actuellement mis en évidence (une découpe ou les occurrences de son motif)
+let highlightGroup = null;
+
+/**
+ * Met en évidence le volume d'une découpe et de toutes les occurrences de son motif
+ * (ou retire la mise en évidence)
+ * @param {Object|null} cut - Découpe à mettre en évidence, null pour effacer
+ * @param {Object} panelConfig - Configuration du panneau
+ * @param {THREE.Scene} scene - Scène Three.js
+ */
+export function updateCutHighlight(cut, panelConfig, scene) {
+  disposeCutHighlight(scene);
+
+  if (!cut) {
+    return;
+  }
+
+  // Volume visible à travers le panneau pour repérer les découpes borgnes
+  const material = new THREE.MeshBasicMaterial({
+    color: 0x00a2ff,
+    transparent: true,
+    opacity: 0.45,
+    depthTest: false
+  });
+
+  highlightGroup = new THREE.Group();
+  expandCut(cut).forEach(instance => {
+    const volume = buildCutVolume(instance, panelConfig);
+    if (!volume) {
+      return;
+    }
+    const mesh = new THREE.Mesh(volume.geometry, material);
+    mesh.position.set(volume.position.x, volume.position.y, volume.position.z);
+    mesh.rotation.set(volume.rotation.x, volume.rotation.y, volume.rotation.z);
+    mesh.renderOrder = 10;
+    highlightGroup.add(mesh);
+  });
+  scene.add(highlightGroup);
+}
+
+/**
+ * Dispose des ressources de la mise en évidence
+ * @param {THREE.Scene} scene - Scène Three.js
+ */
+export function disposeCutHighlight(scene) {
+  if (highlightGroup) {
+    scene.remove(highlightGroup);
+    highlightGroup.children.forEach(mesh => mesh.geometry.dispose());
+    highlightGroup.children[0]?.material.dispose();
+    highlightGroup = null;
+  }
+}
@@ -0,0 +1,628 @@
+/**
+ * Module d'interaction avec les découpes dans la vue 3D
+ * Placement d'une découpe en attente par clic sur une face du panneau (chants compris pour les perçages de chant),
+ * déplacement des découpes existantes par glisser-déposer (aperçu léger, CSG au relâchement)
+ * Les positions sont accrochées selon config.snap sur le dessus et le dessous (touche Alt maintenue : accrochage suspendu)
+ * et bornées au contour de la face : contour du panneau (contour libre compris) ou rectangle du chant
+ * Les calculs se font dans le repère de la pièce active de l'assemblage, où sont aussi ajoutés les aperçus
+ */
+
+import * as THREE from 'three';
+import { buildCutVolume } from '../csg/cutGeometry.js';
+import {
+  PANEL_FACES,
+  EDGE_CUT_TYPES,
+  createFacePosition,
+  getFaceCoordinates,
+  getFaceSize,
+  getFaceSpan,
+  getFaceSpanCenter,
+  resolveCutPlacement
+} from '../csg/cutPlacement.js';
+import { getFaceFootprint } from '../cuts/cutFootprint.js';
+import { cloneCut } from '../cuts/cutOperations.js';
+import { snapCutPosition } from '../cuts/cutSnapping.js';
+import { expandCut, expandCuts } from '../cuts/cutPattern.js';
+import { isFootprintWithin } from '../cuts/designRules.js';
+import { getPanelOutline } from '../models/panelOutline.js';
+import { updateSnapIndicator, describeSnap, disposeSnapIndicator } from './snapIndicator.js';
+
+// Déplacement minimal du pointeur (px) pour distinguer un glisser d'un clic
+const DRAG_THRESHOLD = 3;
+
+// Écart maximal (mm) entre un point touché et le plan d'un chant pour viser ce chant
+const EDGE_PICK_TOLERANCE = 0.5;
+
+// Itérations de la recherche de la position valide la plus proche le long d'un déplacement
+const CLAMP_ITERATIONS = 16;
+
+const PLACEMENT_HINT = 'Cliquez sur une face du panneau pour placer la découpe (Échap pour annuler, Alt sans accrochage)';
+const OUTSIDE_HINT = 'La découpe ne tient pas sur le panneau à cet endroit';
+
+// Variables privées du module
+let canvas = null;
+let cfg = null;
+let refs = {};
+let callbacks = {};
+let hintElement = null;
+
+const raycaster = new THREE.Raycaster();
+const pointer = new THREE.Vector2();
+
+let pendingCut = null;
+// Dernière position valide de la découpe en attente { face, u, v }, point de départ du bornage
+let pendingPosition = null;
+let drag = null;
+let previewMesh = null;
+
+/**
+ * Initialise l'interaction avec les découpes
+ * @param {Object} options - Références de la scène et actions
+ * @param {HTMLCanvasElement} options.canvas - Canvas du renderer principal
+ * @param {Function} options.getPanelFrame - Retourne le groupe de la pièce active (repère du panneau)
+ * @param {Object} options.config - Configuration de l'application
+ * @param {Function} options.getCamera - Retourne la caméra courante
+ * @param {Function} options.getControls - Retourne les contrôles d'orbite courants
+ * @param {Function} options.getPanelMesh - Retourne le maillage courant du panneau
+ * @param {Function} options.getGridStep - Retourne le pas de grille { sizeX, sizeZ } utilisé pour l'accrochage
+ * @param {Function} options.onPlace - Découpe en attente placée (découpe complète)
+ * @param {Function} options.onMove - Découpe déplacée (identifiant, nouvelle position dans le repère de sa face)
+ * @param {Function} options.onSelect - Découpe cliquée sans déplacement (identifiant)
+ */
+export function initCutInteraction(options) {
+  canvas = options.canvas;
+  cfg = options.config;
+  refs = {
+    getCamera: options.getCamera,
+    getControls: options.getControls,
+    getPanelFrame: options.getPanelFrame,
+    getPanelMesh: options.getPanelMesh,
+    getGridStep: options.getGridStep
+  };
+  callbacks = {
+    onPlace: options.onPlace,
+    onMove: options.onMove,
+    onSelect: options.onSelect
+  };
+
+  hintElement = document.createElement('div');
+  hintElement.className = 'viewport-hint';
+  hintElement.hidden = true;
+  canvas.parentElement.appendChild(hintElement);
+
+  // Phase de capture sur le conteneur : le clic sur une découpe ne doit pas démarrer l'orbite
+  canvas.parentElement.addEventListener('pointerdown', onPointerDown, true);
+  canvas.addEventListener('pointermove', onPointerMove);
+  canvas.addEventListener('pointerup', onPointerUp);
+  canvas.addEventListener('pointercancel', cancelDrag);
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && (pendingCut || drag)) {
+      cancelCutInteraction();
+    }
+  });
+}
+
+/**
+ * Démarre le placement d'une découpe : l'aperçu suit le curseur jusqu'au clic
+ * @param {Object} cut - Découpe à placer (position et face choisies au clic)
+ */
+export function startCutPlacement(cut) {
+  cancelDrag();
+  pendingCut = cloneCut(cut);
+  pendingPosition = null;
+  canvas.style.cursor = 'crosshair';
+  showHint(PLACEMENT_HINT);
+}
+
+/**
+ * Annule le placement en cours
+ */
+export function cancelCutPlacement() {
+  if (!pendingCut) return;
+  pendingCut = null;
+  pendingPosition = null;
+  disposePreview();
+  disposeSnapIndicator(refs.getPanelFrame());
+  canvas.style.cursor = '';
+  showHint(null);
+}
+
+/**
+ * Annule le placement ou le déplacement en cours (changement de pièce active par exemple)
+ */
+export function cancelCutInteraction() {
+  cancelCutPlacement();
+  cancelDrag();
+}
+
+/**
+ * Indique si un placement ou un déplacement est en cours
+ * @returns {boolean} true pendant une interaction
+ */
+export function isCutInteractionActive() {
+  return pendingCut !== null || drag !== null;
+}
+
+function showHint(text) {
+  hintElement.hidden = !text;
+  hintElement.textContent = text || '';
+}
+
+/**
+ * Lance un rayon depuis la position du pointeur
+ * @param {PointerEvent} event - Événement pointeur
+ */
+function updateRay(event) {
+  const rect = canvas.getBoundingClientRect();
+  pointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+  pointer.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+  raycaster.setFromCamera(pointer, refs.getCamera());
+}
+
+/**
+ * Rayon du pointeur exprimé dans le repère du panneau actif
+ * @returns {THREE.Ray} Rayon local
+ */
+function getLocalRay() {
+  const frame = refs.getPanelFrame();
+  frame.updateMatrixWorld();
+  return raycaster.ray.clone().applyMatrix4(frame.matrixWorld.clone().invert());
+}
+
+/**
+ * Plan d'une face dans le repère du panneau (chant : face de l'âme lorsque les cotes sont finies)
+ * @param {string} face - Clé de PANEL_FACES
+ * @returns {THREE.Plane} Plan de normale sortante
+ */
+function getFacePlane(face) {
+  const { normal } = PANEL_FACES[face];
+  const center = getFaceSpanCenter(face, cfg.panel);
+  const distance = normal.x * center.x + normal.y * center.y + normal.z * center.z + getFaceSpan(face, cfg.panel) / 2;
+  return new THREE.Plane(new THREE.Vector3(normal.x, normal.y, normal.z), -distance);
+}
+
+/**
+ * Intersection du rayon avec le plan d'une face du panneau
+ * @param {string} face - Clé de PANEL_FACES
+ * @returns {Object|null} Point { u, v } dans le repère de la face
+ */
+function intersectFacePlane(face) {
+  const hit = getLocalRay().intersectPlane(getFacePlane(face), new THREE.Vector3());
+  if (!hit) return null;
+  const [uAxis, vAxis] = PANEL_FACES[face].axes;
+  return { u: hit[uAxis], v: hit[vAxis] };
+}
+
+/**
+ * Contour d'une face dans son repère (points { x, z } pour u et v)
+ * Dessus et dessous : contour du panneau ; chant : longueur du chant × épaisseur
+ * @param {string} face - Clé de PANEL_FACES
+ * @returns {Object[]} Points du contour
+ */
+function getFaceOutline(face) {
+  if (!PANEL_FACES[face].edge) {
+    return getPanelOutline(cfg.panel);
+  }
+  const [sizeU, sizeV] = getFaceSize(face, cfg.panel);
+  return [
+    { x: -sizeU / 2, z: -sizeV / 2 },
+    { x: sizeU / 2, z: -sizeV / 2 },
+    { x: sizeU / 2, z: sizeV / 2 },
+    { x: -sizeU / 2, z: sizeV / 2 }
+  ];
+}
+
+/**
+ * Chant dont le plan porte un point touché du maillage
+ * @param {THREE.Vector3} normal - Normale de la face touchée (repère du panneau)
+ * @param {THREE.Vector3} point - Point touché (repère du panneau)
+ * @returns {string|null} Clé du chant, null hors des chants (paroi d'un contour libre ou d'une découpe)
+ */
+function findEdgeFace(normal, point) {
+  return Object.keys(PANEL_FACES).find(key => {
+    const face = PANEL_FACES[key];
+    if (!face.edge) return false;
+    const alignment = normal.x * face.normal.x + normal.y * face.normal.y + normal.z * face.normal.z;
+    return alignment > 0.99 && Math.abs(getFacePlane(key).distanceToPoint(point)) <= EDGE_PICK_TOLERANCE;
+  }) || null;
+}
+
+/**
+ * Détermine la face visée et le point visé sur cette face
+ * Le maillage du panneau est interrogé d'abord ; un rayon passant dans une découpe
+ * (paroi ou trou traversant) retombe sur la face tournée vers la caméra
+ * @param {PointerEvent} event - Événement pointeur
+ * @param {boolean} allowEdges - Les chants peuvent être visés (perçages de chant)
+ * @returns {Object|null} { face, u, v, inside } ; u, v : coordonnées dans le repère de la face
+ */
+function pickFacePoint(event, allowEdges) {
+  // Pièce active masquée : rien à viser
+  if (!refs.getPanelFrame()?.visible) return null;
+  updateRay(event);
+
+  let face = getLocalRay().direction.y < 0 ? 'top' : 'bottom';
+  const mesh = refs.getPanelMesh();
+  if (mesh) {
+    // Normale de la face touchée dans le repère du maillage, donc du panneau
+    const hit = raycaster.intersectObject(mesh, false)[0];
+    if (hit?.face && Math.abs(hit.face.normal.y) > 0.5) {
+      face = hit.face.normal.y > 0 ? 'top' : 'bottom';
+    } else if (hit?.face && allowEdges) {
+      face = findEdgeFace(hit.face.normal, mesh.worldToLocal(hit.point.clone())) || face;
+    }
+  }
+
+  const point = intersectFacePlane(face);
+  if (!point) return null;
+
+  return {
+    face,
+    ...point,
+    inside: isFootprintWithin([{ x: point.u, z: point.v }], getFaceOutline(face))
+  };
+}
+
+/**
+ * Teste si un point est à l'intérieur d'un polygone du plan du panneau
+ */
+function containsPoint(points, x, z) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i];
+    const b = points[j];
+    if ((a.z > z) !== (b.z > z) && x < ((b.x - a.x) * (z - a.z)) / (b.z - a.z) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Indique si une découpe est visible depuis une face : sa face, ou la face opposée si elle la traverse
+ * @param {Object} cut - Découpe
+ * @param {string} face - Face visée
+ * @returns {boolean} true si la découpe débouche sur la face
+ */
+function isCutOnFace(cut, face) {
+  const cutFace = cut.face || 'top';
+  if (cutFace === face) return true;
+  const a = PANEL_FACES[cutFace]?.normal;
+  const b = PANEL_FACES[face].normal;
+  return !!cut.params.through && !!a && a.x === -b.x && a.y === -b.y && a.z === -b.z;
+}
+
+/**
+ * Recherche la découpe située sous un point d'une face (la dernière ajoutée en priorité)
+ * Une occurrence de motif désigne sa découpe d'origine, déplacée avec tout le motif
+ * @param {Object} picked - Point visé { face, u, v }
+ * @returns {Object|null} Découpe de config.cuts trouvée
+ */
+function findCutAt(picked) {
+  const instances = expandCuts(cfg.cuts);
+  for (let i = instances.length - 1; i >= 0; i--) {
+    const cut = instances[i];
+    // Une rainure suit son chant : elle se modifie depuis son modal, pas à la souris
+    if (cut.type === 'groove') continue;
+    const footprint = getFaceFootprint(cut, cfg.panel).map(p => ({ x: p.u, z: p.v }));
+    if (isCutOnFace(cut, picked.face) && containsPoint(footprint, picked.u, picked.v)) {
+      const id = cut.sourceId || cut.id;
+      return cfg.cuts.find(c => c.id === id) || null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Découpe déplacée aux coordonnées données de sa face
+ */
+function moveCutTo(cut, u, v) {
+  return { ...cut, position: { ...cut.position, ...createFacePosition(cut.face || 'top', u, v) } };
+}
+
+/**
+ * Indique si toutes les occurrences d'une découpe tiennent dans le contour de sa face
+ * @param {Object} cut - Découpe (dimensions, rotation et motif)
+ * @param {Object} position - Coordonnées { u, v } sur la face
+ * @param {Object[]} outline - Contour de la face
+ * @returns {boolean} true si la découpe tient sur la face
+ */
+function fitsFace(cut, { u, v }, outline) {
+  return expandCut(moveCutTo(cut, u, v)).every(instance =>
+    isFootprintWithin(getFaceFootprint(instance, cfg.panel).map(p => ({ x: p.u, z: p.v })), outline));
+}
+
+/**
+ * Borne la position d'une découpe pour que son emprise (motif compris) reste sur sa face
+ * La position est d'abord bornée au rectangle d'encombrement de la face. Si l'emprise sort encore du contour
+ * (contour libre, angles arrondis), la découpe s'arrête au plus loin sur le chemin depuis la dernière
+ * position valide, en glissant le long du bord lorsqu'un seul axe bloque
+ * @param {Object} cut - Découpe (face, dimensions, rotation et motif)
+ * @param {number} u - Première coordonnée souhaitée sur la face (X sur le dessus)
+ * @param {number} v - Seconde coordonnée souhaitée sur la face (Z sur le dessus)
+ * @param {Object|null} from - Dernière position valide { u, v }, null si aucune
+ * @returns {Object|null} Position { u, v } bornée, null si la découpe ne tient pas sans position de départ
+ */
+export function clampCutPosition(cut, u, v, from = null) {
+  const face = cut.face || 'top';
+  const outline = getFaceOutline(face);
+  const footprints = expandCut(moveCutTo(cut, 0, 0)).flatMap(instance => getFaceFootprint(instance, cfg.panel));
+  const clamp = (value, min, max) => (min > max ? (min + max) / 2 : Math.min(Math.max(value, min), max));
+  const [sizeU, sizeV] = getFaceSize(face, cfg.panel);
+  const minU = Math.min(...footprints.map(p => p.u));
+  const maxU = Math.max(...footprints.map(p => p.u));
+  const minV = Math.min(...footprints.map(p => p.v));
+  const maxV = Math.max(...footprints.map(p => p.v));
+
+  const target = {
+    u: clamp(u, -sizeU / 2 - minU, sizeU / 2 - maxU),
+    v: clamp(v, -sizeV / 2 - minV, sizeV / 2 - maxV)
+  };
+  if (fitsFace(cut, target, outline)) {
+    return target;
+  }
+  if (!from || !fitsFace(cut, from, outline)) {
+    return null;
+  }
+
+  // Point valide le plus éloigné sur le segment depuis la position de départ (dichotomie)
+  const furthest = (to) => {
+    let low = 0;
+    let high = 1;
+    for (let k = 0; k < CLAMP_ITERATIONS; k++) {
+      const t = (low + high) / 2;
+      if (fitsFace(cut, { u: from.u + (to.u - from.u) * t, v: from.v + (to.v - from.v) * t }, outline)) {
+        low = t;
+      } else {
+        high = t;
+      }
+    }
+    return { u: from.u + (to.u - from.u) * low, v: from.v + (to.v - from.v) * low };
+  };
+
+  const distance = (p) => Math.hypot(p.u - target.u, p.v - target.v);
+  return [target, { u: target.u, v: from.v }, { u: from.u, v: target.v }]
+    .map(furthest)
+    .reduce((best, p) => (distance(p) < distance(best) ? p : best));
+}
+
+/**
+ * Distance d'accrochage en mm correspondant à la tolérance en pixels au point visé
+ * @param {number} x - Position X visée
+ * @param {number} z - Position Z visée
+ * @param {string} face - Face visée
+ * @returns {number} Tolérance en mm
+ */
+function snapToleranceAt(x, z, face) {
+  const camera = refs.getCamera();
+  const y = (face === 'bottom' ? -1 : 1) * cfg.panel.thickness / 2;
+  const point = refs.getPanelFrame().localToWorld(new THREE.Vector3(x, y, z));
+  const distance = camera.position.distanceTo(point);
+  const mmPerPixel = (2 * distance * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2)) / canvas.clientHeight;
+  return cfg.snap.tolerance * mmPerPixel;
+}
+
+/**
+ * Calcule la position finale d'une découpe : accrochage (dessus et dessous), puis bornage sur sa face
+ * Met à jour l'indicateur d'accrochage et la consigne affichée
+ * @param {Object} cut - Découpe placée ou déplacée (face comprise)
+ * @param {number} u - Première coordonnée souhaitée du centre sur la face
+ * @param {number} v - Seconde coordonnée souhaitée du centre sur la face
+ * @param {string} face - Face visée
+ * @param {PointerEvent} event - Événement pointeur (Alt : accrochage suspendu)
+ * @param {Object|null} from - Dernière position valide { u, v }
+ * @returns {Object|null} Position { u, v }, null si la découpe ne tient pas sur la face
+ */
+function resolvePosition(cut, u, v, face, event, from) {
+  let snap = null;
+  // L'accrochage porte sur X et Z : il ne s'applique pas aux chants
+  if (cfg.snap?.enabled && !event.altKey && !PANEL_FACES[face].edge) {
+    snap = snapCutPosition(cut, u, v, cfg, refs.getGridStep(), snapToleranceAt(u, v, face));
+  }
+
+  const position = clampCutPosition(cut, snap ? snap.x : u, snap ? snap.z : v, from);
+  if (!position) {
+    disposeSnapIndicator(refs.getPanelFrame());
+    showHint([pendingCut ? PLACEMENT_HINT : '', OUTSIDE_HINT].filter(Boolean).join(' — '));
+    return null;
+  }
+
+  // Une position corrigée par le bornage n'est plus calée sur sa cible
+  if (snap) {
+    if (position.u !== snap.x) snap.snapX = null;
+    if (position.v !== snap.z) snap.snapZ = null;
+  }
+
+  updateSnapIndicator(snap, face, cfg.panel, refs.getPanelFrame());
+  const snapText = describeSnap(snap);
+  showHint([pendingCut ? PLACEMENT_HINT : '', snapText && `Accrochage ${snapText}`].filter(Boolean).join(' — '));
+  return position;
+}
+
+/**
+ * Affiche ou déplace l'aperçu translucide d'une découpe (toutes les occurrences de son motif)
+ * La géométrie est construite une seule fois à l'origine de sa face, seule la position change ensuite
+ * @param {Object} cut - Découpe à prévisualiser
+ */
+function updatePreview(cut) {
+  const face = cut.face || 'top';
+  if (!previewMesh) {
+    const material = new THREE.MeshBasicMaterial({
+      color: 0x00c853,
+      transparent: true,
+      opacity: 0.5,
+      depthTest: false
+    });
+    previewMesh = new THREE.Group();
+    previewMesh.userData.face = face;
+
+    expandCut(moveCutTo(cut, 0, 0)).forEach(instance => {
+      const volume = buildCutVolume(instance, cfg.panel);
+      if (!volume) return;
+      const mesh = new THREE.Mesh(volume.geometry, material);
+      const placement = resolveCutPlacement(instance, cfg.panel);
+      mesh.position.set(placement.position.x, placement.position.y, placement.position.z);
+      mesh.rotation.set(placement.rotation.x, placement.rotation.y, placement.rotation.z);
+      mesh.renderOrder = 10;
+      previewMesh.add(mesh);
+    });
+    refs.getPanelFrame().add(previewMesh);
+  }
+
+  const offset = { x: 0, y: 0, z: 0, ...createFacePosition(face, ...getFaceCoordinates(cut)) };
+  previewMesh.position.set(offset.x, offset.y, offset.z);
+  previewMesh.visible = true;
+}
+
+function hidePreview() {
+  if (previewMesh) {
+    previewMesh.visible = false;
+  }
+}
+
+function disposePreview() {
+  if (previewMesh) {
+    previewMesh.removeFromParent();
+    previewMesh.children.forEach(mesh => mesh.geometry.dispose());
+    previewMesh.children[0]?.material.dispose();
+    previewMesh = null;
+  }
+}
+
+/**
+ * Positionne la découpe en attente au point visé (face comprise)
+ * @param {Object} picked - Point visé
+ * @param {PointerEvent} event - Événement pointeur
+ * @returns {Object|null} Découpe positionnée, null si elle ne tient pas sur la face à cet endroit
+ */
+function positionPendingCut(picked, event) {
+  const cut = cloneCut(pendingCut);
+  cut.face = picked.face;
+  const from = pendingPosition?.face === picked.face ? pendingPosition : null;
+  const position = resolvePosition(cut, picked.u, picked.v, picked.face, event, from);
+  if (!position) return null;
+
+  pendingPosition = { face: picked.face, ...position };
+  // Coordonnées d'une autre face abandonnées : la position ne porte que les axes de la face visée
+  cut.position = createFacePosition(picked.face, position.u, position.v);
+  return cut;
+}
+
+/**
+ * Indique si la découpe en attente peut être percée dans un chant
+ */
+function canPlaceOnEdge() {
+  return EDGE_CUT_TYPES.includes(pendingCut?.type);
+}
+
+function onPointerDown(event) {
+  if (event.target !== canvas || event.button !== 0) return;
+
+  const picked = pickFacePoint(event, pendingCut ? canPlaceOnEdge() : true);
+  if (!picked || !picked.inside) return;
+
+  if (pendingCut) {
+    const cut = positionPendingCut(picked, event);
+    event.stopPropagation();
+    if (!cut) return;
+    cancelCutPlacement();
+    callbacks.onPlace?.(cut);
+    return;
+  }
+
+  const cut = findCutAt(picked);
+  if (!cut) return;
+
+  // Glisser d'une découpe : l'orbite est suspendue pendant le déplacement
+  event.stopPropagation();
+  canvas.setPointerCapture(event.pointerId);
+  const controls = refs.getControls();
+  if (controls) controls.enabled = false;
+
+  const [u, v] = getFaceCoordinates(cut);
+  drag = {
+    cut: cloneCut(cut),
+    face: cut.params.through ? picked.face : (cut.face || 'top'),
+    offset: { u: u - picked.u, v: v - picked.v },
+    startX: event.clientX,
+    startY: event.clientY,
+    moved: false,
+    // Dernière position valide : la position de départ tant que la découpe n'a pas bougé
+    valid: { u, v },
+    position: null
+  };
+  canvas.style.cursor = 'grabbing';
+}
+
+function onPointerMove(event) {
+  if (pendingCut) {
+    const picked = pickFacePoint(event, canPlaceOnEdge());
+    const cut = picked?.inside ? positionPendingCut(picked, event) : null;
+    if (cut) {
+      // La face peut changer : l'aperçu est reconstruit pour suivre la nouvelle face
+      if (previewMesh && previewMesh.userData.face !== cut.face) disposePreview();
+      updatePreview(cut);
+    } else {
+      hidePreview();
+      if (!picked?.inside) {
+        disposeSnapIndicator(refs.getPanelFrame());
+        showHint(PLACEMENT_HINT);
+      }
+    }
+    return;
+  }
+
+  if (drag) {
+    if (!drag.moved && Math.hypot(event.clientX - drag.startX, event.clientY - drag.startY) < DRAG_THRESHOLD) {
+      return;
+    }
+    drag.moved = true;
+
+    updateRay(event);
+    const point = intersectFacePlane(drag.face);
+    if (!point) return;
+
+    const position = resolvePosition(drag.cut, point.u + drag.offset.u, point.v + drag.offset.v, drag.face, event, drag.valid);
+    if (!position) return;
+    drag.valid = position;
+    drag.position = createFacePosition(drag.cut.face || 'top', position.u, position.v);
+    updatePreview({ ...drag.cut, position: { ...drag.cut.position, ...drag.position } });
+    return;
+  }
+
+  // Survol : indique les découpes déplaçables
+  const picked = pickFacePoint(event, true);
+  canvas.style.cursor = picked?.inside && findCutAt(picked) ? 'grab' : '';
+}
+
+function onPointerUp(event) {
+  if (!drag) return;
+
+  const { cut, moved, position } = drag;
+  endDrag(event);
+
+  // Le CSG n'est recalculé qu'au relâchement, via l'action de déplacement
+  if (moved && position) {
+    callbacks.onMove?.(cut.id, position);
+  } else if (!moved) {
+    callbacks.onSelect?.(cut.id);
+  }
+}
+
+function endDrag(event) {
+  if (event && canvas.hasPointerCapture(event.pointerId)) {
+    canvas.releasePointerCapture(event.pointerId);
+  }
+  const controls = refs.getControls();
+  if (controls) controls.enabled = true;
+  drag = null;
+  disposePreview();
+  disposeSnapIndicator(refs.getPanelFrame());
+  showHint(null);
+  canvas.style.cursor = '';
+}
+
+function cancelDrag(event) {
+  if (drag) {
+    endDrag(event);
+  }
+}
@@ -0,0 +1,46 @@
+/**
+ * Module d'affichage des bandes de chant dans la scène
+ * Les bandes sont des volumes distincts plaqués sur l'âme du panneau, dans la couleur de leur matériau
+ * Chaque pièce de l'assemblage a son propre groupe de bandes, placé dans le repère de la pièce
+ */
+
+import * as THREE from 'three';
+import { edgeBandMaterials } from '../materials.js';
+import { PANEL_EDGES, getEdgeBanding, createEdgeBandGeometry } from '../models/edgeBanding.js';
+
+/**
+ * Crée les bandes de chant d'un panneau (groupe vide s'il n'y en a pas)
+ * @param {Object} panelConfig - Configuration du panneau
+ * @returns {THREE.Group} Groupe des bandes, dans le repère du panneau
+ */
+export function createEdgeBandingGroup(panelConfig) {
+  const banding = getEdgeBanding(panelConfig);
+  const bandGroup = new THREE.Group();
+  bandGroup.name = 'edgeBanding';
+
+  Object.keys(PANEL_EDGES).forEach(edge => {
+    const geometry = createEdgeBandGeometry(panelConfig, edge);
+    if (!geometry) return;
+
+    const material = new THREE.MeshLambertMaterial({ color: edgeBandMaterials[banding.edges[edge].material].color });
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    mesh.userData.edge = edge;
+    bandGroup.add(mesh);
+  });
+
+  return bandGroup;
+}
+
+/**
+ * Retire un groupe de bandes de chant de son parent et dispose de ses ressources
+ * @param {THREE.Group} bandGroup - Groupe créé par createEdgeBandingGroup
+ */
+export function disposeEdgeBandingGroup(bandGroup) {
+  bandGroup.removeFromParent();
+  bandGroup.children.forEach(mesh => {
+    mesh.geometry.dispose();
+    mesh.material.dispose();
+  });
+}
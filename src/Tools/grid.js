@@ -1,6 +1,7 @@
 /**
  * Module de gestion de la grille de référence 3D
- * Permet d'afficher une grille adaptative selon les dimensions du panneau
+ * Permet d'afficher une grille adaptative selon les dimensions du panneau ou l'encombrement de l'assemblage
+ * (objet { length, width, thickness, center } ; la grille reste centrée sur l'origine et couvre center)
  */
 
 import * as THREE from 'three';
@@ -34,6 +35,20 @@ export function calculateOptimalGridSize(panelConfig) {
   return { sizeX, sizeZ };
 }
 
+/**
+ * Retourne le pas effectif de la grille (automatique ou saisi)
+ * Utilisé pour l'affichage comme pour l'accrochage, même lorsque la grille est masquée
+ * @param {Object} panelConfig - Configuration du panneau
+ * @param {Object} gridConfig - Configuration de la grille
+ * @returns {Object} Pas { sizeX, sizeZ } en mm
+ */
+export function getGridStep(panelConfig, gridConfig) {
+  if (gridConfig.autoSize) {
+    return calculateOptimalGridSize(panelConfig);
+  }
+  return { sizeX: gridConfig.sizeX, sizeZ: gridConfig.sizeZ };
+}
+
 /**
  * Met à jour la grille en fonction des dimensions du panneau et de la configuration
  * @param {Object} panelConfig - Configuration du panneau
@@ -62,28 +77,24 @@ export function updateGrid(panelConfig, gridConfig, scene) {
   }
   
   // Calcul de la taille de grille
-  let gridSizeX, gridSizeZ;
-  
-  if (gridConfig.autoSize) {
-    const optimalSize = calculateOptimalGridSize(panelConfig);
-    gridSizeX = optimalSize.sizeX;
-    gridSizeZ = optimalSize.sizeZ;
-    
-    // Mise à jour de la configuration pour l'interface
-    gridConfig.sizeX = gridSizeX;
-    gridConfig.sizeZ = gridSizeZ;
-  } else {
-    gridSizeX = gridConfig.sizeX;
-    gridSizeZ = gridConfig.sizeZ;
-  }
-  
+  const { sizeX: gridSizeX, sizeZ: gridSizeZ } = getGridStep(panelConfig, gridConfig);
+
+  // Mise à jour de la configuration pour l'interface
+  gridConfig.sizeX = gridSizeX;
+  gridConfig.sizeZ = gridSizeZ;
+
+  // Étendue couverte autour de l'origine : un encombrement décentré élargit la grille
+  const spanX = panelConfig.length + 2 * Math.abs(panelConfig.center?.x || 0);
+  const spanZ = panelConfig.width + 2 * Math.abs(panelConfig.center?.z || 0);
+
+  // Nombre pair de divisions : une ligne passe par le centre du panneau,
+  // les lignes affichées coïncident ainsi avec les positions d'accrochage
+  const divisionsX = 2 * Math.ceil(Math.max(spanX * 1.5, 300) / 2 / gridSizeX);
+  const divisionsZ = 2 * Math.ceil(Math.max(spanZ * 1.5, 300) / 2 / gridSizeZ);
+
   // Calcul des dimensions totales de la grille
-  const totalSizeX = Math.max(panelConfig.length * 1.5, 300);
-  const totalSizeZ = Math.max(panelConfig.width * 1.5, 300);
-  
-  // Calcul du nombre de divisions
-  const divisionsX = Math.ceil(totalSizeX / gridSizeX);
-  const divisionsZ = Math.ceil(totalSizeZ / gridSizeZ);
+  const totalSizeX = divisionsX * gridSizeX;
+  const totalSizeZ = divisionsZ * gridSizeZ;
   
   // Création de la grille personnalisée
   gridHelper = createCustomGrid(totalSizeX, totalSizeZ, divisionsX, divisionsZ);
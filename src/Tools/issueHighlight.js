@@ -0,0 +1,77 @@
+/**
+ * Module de mise en évidence des découpes en infraction aux règles d'usinage
+ * Affiche en rouge les occurrences en erreur et en orange celles en avertissement
+ */
+
+import * as THREE from 'three';
+import { buildCutVolume } from '../csg/cutGeometry.js';
+import { expandCuts } from '../cuts/cutPattern.js';
+
+// Couleurs par gravité
+const SEVERITY_COLORS = {
+  error: 0xdc3545,
+  warning: 0xfd7e14
+};
+
+// Volumes actuellement mis en évidence
+let issueGroup = null;
+
+/**
+ * Met en évidence les occurrences concernées par les résultats des règles d'usinage
+ * @param {Object[]} cuts - Découpes (config.cuts)
+ * @param {Object[]} issues - Résultats de checkDesignRules
+ * @param {Object} panelConfig - Configuration du panneau
+ * @param {THREE.Object3D} scene - Repère de la pièce active
+ */
+export function updateIssueHighlight(cuts, issues, panelConfig, scene) {
+  disposeIssueHighlight();
+
+  if (issues.length === 0) {
+    return;
+  }
+
+  // Une occurrence en erreur reste rouge même si elle a aussi des avertissements
+  const severities = new Map();
+  issues.forEach(issue => {
+    issue.instanceIds.forEach(id => {
+      if (severities.get(id) !== 'error') severities.set(id, issue.severity);
+    });
+  });
+
+  // Volumes visibles à travers le panneau, sous la mise en évidence de la sélection
+  const materials = Object.fromEntries(Object.entries(SEVERITY_COLORS).map(([severity, color]) => [
+    severity,
+    new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.35, depthTest: false })
+  ]));
+
+  issueGroup = new THREE.Group();
+  expandCuts(cuts).forEach(instance => {
+    const severity = severities.get(instance.id);
+    if (!severity) {
+      return;
+    }
+    const volume = buildCutVolume(instance, panelConfig);
+    if (!volume) {
+      return;
+    }
+    const mesh = new THREE.Mesh(volume.geometry, materials[severity]);
+    mesh.position.set(volume.position.x, volume.position.y, volume.position.z);
+    mesh.rotation.set(volume.rotation.x, volume.rotation.y, volume.rotation.z);
+    mesh.renderOrder = 9;
+    issueGroup.add(mesh);
+  });
+  scene.add(issueGroup);
+}
+
+/**
+ * Dispose des ressources de la mise en évidence
+ * Le groupe est retiré de son propre parent : la pièce active a pu changer depuis son ajout
+ */
+export function disposeIssueHighlight() {
+  if (issueGroup) {
+    issueGroup.removeFromParent();
+    issueGroup.children.forEach(mesh => mesh.geometry.dispose());
+    new Set(issueGroup.children.map(mesh => mesh.material)).forEach(material => material.dispose());
+    issueGroup = null;
+  }
+}
@@ -0,0 +1,91 @@
+/**
+ * Module d'indicateur d'accrochage dans la scène
+ * Trace sur la face du panneau les lignes de référence sur lesquelles la découpe est calée
+ */
+
+import * as THREE from 'three';
+
+// Couleur des lignes d'accrochage
+const SNAP_COLOR = 0xe91e63;
+
+// Dépassement des lignes au-delà du panneau (mm)
+const OVERHANG = 20;
+
+// Hauteur d'affichage au-dessus de la face (mm)
+const INDICATOR_OFFSET = 0.5;
+
+// Lignes de l'indicateur courant
+let indicatorLines = null;
+
+/**
+ * Affiche les lignes de référence actives (ou retire l'indicateur)
+ * @param {Object|null} snap - Résultat de snapCutPosition, null pour effacer
+ * @param {string} face - Face sur laquelle la découpe est placée ('top' ou 'bottom')
+ * @param {Object} panelConfig - Configuration du panneau
+ * @param {THREE.Scene} scene - Scène Three.js
+ */
+export function updateSnapIndicator(snap, face, panelConfig, scene) {
+  disposeSnapIndicator(scene);
+
+  if (!snap || (!snap.snapX && !snap.snapZ)) {
+    return;
+  }
+
+  const y = (face === 'bottom' ? -1 : 1) * (panelConfig.thickness / 2 + INDICATOR_OFFSET);
+  const halfLength = panelConfig.length / 2 + OVERHANG;
+  const halfWidth = panelConfig.width / 2 + OVERHANG;
+  const points = [];
+
+  // Ligne X = constante, parallèle à la largeur
+  if (snap.snapX) {
+    points.push(
+      new THREE.Vector3(snap.snapX.value, y, -halfWidth),
+      new THREE.Vector3(snap.snapX.value, y, halfWidth)
+    );
+  }
+  // Ligne Z = constante, parallèle à la longueur
+  if (snap.snapZ) {
+    points.push(
+      new THREE.Vector3(-halfLength, y, snap.snapZ.value),
+      new THREE.Vector3(halfLength, y, snap.snapZ.value)
+    );
+  }
+
+  const material = new THREE.LineDashedMaterial({
+    color: SNAP_COLOR,
+    dashSize: 4,
+    gapSize: 3,
+    depthTest: false
+  });
+
+  indicatorLines = new THREE.LineSegments(new THREE.BufferGeometry().setFromPoints(points), material);
+  indicatorLines.computeLineDistances();
+  indicatorLines.renderOrder = 11;
+  scene.add(indicatorLines);
+}
+
+/**
+ * Texte décrivant les cibles d'accrochage actives
+ * @param {Object|null} snap - Résultat de snapCutPosition
+ * @returns {string} Description, vide si rien n'est accroché
+ */
+export function describeSnap(snap) {
+  if (!snap) return '';
+  const parts = [];
+  if (snap.snapX) parts.push(`X : ${snap.snapX.label}`);
+  if (snap.snapZ) parts.push(`Z : ${snap.snapZ.label}`);
+  return parts.join(' · ');
+}
+
+/**
+ * Dispose des ressources de l'indicateur
+ * @param {THREE.Scene} scene - Scène Three.js
+ */
+export function disposeSnapIndicator(scene) {
+  if (indicatorLines) {
+    scene.remove(indicatorLines);
+    indicatorLines.geometry.dispose();
+    indicatorLines.material.dispose();
+    indicatorLines = null;
+  }
+}
@@ -0,0 +1,116 @@
+/**
+ * Module d'aperçu des trajectoires d'usinage dans la scène
+ * Trajectoires projetées en 2D au-dessus de la face du dessus du panneau
+ */
+
+import * as THREE from 'three';
+
+// Hauteur d'affichage au-dessus de la face du dessus (mm)
+const PREVIEW_OFFSET = 0.5;
+
+// Couleurs des déplacements rapides et des déplacements en coupe
+const RAPID_COLOR = 0x999999;
+const FEED_COLOR = 0xff6600;
+
+// Groupe contenant les lignes de l'aperçu courant
+let previewGroup = null;
+
+/**
+ * Convertit un point du repère machine (origine au coin) en position de scène
+ * @param {Object} move - Point { x, y } du repère machine
+ * @param {Object} panelConfig - Configuration du panneau
+ * @returns {THREE.Vector3} Position dans la scène, au-dessus du panneau
+ */
+function toScenePoint(move, panelConfig) {
+  return new THREE.Vector3(
+    move.x - panelConfig.length / 2,
+    panelConfig.thickness / 2 + PREVIEW_OFFSET,
+    panelConfig.width / 2 - move.y
+  );
+}
+
+/**
+ * Crée des segments de lignes d'une couleur donnée
+ * @param {THREE.Vector3[]} points - Paires de points (début, fin)
+ * @param {THREE.Material} material - Matériau des lignes
+ * @returns {THREE.LineSegments} Segments
+ */
+function createSegments(points, material) {
+  const geometry = new THREE.BufferGeometry().setFromPoints(points);
+  const segments = new THREE.LineSegments(geometry, material);
+  segments.computeLineDistances();
+  segments.renderOrder = 5;
+  return segments;
+}
+
+/**
+ * Affiche les trajectoires d'usinage (ou retire l'aperçu)
+ * @param {Object[]|null} moves - Déplacements { x, y, z, rapid } générés par le module FAO, null pour effacer
+ * @param {Object} panelConfig - Configuration du panneau
+ * @param {THREE.Scene} scene - Scène Three.js
+ */
+export function updateToolpathPreview(moves, panelConfig, scene) {
+  disposeToolpathPreview(scene);
+
+  if (!moves || moves.length < 2) {
+    return;
+  }
+
+  const rapidPoints = [];
+  const feedPoints = [];
+
+  for (let i = 1; i < moves.length; i++) {
+    const from = moves[i - 1];
+    const to = moves[i];
+    // Les déplacements purement verticaux n'apparaissent pas en vue 2D
+    if (from.x === to.x && from.y === to.y) {
+      continue;
+    }
+    const target = to.rapid ? rapidPoints : feedPoints;
+    target.push(toScenePoint(from, panelConfig), toScenePoint(to, panelConfig));
+  }
+
+  previewGroup = new THREE.Group();
+  previewGroup.name = 'toolpathPreview';
+
+  if (rapidPoints.length > 0) {
+    previewGroup.add(createSegments(rapidPoints, new THREE.LineDashedMaterial({
+      color: RAPID_COLOR,
+      dashSize: 4,
+      gapSize: 3,
+      depthTest: false
+    })));
+  }
+
+  if (feedPoints.length > 0) {
+    previewGroup.add(createSegments(feedPoints, new THREE.LineBasicMaterial({
+      color: FEED_COLOR,
+      depthTest: false
+    })));
+  }
+
+  scene.add(previewGroup);
+}
+
+/**
+ * Indique si un aperçu des trajectoires est affiché
+ * @returns {boolean} true si l'aperçu est visible
+ */
+export function isToolpathPreviewVisible() {
+  return previewGroup !== null;
+}
+
+/**
+ * Dispose des ressources de l'aperçu des trajectoires
+ * @param {THREE.Scene} scene - Scène Three.js
+ */
+export function disposeToolpathPreview(scene) {
+  if (previewGroup) {
+    scene.remove(previewGroup);
+    previewGroup.children.forEach(child => {
+      child.geometry.dispose();
+      child.material.dispose();
+    });
+    previewGroup = null;
+  }
+}
@@ -76,10 +76,17 @@ function onCubeFaceClick(event) {
   // Calcul de la distance adaptative basée sur les dimensions du panneau
   const distance = calculateOptimalCameraDistance(panelConfig);
   
+  // Vue centrée sur l'encombrement de l'assemblage s'il est connu
+  const { center } = panelConfig;
+  const target = center
+    ? new THREE.Vector3(center.x, center.y, center.z)
+    : new THREE.Vector3(0, panelConfig.thickness / 2, 0);
+
   const pos = new THREE.Vector3();
   pos[axis] = dir * distance;
-  mainCamera.position.set(pos.x || 0, pos.y || 0, pos.z || 0);
-  mainCamera.lookAt(0, panelConfig.thickness / 2, 0);
+  mainCamera.position.copy(target).add(pos);
+  mainCamera.lookAt(target);
+  mainControls.target.copy(target);
   mainControls.update();
   cubeOffsetQuat.identity();
 }
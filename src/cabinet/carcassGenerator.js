@@ -0,0 +1,496 @@
+/**
+ * Module du générateur de caisson paramétrique
+ * Calcule, à partir des cotes hors tout du meuble, les panneaux du caisson (côtés, dessus, dessous,
+ * fond, étagères), leurs découpes (taquets, rainures de fond, connecteurs) et leur place dans la scène
+ *
+ * Repère de la scène : caisson centré en X et Z, posé sur le plan Y = 0, façade vers +Z
+ */
+
+import { materials, constraints } from '../materials.js';
+import { createCircularCut, createRectangularCut } from '../cuts/cutFactory.js';
+import { SYSTEM_32_PITCH, SYSTEM_32_EDGE_OFFSET } from '../cuts/cutPattern.js';
+import { normalizePanelShape } from '../models/panelOutline.js';
+import { normalizeEdgeBanding } from '../models/edgeBanding.js';
+
+// Types de fond du caisson
+export const BACK_TYPES = {
+  inset: { name: 'Encastré (entre les côtés, le dessus et le dessous)' },
+  grooved: { name: 'Rainuré (logé dans une rainure)' },
+  overlay: { name: 'En applique (vissé sur l\'arrière)' }
+};
+
+// Matériau du fond (panneau mince)
+export const BACK_MATERIAL = 'mdf';
+
+// Nombre maximal d'étagères
+export const MAX_SHELVES = 10;
+
+// Cotes minimales et maximales du caisson (mm)
+export const CARCASS_LIMITS = {
+  width: { min: 200, max: constraints.panel.length.max },
+  height: { min: 200, max: constraints.panel.length.max },
+  depth: { min: 150, max: constraints.panel.width.max },
+  thickness: { min: 15 }
+};
+
+// Paramètres par défaut : caisson bas de cuisine
+export const DEFAULT_CARCASS = {
+  width: 600,
+  height: 720,
+  depth: 560,
+  thickness: 18,
+  material: 'melamine',
+  backType: 'grooved',
+  backThickness: 5,
+  shelfCount: 2
+};
+
+// Préfixe des identifiants des pièces générées (reconnues lors d'une régénération)
+export const CARCASS_PART_PREFIX = 'carcass-';
+
+// Rainure de fond : retrait depuis le chant arrière et profondeur maximale
+const GROOVE_OFFSET = 10;
+const GROOVE_MAX_DEPTH = 8;
+
+// Jeu du fond dans chaque rainure et des étagères entre les côtés (mm)
+const BACK_PLAY = 1;
+const SHELF_SIDE_PLAY = 1;
+
+// Retrait des étagères depuis la façade et jeu à l'arrière (mm)
+const SHELF_FRONT_SETBACK = 20;
+const SHELF_BACK_GAP = 2;
+
+// Taquets : trous Ø5, rangée de trous commençant à 2 pas du dessous et du dessus
+const SHELF_PIN = { diameter: 5, depth: 12, margin: 2 * SYSTEM_32_PITCH };
+
+// Connecteurs excentriques (type minifix) : tige Ø5 dans le côté, boîtier Ø15 dans le panneau horizontal
+// et passage Ø8 de la tige dans son chant, jusqu'à l'axe du boîtier
+const CONNECTOR = { boltDiameter: 5, boltDepth: 12, camDiameter: 15, camDepth: 13, camOffset: 34, shankDiameter: 8 };
+
+// Épaisseur laissée sous un perçage borgne (mm)
+const MIN_REMAINING = 3;
+
+/**
+ * Profondeur d'un perçage borgne, limitée pour ne pas traverser le panneau
+ * @param {number} depth - Profondeur nominale (mm)
+ * @param {number} thickness - Épaisseur du panneau (mm)
+ * @returns {number} Profondeur (mm)
+ */
+function blindDepth(depth, thickness) {
+  return Math.min(depth, thickness - MIN_REMAINING);
+}
+
+/**
+ * Crée la configuration d'un panneau du caisson (angles vifs, chants nus)
+ * @param {number} length - Longueur (mm)
+ * @param {number} width - Largeur (mm)
+ * @param {number} thickness - Épaisseur (mm)
+ * @param {string} material - Clé du matériau
+ * @returns {Object} Configuration du panneau
+ */
+function createCarcassPanel(length, width, thickness, material) {
+  const panel = { length, width, thickness, material };
+  return { ...panel, ...normalizePanelShape(panel), edgeBanding: normalizeEdgeBanding(panel) };
+}
+
+/**
+ * Transformation d'une pièce (position en mm, rotation en radians)
+ */
+function transformAt(x, y, z, rotation = {}) {
+  return {
+    position: { x, y, z },
+    rotation: { x: rotation.x || 0, y: rotation.y || 0, z: rotation.z || 0 }
+  };
+}
+
+/**
+ * Cotes dérivées des paramètres : profondeurs des pièces et position du fond
+ * Profondeurs mesurées depuis la façade (Z = depth / 2)
+ * @param {Object} params - Paramètres du caisson
+ * @returns {Object} Cotes dérivées
+ */
+function getCarcassLayout(params) {
+  const { width, height, depth, thickness: t, backType, backThickness: bt } = params;
+  const grooveDepth = Math.min(GROOVE_MAX_DEPTH, Math.floor(t / 2));
+
+  // Fond en applique : tout le caisson est raccourci ; fond encastré : seuls le dessus et le dessous
+  const sideDepth = backType === 'overlay' ? depth - bt : depth;
+  const horizontalDepth = backType === 'grooved' ? depth : depth - bt;
+
+  // Face avant du fond : limite arrière de l'intérieur du caisson
+  const interiorBackZ = backType === 'grooved'
+    ? -depth / 2 + GROOVE_OFFSET + bt
+    : -depth / 2 + bt;
+
+  const innerWidth = width - 2 * t;
+  const innerHeight = height - 2 * t;
+
+  return {
+    sideDepth,
+    horizontalDepth,
+    interiorBackZ,
+    innerWidth,
+    innerHeight,
+    grooveDepth,
+    // Centre en Z d'une pièce de profondeur donnée, alignée sur la façade
+    frontAlignedZ: (partDepth) => depth / 2 - partDepth / 2
+  };
+}
+
+/**
+ * Hauteurs (dans la scène) des trous de taquets d'un côté
+ * La rangée est centrée sur la hauteur intérieure, au pas de 32 mm
+ * @param {Object} params - Paramètres du caisson
+ * @returns {number[]} Hauteurs des trous (vide sans étagère ou si la hauteur est insuffisante)
+ */
+function getShelfPinHeights(params) {
+  const { thickness: t, shelfCount } = params;
+  const available = params.height - 2 * t - 2 * SHELF_PIN.margin;
+  if (shelfCount === 0 || available < 0) return [];
+
+  const count = Math.floor(available / SYSTEM_32_PITCH + 1e-9) + 1;
+  const start = t + (params.height - 2 * t - (count - 1) * SYSTEM_32_PITCH) / 2;
+  return Array.from({ length: count }, (_, i) => start + i * SYSTEM_32_PITCH);
+}
+
+/**
+ * Hauteurs (centre, dans la scène) des étagères, réparties régulièrement puis posées sur le trou
+ * de taquet le plus proche
+ * @param {Object} params - Paramètres du caisson
+ * @returns {number[]} Hauteurs des centres des étagères
+ */
+function getShelfHeights(params) {
+  const { thickness: t, shelfCount } = params;
+  const pinHeights = getShelfPinHeights(params);
+  const innerHeight = params.height - 2 * t;
+
+  return Array.from({ length: shelfCount }, (_, i) => {
+    const target = t + innerHeight * (i + 1) / (shelfCount + 1);
+    if (pinHeights.length === 0) return target;
+
+    // Le dessous de l'étagère repose sur le taquet, au-dessus de l'axe du trou
+    const rest = SHELF_PIN.diameter / 2 + t / 2;
+    const pin = pinHeights.reduce((best, y) => (Math.abs(y + rest - target) < Math.abs(best + rest - target) ? y : best));
+    return pin + rest;
+  });
+}
+
+/**
+ * Découpes d'un côté : taquets, tiges des connecteurs et rainure de fond, sur la face intérieure (dessus)
+ * Le côté est debout : sa longueur suit la hauteur, son dessus regarde l'intérieur du caisson
+ * @param {Object} params - Paramètres du caisson
+ * @param {Object} layout - Cotes dérivées
+ * @param {number} direction - -1 pour le côté gauche, +1 pour le côté droit (sens de X local vers le haut)
+ * @param {number} sideZ - Centre en Z du côté dans la scène
+ * @returns {Object[]} Découpes
+ */
+function buildSideCuts(params, layout, direction, sideZ) {
+  const { height, depth, thickness: t } = params;
+  const cuts = [];
+  // Hauteur dans la scène vers X local du côté
+  const localX = (y) => direction * (y - height / 2);
+  const frontZ = depth / 2 - SYSTEM_32_EDGE_OFFSET - sideZ;
+  const backZ = layout.interiorBackZ + SYSTEM_32_EDGE_OFFSET - sideZ;
+
+  // Taquets : deux lignes 32 mm, à 37 mm de la façade et de l'intérieur du fond
+  const pinHeights = getShelfPinHeights(params);
+  if (pinHeights.length > 0) {
+    const pins = createCircularCut({
+      diameter: SHELF_PIN.diameter,
+      depth: blindDepth(SHELF_PIN.depth, t),
+      face: 'top',
+      x: localX(pinHeights[0]),
+      z: frontZ
+    });
+    pins.pattern = {
+      type: 'grid',
+      countX: pinHeights.length,
+      countZ: 2,
+      pitchX: direction * SYSTEM_32_PITCH,
+      pitchZ: backZ - frontZ
+    };
+    cuts.push(pins);
+  }
+
+  // Tiges des connecteurs dans l'axe du dessous et du dessus, à l'avant et à l'arrière
+  const bolts = createCircularCut({
+    diameter: CONNECTOR.boltDiameter,
+    depth: blindDepth(CONNECTOR.boltDepth, t),
+    face: 'top',
+    x: localX(t / 2),
+    z: frontZ
+  });
+  bolts.pattern = {
+    type: 'grid',
+    countX: 2,
+    countZ: 2,
+    pitchX: direction * (height - t),
+    pitchZ: backZ - frontZ
+  };
+  cuts.push(bolts);
+
+  if (params.backType === 'grooved') {
+    cuts.push(buildGroove(params, layout, height, sideZ, 'top'));
+  }
+
+  return cuts;
+}
+
+/**
+ * Rainure de fond sur toute la longueur d'un panneau
+ * @param {Object} params - Paramètres du caisson
+ * @param {Object} layout - Cotes dérivées
+ * @param {number} length - Longueur du panneau (mm)
+ * @param {number} panelZ - Centre en Z du panneau dans la scène
+ * @param {string} face - Face intérieure du panneau
+ * @returns {Object} Découpe rectangulaire
+ */
+function buildGroove(params, layout, length, panelZ, face) {
+  return createRectangularCut({
+    length,
+    width: params.backThickness,
+    depth: layout.grooveDepth,
+    face,
+    z: -params.depth / 2 + GROOVE_OFFSET + params.backThickness / 2 - panelZ
+  });
+}
+
+/**
+ * Découpes du dessus ou du dessous : boîtiers des connecteurs et rainure de fond sur la face intérieure,
+ * passages des tiges dans les chants gauche et droit
+ * @param {Object} params - Paramètres du caisson
+ * @param {Object} layout - Cotes dérivées
+ * @param {number} panelZ - Centre en Z du panneau dans la scène
+ * @param {string} face - Face intérieure ('bottom' pour le dessus, 'top' pour le dessous)
+ * @returns {Object[]} Découpes
+ */
+function buildHorizontalCuts(params, layout, panelZ, face) {
+  const { depth, thickness: t } = params;
+  const length = layout.innerWidth;
+  const frontZ = depth / 2 - SYSTEM_32_EDGE_OFFSET - panelZ;
+  const backZ = layout.interiorBackZ + SYSTEM_32_EDGE_OFFSET - panelZ;
+
+  const cams = createCircularCut({
+    diameter: CONNECTOR.camDiameter,
+    depth: blindDepth(CONNECTOR.camDepth, t),
+    face,
+    x: -length / 2 + CONNECTOR.camOffset,
+    z: frontZ
+  });
+  cams.pattern = {
+    type: 'grid',
+    countX: 2,
+    countZ: 2,
+    pitchX: length - 2 * CONNECTOR.camOffset,
+    pitchZ: backZ - frontZ
+  };
+
+  // Passages des tiges : avant et arrière de chaque chant latéral, au milieu de l'épaisseur
+  const shanks = ['left', 'right'].map(edge => {
+    const shank = createCircularCut({
+      diameter: CONNECTOR.shankDiameter,
+      depth: CONNECTOR.camOffset,
+      face: edge,
+      y: 0,
+      z: frontZ
+    });
+    shank.pattern = { type: 'grid', countX: 2, countZ: 1, pitchX: backZ - frontZ, pitchZ: 0 };
+    return shank;
+  });
+
+  const cuts = [cams, ...shanks];
+  if (params.backType === 'grooved') {
+    cuts.push(buildGroove(params, layout, length, panelZ, face));
+  }
+  return cuts;
+}
+
+/**
+ * Panneau de fond, debout à l'arrière du caisson, dessus tourné vers l'intérieur
+ * Sa longueur suit la plus grande de ses deux cotes (contrainte de largeur des panneaux)
+ * @param {Object} params - Paramètres du caisson
+ * @param {Object} layout - Cotes dérivées
+ * @returns {Object} Pièce générée
+ */
+function buildBack(params, layout) {
+  const { width, height, depth, thickness: t, backThickness: bt } = params;
+
+  let horizontal, vertical, z;
+  switch (params.backType) {
+    case 'grooved':
+      horizontal = layout.innerWidth + 2 * (layout.grooveDepth - BACK_PLAY);
+      vertical = layout.innerHeight + 2 * (layout.grooveDepth - BACK_PLAY);
+      z = -depth / 2 + GROOVE_OFFSET + bt / 2;
+      break;
+    case 'overlay':
+      horizontal = width;
+      vertical = height;
+      z = -depth / 2 + bt / 2;
+      break;
+    default:
+      horizontal = layout.innerWidth;
+      vertical = layout.innerHeight;
+      z = -depth / 2 + bt / 2;
+  }
+
+  // 90° autour de X : dessus vers la façade ; 90° de plus autour de Y : longueur verticale
+  const upright = vertical > horizontal;
+  return {
+    key: 'back',
+    name: 'Fond',
+    panel: createCarcassPanel(upright ? vertical : horizontal, upright ? horizontal : vertical, bt, BACK_MATERIAL),
+    cuts: [],
+    transform: transformAt(0, height / 2, z, { x: Math.PI / 2, y: upright ? Math.PI / 2 : 0 })
+  };
+}
+
+/**
+ * Génère les pièces du caisson
+ * @param {Object} params - Paramètres du caisson (voir DEFAULT_CARCASS), supposés valides
+ * @returns {Object[]} Pièces { key, name, panel, cuts, transform } ; key est stable d'une génération à l'autre
+ */
+export function generateCarcass(params) {
+  const { width, height, thickness: t, material } = params;
+  const layout = getCarcassLayout(params);
+  const sideZ = layout.frontAlignedZ(layout.sideDepth);
+  const horizontalZ = layout.frontAlignedZ(layout.horizontalDepth);
+  const parts = [];
+
+  // Côtés debout : -90° autour de Z pour le gauche et +90° pour le droit, dessus vers l'intérieur
+  [
+    { key: 'side-left', name: 'Côté gauche', direction: -1, x: -width / 2 + t / 2 },
+    { key: 'side-right', name: 'Côté droit', direction: 1, x: width / 2 - t / 2 }
+  ].forEach(({ key, name, direction, x }) => {
+    parts.push({
+      key,
+      name,
+      panel: createCarcassPanel(height, layout.sideDepth, t, material),
+      cuts: buildSideCuts(params, layout, direction, sideZ),
+      transform: transformAt(x, height / 2, sideZ, { z: direction * Math.PI / 2 })
+    });
+  });
+
+  // Dessus et dessous entre les côtés, face intérieure percée
+  [
+    { key: 'top', name: 'Dessus', y: height - t / 2, face: 'bottom' },
+    { key: 'bottom', name: 'Dessous', y: t / 2, face: 'top' }
+  ].forEach(({ key, name, y, face }) => {
+    parts.push({
+      key,
+      name,
+      panel: createCarcassPanel(layout.innerWidth, layout.horizontalDepth, t, material),
+      cuts: buildHorizontalCuts(params, layout, horizontalZ, face),
+      transform: transformAt(0, y, horizontalZ)
+    });
+  });
+
+  parts.push(buildBack(params, layout));
+
+  // Étagères mobiles : jeu entre les côtés, en retrait de la façade
+  const shelfFrontZ = params.depth / 2 - SHELF_FRONT_SETBACK;
+  const shelfDepth = shelfFrontZ - layout.interiorBackZ - SHELF_BACK_GAP;
+  getShelfHeights(params).forEach((y, index) => {
+    parts.push({
+      key: `shelf-${index + 1}`,
+      name: `Étagère ${index + 1}`,
+      panel: createCarcassPanel(layout.innerWidth - 2 * SHELF_SIDE_PLAY, shelfDepth, t, material),
+      cuts: [],
+      transform: transformAt(0, y, shelfFrontZ - shelfDepth / 2)
+    });
+  });
+
+  return parts;
+}
+
+/**
+ * Pièces d'assemblage du caisson, identifiées par leur rôle
+ * Une pièce déjà présente (même identifiant) garde sa visibilité
+ * @param {Object} params - Paramètres du caisson, supposés valides
+ * @param {Object[]} previousParts - Pièces actuelles de l'assemblage
+ * @returns {Object[]} Pièces { id, name, visible, panel, cuts, transform }
+ */
+export function buildCarcassParts(params, previousParts = []) {
+  return generateCarcass(params).map(({ key, ...part }) => {
+    const id = `${CARCASS_PART_PREFIX}${key}`;
+    const previous = previousParts.find(p => p.id === id);
+    return { id, name: part.name, visible: previous ? previous.visible : true, ...part };
+  });
+}
+
+/**
+ * Indique si une pièce de l'assemblage a été produite par le générateur de caisson
+ * @param {Object} part - Pièce
+ * @returns {boolean} true pour une pièce du caisson
+ */
+export function isCarcassPart(part) {
+  return part.id.startsWith(CARCASS_PART_PREFIX);
+}
+
+/**
+ * Valide les paramètres du caisson, puis les cotes des panneaux générés
+ * @param {Object} params - Paramètres du caisson
+ * @returns {string[]} Messages d'erreur (vide si les paramètres sont valides)
+ */
+export function validateCarcass(params) {
+  const errors = [];
+  if (!params || typeof params !== 'object') {
+    return ['Paramètres du caisson manquants'];
+  }
+
+  const labels = { width: 'Largeur', height: 'Hauteur', depth: 'Profondeur' };
+  Object.entries(labels).forEach(([key, label]) => {
+    const { min, max } = CARCASS_LIMITS[key];
+    const value = params[key];
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      errors.push(`${label} : doit être un nombre`);
+    } else if (value < min || value > max) {
+      errors.push(`${label} : doit être entre ${min} et ${max}mm (valeur: ${value})`);
+    }
+  });
+
+  if (!materials[params.material]) {
+    errors.push(`Matériau inconnu: "${params.material}"`);
+  } else {
+    const available = constraints.panel.thickness[params.material];
+    if (!available.includes(params.thickness)) {
+      errors.push(`Épaisseur ${params.thickness}mm non disponible pour ${materials[params.material].name}. Épaisseurs disponibles: ${available.join(', ')}mm`);
+    } else if (params.thickness < CARCASS_LIMITS.thickness.min) {
+      errors.push(`Épaisseur : ${CARCASS_LIMITS.thickness.min}mm minimum pour loger les connecteurs`);
+    }
+  }
+
+  if (!BACK_TYPES[params.backType]) {
+    errors.push(`Type de fond inconnu: "${params.backType}". Types connus: ${Object.keys(BACK_TYPES).join(', ')}`);
+  }
+
+  const backThicknesses = constraints.panel.thickness[BACK_MATERIAL];
+  if (!backThicknesses.includes(params.backThickness)) {
+    errors.push(`Épaisseur du fond : ${params.backThickness}mm non disponible. Épaisseurs disponibles: ${backThicknesses.join(', ')}mm`);
+  } else if (params.backType === 'grooved' && params.backThickness >= params.thickness / 2) {
+    errors.push('Fond rainuré : son épaisseur doit être inférieure à la moitié de celle des côtés');
+  }
+
+  if (!Number.isInteger(params.shelfCount) || params.shelfCount < 0 || params.shelfCount > MAX_SHELVES) {
+    errors.push(`Nombre d'étagères : doit être un entier entre 0 et ${MAX_SHELVES}`);
+  }
+
+  if (errors.length > 0) return errors;
+
+  // Étagères : deux étagères ne peuvent pas reposer sur la même rangée de taquets
+  const shelfHeights = getShelfHeights(params);
+  if (new Set(shelfHeights).size < shelfHeights.length) {
+    errors.push('Trop d\'étagères pour la hauteur intérieure du caisson');
+  }
+
+  // Cotes des panneaux générés
+  generateCarcass(params).forEach(({ name, panel }) => {
+    ['length', 'width'].forEach(key => {
+      const { min, max } = constraints.panel[key];
+      if (panel[key] < min || panel[key] > max) {
+        errors.push(`${name} : ${key === 'length' ? 'longueur' : 'largeur'} ${panel[key]}mm hors limites (${min} à ${max}mm)`);
+      }
+    });
+  });
+
+  return errors;
+}
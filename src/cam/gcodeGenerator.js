@@ -0,0 +1,558 @@
+/**
+ * Module de génération de G-code (perçage et fraisage des découpes)
+ * Indépendant du navigateur : fonctionne sur de simples objets de configuration
+ *
+ * Repère machine : millimètres, origine au coin du panneau (comme l'export DXF),
+ * X le long de la longueur, Y le long de la largeur, Z = 0 sur la face du dessus (négatif dans la matière)
+ */
+
+import { getCutDepth, isCutThrough, isEdgeCut } from '../csg/cutPlacement.js';
+import { toDxfPoint } from '../io/dxfExporter.js';
+import { expandCut } from '../cuts/cutPattern.js';
+import { getHoleProfileType, getHoleSteps } from '../cuts/holeProfile.js';
+import { isRabbet, toRectangularCut } from '../cuts/groove.js';
+
+// Outil par défaut : fraise 2 tailles Ø6 pour panneaux bois
+export const DEFAULT_TOOL = {
+  diameter: 6,          // Diamètre de l'outil (mm)
+  stepDown: 3,          // Profondeur de passe (mm)
+  stepover: 0.4,        // Recouvrement latéral (fraction du diamètre)
+  feedRate: 1500,       // Avance de coupe (mm/min)
+  plungeRate: 400,      // Avance de plongée (mm/min)
+  spindleSpeed: 18000,  // Vitesse de broche (tr/min)
+  safeZ: 5,             // Hauteur de dégagement au-dessus du panneau (mm)
+  breakthrough: 0.5,    // Dépassement sous le panneau pour les découpes traversantes (mm)
+  pocketStrategy: 'offset' // Stratégie de poche : 'offset' (contours concentriques) ou 'zigzag'
+};
+
+// Hauteur d'approche avant plongée (mm au-dessus de la face)
+const RETRACT_Z = 1;
+
+// Angle de descente en rampe dans les poches et contours (degrés)
+const RAMP_ANGLE = 3;
+
+// Nombre de segments utilisés pour l'aperçu d'un cercle complet
+const PREVIEW_ARC_SEGMENTS = 48;
+
+/**
+ * Valide la définition de l'outil
+ * @param {Object} tool - Outil complet
+ * @returns {string[]} Erreurs éventuelles
+ */
+export function validateTool(tool) {
+  const errors = [];
+  ['diameter', 'stepDown', 'feedRate', 'plungeRate', 'spindleSpeed', 'safeZ'].forEach(key => {
+    if (!(typeof tool[key] === 'number' && tool[key] > 0)) {
+      errors.push(`Paramètre d'outil "${key}" invalide: doit être un nombre positif`);
+    }
+  });
+  if (!(tool.stepover > 0 && tool.stepover <= 1)) {
+    errors.push('Le recouvrement latéral doit être compris entre 0 et 1 (fraction du diamètre)');
+  }
+  if (!['offset', 'zigzag'].includes(tool.pocketStrategy)) {
+    errors.push(`Stratégie de poche inconnue: "${tool.pocketStrategy}"`);
+  }
+  return errors;
+}
+
+/**
+ * Formate une coordonnée G-code (3 décimales au plus)
+ * @param {number} value - Valeur
+ * @returns {string} Valeur formatée
+ */
+function formatCoordinate(value) {
+  const rounded = Number(value.toFixed(3));
+  return String(Object.is(rounded, -0) ? 0 : rounded);
+}
+
+/**
+ * Calcule les altitudes successives des passes jusqu'à la profondeur finale
+ * @param {number} depth - Profondeur finale (mm, positive)
+ * @param {number} stepDown - Profondeur de passe
+ * @returns {number[]} Altitudes Z (négatives) de chaque passe
+ */
+export function depthPasses(depth, stepDown) {
+  const passes = [];
+  const count = Math.ceil(depth / stepDown - 1e-9);
+  for (let i = 1; i <= count; i++) {
+    passes.push(-Math.min(i * stepDown, depth));
+  }
+  return passes;
+}
+
+/**
+ * Crée l'écrivain de programme : lignes G-code et trajectoires pour l'aperçu
+ * @param {Object} tool - Outil complet
+ * @returns {Object} Écrivain de programme
+ */
+function createProgramWriter(tool) {
+  const lines = [];
+  const moves = [];
+  const position = { x: 0, y: 0, z: tool.safeZ };
+
+  const axes = (x, y, z) => {
+    const words = [];
+    if (x !== undefined) words.push(`X${formatCoordinate(x)}`);
+    if (y !== undefined) words.push(`Y${formatCoordinate(y)}`);
+    if (z !== undefined) words.push(`Z${formatCoordinate(z)}`);
+    return words.join(' ');
+  };
+
+  const moveTo = (x, y, z, rapid) => {
+    position.x = x ?? position.x;
+    position.y = y ?? position.y;
+    position.z = z ?? position.z;
+    moves.push({ x: position.x, y: position.y, z: position.z, rapid });
+  };
+
+  return {
+    lines,
+    moves,
+    position,
+    line(text) {
+      lines.push(text);
+    },
+    comment(text) {
+      // Les parenthèses terminent un commentaire G-code
+      lines.push(`(${String(text).replace(/[()]/g, '')})`);
+    },
+    rapid(x, y, z) {
+      lines.push(`G0 ${axes(x, y, z)}`);
+      moveTo(x, y, z, true);
+    },
+    feed(x, y, z, feedRate) {
+      // Pas de ligne pour un déplacement nul (retour au point de départ déjà atteint)
+      if ((x ?? position.x) === position.x && (y ?? position.y) === position.y && (z ?? position.z) === position.z) {
+        return;
+      }
+      lines.push(`G1 ${axes(x, y, z)} F${feedRate}`);
+      moveTo(x, y, z, false);
+    },
+    /**
+     * Cercle complet (éventuellement hélicoïdal) dans le sens trigonométrique (G3)
+     * depuis la position courante autour du centre donné
+     */
+    fullCircle(center, z, feedRate) {
+      const startX = position.x;
+      const startY = position.y;
+      const startZ = position.z;
+      const i = center.x - startX;
+      const j = center.y - startY;
+      lines.push(`G3 ${axes(startX, startY, z)} I${formatCoordinate(i)} J${formatCoordinate(j)} F${feedRate}`);
+
+      // Discrétisation pour l'aperçu
+      const radius = Math.hypot(i, j);
+      const startAngle = Math.atan2(-j, -i);
+      for (let k = 1; k <= PREVIEW_ARC_SEGMENTS; k++) {
+        const t = k / PREVIEW_ARC_SEGMENTS;
+        const angle = startAngle + t * Math.PI * 2;
+        moves.push({
+          x: center.x + radius * Math.cos(angle),
+          y: center.y + radius * Math.sin(angle),
+          z: startZ + (z - startZ) * t,
+          rapid: false
+        });
+      }
+      position.z = z;
+    }
+  };
+}
+
+/**
+ * Perçage débourrage (G83) d'un trou de diamètre inférieur ou égal à l'outil
+ * @param {Object} program - Écrivain de programme
+ * @param {Object} center - Centre dans le repère machine
+ * @param {number} depth - Profondeur de perçage
+ * @param {Object} tool - Outil complet
+ */
+function writePeckDrill(program, center, depth, tool) {
+  program.rapid(undefined, undefined, tool.safeZ);
+  program.rapid(center.x, center.y);
+  program.line(
+    `G98 G83 X${formatCoordinate(center.x)} Y${formatCoordinate(center.y)} Z${formatCoordinate(-depth)} ` +
+    `R${formatCoordinate(RETRACT_Z)} Q${formatCoordinate(tool.stepDown)} F${tool.plungeRate}`
+  );
+  program.line('G80');
+
+  // Trajectoire équivalente pour l'aperçu
+  program.moves.push({ x: center.x, y: center.y, z: -depth, rapid: false });
+  program.moves.push({ x: center.x, y: center.y, z: tool.safeZ, rapid: true });
+}
+
+/**
+ * Fraisage hélicoïdal d'un trou plus grand que l'outil
+ * Traversant : contour seul ; borgne : contour puis anneaux concentriques jusqu'au centre
+ * @param {Object} program - Écrivain de programme
+ * @param {Object} center - Centre dans le repère machine
+ * @param {number} diameter - Diamètre du trou
+ * @param {number} depth - Profondeur d'usinage
+ * @param {boolean} through - Découpe traversante
+ * @param {Object} tool - Outil complet
+ */
+function writeHelicalHole(program, center, diameter, depth, through, tool) {
+  const toolRadius = tool.diameter / 2;
+  const pathRadius = diameter / 2 - toolRadius;
+
+  // Anneaux intérieurs : espacement <= recouvrement, anneau central <= rayon d'outil
+  const ringStep = Math.min(tool.stepover * tool.diameter, toolRadius);
+  const ringCount = through ? 1 : Math.max(1, Math.ceil(pathRadius / ringStep));
+  const rings = [];
+  for (let k = 0; k < ringCount; k++) {
+    rings.push(pathRadius * (ringCount - k) / ringCount);
+  }
+
+  program.rapid(undefined, undefined, tool.safeZ);
+  program.rapid(center.x + pathRadius, center.y);
+  program.rapid(undefined, undefined, RETRACT_Z);
+  program.feed(undefined, undefined, 0, tool.plungeRate);
+
+  depthPasses(depth, tool.stepDown).forEach(z => {
+    // Descente hélicoïdale sur le contour puis tour complet à la profondeur de passe
+    program.feed(center.x + pathRadius, center.y, undefined, tool.feedRate);
+    program.fullCircle(center, z, tool.plungeRate);
+    program.fullCircle(center, z, tool.feedRate);
+
+    rings.slice(1).forEach(radius => {
+      program.feed(center.x + radius, center.y, z, tool.feedRate);
+      program.fullCircle(center, z, tool.feedRate);
+    });
+  });
+
+  program.rapid(undefined, undefined, tool.safeZ);
+}
+
+/**
+ * Points d'un rectangle arrondi (repère local centré), parcouru dans le sens trigonométrique
+ * @param {number} hl - Demi-longueur
+ * @param {number} hw - Demi-largeur
+ * @param {number} radius - Rayon des angles
+ * @returns {Object[]} Points { x, y } formant une boucle fermée (premier point répété)
+ */
+function roundedRectangleLoop(hl, hw, radius) {
+  const r = Math.max(0, Math.min(radius, hl, hw));
+  const points = [];
+  const corners = [
+    { cx: hl - r, cy: -hw + r, start: -Math.PI / 2 },
+    { cx: hl - r, cy: hw - r, start: 0 },
+    { cx: -hl + r, cy: hw - r, start: Math.PI / 2 },
+    { cx: -hl + r, cy: -hw + r, start: Math.PI }
+  ];
+
+  points.push({ x: -hl + r, y: -hw });
+  corners.forEach(corner => {
+    const segments = r > 0 ? 8 : 1;
+    for (let k = 0; k <= segments; k++) {
+      const angle = corner.start + (k / segments) * Math.PI / 2;
+      points.push({ x: corner.cx + r * Math.cos(angle), y: corner.cy + r * Math.sin(angle) });
+    }
+  });
+  points.push({ x: -hl + r, y: -hw });
+  return points;
+}
+
+/**
+ * Lignes de balayage en zig-zag dans un rectangle arrondi (repère local centré)
+ * @param {number} hl - Demi-longueur
+ * @param {number} hw - Demi-largeur
+ * @param {number} radius - Rayon des angles
+ * @param {number} step - Espacement maximal entre lignes
+ * @returns {Object[]} Points { x, y } du balayage
+ */
+function zigzagPoints(hl, hw, radius, step) {
+  const r = Math.max(0, Math.min(radius, hl, hw));
+  const count = Math.max(1, Math.ceil((2 * hw) / step));
+  const points = [];
+
+  for (let k = 0; k <= count; k++) {
+    const y = -hw + (2 * hw * k) / count;
+    // Dans les bandes d'angle, la ligne est raccourcie pour rester dans l'arrondi
+    const band = Math.abs(y) - (hw - r);
+    const extent = band > 0 ? hl - r + Math.sqrt(Math.max(r * r - band * band, 0)) : hl;
+    const [from, to] = k % 2 === 0 ? [-extent, extent] : [extent, -extent];
+    points.push({ x: from, y }, { x: to, y });
+  }
+  return points;
+}
+
+/**
+ * Construit la trajectoire d'une passe de poche ou de contour rectangulaire (repère local)
+ * @param {Object} params - Paramètres de la découpe rectangulaire
+ * @param {boolean} through - Découpe traversante (contour seul)
+ * @param {Object} tool - Outil complet
+ * @returns {Object[]|null} Points de la passe, ou null si l'outil est trop gros
+ */
+function rectanglePassPoints(params, through, tool) {
+  const toolRadius = tool.diameter / 2;
+  const hl = params.length / 2 - toolRadius;
+  const hw = params.width / 2 - toolRadius;
+  const radius = Math.max((params.cornerRadius || 0) - toolRadius, 0);
+
+  if (hl < 0 || hw < 0) {
+    return null;
+  }
+
+  if (through) {
+    return roundedRectangleLoop(hl, hw, radius);
+  }
+
+  const step = tool.stepover * tool.diameter;
+
+  if (tool.pocketStrategy === 'zigzag') {
+    // Balayage puis passe de finition sur le contour
+    return [...zigzagPoints(hl, hw, radius, step), ...roundedRectangleLoop(hl, hw, radius)];
+  }
+
+  // Contours concentriques, du centre vers l'extérieur
+  const loops = [];
+  for (let offset = 0; Math.min(hl, hw) - offset > 0; offset += step) {
+    loops.unshift(roundedRectangleLoop(hl - offset, hw - offset, radius - offset));
+  }
+
+  // Ligne centrale pour le reliquat le long du grand côté
+  const centerLine = hl >= hw
+    ? [{ x: -(hl - hw), y: 0 }, { x: hl - hw, y: 0 }]
+    : [{ x: 0, y: -(hw - hl) }, { x: 0, y: hw - hl }];
+
+  return [...centerLine, ...loops.flat()];
+}
+
+/**
+ * Descente en rampe jusqu'à la profondeur de passe, depuis le premier point de la trajectoire
+ * Aller le long de la trajectoire puis retour au point de départ, en descendant sur tout le parcours :
+ * une fraise à bout plat ne plonge pas verticalement dans la matière. La rampe est plus raide que RAMP_ANGLE
+ * si la trajectoire est trop courte, et devient une plongée droite si elle est réduite à un point
+ * @param {Object} program - Écrivain de programme
+ * @param {Object[]} points - Trajectoire de la passe (repère machine)
+ * @param {number} z - Altitude de la passe
+ * @param {Object} tool - Outil complet
+ */
+function writeRampEntry(program, points, z, tool) {
+  const startZ = program.position.z;
+  const distance = (a, b) => Math.hypot(b.x - a.x, b.y - a.y);
+
+  // Aller : moitié de la longueur de rampe, prise sur la trajectoire
+  const path = [points[0]];
+  let remaining = (startZ - z) / Math.tan(RAMP_ANGLE * Math.PI / 180) / 2;
+  for (let k = 1; k < points.length && remaining > 0; k++) {
+    const length = distance(points[k - 1], points[k]);
+    if (length === 0) continue;
+    const t = Math.min(1, remaining / length);
+    path.push({
+      x: points[k - 1].x + (points[k].x - points[k - 1].x) * t,
+      y: points[k - 1].y + (points[k].y - points[k - 1].y) * t
+    });
+    remaining -= length * t;
+  }
+
+  if (path.length === 1) {
+    program.feed(undefined, undefined, z, tool.plungeRate);
+    return;
+  }
+
+  const legs = [...path, ...path.slice(0, -1).reverse()];
+  const total = legs.slice(1).reduce((sum, p, k) => sum + distance(legs[k], p), 0);
+  let travelled = 0;
+  legs.slice(1).forEach((p, k) => {
+    travelled += distance(legs[k], p);
+    const last = k === legs.length - 2;
+    program.feed(p.x, p.y, last ? z : startZ + (z - startZ) * travelled / total, tool.plungeRate);
+  });
+}
+
+/**
+ * Poche (zig-zag ou contours concentriques) ou détourage d'une découpe rectangulaire
+ * @param {Object} program - Écrivain de programme
+ * @param {Object} cut - Découpe rectangulaire
+ * @param {Object} center - Centre dans le repère machine
+ * @param {number} depth - Profondeur d'usinage
+ * @param {boolean} through - Découpe traversante
+ * @param {Object} tool - Outil complet
+ * @returns {boolean} false si l'outil est trop gros pour la découpe
+ */
+function writeRectangle(program, cut, center, depth, through, tool) {
+  const localPoints = rectanglePassPoints(cut.params, through, tool);
+  if (!localPoints) {
+    return false;
+  }
+
+  // Passage du repère local au repère machine (rotation trigonométrique)
+  const angle = cut.rotation?.y || 0;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const points = localPoints.map(p => ({
+    x: center.x + p.x * cos - p.y * sin,
+    y: center.y + p.x * sin + p.y * cos
+  }));
+
+  program.rapid(undefined, undefined, tool.safeZ);
+  program.rapid(points[0].x, points[0].y);
+  program.rapid(undefined, undefined, RETRACT_Z);
+
+  depthPasses(depth, tool.stepDown).forEach(z => {
+    // Retour au point de départ dans la zone déjà usinée, approche de la face puis descente en rampe
+    program.feed(points[0].x, points[0].y, undefined, tool.feedRate);
+    program.feed(undefined, undefined, Math.min(program.position.z, 0), tool.plungeRate);
+    writeRampEntry(program, points, z, tool);
+    points.slice(1).forEach(p => program.feed(p.x, p.y, undefined, tool.feedRate));
+  });
+
+  program.rapid(undefined, undefined, tool.safeZ);
+  return true;
+}
+
+/**
+ * Génère le programme G-code de toutes les découpes du panneau
+ * @param {Object} config - Configuration ({ panel, cuts })
+ * @param {Object} toolOptions - Définition de l'outil (complétée par DEFAULT_TOOL)
+ * @returns {Object} { gcode, moves, warnings } ; moves décrit les trajectoires pour l'aperçu
+ */
+export function generateGCode(config, toolOptions = {}) {
+  const tool = { ...DEFAULT_TOOL, ...toolOptions };
+  const toolErrors = validateTool(tool);
+  if (toolErrors.length > 0) {
+    throw new Error(toolErrors.join('\n'));
+  }
+
+  const { panel } = config;
+  const program = createProgramWriter(tool);
+  const warnings = [];
+
+  program.line('%');
+  program.comment(`Panneau ${panel.length} x ${panel.width} x ${panel.thickness} mm - ${panel.material}`);
+  program.comment(`Outil: fraise D${tool.diameter} - passe ${tool.stepDown} mm`);
+  program.comment('Origine: coin du panneau, Z0 sur la face du dessus');
+  program.comment(`Entrée des poches et contours en rampe à ${RAMP_ANGLE} degrés sur la trajectoire`);
+  program.line('G21 G90 G17');
+  program.rapid(undefined, undefined, tool.safeZ);
+  program.line(`M3 S${tool.spindleSpeed}`);
+
+  // Perçages d'abord (un seul cycle), puis les fraisages dans l'ordre des découpes
+  const drills = [];
+  const millings = [];
+
+  // Occurrences d'un motif numérotées à la suite du numéro de leur découpe (ex. Découpe 2.3)
+  config.cuts.flatMap((source, index) => {
+    const instances = expandCut(source);
+    return instances.map((cut, k) => ({ cut, label: `Découpe ${index + 1}${instances.length > 1 ? `.${k + 1}` : ''}` }));
+  }).forEach(({ cut, label }) => {
+    if (isEdgeCut(cut)) {
+      warnings.push(`${label}: perçage de chant ignoré (perceuse horizontale ou perçage à la main)`);
+      return;
+    }
+
+    const depth = getCutDepth(cut, panel);
+    const through = isCutThrough(cut, panel);
+
+    if (cut.face === 'bottom' && !through) {
+      warnings.push(`${label}: usinage sur la face du dessous ignoré (retourner le panneau)`);
+      return;
+    }
+
+    const entry = {
+      cut,
+      label,
+      through,
+      depth: through ? panel.thickness + tool.breakthrough : depth,
+      center: toDxfPoint(cut.position?.x || 0, cut.position?.z || 0, panel)
+    };
+
+    if (cut.type === 'circular' && (cut.params.diameter ?? cut.params.radius * 2) <= tool.diameter) {
+      drills.push(entry);
+    } else {
+      millings.push(entry);
+    }
+
+    // Perçage profilé : étages fraisés en hélice après l'avant-trou ; la fraise droite ne taille pas de cône
+    const profileType = getHoleProfileType(cut.params);
+    if (cut.type !== 'circular' || profileType === 'straight') return;
+    if (cut.face === 'bottom') {
+      warnings.push(`${label}: profil sur la face du dessous ignoré (retourner le panneau)`);
+    } else if (profileType === 'countersink') {
+      warnings.push(`${label}: fraisure D${cut.params.profile.diameter} non générée (fraise conique ou reprise à la main)`);
+    } else {
+      getHoleSteps(cut.params).forEach((step, k, steps) => {
+        millings.push({
+          ...entry,
+          label: steps.length > 1 ? `${label} étage ${k + 1}` : `${label} lamage`,
+          through: false,
+          depth: step.depth,
+          diameter: step.diameter
+        });
+      });
+    }
+  });
+
+  drills.forEach(entry => {
+    const diameter = entry.cut.params.diameter ?? entry.cut.params.radius * 2;
+    if (diameter < tool.diameter) {
+      warnings.push(`${entry.label}: trou D${diameter} percé avec l'outil D${tool.diameter} (diamètre final = outil)`);
+    }
+    program.comment(`${entry.label} - perçage D${diameter} prof. ${formatCoordinate(entry.depth)}`);
+    writePeckDrill(program, entry.center, entry.depth, tool);
+  });
+
+  millings.forEach(entry => {
+    const { cut } = entry;
+    switch (cut.type) {
+      case 'circular': {
+        const diameter = entry.diameter ?? cut.params.diameter ?? cut.params.radius * 2;
+        if (diameter <= tool.diameter) {
+          warnings.push(`${entry.label}: outil D${tool.diameter} trop gros pour le diamètre D${diameter}`);
+          break;
+        }
+        program.comment(`${entry.label} - fraisage hélicoïdal D${diameter} prof. ${formatCoordinate(entry.depth)}`);
+        writeHelicalHole(program, entry.center, diameter, entry.depth, entry.through, tool);
+        break;
+      }
+      case 'rectangular': {
+        const operation = entry.through ? 'détourage' : `poche ${tool.pocketStrategy}`;
+        program.comment(`${entry.label} - ${operation} ${cut.params.length} x ${cut.params.width} prof. ${formatCoordinate(entry.depth)}`);
+        if (!writeRectangle(program, cut, entry.center, entry.depth, entry.through, tool)) {
+          warnings.push(`${entry.label}: outil D${tool.diameter} trop gros pour la découpe`);
+        } else if ((cut.params.cornerRadius || 0) < tool.diameter / 2) {
+          // La fraise ne peut pas descendre sous son propre rayon dans les angles intérieurs
+          warnings.push(`${entry.label}: angles arrondis au rayon de l'outil (R${tool.diameter / 2}, rayon dessiné R${cut.params.cornerRadius || 0})`);
+        }
+        break;
+      }
+      case 'slot': {
+        // Oblong : rectangle aux angles arrondis de la demi-largeur (ligne centrale seule si la fraise a sa largeur)
+        const slot = { ...cut, params: { ...cut.params, cornerRadius: cut.params.width / 2 } };
+        const operation = entry.through ? 'détourage' : `poche ${tool.pocketStrategy}`;
+        program.comment(`${entry.label} - ${operation} oblong ${cut.params.length} x ${cut.params.width} prof. ${formatCoordinate(entry.depth)}`);
+        if (!writeRectangle(program, slot, entry.center, entry.depth, entry.through, tool)) {
+          warnings.push(`${entry.label}: outil D${tool.diameter} trop gros pour l'oblong de largeur ${cut.params.width}`);
+        }
+        break;
+      }
+      case 'groove': {
+        // Côtés ouverts prolongés du rayon d'outil hors du panneau : la poche débouche sans laisser de matière
+        const rectangle = toRectangularCut(cut, panel, tool.diameter / 2);
+        const { length, width } = rectangle.params;
+        const center = toDxfPoint(rectangle.position.x, rectangle.position.z, panel);
+        program.comment(`${entry.label} - ${isRabbet(cut.params) ? 'feuillure' : 'rainure'} ${formatCoordinate(length)} x ${formatCoordinate(width)} prof. ${formatCoordinate(entry.depth)}`);
+        if (!writeRectangle(program, rectangle, center, entry.depth, entry.through, tool)) {
+          warnings.push(`${entry.label}: outil D${tool.diameter} trop gros pour la rainure`);
+        } else if (cut.params.extent?.type !== 'full') {
+          warnings.push(`${entry.label}: extrémités arrêtées arrondies au rayon de l'outil (R${tool.diameter / 2})`);
+        }
+        break;
+      }
+      default:
+        warnings.push(`${entry.label}: type de découpe "${cut.type}" non pris en charge par la FAO`);
+    }
+  });
+
+  warnings.forEach(warning => program.comment(`Attention: ${warning}`));
+
+  program.rapid(undefined, undefined, tool.safeZ);
+  program.line('M5');
+  program.line('M30');
+  program.line('%');
+
+  return {
+    gcode: program.lines.join('\n') + '\n',
+    moves: program.moves,
+    warnings
+  };
+}
@@ -7,7 +7,27 @@ export const defaultConfig = {
     length: 1000,   // Longueur en mm (valeur par défaut)
     width: 500,     // Largeur en mm (valeur par défaut)
     thickness: 20,  // Épaisseur en mm (valeur par défaut)
-    material: 'pine' // Matériau par défaut
+    material: 'pine', // Matériau par défaut
+    corners: {        // Rayons des angles en mm (0 = angle vif), vue de dessus
+      frontRight: 0,
+      backRight: 0,
+      backLeft: 0,
+      frontLeft: 0
+    },
+    edgeProfile: {    // Profil des arêtes du pourtour
+      type: 'none',   // 'none', 'chamfer' ou 'round'
+      size: 3,        // Taille du chanfrein ou rayon de l'arrondi en mm
+      sides: 'top'    // 'top', 'bottom' ou 'both'
+    },
+    edgeBanding: {    // Placage des chants (panneau rectangulaire)
+      sizeMode: 'finished', // 'finished' : cotes chants compris, 'core' : cotes avant placage
+      edges: {        // Bande par chant : { material, thickness } ou null
+        front: null,
+        right: null,
+        back: null,
+        left: null
+      }
+    }
   },
   cuts: [], // Tableau pour les futures découpes (trous, entailles, etc.)
   grid: {
@@ -15,5 +35,15 @@ export const defaultConfig = {
     sizeX: 10,            // Taille des cases en X (mm)
     sizeZ: 10,            // Taille des cases en Z (mm)
     autoSize: true        // Taille automatique selon les dimensions du modèle
+  },
+  snap: {
+    enabled: true,         // Accrochage actif lors du placement et du déplacement des découpes
+    grid: true,            // Pas de la grille (même masquée)
+    panelEdges: true,      // Bords du panneau
+    centerLines: true,     // Axes médians du panneau
+    edgeOffsets: true,     // Retraits fixes depuis les bords
+    edgeOffset: 37,        // Valeur du retrait en mm (ligne de perçage 32 mm)
+    cuts: true,            // Centres et bords des autres découpes
+    tolerance: 8           // Distance d'accrochage en pixels écran
   }
 };
\ No newline at end of file
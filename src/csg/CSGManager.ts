@@ -1,17 +1,19 @@
 import * as THREE from 'three';
 import { Brush, Evaluator, SUBTRACTION } from 'three-bvh-csg';
-import {
-  createPanelGeometry,
-  createCylinderGeometryForHole,
-  createBoxGeometryForRectangularCut,
-} from '../models/index.js';
+import { createPanelGeometry } from '../models/index.js';
 import { materials } from '../materials.js';
+import { buildCutVolume } from './cutGeometry.js';
+import { expandCuts } from '../cuts/cutPattern.js';
+import { getPanelCore } from '../models/edgeBanding.js';
 
 export interface CutConfig {
-  type: 'circular' | 'rectangular';
+  id?: string;
+  type: 'circular' | 'rectangular' | 'groove' | 'slot';
+  face?: 'top' | 'bottom' | 'front' | 'back' | 'left' | 'right';
   params: any;
   position?: { x?: number; y?: number; z?: number };
   rotation?: { x?: number; y?: number; z?: number };
+  pattern?: any;
 }
 
 export interface PanelCSGConfig {
@@ -20,13 +22,17 @@ export interface PanelCSGConfig {
     width: number;
     thickness: number;
     material: string;
+    edgeBanding?: any;
   };
   cuts: CutConfig[];
 }
 
 export class CSGManager {
   static applyCuts(config: PanelCSGConfig): THREE.Mesh {
-    const panelGeometry = createPanelGeometry(config.panel);
+    // Âme du panneau : réduite de l'épaisseur des bandes de chant lorsque les cotes sont finies
+    const core = getPanelCore(config.panel);
+    const panelGeometry = createPanelGeometry(core);
+    panelGeometry.translate(core.offsetX, 0, core.offsetZ);
     const selectedMaterial = materials[config.panel.material] || materials.pine;
     const panelMaterial = new THREE.MeshLambertMaterial({
       color: selectedMaterial.color,
@@ -38,39 +44,25 @@ export class CSGManager {
     mainBrush.updateMatrixWorld();
 
     const evaluator = new Evaluator();
+    // Un seul matériau en sortie : les parois des découpes reprennent celui du panneau
+    evaluator.useGroups = false;
 
-    for (const cut of config.cuts) {
-      let cutGeometry: THREE.BufferGeometry | undefined;
-      switch (cut.type) {
-        case 'circular':
-          cutGeometry = createCylinderGeometryForHole(cut.params);
-          break;
-        case 'rectangular':
-          cutGeometry = createBoxGeometryForRectangularCut(cut.params);
-          break;
-        default:
-          console.warn(`Type de découpe non reconnu: ${cut.type}`);
-          continue;
+    // Les motifs restent paramétriques dans config.cuts : leurs occurrences sont générées ici
+    for (const cut of expandCuts(config.cuts)) {
+      const volume = buildCutVolume(cut, config.panel);
+      if (!volume) {
+        console.warn(`Type de découpe non reconnu: ${cut.type}`);
+        continue;
       }
 
+      const cutGeometry: THREE.BufferGeometry = volume.geometry;
       const cutBrush = new Brush(cutGeometry);
-      if (cut.position) {
-        cutBrush.position.set(
-          cut.position.x || 0,
-          cut.position.y || 0,
-          cut.position.z || 0,
-        );
-      }
-      if (cut.rotation) {
-        cutBrush.rotation.set(
-          cut.rotation.x || 0,
-          cut.rotation.y || 0,
-          cut.rotation.z || 0,
-        );
-      }
+      cutBrush.position.set(volume.position.x, volume.position.y, volume.position.z);
+      cutBrush.rotation.set(volume.rotation.x, volume.rotation.y, volume.rotation.z);
       cutBrush.updateMatrixWorld();
 
       mainBrush = evaluator.evaluate(mainBrush, cutBrush, SUBTRACTION);
+      cutGeometry.dispose();
     }
 
     if (mainBrush.geometry) {
@@ -0,0 +1,394 @@
+/**
+ * Module de fusion des faces coplanaires d'un maillage
+ * Les opérations CSG fragmentent chaque face plane en nombreux triangles : les triangles
+ * d'un même plan sont regroupés, leur contour est reconstruit puis retriangulé
+ */
+
+import * as THREE from 'three';
+
+// Tolérances de soudure des sommets et de détection des sommets sur une arête (mm)
+const WELD_TOLERANCE = 0.01;
+const EDGE_TOLERANCE = 0.001;
+
+// Tolérances de regroupement des plans et de contrôle de la retriangulation
+const NORMAL_PRECISION = 1e4;
+const AREA_TOLERANCE = 1e-3;
+const SLIVER_RATIO = 1e-3;
+
+/**
+ * Soude les sommets identiques d'une géométrie non indexée
+ * @param {THREE.BufferGeometry} geometry - Géométrie source
+ * @returns {Object} { vertices: THREE.Vector3[], triangles: number[][] }
+ */
+function weldVertices(geometry) {
+  const source = geometry.index ? geometry.toNonIndexed() : geometry;
+  const positions = source.getAttribute('position');
+  const vertices = [];
+  const lookup = new Map();
+  const triangles = [];
+
+  // Recherche des sommets proches dans une grille de cellules de la taille de la tolérance
+  const cellKey = (cx, cy, cz) => `${cx},${cy},${cz}`;
+  const vertexIndex = (i) => {
+    const point = new THREE.Vector3(positions.getX(i), positions.getY(i), positions.getZ(i));
+    const cx = Math.floor(point.x / WELD_TOLERANCE);
+    const cy = Math.floor(point.y / WELD_TOLERANCE);
+    const cz = Math.floor(point.z / WELD_TOLERANCE);
+
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dz = -1; dz <= 1; dz++) {
+          const match = (lookup.get(cellKey(cx + dx, cy + dy, cz + dz)) || [])
+            .find(index => vertices[index].distanceTo(point) <= WELD_TOLERANCE);
+          if (match !== undefined) return match;
+        }
+      }
+    }
+
+    const key = cellKey(cx, cy, cz);
+    if (!lookup.has(key)) lookup.set(key, []);
+    lookup.get(key).push(vertices.length);
+    vertices.push(point);
+    return vertices.length - 1;
+  };
+
+  for (let i = 0; i < positions.count; i += 3) {
+    const triangle = [vertexIndex(i), vertexIndex(i + 1), vertexIndex(i + 2)];
+    // Triangles dégénérés (sommets confondus après soudure) ignorés
+    if (new Set(triangle).size === 3) {
+      triangles.push(triangle);
+    }
+  }
+
+  if (source !== geometry) {
+    source.dispose();
+  }
+  return { vertices, triangles };
+}
+
+/**
+ * Calcule la normale et l'aire d'un triangle
+ * @param {THREE.Vector3[]} vertices - Sommets soudés
+ * @param {number[]} triangle - Indices du triangle
+ * @returns {Object} { normal, area }
+ */
+function triangleFrame(vertices, triangle) {
+  const [a, b, c] = triangle.map(i => vertices[i]);
+  const normal = new THREE.Vector3().subVectors(b, a).cross(new THREE.Vector3().subVectors(c, a));
+  const area = normal.length() / 2;
+  return { normal: area > 0 ? normal.normalize() : normal, area };
+}
+
+/**
+ * Indique si un triangle est trop effilé pour que sa normale soit fiable
+ * @param {THREE.Vector3[]} vertices - Sommets soudés
+ * @param {number[]} triangle - Indices du triangle
+ * @param {number} area - Aire du triangle
+ * @returns {boolean} true pour un triangle effilé
+ */
+function isSliver(vertices, triangle, area) {
+  const [a, b, c] = triangle.map(i => vertices[i]);
+  const longest = Math.max(a.distanceTo(b), b.distanceTo(c), c.distanceTo(a));
+  return area < SLIVER_RATIO * longest * longest;
+}
+
+/**
+ * Regroupe les triangles par plan (normale et distance à l'origine)
+ * Les triangles effilés rejoignent un plan voisin contenant leurs trois sommets
+ * @param {THREE.Vector3[]} vertices - Sommets soudés
+ * @param {number[][]} triangles - Triangles
+ * @returns {Map<string, Object>} Groupes { normal, distance, triangles, area }
+ */
+function groupByPlane(vertices, triangles) {
+  const groups = new Map();
+  const vertexGroups = new Map();
+  const slivers = [];
+
+  const addToGroup = (key, triangle, area) => {
+    const group = groups.get(key);
+    group.triangles.push(triangle);
+    group.area += area;
+    triangle.forEach(index => {
+      if (!vertexGroups.has(index)) vertexGroups.set(index, new Set());
+      vertexGroups.get(index).add(key);
+    });
+  };
+
+  triangles.forEach(triangle => {
+    const { normal, area } = triangleFrame(vertices, triangle);
+    if (area === 0) return;
+    if (isSliver(vertices, triangle, area)) {
+      slivers.push({ triangle, normal, area });
+      return;
+    }
+
+    const distance = normal.dot(vertices[triangle[0]]);
+    const key = [
+      Math.round(normal.x * NORMAL_PRECISION),
+      Math.round(normal.y * NORMAL_PRECISION),
+      Math.round(normal.z * NORMAL_PRECISION),
+      Math.round(distance / WELD_TOLERANCE)
+    ].join(',');
+
+    if (!groups.has(key)) {
+      groups.set(key, { normal, distance, triangles: [], area: 0 });
+    }
+    addToGroup(key, triangle, area);
+  });
+
+  slivers.forEach(({ triangle, normal, area }, index) => {
+    const candidates = new Set(triangle.flatMap(i => [...(vertexGroups.get(i) || [])]));
+    const key = [...candidates].find(candidate => {
+      const group = groups.get(candidate);
+      return group.normal.dot(normal) > 0 &&
+        triangle.every(i => Math.abs(group.normal.dot(vertices[i]) - group.distance) <= WELD_TOLERANCE);
+    }) ?? `sliver-${index}`;
+
+    if (!groups.has(key)) {
+      groups.set(key, { normal, distance: normal.dot(vertices[triangle[0]]), triangles: [], area: 0 });
+    }
+    addToGroup(key, triangle, area);
+  });
+
+  return groups;
+}
+
+/**
+ * Découpe une arête aux sommets du plan situés sur elle (jonctions en T laissées par le CSG)
+ * @param {THREE.Vector3[]} vertices - Sommets soudés
+ * @param {number[]} planeVertices - Indices des sommets du plan
+ * @param {number} from - Sommet de départ
+ * @param {number} to - Sommet d'arrivée
+ * @returns {number[][]} Sous-arêtes [début, fin] dans le sens de l'arête
+ */
+function splitEdge(vertices, planeVertices, from, to) {
+  const a = vertices[from];
+  const direction = new THREE.Vector3().subVectors(vertices[to], a);
+  const lengthSq = direction.lengthSq();
+  const onEdge = [];
+
+  planeVertices.forEach(index => {
+    if (index === from || index === to) return;
+    const offset = new THREE.Vector3().subVectors(vertices[index], a);
+    const t = offset.dot(direction) / lengthSq;
+    if (t <= 0 || t >= 1) return;
+    if (offset.sub(direction.clone().multiplyScalar(t)).lengthSq() < EDGE_TOLERANCE * EDGE_TOLERANCE) {
+      onEdge.push({ index, t });
+    }
+  });
+
+  const chain = [from, ...onEdge.sort((p, q) => p.t - q.t).map(p => p.index), to];
+  return chain.slice(1).map((index, i) => [chain[i], index]);
+}
+
+/**
+ * Reconstruit les contours fermés d'un groupe de triangles (arêtes non partagées)
+ * @param {THREE.Vector3[]} vertices - Sommets soudés
+ * @param {number[][]} triangles - Triangles du groupe
+ * @returns {number[][]|null} Boucles d'indices, ou null si la topologie est ambiguë
+ */
+function buildBoundaryLoops(vertices, triangles) {
+  const planeVertices = [...new Set(triangles.flat())];
+  const edges = new Map();
+  let manifold = true;
+  triangles.forEach(([a, b, c]) => {
+    [[a, b], [b, c], [c, a]].forEach(([start, end]) => {
+      splitEdge(vertices, planeVertices, start, end).forEach(([from, to]) => {
+        const key = `${from},${to}`;
+        const reverse = `${to},${from}`;
+        if (edges.has(reverse)) {
+          edges.delete(reverse);
+        } else if (edges.has(key)) {
+          // Arête parcourue deux fois dans le même sens : triangles superposés
+          manifold = false;
+        } else {
+          edges.set(key, [from, to]);
+        }
+      });
+    });
+  });
+
+  if (!manifold) return null;
+
+  // Une seule arête sortante par sommet, sinon contour ambigu (sommet pincé)
+  const next = new Map();
+  for (const [from, to] of edges.values()) {
+    if (next.has(from)) return null;
+    next.set(from, to);
+  }
+
+  const loops = [];
+  const visited = new Set();
+  for (const start of next.keys()) {
+    if (visited.has(start)) continue;
+    const loop = [];
+    let current = start;
+    while (!visited.has(current)) {
+      visited.add(current);
+      loop.push(current);
+      current = next.get(current);
+      if (current === undefined) return null;
+    }
+    if (current !== start) return null;
+    loops.push(loop);
+  }
+  return loops;
+}
+
+/**
+ * Aire signée d'un polygone 2D
+ * @param {THREE.Vector2[]} points - Polygone
+ * @returns {number} Aire (positive dans le sens trigonométrique)
+ */
+function signedArea(points) {
+  let area = 0;
+  for (let i = 0; i < points.length; i++) {
+    const p = points[i];
+    const q = points[(i + 1) % points.length];
+    area += p.x * q.y - q.x * p.y;
+  }
+  return area / 2;
+}
+
+/**
+ * Teste si un point est à l'intérieur d'un polygone 2D
+ * @param {THREE.Vector2} point - Point testé
+ * @param {THREE.Vector2[]} polygon - Polygone
+ * @returns {boolean} true si le point est intérieur
+ */
+function isInsidePolygon(point, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if ((a.y > point.y) !== (b.y > point.y) &&
+        point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Retire d'une boucle les sommets alignés qui ne servent qu'aux deux plans adjacents
+ * (les conserver ailleurs éviterait de créer des jonctions en T)
+ * @param {number[]} loop - Boucle d'indices
+ * @param {THREE.Vector2[]} points - Points 2D correspondants
+ * @param {Function} isRemovable - Indique si un sommet peut être retiré
+ * @returns {Object} { loop, points } simplifiés
+ */
+function removeCollinearVertices(loop, points, isRemovable) {
+  const keptLoop = [];
+  const keptPoints = [];
+  for (let i = 0; i < loop.length; i++) {
+    const prev = points[(i + points.length - 1) % points.length];
+    const current = points[i];
+    const next = points[(i + 1) % points.length];
+    const cross = (current.x - prev.x) * (next.y - current.y) - (current.y - prev.y) * (next.x - current.x);
+    const scale = prev.distanceTo(current) * current.distanceTo(next);
+    if (Math.abs(cross) <= 1e-9 * Math.max(scale, 1) && isRemovable(loop[i])) {
+      continue;
+    }
+    keptLoop.push(loop[i]);
+    keptPoints.push(current);
+  }
+  return { loop: keptLoop, points: keptPoints };
+}
+
+/**
+ * Retriangule un groupe de triangles coplanaires à partir de ses contours
+ * @param {THREE.Vector3[]} vertices - Sommets soudés
+ * @param {Object} group - Groupe { normal, triangles, area }
+ * @param {Function} isRemovable - Indique si un sommet aligné peut être retiré
+ * @returns {number[][]|null} Nouveaux triangles, ou null si la fusion échoue
+ */
+function retriangulateGroup(vertices, group, isRemovable) {
+  const loops = buildBoundaryLoops(vertices, group.triangles);
+  if (!loops || loops.length === 0) return null;
+
+  // Repère 2D du plan : (u, v, normale) direct
+  const { normal } = group;
+  const helper = Math.abs(normal.x) < 0.9 ? new THREE.Vector3(1, 0, 0) : new THREE.Vector3(0, 1, 0);
+  const u = new THREE.Vector3().crossVectors(helper, normal).normalize();
+  const v = new THREE.Vector3().crossVectors(normal, u);
+  const project = (index) => new THREE.Vector2(vertices[index].dot(u), vertices[index].dot(v));
+
+  const outers = [];
+  const holes = [];
+  loops.forEach(rawLoop => {
+    const simplified = removeCollinearVertices(rawLoop, rawLoop.map(project), isRemovable);
+    if (simplified.loop.length < 3) return;
+    const entry = { ...simplified, area: signedArea(simplified.points), holes: [] };
+    (entry.area > 0 ? outers : holes).push(entry);
+  });
+
+  // Chaque trou est rattaché au plus petit contour extérieur qui le contient
+  for (const hole of holes) {
+    const owner = outers
+      .filter(outer => isInsidePolygon(hole.points[0], outer.points))
+      .sort((a, b) => a.area - b.area)[0];
+    if (!owner) return null;
+    owner.holes.push(hole);
+  }
+
+  const result = [];
+  let area = 0;
+  for (const outer of outers) {
+    const indices = [...outer.loop, ...outer.holes.flatMap(hole => hole.loop)];
+    const faces = THREE.ShapeUtils.triangulateShape(outer.points, outer.holes.map(hole => hole.points));
+    faces.forEach(face => {
+      let triangle = face.map(i => indices[i]);
+      const frame = triangleFrame(vertices, triangle);
+      if (frame.normal.dot(normal) < 0) {
+        triangle = [triangle[0], triangle[2], triangle[1]];
+      }
+      area += frame.area;
+      result.push(triangle);
+    });
+  }
+
+  // Contrôle : la surface retriangulée doit couvrir exactement la surface d'origine
+  if (Math.abs(area - group.area) > AREA_TOLERANCE * Math.max(group.area, 1)) {
+    return null;
+  }
+  return result;
+}
+
+/**
+ * Fusionne les faces coplanaires d'une géométrie (facettes plates, normales par face)
+ * Les plans dont le contour ne peut pas être reconstruit gardent leurs triangles d'origine
+ * @param {THREE.BufferGeometry} geometry - Géométrie source (non modifiée)
+ * @returns {THREE.BufferGeometry} Nouvelle géométrie non indexée
+ */
+export function mergeCoplanarFaces(geometry) {
+  const { vertices, triangles } = weldVertices(geometry);
+  const groups = groupByPlane(vertices, triangles);
+
+  // Plans utilisant chaque sommet : un sommet aligné partagé par plus de deux plans est conservé
+  const vertexPlanes = new Map();
+  groups.forEach((group, key) => {
+    group.triangles.flat().forEach(index => {
+      if (!vertexPlanes.has(index)) vertexPlanes.set(index, new Set());
+      vertexPlanes.get(index).add(key);
+    });
+  });
+  const isRemovable = (index) => vertexPlanes.get(index).size <= 2;
+
+  const merged = [];
+  groups.forEach(group => {
+    const retriangulated = group.triangles.length > 1 ? retriangulateGroup(vertices, group, isRemovable) : null;
+    merged.push(...(retriangulated || group.triangles));
+  });
+
+  const positions = new Float32Array(merged.length * 9);
+  merged.forEach((triangle, t) => {
+    triangle.forEach((index, k) => {
+      vertices[index].toArray(positions, t * 9 + k * 3);
+    });
+  });
+
+  const result = new THREE.BufferGeometry();
+  result.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  result.computeVertexNormals();
+  return result;
+}
@@ -0,0 +1,73 @@
+/**
+ * Module de construction des volumes de découpe
+ * Associe chaque type de découpe à sa géométrie et à son placement sur le panneau
+ */
+
+import {
+  createCylinderGeometryForHole,
+  createRevolvedHoleGeometry,
+  createBoxGeometryForRectangularCut,
+  createSlotGeometry,
+} from '../models/index.js';
+import { CUT_OVERSHOOT, getCutDepth, resolveCutPlacement } from './cutPlacement.js';
+import { getHoleProfileType, getHoleSection } from '../cuts/holeProfile.js';
+import { toRectangularCut } from '../cuts/groove.js';
+
+/**
+ * Crée la géométrie d'une découpe selon son type
+ * @param {Object} cut - Découpe
+ * @param {number} depth - Hauteur de la brosse (axe Y)
+ * @param {Object} panel - Configuration du panneau
+ * @returns {THREE.BufferGeometry|null} Géométrie, ou null si le type est inconnu
+ */
+function createGeometryForCut(cut, depth, panel) {
+  switch (cut.type) {
+    case 'circular':
+      // Perçage profilé : volume de révolution dont l'entrée est du côté de la face (+Y de la brosse)
+      if (getHoleProfileType(cut.params) !== 'straight') {
+        return createRevolvedHoleGeometry({
+          ...cut.params,
+          section: getHoleSection(cut.params, getCutDepth(cut, panel)),
+          height: depth,
+          overshoot: CUT_OVERSHOOT
+        });
+      }
+      return createCylinderGeometryForHole({
+        ...cut.params,
+        radius: cut.params.radius ?? cut.params.diameter / 2,
+        depth,
+      });
+    case 'rectangular':
+      return createBoxGeometryForRectangularCut({ ...cut.params, depth });
+    case 'slot':
+      return createSlotGeometry({ ...cut.params, depth });
+    default:
+      return null;
+  }
+}
+
+/**
+ * Construit le volume d'une découpe prêt à être placé dans la scène
+ * @param {Object} cut - Découpe de config.cuts
+ * @param {Object} panel - Configuration du panneau
+ * @returns {Object|null} { geometry, position, rotation }, ou null si le type est inconnu
+ */
+export function buildCutVolume(cut, panel) {
+  // Rainure : poche rectangulaire prolongée au-delà des bords qu'elle atteint
+  if (cut.type === 'groove') {
+    return buildCutVolume(toRectangularCut(cut, panel, CUT_OVERSHOOT), panel);
+  }
+
+  const placement = resolveCutPlacement(cut, panel);
+  const geometry = createGeometryForCut(cut, placement.height ?? cut.params.depth, panel);
+
+  if (!geometry) {
+    return null;
+  }
+
+  return {
+    geometry,
+    position: placement.position,
+    rotation: placement.rotation
+  };
+}
@@ -0,0 +1,215 @@
+/**
+ * Module de placement des découpes sur le panneau
+ * Convertit la description d'une découpe (face, position sur la face, profondeur)
+ * en position, rotation et hauteur de brosse pour les opérations CSG
+ *
+ * Chaque face a son repère 2D (deux axes du panneau, depuis le centre de la face) et sa direction de perçage
+ * (opposée à sa normale sortante). cut.position porte les deux coordonnées de la face :
+ * { x, z } sur le dessus et le dessous, { x, y } sur les chants avant et arrière, { z, y } sur les chants gauche et droit
+ * (y depuis le milieu de l'épaisseur, vers le dessus)
+ * Les chants sont percés dans l'âme : avec des cotes finies, la matière traversée est celle du panneau brut
+ */
+
+import { getPanelCore } from '../models/edgeBanding.js';
+
+// Dépassement (mm) des brosses au-delà des faces du panneau
+// Évite les faces coplanaires qui perturbent les soustractions CSG
+export const CUT_OVERSHOOT = 1;
+
+// Faces du panneau sur lesquelles une découpe peut être placée
+// normal : normale sortante ; axes : axes du panneau du repère de la face ; span : dimension traversée par un perçage
+export const PANEL_FACES = {
+  top: { name: 'Dessus', normal: { x: 0, y: 1, z: 0 }, axes: ['x', 'z'], span: 'thickness', edge: false },
+  bottom: { name: 'Dessous', normal: { x: 0, y: -1, z: 0 }, axes: ['x', 'z'], span: 'thickness', edge: false },
+  front: { name: 'Chant avant', normal: { x: 0, y: 0, z: 1 }, axes: ['x', 'y'], span: 'width', edge: true },
+  back: { name: 'Chant arrière', normal: { x: 0, y: 0, z: -1 }, axes: ['x', 'y'], span: 'width', edge: true },
+  left: { name: 'Chant gauche', normal: { x: -1, y: 0, z: 0 }, axes: ['z', 'y'], span: 'length', edge: true },
+  right: { name: 'Chant droit', normal: { x: 1, y: 0, z: 0 }, axes: ['z', 'y'], span: 'length', edge: true }
+};
+
+// Types de découpe usinables dans un chant (perçages horizontaux)
+export const EDGE_CUT_TYPES = ['circular'];
+
+// Origine et sens des coordonnées de chaque axe du repère d'une face
+export const FACE_AXIS_LABELS = {
+  x: 'Depuis le centre du panneau, le long de la longueur',
+  y: 'Depuis le milieu de l\'épaisseur, vers le dessus',
+  z: 'Depuis le centre du panneau, le long de la largeur'
+};
+
+/**
+ * Face d'une découpe (dessus par défaut)
+ * @param {Object} cut - Découpe
+ * @returns {Object} Face de PANEL_FACES
+ */
+export function getCutFace(cut) {
+  return PANEL_FACES[cut.face] || PANEL_FACES.top;
+}
+
+/**
+ * Indique si une découpe est percée dans un chant
+ * @param {Object} cut - Découpe
+ * @returns {boolean} true pour un perçage de chant
+ */
+export function isEdgeCut(cut) {
+  return getCutFace(cut).edge;
+}
+
+/**
+ * Dimension du panneau traversée depuis une face (épaisseur, largeur ou longueur de l'âme)
+ * @param {string} faceKey - Clé de PANEL_FACES
+ * @param {Object} panel - Configuration du panneau
+ * @returns {number} Dimension en mm
+ */
+export function getFaceSpan(faceKey, panel) {
+  const face = PANEL_FACES[faceKey] || PANEL_FACES.top;
+  return (face.edge ? getPanelCore(panel) : panel)[face.span];
+}
+
+/**
+ * Centre de la matière traversée depuis une face
+ * Sur un chant, l'âme se décale vers les bandes les plus fines ; seule la composante de la normale compte
+ * @param {string} faceKey - Clé de PANEL_FACES
+ * @param {Object} panel - Configuration du panneau
+ * @returns {Object} { x, y, z } depuis le centre du panneau
+ */
+export function getFaceSpanCenter(faceKey, panel) {
+  const face = PANEL_FACES[faceKey] || PANEL_FACES.top;
+  if (!face.edge) {
+    return { x: 0, y: 0, z: 0 };
+  }
+  const core = getPanelCore(panel);
+  return { x: face.normal.x !== 0 ? core.offsetX : 0, y: 0, z: face.normal.z !== 0 ? core.offsetZ : 0 };
+}
+
+/**
+ * Dimensions du repère 2D d'une face (étendue des deux coordonnées)
+ * @param {string} faceKey - Clé de PANEL_FACES
+ * @param {Object} panel - Configuration du panneau
+ * @returns {number[]} [étendue selon le premier axe, étendue selon le second]
+ */
+export function getFaceSize(faceKey, panel) {
+  const sizes = { x: panel.length, y: panel.thickness, z: panel.width };
+  return (PANEL_FACES[faceKey] || PANEL_FACES.top).axes.map(axis => sizes[axis]);
+}
+
+/**
+ * Coordonnées d'une découpe dans le repère de sa face
+ * @param {Object} cut - Découpe
+ * @returns {number[]} [u, v]
+ */
+export function getFaceCoordinates(cut) {
+  return getCutFace(cut).axes.map(axis => cut.position?.[axis] || 0);
+}
+
+/**
+ * Position d'une découpe à partir de ses coordonnées sur une face
+ * @param {string} faceKey - Clé de PANEL_FACES
+ * @param {number} u - Coordonnée selon le premier axe de la face
+ * @param {number} v - Coordonnée selon le second axe de la face
+ * @returns {Object} Position (ex: { x, z } sur le dessus)
+ */
+export function createFacePosition(faceKey, u, v) {
+  const [uAxis, vAxis] = (PANEL_FACES[faceKey] || PANEL_FACES.top).axes;
+  return { [uAxis]: u, [vAxis]: v };
+}
+
+/**
+ * Retourne la profondeur effective d'une découpe dans le panneau
+ * @param {Object} cut - Découpe (params.depth, params.through)
+ * @param {Object} panel - Configuration du panneau
+ * @returns {number} Profondeur en mm, bornée à la dimension traversée depuis sa face
+ */
+export function getCutDepth(cut, panel) {
+  const params = cut.params || {};
+  const span = getFaceSpan(cut.face, panel);
+  if (params.through) {
+    return span;
+  }
+  return Math.min(params.depth || span, span);
+}
+
+/**
+ * Indique si une découpe traverse le panneau depuis sa face
+ * @param {Object} cut - Découpe
+ * @param {Object} panel - Configuration du panneau
+ * @returns {boolean} true si la découpe débouche sur la face opposée
+ */
+export function isCutThrough(cut, panel) {
+  return !!cut.params?.through || getCutDepth(cut, panel) >= getFaceSpan(cut.face, panel);
+}
+
+/**
+ * Rotation de la brosse : angle autour de la direction de perçage puis bascule sur la normale de la face
+ * Le +Y de la brosse (entrée d'un perçage profilé) est toujours orienté vers l'extérieur de la face
+ * @param {string} faceKey - Clé de PANEL_FACES
+ * @param {number} angle - Rotation autour de la normale (radians)
+ * @returns {Object} Angles d'Euler XYZ { x, y, z }
+ */
+function faceRotation(faceKey, angle) {
+  switch (faceKey) {
+    case 'front':
+      return { x: Math.PI / 2, y: angle, z: 0 };
+    case 'back':
+      return { x: -Math.PI / 2, y: angle, z: 0 };
+    // Demi-tour autour de X : Rx(180°)·Ry(-a) garde l'angle vu de dessus
+    case 'bottom':
+      return { x: Math.PI, y: -angle, z: 0 };
+    // Rz(∓90°)·Ry(a) s'écrit Rx(±a)·Rz(∓90°) ; le quart de tour aligne la longueur de la brosse sur Z
+    case 'left':
+      return { x: -(angle + Math.PI / 2), y: 0, z: Math.PI / 2 };
+    case 'right':
+      return { x: angle + Math.PI / 2, y: 0, z: -Math.PI / 2 };
+    default:
+      return { x: 0, y: angle, z: 0 };
+  }
+}
+
+/**
+ * Calcule la position, la rotation et la hauteur de la brosse d'une découpe
+ * Les coordonnées sont exprimées depuis le centre du panneau
+ * @param {Object} cut - Découpe à placer
+ * @param {Object} panel - Configuration du panneau
+ * @returns {Object} { position, rotation, height } de la brosse
+ */
+export function resolveCutPlacement(cut, panel) {
+  const position = cut.position || {};
+  const rotation = cut.rotation || {};
+
+  // Découpes sans face : position brute conservée (ancien format)
+  if (!cut.face) {
+    return {
+      position: { x: position.x || 0, y: position.y || 0, z: position.z || 0 },
+      rotation: { x: rotation.x || 0, y: rotation.y || 0, z: rotation.z || 0 },
+      height: cut.params?.depth
+    };
+  }
+
+  const faceKey = PANEL_FACES[cut.face] ? cut.face : 'top';
+  const face = PANEL_FACES[faceKey];
+  const span = getFaceSpan(faceKey, panel);
+  const depth = getCutDepth(cut, panel);
+
+  let offset, height;
+  if (isCutThrough(cut, panel)) {
+    // Découpe traversante : la brosse dépasse des deux côtés
+    offset = 0;
+    height = span + 2 * CUT_OVERSHOOT;
+  } else {
+    // Découpe borgne : la brosse part de la face et dépasse uniquement vers l'extérieur
+    height = depth + CUT_OVERSHOOT;
+    offset = span / 2 - depth / 2 + CUT_OVERSHOOT / 2;
+  }
+
+  // Coordonnées de la face, complétées le long de la normale par le centre de la matière traversée
+  const center = { ...getFaceSpanCenter(faceKey, panel), ...createFacePosition(faceKey, ...getFaceCoordinates(cut)) };
+  return {
+    position: {
+      x: center.x + face.normal.x * offset,
+      y: center.y + face.normal.y * offset,
+      z: center.z + face.normal.z * offset
+    },
+    rotation: faceRotation(faceKey, rotation.y || 0),
+    height
+  };
+}
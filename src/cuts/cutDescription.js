@@ -0,0 +1,166 @@
+/**
+ * Module de description textuelle des découpes
+ * Fournit les libellés affichés dans l'interface (liste des découpes, exports)
+ */
+
+import { PANEL_FACES } from '../csg/cutPlacement.js';
+import { PATTERN_TYPE_LABELS, getPatternInstanceCount } from './cutPattern.js';
+import { getHoleProfileType, getHoleSteps } from './holeProfile.js';
+import { GROOVE_EDGES, isRabbet } from './groove.js';
+
+// Libellés des types de découpe
+export const CUT_TYPE_LABELS = {
+  circular: 'Circulaire',
+  rectangular: 'Rectangulaire',
+  groove: 'Rainure',
+  slot: 'Oblong'
+};
+
+/**
+ * Libellé du type d'une découpe (une rainure sans décalage est une feuillure)
+ * @param {Object} cut - Découpe de config.cuts
+ * @returns {string} Libellé affiché
+ */
+export function getCutTypeLabel(cut) {
+  if (cut.type === 'groove' && isRabbet(cut.params)) {
+    return 'Feuillure';
+  }
+  return CUT_TYPE_LABELS[cut.type] || cut.type;
+}
+
+/**
+ * Formate une valeur en millimètres (une décimale au plus)
+ * @param {number} value - Valeur en mm
+ * @returns {string} Valeur formatée sans zéros inutiles
+ */
+export function formatMm(value) {
+  return String(Number((value || 0).toFixed(1)));
+}
+
+/**
+ * Décrit les dimensions principales d'une découpe
+ * @param {Object} cut - Découpe de config.cuts
+ * @returns {string} Dimensions lisibles (ex: "Ø35 · prof. 12mm")
+ */
+export function describeCutDimensions(cut) {
+  const params = cut.params || {};
+  const depthLabel = params.through ? 'traversant' : `prof. ${formatMm(params.depth)}mm`;
+
+  switch (cut.type) {
+    case 'circular': {
+      const profile = describeHoleProfile(params);
+      return [`Ø${formatMm(params.diameter ?? params.radius * 2)}`, depthLabel, profile].filter(Boolean).join(' · ');
+    }
+    case 'rectangular':
+    case 'slot': {
+      const parts = [`${formatMm(params.length)} × ${formatMm(params.width)}`, depthLabel];
+      if (params.cornerRadius > 0) {
+        parts.push(`R${formatMm(params.cornerRadius)}`);
+      }
+      const angle = (cut.rotation?.y || 0) * 180 / Math.PI;
+      if (Math.abs(angle) > 1e-6) {
+        parts.push(`${formatMm(angle)}°`);
+      }
+      return parts.join(' · ');
+    }
+    case 'groove':
+      return [`larg. ${formatMm(params.width)}`, depthLabel, describeGrooveExtent(params)].join(' · ');
+    default:
+      return '';
+  }
+}
+
+/**
+ * Décrit l'étendue d'une rainure le long de son chant
+ * @param {Object} params - Paramètres de la rainure
+ * @returns {string} Étendue lisible (ex: "toute la longueur", "arrêtée à 50mm côté droite")
+ */
+export function describeGrooveExtent(params) {
+  const extent = params.extent || {};
+  const edge = GROOVE_EDGES[params.edge] || GROOVE_EDGES.front;
+  switch (extent.type) {
+    case 'stopped-start':
+      return `arrêtée à ${formatMm(extent.stop)}mm côté ${edge.start}`;
+    case 'stopped-end':
+      return `arrêtée à ${formatMm(extent.stop)}mm côté ${edge.end}`;
+    case 'between':
+      return `de ${formatMm(extent.start)} à ${formatMm(extent.end)}mm depuis le côté ${edge.start}`;
+    default:
+      return 'toute la longueur';
+  }
+}
+
+/**
+ * Décrit le profil d'un perçage (tête de vis ou étages au-dessus de l'avant-trou)
+ * @param {Object} params - Paramètres de la découpe circulaire
+ * @returns {string} Profil lisible (ex: "fraisure Ø10 90°", "lamage Ø10 prof. 5mm"), vide pour un trou droit
+ */
+export function describeHoleProfile(params) {
+  switch (getHoleProfileType(params)) {
+    case 'countersink':
+      return `fraisure Ø${formatMm(params.profile.diameter)} ${formatMm(params.profile.angle)}°`;
+    case 'counterbore':
+      return `lamage Ø${formatMm(params.profile.diameter)} prof. ${formatMm(params.profile.depth)}mm`;
+    case 'stepped':
+      return `étages ${getHoleSteps(params).map(step => `Ø${formatMm(step.diameter)} × ${formatMm(step.depth)}`).join(', ')}`;
+    default:
+      return '';
+  }
+}
+
+/**
+ * Décrit la position d'une découpe sur le panneau
+ * @param {Object} cut - Découpe de config.cuts
+ * @returns {string} Position lisible (ex: "Dessus · X 100 · Z -50", "Chant gauche · Z 32 · Y 0",
+ *                   "Dessous · à 10mm du chant arrière")
+ */
+export function describeCutPosition(cut) {
+  // Rainure : repérée par son chant et son décalage, sans position propre
+  if (cut.type === 'groove') {
+    const face = PANEL_FACES[cut.face] || PANEL_FACES.top;
+    const edge = (PANEL_FACES[cut.params.edge]?.name || cut.params.edge).toLowerCase();
+    return isRabbet(cut.params)
+      ? `${face.name} · le long du ${edge}`
+      : `${face.name} · à ${formatMm(cut.params.offset)}mm du ${edge}`;
+  }
+
+  const position = cut.position || {};
+  const face = PANEL_FACES[cut.face];
+  // Coordonnées du repère de la face (X et Y sur les chants avant et arrière)
+  const axes = face ? face.axes : ['x', 'z'];
+  const coordinates = axes.map(axis => `${axis.toUpperCase()} ${formatMm(position[axis])}`).join(' · ');
+  return face ? `${face.name} · ${coordinates}` : coordinates;
+}
+
+/**
+ * Décrit le motif de répétition d'une découpe
+ * @param {Object} cut - Découpe de config.cuts
+ * @returns {string} Motif lisible (ex: "Linéaire × 8 · pas 32mm"), vide sans motif
+ */
+export function describeCutPattern(cut) {
+  const pattern = cut.pattern;
+  if (!pattern) {
+    return '';
+  }
+
+  const degrees = (angle) => `${formatMm(angle * 180 / Math.PI)}°`;
+  const parts = [`${PATTERN_TYPE_LABELS[pattern.type] || pattern.type} × ${getPatternInstanceCount(pattern)}`];
+
+  switch (pattern.type) {
+    case 'linear':
+      parts.push(`pas ${formatMm(pattern.pitch)}mm`);
+      if (Math.abs(pattern.angle) > 1e-6) {
+        parts.push(degrees(pattern.angle));
+      }
+      break;
+    case 'grid':
+      parts.push(`${pattern.countX} × ${pattern.countZ}`, `pas ${formatMm(pattern.pitchX)} × ${formatMm(pattern.pitchZ)}mm`);
+      break;
+    case 'polar':
+      parts.push(degrees(pattern.sweep));
+      break;
+    default:
+      break;
+  }
+  return parts.join(' · ');
+}
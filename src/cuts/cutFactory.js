@@ -0,0 +1,127 @@
+/**
+ * Module de création des entrées de découpe
+ * Produit les objets stockés dans config.cuts
+ */
+
+import { PANEL_FACES, createFacePosition } from '../csg/cutPlacement.js';
+
+// Format des identifiants de découpe (createCutId, anciens projets migrés : cut-v0-n)
+export const CUT_ID_PATTERN = /^cut-[A-Za-z0-9]+(-[A-Za-z0-9]+)*$/;
+
+// Compteur pour garantir l'unicité des identifiants dans une même session
+let cutCounter = 0;
+
+/**
+ * Génère un identifiant unique de découpe
+ * @returns {string} Identifiant de la forme "cut-xxxx-n"
+ */
+export function createCutId() {
+  cutCounter += 1;
+  return `cut-${Date.now().toString(36)}-${cutCounter}`;
+}
+
+/**
+ * Crée une découpe circulaire positionnée sur une face ou un chant du panneau
+ * Seules les deux coordonnées du repère de la face sont conservées (ex: x et y sur le chant avant)
+ * @param {Object} options - Paramètres de la découpe
+ * @param {number} options.diameter - Diamètre du trou (mm)
+ * @param {number} options.depth - Profondeur de perçage (mm)
+ * @param {boolean} options.through - Découpe traversante
+ * @param {Object|null} options.profile - Profil du perçage (fraisure, lamage, étages), null pour un trou droit
+ * @param {string} options.face - Face du panneau (clé de PANEL_FACES)
+ * @param {number} options.x - Position X depuis le centre du panneau (mm)
+ * @param {number} options.y - Position Y depuis le milieu de l'épaisseur (mm, chants uniquement)
+ * @param {number} options.z - Position Z depuis le centre du panneau (mm)
+ * @returns {Object} Découpe prête à être ajoutée à config.cuts
+ */
+export function createCircularCut({ diameter, depth, through = false, profile = null, face = 'top', x = 0, y = 0, z = 0 }) {
+  const coordinates = { x, y, z };
+  const [uAxis, vAxis] = (PANEL_FACES[face] || PANEL_FACES.top).axes;
+  return {
+    id: createCutId(),
+    type: 'circular',
+    face,
+    params: profile ? { diameter, depth, through, profile } : { diameter, depth, through },
+    position: createFacePosition(face, coordinates[uAxis], coordinates[vAxis])
+  };
+}
+
+/**
+ * Crée une découpe rectangulaire (poche ou découpe traversante) sur une face du panneau
+ * @param {Object} options - Paramètres de la découpe
+ * @param {number} options.length - Longueur de la découpe (mm, axe X avant rotation)
+ * @param {number} options.width - Largeur de la découpe (mm, axe Z avant rotation)
+ * @param {number} options.depth - Profondeur de la poche (mm)
+ * @param {boolean} options.through - Découpe traversante
+ * @param {string} options.face - Face du panneau ('top' ou 'bottom')
+ * @param {number} options.x - Position X du centre depuis le centre du panneau (mm)
+ * @param {number} options.z - Position Z du centre depuis le centre du panneau (mm)
+ * @param {number} options.angle - Rotation autour de la normale du panneau (degrés)
+ * @param {number} options.cornerRadius - Rayon des angles intérieurs (mm, 0 = angles vifs)
+ * @returns {Object} Découpe prête à être ajoutée à config.cuts
+ */
+export function createRectangularCut({
+  length,
+  width,
+  depth,
+  through = false,
+  face = 'top',
+  x = 0,
+  z = 0,
+  angle = 0,
+  cornerRadius = 0
+}) {
+  return {
+    id: createCutId(),
+    type: 'rectangular',
+    face,
+    params: { length, width, depth, through, cornerRadius },
+    position: { x, z },
+    rotation: { y: angle * Math.PI / 180 }
+  };
+}
+
+/**
+ * Crée une rainure (ou une feuillure si le décalage est nul) le long d'un chant du panneau
+ * Sans position propre : le rectangle usiné est recalculé depuis les dimensions du panneau
+ * @param {Object} options - Paramètres de la rainure
+ * @param {string} options.edge - Chant de référence (clé de GROOVE_EDGES)
+ * @param {number} options.offset - Distance du chant au bord le plus proche de la rainure (mm, 0 = feuillure)
+ * @param {number} options.width - Largeur de la rainure (mm)
+ * @param {number} options.depth - Profondeur de la rainure (mm)
+ * @param {Object} options.extent - Étendue le long du chant ({ type: 'full' }, { type: 'stopped-start', stop }, ...)
+ * @param {string} options.face - Face du panneau ('top' ou 'bottom')
+ * @returns {Object} Découpe prête à être ajoutée à config.cuts
+ */
+export function createGrooveCut({ edge, offset = 0, width, depth, extent = { type: 'full' }, face = 'top' }) {
+  return {
+    id: createCutId(),
+    type: 'groove',
+    face,
+    params: { edge, offset, width, depth, extent: { ...extent } }
+  };
+}
+
+/**
+ * Crée une découpe oblongue (lumière) sur une face du panneau
+ * @param {Object} options - Paramètres de la découpe
+ * @param {number} options.length - Longueur hors tout, extrémités arrondies comprises (mm, axe X avant rotation)
+ * @param {number} options.width - Largeur, diamètre des extrémités (mm, axe Z avant rotation)
+ * @param {number} options.depth - Profondeur de l'oblong (mm)
+ * @param {boolean} options.through - Découpe traversante
+ * @param {string} options.face - Face du panneau ('top' ou 'bottom')
+ * @param {number} options.x - Position X du centre depuis le centre du panneau (mm)
+ * @param {number} options.z - Position Z du centre depuis le centre du panneau (mm)
+ * @param {number} options.angle - Rotation autour de la normale du panneau (degrés)
+ * @returns {Object} Découpe prête à être ajoutée à config.cuts
+ */
+export function createSlotCut({ length, width, depth, through = false, face = 'top', x = 0, z = 0, angle = 0 }) {
+  return {
+    id: createCutId(),
+    type: 'slot',
+    face,
+    params: { length, width, depth, through },
+    position: { x, z },
+    rotation: { y: angle * Math.PI / 180 }
+  };
+}
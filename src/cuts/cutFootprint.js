@@ -0,0 +1,172 @@
+/**
+ * Module d'emprise des découpes en vue de dessus
+ * Contour et boîte englobante dans le plan du panneau (X, Z depuis le centre)
+ * Un perçage de chant n'a pas d'emprise sur le dessus : son contour est donné dans le repère de son chant
+ * Une rainure dépend des dimensions du panneau : sans panneau, elle n'a pas d'emprise
+ */
+
+import {
+  getCutDepth,
+  getCutFace,
+  getFaceCoordinates,
+  getFaceSize,
+  getFaceSpan,
+  getFaceSpanCenter,
+  isEdgeCut
+} from '../csg/cutPlacement.js';
+import { getHoleEntryDiameter, getHoleSection } from './holeProfile.js';
+import { toRectangularCut } from './groove.js';
+
+// Segments utilisés pour discrétiser un quart de cercle
+const QUARTER_SEGMENTS = 8;
+
+/**
+ * Retourne le diamètre d'une découpe circulaire (anciens projets : rayon seul)
+ * @param {Object} cut - Découpe circulaire
+ * @returns {number} Diamètre en mm
+ */
+export function getCutDiameter(cut) {
+  return cut.params.diameter ?? cut.params.radius * 2;
+}
+
+/**
+ * Calcule le contour d'une découpe dans le repère de sa face
+ * Sur le dessus et le dessous, u et v sont X et Z ; sur un chant, ce sont les deux axes du chant
+ * @param {Object} cut - Découpe de config.cuts
+ * @param {Object|null} panel - Configuration du panneau (rainures)
+ * @returns {Object[]} Points { u, v } parcourus dans le sens trigonométrique (v = -y comme Z en vue de dessus)
+ */
+export function getFaceFootprint(cut, panel = null) {
+  if (cut.type === 'groove') {
+    return panel ? getFaceFootprint(toRectangularCut(cut, panel)) : [];
+  }
+
+  const [cu, cv] = getFaceCoordinates(cut);
+  const angle = cut.rotation?.y || 0;
+  let local;
+
+  switch (cut.type) {
+    case 'circular': {
+      // Perçage profilé : emprise de la fraisure ou du premier étage sur la face
+      const radius = getHoleEntryDiameter(cut.params) / 2;
+      local = arcPoints(0, 0, radius, 0, Math.PI * 2, QUARTER_SEGMENTS * 4).slice(0, -1);
+      break;
+    }
+    case 'rectangular':
+      local = roundedRectanglePoints(cut.params.length / 2, cut.params.width / 2, cut.params.cornerRadius || 0);
+      break;
+    case 'slot':
+      // Oblong : extrémités en demi-cercles du diamètre de la largeur
+      local = roundedRectanglePoints(cut.params.length / 2, cut.params.width / 2, cut.params.width / 2);
+      break;
+    default:
+      return [];
+  }
+
+  // Repère local (x, y vue de dessus) vers le plan de la face : v = -y, rotation y trigonométrique
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  return local.map(p => ({
+    u: cu + p.x * cos - p.y * sin,
+    v: cv - (p.x * sin + p.y * cos)
+  }));
+}
+
+/**
+ * Calcule le contour d'une découpe dans le plan du panneau
+ * @param {Object} cut - Découpe de config.cuts
+ * @param {Object|null} panel - Configuration du panneau (rainures)
+ * @returns {Object[]} Points { x, z } parcourus dans le sens trigonométrique de la vue de dessus,
+ *                     vide pour un perçage de chant
+ */
+export function getCutFootprint(cut, panel = null) {
+  if (isEdgeCut(cut)) {
+    return [];
+  }
+  return getFaceFootprint(cut, panel).map(p => ({ x: p.u, z: p.v }));
+}
+
+/**
+ * Projection en vue de dessus de l'alésage d'un perçage de chant : coupe du perçage allant du chant vers l'intérieur
+ * (rectangle pour un trou droit, épaulements d'un lamage ou cône d'une fraisure sinon)
+ * @param {Object} cut - Perçage de chant
+ * @param {Object} panel - Configuration du panneau
+ * @returns {Object[]} Points { x, z } : un côté de l'entrée jusqu'au fond, puis l'autre côté du fond jusqu'à l'entrée
+ */
+export function getEdgeBoreFootprint(cut, panel) {
+  const { normal } = getCutFace(cut);
+  const section = getHoleSection(cut.params, getCutDepth(cut, panel));
+  // Point d'entrée sur le chant de l'âme et direction perpendiculaire au perçage dans le plan du panneau
+  const half = getFaceSpan(cut.face, panel) / 2;
+  const center = getFaceSpanCenter(cut.face, panel);
+  const entry = {
+    x: normal.x !== 0 ? center.x + normal.x * half : cut.position?.x || 0,
+    z: normal.z !== 0 ? center.z + normal.z * half : cut.position?.z || 0
+  };
+  const side = { x: Math.abs(normal.z), z: Math.abs(normal.x) };
+  const point = (p, sign) => ({
+    x: entry.x - normal.x * p.depth + sign * side.x * p.radius,
+    z: entry.z - normal.z * p.depth + sign * side.z * p.radius
+  });
+  return [
+    ...section.map(p => point(p, -1)),
+    ...section.slice().reverse().map(p => point(p, 1))
+  ];
+}
+
+/**
+ * Indique si le contour d'une découpe reste dans le rectangle de sa face
+ * (dessus et dessous : rectangle d'encombrement du panneau ; chant : longueur du chant × épaisseur)
+ * @param {Object} cut - Découpe de config.cuts
+ * @param {Object} panel - Configuration du panneau
+ * @returns {boolean} true si la découpe ne dépasse pas de sa face
+ */
+export function isCutWithinFace(cut, panel) {
+  const [sizeU, sizeV] = getFaceSize(cut.face, panel);
+  const epsilon = 1e-6;
+  return getFaceFootprint(cut, panel).every(p => Math.abs(p.u) <= sizeU / 2 + epsilon && Math.abs(p.v) <= sizeV / 2 + epsilon);
+}
+
+/**
+ * Calcule la boîte englobante d'une découpe dans le plan du panneau
+ * @param {Object} cut - Découpe de config.cuts
+ * @param {Object|null} panel - Configuration du panneau (rainures)
+ * @returns {Object} { minX, maxX, minZ, maxZ }
+ */
+export function getCutBounds(cut, panel = null) {
+  const points = getCutFootprint(cut, panel);
+  return {
+    minX: Math.min(...points.map(p => p.x)),
+    maxX: Math.max(...points.map(p => p.x)),
+    minZ: Math.min(...points.map(p => p.z)),
+    maxZ: Math.max(...points.map(p => p.z))
+  };
+}
+
+function arcPoints(cx, cy, radius, start, sweep, segments) {
+  const points = [];
+  for (let k = 0; k <= segments; k++) {
+    const angle = start + (sweep * k) / segments;
+    points.push({ x: cx + radius * Math.cos(angle), y: cy + radius * Math.sin(angle) });
+  }
+  return points;
+}
+
+function roundedRectanglePoints(hl, hw, cornerRadius) {
+  const r = Math.min(cornerRadius, hl, hw);
+  if (r <= 0) {
+    return [
+      { x: -hl, y: -hw },
+      { x: hl, y: -hw },
+      { x: hl, y: hw },
+      { x: -hl, y: hw }
+    ];
+  }
+
+  return [
+    ...arcPoints(hl - r, -hw + r, r, -Math.PI / 2, Math.PI / 2, QUARTER_SEGMENTS),
+    ...arcPoints(hl - r, hw - r, r, 0, Math.PI / 2, QUARTER_SEGMENTS),
+    ...arcPoints(-hl + r, hw - r, r, Math.PI / 2, Math.PI / 2, QUARTER_SEGMENTS),
+    ...arcPoints(-hl + r, -hw + r, r, Math.PI, Math.PI / 2, QUARTER_SEGMENTS)
+  ];
+}
@@ -0,0 +1,79 @@
+/**
+ * Module des opérations sur la liste des découpes
+ * Toutes les fonctions modifient le tableau config.cuts en place
+ */
+
+import { createCutId } from './cutFactory.js';
+
+/**
+ * Copie profonde d'une découpe (objets de données uniquement)
+ * @param {Object} cut - Découpe à copier
+ * @returns {Object} Copie indépendante
+ */
+export function cloneCut(cut) {
+  return JSON.parse(JSON.stringify(cut));
+}
+
+/**
+ * Ajoute une découpe, ou remplace celle qui porte le même identifiant
+ * @param {Object[]} cuts - Tableau des découpes
+ * @param {Object} cut - Découpe à ajouter ou remplacer
+ * @returns {number} Index de la découpe dans le tableau
+ */
+export function upsertCut(cuts, cut) {
+  const index = cuts.findIndex(c => c.id === cut.id);
+  if (index === -1) {
+    cuts.push(cut);
+    return cuts.length - 1;
+  }
+  cuts[index] = cut;
+  return index;
+}
+
+/**
+ * Supprime une découpe
+ * @param {Object[]} cuts - Tableau des découpes
+ * @param {string} id - Identifiant de la découpe
+ * @returns {Object|null} Découpe supprimée, ou null si introuvable
+ */
+export function removeCut(cuts, id) {
+  const index = cuts.findIndex(c => c.id === id);
+  if (index === -1) {
+    return null;
+  }
+  return cuts.splice(index, 1)[0];
+}
+
+/**
+ * Duplique une découpe et insère la copie juste après l'original
+ * @param {Object[]} cuts - Tableau des découpes
+ * @param {string} id - Identifiant de la découpe à dupliquer
+ * @returns {Object|null} Copie créée, ou null si introuvable
+ */
+export function duplicateCut(cuts, id) {
+  const index = cuts.findIndex(c => c.id === id);
+  if (index === -1) {
+    return null;
+  }
+  const copy = { ...cloneCut(cuts[index]), id: createCutId() };
+  cuts.splice(index + 1, 0, copy);
+  return copy;
+}
+
+/**
+ * Déplace une découpe dans l'ordre d'évaluation
+ * @param {Object[]} cuts - Tableau des découpes
+ * @param {string} id - Identifiant de la découpe
+ * @param {number} delta - Décalage (-1 pour monter, +1 pour descendre)
+ * @returns {boolean} true si la découpe a été déplacée
+ */
+export function moveCut(cuts, id, delta) {
+  const index = cuts.findIndex(c => c.id === id);
+  const target = index + delta;
+  if (index === -1 || target < 0 || target >= cuts.length) {
+    return false;
+  }
+  const [cut] = cuts.splice(index, 1);
+  cuts.splice(target, 0, cut);
+  return true;
+}
@@ -0,0 +1,247 @@
+/**
+ * Module des répétitions de découpes (motifs)
+ * Une découpe de config.cuts peut porter un motif (cut.pattern) : elle reste une seule entrée
+ * paramétrique, ses occurrences sont générées à l'évaluation (CSG, exports, affichage)
+ *
+ * Formats (angles en radians, sens trigonométrique de la vue de dessus comme rotation.y) :
+ * - linéaire : { type: 'linear', count, pitch, angle }
+ * - grille   : { type: 'grid', countX, countZ, pitchX, pitchZ } (pas signés, le long des axes X et Z)
+ * - polaire  : { type: 'polar', count, center: { x, z }, sweep, rotateInstances }
+ *   center est relatif à la découpe d'origine ; sweep = 2π répartit les occurrences sur un tour complet
+ * Sur un chant, X et Z du motif suivent les deux axes du repère du chant (le long du chant, puis l'épaisseur)
+ */
+
+import { getCutBounds, isCutWithinFace } from './cutFootprint.js';
+import { getCutFace, getFaceCoordinates } from '../csg/cutPlacement.js';
+
+// Libellés des types de motif
+export const PATTERN_TYPE_LABELS = {
+  linear: 'Linéaire',
+  grid: 'Grille',
+  polar: 'Polaire'
+};
+
+// Types de découpe répétables ; une rainure suit son chant et ne se répète pas
+export const PATTERN_CUT_TYPES = ['circular', 'rectangular', 'slot'];
+
+// Nombre maximal d'occurrences d'un motif (coût des opérations CSG)
+export const MAX_PATTERN_INSTANCES = 500;
+
+// Système 32 mm : pas entre trous et retrait de la ligne de perçage depuis le chant
+export const SYSTEM_32_PITCH = 32;
+export const SYSTEM_32_EDGE_OFFSET = 37;
+
+/**
+ * Nombre de trous au pas de 32 mm entre une position et la limite à 37 mm du chant
+ * @param {number} available - Distance disponible depuis la découpe d'origine (mm)
+ * @returns {number} Nombre d'occurrences (au moins 2)
+ */
+function system32Count(available) {
+  return Math.max(2, Math.floor(available / SYSTEM_32_PITCH + 1e-9) + 1);
+}
+
+/**
+ * Préréglages de motifs, calculés depuis la découpe d'origine et le panneau
+ * La découpe d'origine est supposée placée sur le premier trou de la ligne
+ */
+export const PATTERN_PRESETS = [
+  {
+    id: 'system32-length',
+    label: 'Ligne 32 mm le long de la longueur',
+    build: (cut, panel) => ({
+      type: 'linear',
+      count: system32Count(panel.length / 2 - SYSTEM_32_EDGE_OFFSET - (cut.position?.x || 0)),
+      pitch: SYSTEM_32_PITCH,
+      angle: 0
+    })
+  },
+  {
+    id: 'system32-width',
+    label: 'Ligne 32 mm le long de la largeur',
+    // Vers l'arrière du panneau (Z décroissant, +90° en vue de dessus)
+    build: (cut, panel) => ({
+      type: 'linear',
+      count: system32Count((cut.position?.z || 0) + panel.width / 2 - SYSTEM_32_EDGE_OFFSET),
+      pitch: SYSTEM_32_PITCH,
+      angle: Math.PI / 2
+    })
+  },
+  {
+    id: 'system32-double',
+    label: 'Deux lignes 32 mm symétriques (taquets)',
+    // Seconde ligne symétrique par rapport à l'axe du panneau, à la même distance du chant opposé
+    build: (cut, panel) => ({
+      type: 'grid',
+      countX: system32Count(panel.length / 2 - SYSTEM_32_EDGE_OFFSET - (cut.position?.x || 0)),
+      countZ: 2,
+      pitchX: SYSTEM_32_PITCH,
+      pitchZ: -2 * (cut.position?.z || 0)
+    })
+  }
+];
+
+/**
+ * Nombre d'occurrences d'un motif
+ * @param {Object|null} pattern - Motif de la découpe
+ * @returns {number} Nombre d'occurrences (1 sans motif)
+ */
+export function getPatternInstanceCount(pattern) {
+  if (!pattern) return 1;
+  return pattern.type === 'grid' ? pattern.countX * pattern.countZ : pattern.count;
+}
+
+/**
+ * Décalages des occurrences par rapport à la découpe d'origine (première occurrence incluse)
+ * @param {Object} pattern - Motif de la découpe
+ * @returns {Object[]} Décalages { x, z, rotation }
+ */
+export function getPatternOffsets(pattern) {
+  const offsets = [];
+
+  switch (pattern.type) {
+    case 'linear': {
+      // Direction trigonométrique de la vue de dessus : z = -y
+      const stepX = Math.cos(pattern.angle || 0) * pattern.pitch;
+      const stepZ = -Math.sin(pattern.angle || 0) * pattern.pitch;
+      for (let i = 0; i < pattern.count; i++) {
+        offsets.push({ x: i * stepX, z: i * stepZ, rotation: 0 });
+      }
+      break;
+    }
+    case 'grid':
+      for (let j = 0; j < pattern.countZ; j++) {
+        for (let i = 0; i < pattern.countX; i++) {
+          offsets.push({ x: i * pattern.pitchX, z: j * pattern.pitchZ, rotation: 0 });
+        }
+      }
+      break;
+    case 'polar': {
+      const sweep = pattern.sweep ?? Math.PI * 2;
+      // Tour complet : la dernière occurrence ne doit pas se superposer à la première
+      const fullTurn = Math.abs(Math.abs(sweep) - Math.PI * 2) < 1e-9;
+      const divisions = fullTurn ? pattern.count : Math.max(1, pattern.count - 1);
+      const step = sweep / divisions;
+      // Vecteur centre → découpe d'origine dans le repère de la vue de dessus
+      const vx = -pattern.center.x;
+      const vy = pattern.center.z;
+      for (let i = 0; i < pattern.count; i++) {
+        const angle = i * step;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        offsets.push({
+          x: pattern.center.x + vx * cos - vy * sin,
+          z: pattern.center.z - (vx * sin + vy * cos),
+          rotation: pattern.rotateInstances ? angle : 0
+        });
+      }
+      break;
+    }
+    default:
+      offsets.push({ x: 0, z: 0, rotation: 0 });
+  }
+
+  return offsets;
+}
+
+/**
+ * Génère les occurrences d'une découpe
+ * Chaque occurrence est une découpe simple (sans motif) qui référence sa découpe d'origine
+ * @param {Object} cut - Découpe de config.cuts
+ * @returns {Object[]} Occurrences { ...cut, id, sourceId, patternIndex } ; la découpe elle-même sans motif
+ */
+export function expandCut(cut) {
+  if (!cut.pattern) {
+    return [cut];
+  }
+
+  const { pattern, ...seed } = cut;
+  // Décalages appliqués dans le repère de la face (X et Z sur le dessus et le dessous)
+  const [uAxis, vAxis] = getCutFace(cut).axes;
+  const [u, v] = getFaceCoordinates(cut);
+  const rotationY = cut.rotation?.y || 0;
+
+  return getPatternOffsets(pattern).map((offset, index) => ({
+    ...seed,
+    id: `${cut.id}#${index + 1}`,
+    sourceId: cut.id,
+    patternIndex: index,
+    position: { ...cut.position, [uAxis]: u + offset.x, [vAxis]: v + offset.z },
+    rotation: { ...cut.rotation, y: rotationY + offset.rotation }
+  }));
+}
+
+/**
+ * Génère toutes les occurrences d'une liste de découpes, dans l'ordre d'évaluation
+ * @param {Object[]} cuts - Découpes de config.cuts
+ * @returns {Object[]} Découpes simples
+ */
+export function expandCuts(cuts) {
+  return cuts.flatMap(expandCut);
+}
+
+/**
+ * Boîte englobante de toutes les occurrences d'une découpe
+ * @param {Object} cut - Découpe de config.cuts (avec ou sans motif)
+ * @returns {Object} { minX, maxX, minZ, maxZ }
+ */
+export function getPatternBounds(cut) {
+  return expandCut(cut).map(getCutBounds).reduce((acc, b) => ({
+    minX: Math.min(acc.minX, b.minX),
+    maxX: Math.max(acc.maxX, b.maxX),
+    minZ: Math.min(acc.minZ, b.minZ),
+    maxZ: Math.max(acc.maxZ, b.maxZ)
+  }));
+}
+
+/**
+ * Indique si toutes les occurrences d'une découpe restent sur sa face
+ * @param {Object} cut - Découpe de config.cuts (avec ou sans motif)
+ * @param {Object} panel - Configuration du panneau
+ * @returns {boolean} true si aucune occurrence ne dépasse
+ */
+export function isPatternWithinFace(cut, panel) {
+  return expandCut(cut).every(instance => isCutWithinFace(instance, panel));
+}
+
+/**
+ * Valide les paramètres d'un motif
+ * @param {Object} pattern - Motif à valider
+ * @returns {string[]} Messages d'erreur (vide si le motif est valide)
+ */
+export function validatePattern(pattern) {
+  const errors = [];
+  const isCount = (value) => Number.isInteger(value) && value >= 1;
+  const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+  switch (pattern?.type) {
+    case 'linear':
+      if (!isCount(pattern.count)) errors.push('Le nombre d\'occurrences doit être un entier positif');
+      if (!isNumber(pattern.pitch) || pattern.pitch <= 0) errors.push('Le pas doit être positif');
+      if (!isNumber(pattern.angle)) errors.push('La direction doit être un angle');
+      break;
+    case 'grid':
+      if (!isCount(pattern.countX) || !isCount(pattern.countZ)) {
+        errors.push('Les nombres d\'occurrences en X et Z doivent être des entiers positifs');
+      }
+      if (!isNumber(pattern.pitchX) || (pattern.countX > 1 && pattern.pitchX === 0)) errors.push('Le pas en X doit être non nul');
+      if (!isNumber(pattern.pitchZ) || (pattern.countZ > 1 && pattern.pitchZ === 0)) errors.push('Le pas en Z doit être non nul');
+      break;
+    case 'polar':
+      if (!isCount(pattern.count)) errors.push('Le nombre d\'occurrences doit être un entier positif');
+      if (!isNumber(pattern.center?.x) || !isNumber(pattern.center?.z)) errors.push('Le centre doit avoir des coordonnées X et Z');
+      else if (Math.hypot(pattern.center.x, pattern.center.z) < 1e-6) errors.push('Le centre ne doit pas coïncider avec la découpe d\'origine');
+      if (!isNumber(pattern.sweep) || pattern.sweep === 0 || Math.abs(pattern.sweep) > Math.PI * 2 + 1e-9) {
+        errors.push('L\'angle balayé doit être entre -360° et 360° (non nul)');
+      }
+      break;
+    default:
+      errors.push(`Type de motif inconnu: "${pattern?.type}". Types connus: ${Object.keys(PATTERN_TYPE_LABELS).join(', ')}`);
+      return errors;
+  }
+
+  if (errors.length === 0 && getPatternInstanceCount(pattern) > MAX_PATTERN_INSTANCES) {
+    errors.push(`Le motif ne peut pas dépasser ${MAX_PATTERN_INSTANCES} occurrences`);
+  }
+
+  return errors;
+}
@@ -0,0 +1,123 @@
+/**
+ * Module d'accrochage des découpes dans le plan du panneau
+ * Chaque axe (X, Z) est accroché indépendamment : le centre ou un bord de la découpe
+ * se cale sur la ligne de référence la plus proche (bords, axes, retraits, autres découpes),
+ * à défaut sur le pas de la grille
+ */
+
+import { getCutBounds } from './cutFootprint.js';
+import { expandCuts } from './cutPattern.js';
+import { isEdgeCut } from '../csg/cutPlacement.js';
+
+// Libellés des types de cible, affichés par l'indicateur
+export const SNAP_KINDS = {
+  grid: 'Grille',
+  panelEdge: 'Bord du panneau',
+  centerLine: 'Axe du panneau',
+  edgeOffset: 'Retrait',
+  cutCenter: 'Centre de découpe',
+  cutEdge: 'Bord de découpe'
+};
+
+/**
+ * Construit les lignes de référence d'un axe
+ * @param {string} axis - 'x' ou 'z'
+ * @param {Object} cut - Découpe déplacée (exclue des cibles)
+ * @param {Object} config - Configuration de l'application (panel, cuts, snap)
+ * @returns {Object[]} Lignes { value, kind, label }
+ */
+function collectTargets(axis, cut, config) {
+  const { panel, snap } = config;
+  const half = (axis === 'x' ? panel.length : panel.width) / 2;
+  const targets = [];
+  const add = (value, kind, label = SNAP_KINDS[kind]) => targets.push({ value, kind, label });
+
+  if (snap.panelEdges) {
+    add(-half, 'panelEdge');
+    add(half, 'panelEdge');
+  }
+  if (snap.centerLines) {
+    add(0, 'centerLine');
+  }
+  if (snap.edgeOffsets && snap.edgeOffset > 0 && snap.edgeOffset < half) {
+    const label = `${SNAP_KINDS.edgeOffset} de ${snap.edgeOffset} mm`;
+    add(-half + snap.edgeOffset, 'edgeOffset', label);
+    add(half - snap.edgeOffset, 'edgeOffset', label);
+  }
+  if (snap.cuts) {
+    const min = axis === 'x' ? 'minX' : 'minZ';
+    const max = axis === 'x' ? 'maxX' : 'maxZ';
+    // Occurrences des motifs comprises, sauf celles de la découpe déplacée et les perçages de chant
+    expandCuts(config.cuts).forEach(other => {
+      if (other.id === cut.id || other.sourceId === cut.id || isEdgeCut(other)) return;
+      const bounds = getCutBounds(other, config.panel);
+      // Centre de l'emprise : position de la découpe, ou milieu d'une rainure (sans position propre)
+      add((bounds[min] + bounds[max]) / 2, 'cutCenter');
+      add(bounds[min], 'cutEdge');
+      add(bounds[max], 'cutEdge');
+    });
+  }
+
+  return targets;
+}
+
+/**
+ * Accroche une coordonnée sur la cible la plus proche
+ * @param {number} value - Coordonnée souhaitée du centre de la découpe
+ * @param {number[]} features - Décalages des repères de la découpe par rapport à son centre
+ * @param {Object[]} targets - Lignes de référence
+ * @param {number} tolerance - Distance d'accrochage en mm
+ * @returns {Object|null} { position, target } ou null si aucune cible n'est assez proche
+ */
+function snapAxis(value, features, targets, tolerance) {
+  let best = null;
+  targets.forEach(target => {
+    features.forEach(offset => {
+      const position = target.value - offset;
+      const distance = Math.abs(position - value);
+      if (distance <= tolerance && (!best || distance < best.distance)) {
+        best = { position, target, distance };
+      }
+    });
+  });
+  return best;
+}
+
+/**
+ * Calcule la position accrochée d'une découpe
+ * @param {Object} cut - Découpe placée ou déplacée (dimensions, rotation, identifiant)
+ * @param {number} x - Position X souhaitée du centre
+ * @param {number} z - Position Z souhaitée du centre
+ * @param {Object} config - Configuration de l'application (panel, cuts, snap)
+ * @param {Object} gridStep - Pas de la grille { sizeX, sizeZ }
+ * @param {number} tolerance - Distance d'accrochage en mm
+ * @returns {Object} { x, z, snapX, snapZ } ; snapX / snapZ : cible retenue { value, kind, label } ou null
+ */
+export function snapCutPosition(cut, x, z, config, gridStep, tolerance) {
+  const result = { x, z, snapX: null, snapZ: null };
+  if (!config.snap?.enabled) return result;
+
+  // Repères de la découpe : centre puis bords de son emprise
+  const extent = getCutBounds({ ...cut, position: { x: 0, z: 0 } });
+  const axes = [
+    { axis: 'x', value: x, features: [0, extent.minX, extent.maxX], step: gridStep.sizeX },
+    { axis: 'z', value: z, features: [0, extent.minZ, extent.maxZ], step: gridStep.sizeZ }
+  ];
+
+  axes.forEach(({ axis, value, features, step }) => {
+    let snapped = snapAxis(value, features, collectTargets(axis, cut, config), tolerance);
+
+    // La grille ne sert qu'en l'absence de cible géométrique : le centre se cale sur le pas
+    if (!snapped && config.snap.grid && step > 0) {
+      const gridValue = Math.round(value / step) * step;
+      snapped = snapAxis(value, [0], [{ value: gridValue, kind: 'grid', label: SNAP_KINDS.grid }], tolerance);
+    }
+
+    if (snapped) {
+      result[axis] = snapped.position;
+      result[axis === 'x' ? 'snapX' : 'snapZ'] = snapped.target;
+    }
+  });
+
+  return result;
+}
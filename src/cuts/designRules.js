@@ -0,0 +1,285 @@
+/**
+ * Module des règles d'usinage des découpes
+ * Vérifie config.cuts avant le calcul CSG : découpes hors du panneau, profondeurs impossibles,
+ * matière insuffisante sous une poche, près d'un bord ou entre deux découpes, chevauchements
+ * et diamètres hors de la plage du matériau. Indépendant du navigateur
+ *
+ * Chaque occurrence d'un motif est vérifiée ; les résultats portent l'identifiant de la découpe de config.cuts
+ * Un perçage de chant est vérifié dans le repère de son chant (longueur du chant × épaisseur) et comparé
+ * aux seuls perçages du même chant : sa rencontre avec un perçage de face (excentrique) est voulue
+ */
+
+import { constraints } from '../materials.js';
+import { getFaceFootprint, getCutDiameter } from './cutFootprint.js';
+import { expandCuts } from './cutPattern.js';
+import { getPanelOutline } from '../models/panelOutline.js';
+import { getCutDepth, getCutFace, getFaceSize, getFaceSpan, isCutThrough } from '../csg/cutPlacement.js';
+import { formatMm } from './cutDescription.js';
+import { validateHoleProfile } from './holeProfile.js';
+import { validateGroove } from './groove.js';
+
+// Gravité des résultats : une erreur rend la découpe inusinable, un avertissement signale un risque
+export const RULE_SEVERITIES = {
+  error: { name: 'Erreur' },
+  warning: { name: 'Avertissement' }
+};
+
+// Règles vérifiées et gravité de leurs résultats
+export const DESIGN_RULES = {
+  outside: { name: 'Hors du panneau', severity: 'error' },
+  depth: { name: 'Profondeur', severity: 'error' },
+  diameter: { name: 'Diamètre', severity: 'error' },
+  remainingThickness: { name: 'Matière sous la découpe', severity: 'warning' },
+  edgeDistance: { name: 'Distance au bord', severity: 'warning' },
+  spacing: { name: 'Distance entre découpes', severity: 'warning' },
+  overlap: { name: 'Chevauchement', severity: 'warning' }
+};
+
+// Tolérance des comparaisons géométriques (mm) : une découpe qui affleure le bord est débouchante
+const EPSILON = 1e-3;
+
+// Dimension du panneau traversée depuis une face, pour les messages
+const SPAN_LABELS = {
+  thickness: 'épaisseur',
+  width: 'largeur',
+  length: 'longueur'
+};
+
+/**
+ * Distance d'un point à un segment
+ */
+function pointSegmentDistance(p, a, b) {
+  const dx = b.x - a.x;
+  const dz = b.z - a.z;
+  const lengthSq = dx * dx + dz * dz;
+  const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.z - a.z) * dz) / lengthSq)) : 0;
+  return Math.hypot(p.x - (a.x + t * dx), p.z - (a.z + t * dz));
+}
+
+/**
+ * Distance d'un point au contour d'un polygone
+ */
+function pointPolygonDistance(p, polygon) {
+  let min = Infinity;
+  polygon.forEach((a, i) => {
+    min = Math.min(min, pointSegmentDistance(p, a, polygon[(i + 1) % polygon.length]));
+  });
+  return min;
+}
+
+/**
+ * Point à l'intérieur d'un polygone (règle pair-impair)
+ */
+function isPointInPolygon(p, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if ((a.z > p.z) !== (b.z > p.z) && p.x < (b.x - a.x) * (p.z - a.z) / (b.z - a.z) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Deux segments se coupent franchement (extrémités non comprises)
+ */
+function segmentsCross(a, b, c, d) {
+  const orient = (p, q, r) => (q.x - p.x) * (r.z - p.z) - (q.z - p.z) * (r.x - p.x);
+  const d1 = orient(c, d, a);
+  const d2 = orient(c, d, b);
+  const d3 = orient(a, b, c);
+  const d4 = orient(a, b, d);
+  return ((d1 > EPSILON && d2 < -EPSILON) || (d1 < -EPSILON && d2 > EPSILON)) &&
+    ((d3 > EPSILON && d4 < -EPSILON) || (d3 < -EPSILON && d4 > EPSILON));
+}
+
+/**
+ * Un polygone a un sommet franchement à l'intérieur de l'autre
+ */
+function hasVertexInside(inner, outer) {
+  return inner.some(p => isPointInPolygon(p, outer) && pointPolygonDistance(p, outer) > EPSILON);
+}
+
+/**
+ * Matière entre deux emprises : 0 si elles se chevauchent ou se touchent
+ * @returns {Object} { overlap, distance }
+ */
+function compareFootprints(a, b) {
+  if (hasVertexInside(a, b) || hasVertexInside(b, a) ||
+      a.some((p, i) => b.some((q, j) => segmentsCross(p, a[(i + 1) % a.length], q, b[(j + 1) % b.length])))) {
+    return { overlap: true, distance: 0 };
+  }
+
+  let distance = Infinity;
+  a.forEach(p => { distance = Math.min(distance, pointPolygonDistance(p, b)); });
+  b.forEach(p => { distance = Math.min(distance, pointPolygonDistance(p, a)); });
+  // Emprises confondues ou jointives : aucune matière entre les deux découpes
+  return { overlap: distance <= EPSILON, distance };
+}
+
+/**
+ * Boîte englobante d'une emprise
+ */
+function footprintBounds(points) {
+  return {
+    minX: Math.min(...points.map(p => p.x)),
+    maxX: Math.max(...points.map(p => p.x)),
+    minZ: Math.min(...points.map(p => p.z)),
+    maxZ: Math.max(...points.map(p => p.z))
+  };
+}
+
+/**
+ * Deux occurrences s'influencent si elles partent de la même face, si l'une traverse
+ * ou si leurs profondeurs cumulées atteignent l'épaisseur
+ */
+function shareMaterial(a, b, thickness) {
+  return a.face === b.face || a.through || b.through || a.depth + b.depth >= thickness - EPSILON;
+}
+
+/**
+ * Vérifie les règles d'usinage des découpes d'un panneau
+ * @param {Object} panel - Configuration du panneau
+ * @param {Object[]} cuts - Découpes (config.cuts)
+ * @param {Object} rules - Seuils (constraints.machining par défaut)
+ * @returns {Object[]} Résultats { severity, rule, cutId, otherCutId, instanceIds, message }, erreurs d'abord
+ */
+export function checkDesignRules(panel, cuts, rules = constraints.machining) {
+  const panelOutline = getPanelOutline(panel);
+  const cutNumber = new Map(cuts.map((cut, index) => [cut.id, index + 1]));
+  const issues = new Map();
+
+  // Un résultat par règle et par découpe (et découpe voisine) ; les occurrences concernées sont cumulées
+  const report = (rule, instance, message, other = null) => {
+    const cutId = instance.sourceId || instance.id;
+    const otherCutId = other ? other.sourceId || other.id : null;
+    const key = `${rule}|${cutId}|${otherCutId}`;
+    if (!issues.has(key)) {
+      issues.set(key, { severity: DESIGN_RULES[rule].severity, rule, cutId, otherCutId, instanceIds: [], message });
+    }
+    const instanceIds = issues.get(key).instanceIds;
+    [instance, other].filter(Boolean).forEach(cut => {
+      if (!instanceIds.includes(cut.id)) instanceIds.push(cut.id);
+    });
+  };
+
+  // Emprises dans le repère de la face (u, v notés x, z) ; contour : panneau sur les faces, rectangle du chant
+  const instances = expandCuts(cuts).map(cut => {
+    const face = getCutFace(cut);
+    const footprint = getFaceFootprint(cut, panel).map(p => ({ x: p.u, z: p.v }));
+    const [sizeU, sizeV] = getFaceSize(cut.face, panel);
+    return {
+      cut,
+      footprint,
+      bounds: footprint.length > 0 ? footprintBounds(footprint) : null,
+      face: cut.face || 'top',
+      // Les faces partagent leur plan ; chaque chant a le sien
+      plane: face.edge ? cut.face : 'faces',
+      edge: face.edge,
+      outline: face.edge
+        ? [{ x: -sizeU / 2, z: -sizeV / 2 }, { x: sizeU / 2, z: -sizeV / 2 }, { x: sizeU / 2, z: sizeV / 2 }, { x: -sizeU / 2, z: sizeV / 2 }]
+        : panelOutline,
+      through: isCutThrough(cut, panel),
+      depth: getCutDepth(cut, panel)
+    };
+  });
+
+  instances.forEach(({ cut, footprint, edge, outline }) => {
+    const depth = cut.params?.depth;
+    const span = getFaceSpan(cut.face, panel);
+    if (!cut.params?.through) {
+      if (depth >= span) {
+        report('depth', cut, `Profondeur ${formatMm(depth)}mm ≥ ${SPAN_LABELS[getCutFace(cut).span]} ${formatMm(span)}mm : cochez « traversante » ou réduisez la profondeur`);
+      } else if (span - depth < rules.minRemainingThickness) {
+        report('remainingThickness', cut, `Il reste ${formatMm(span - depth)}mm de matière sous la découpe (minimum ${formatMm(rules.minRemainingThickness)}mm)`);
+      }
+    }
+
+    if (cut.type === 'circular') {
+      const range = rules.diameter[panel.material];
+      const diameter = getCutDiameter(cut);
+      if (range && (diameter < range.min || diameter > range.max)) {
+        report('diameter', cut, `Diamètre ${formatMm(diameter)}mm hors de la plage du matériau (${formatMm(range.min)} à ${formatMm(range.max)}mm)`);
+      }
+      // Fraisure, lamage ou étages plus profonds que le perçage (panneau aminci depuis la création)
+      const [profileError] = validateHoleProfile(cut.params, getCutDepth(cut, panel));
+      if (profileError) {
+        report('depth', cut, profileError);
+      }
+    }
+
+    // Rainure qui ne tient plus sur son chant (panneau réduit depuis la création)
+    if (cut.type === 'groove') {
+      const [grooveError] = validateGroove(cut.params, panel);
+      if (grooveError) {
+        report('outside', cut, grooveError);
+        return;
+      }
+    }
+
+    if (footprint.length === 0) return;
+
+    // Emprise hors du contour, puis matière entre la découpe et le bord (une découpe qui affleure est débouchante)
+    // Sur un chant, le bord est celui du chant : faces du panneau et extrémités du chant
+    const outside = footprint.some(p => !isPointInPolygon(p, outline) && pointPolygonDistance(p, outline) > EPSILON);
+    if (outside) {
+      report('outside', cut, edge ? 'Dépasse du chant' : 'Dépasse du contour du panneau');
+      return;
+    }
+    const edgeDistance = Math.min(...footprint.map(p => pointPolygonDistance(p, outline)));
+    if (edgeDistance > EPSILON && edgeDistance < rules.minEdgeDistance) {
+      report('edgeDistance', cut, `À ${formatMm(edgeDistance)}mm du bord${edge ? ' du chant' : ''} (minimum ${formatMm(rules.minEdgeDistance)}mm)`);
+    }
+  });
+
+  // Découpes voisines : préfiltre sur les boîtes englobantes élargies de la distance minimale
+  const margin = rules.minCutSpacing;
+  instances.forEach((a, i) => {
+    if (!a.bounds) return;
+    for (let j = i + 1; j < instances.length; j++) {
+      const b = instances[j];
+      if (!b.bounds || a.plane !== b.plane || !shareMaterial(a, b, panel.thickness)) continue;
+      if (a.bounds.minX > b.bounds.maxX + margin || b.bounds.minX > a.bounds.maxX + margin ||
+          a.bounds.minZ > b.bounds.maxZ + margin || b.bounds.minZ > a.bounds.maxZ + margin) continue;
+
+      const { overlap, distance } = compareFootprints(a.footprint, b.footprint);
+      const otherNumber = cutNumber.get(a.cut.sourceId || a.cut.id);
+      const sameCut = (a.cut.sourceId || a.cut.id) === (b.cut.sourceId || b.cut.id);
+      const other = sameCut ? 'une autre occurrence du motif' : `la découpe ${otherNumber}`;
+      if (overlap) {
+        report('overlap', b.cut, `Chevauche ${other}`, a.cut);
+      } else if (distance < margin) {
+        report('spacing', b.cut, `À ${formatMm(distance)}mm de ${other} (minimum ${formatMm(margin)}mm)`, a.cut);
+      }
+    }
+  });
+
+  return [...issues.values()].sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1));
+}
+
+/**
+ * Compte les résultats par gravité
+ * @param {Object[]} issues - Résultats de checkDesignRules
+ * @returns {Object} { error, warning }
+ */
+export function countIssues(issues) {
+  return {
+    error: issues.filter(issue => issue.severity === 'error').length,
+    warning: issues.filter(issue => issue.severity === 'warning').length
+  };
+}
+
+/**
+ * Indique si une emprise reste dans un contour (une emprise qui affleure le contour y reste)
+ * Aucun point de l'emprise dehors et aucun sommet du contour dedans : l'angle rentrant
+ * d'un contour libre (forme en L, encoche) ne traverse pas l'emprise
+ * @param {Object[]} footprint - Points { x, z } de l'emprise
+ * @param {Object[]} outline - Points { x, z } du contour
+ * @returns {boolean} true si l'emprise est dans le contour
+ */
+export function isFootprintWithin(footprint, outline) {
+  return footprint.every(p => isPointInPolygon(p, outline) || pointPolygonDistance(p, outline) <= EPSILON) &&
+    !hasVertexInside(outline, footprint);
+}
@@ -0,0 +1,193 @@
+/**
+ * Module des rainures et feuillures
+ * Une rainure suit un chant de référence du panneau (dessus ou dessous) : décalage depuis le chant,
+ * largeur, profondeur et étendue le long du chant. Une feuillure est une rainure sans décalage,
+ * ouverte sur le chant
+ * Les cotes restent relatives au panneau : la rainure suit ses dimensions lorsqu'il est redimensionné.
+ * Elle se ramène à une poche rectangulaire (volume CSG, emprise, DXF, FAO). Indépendant du navigateur
+ */
+
+// Chants de référence : axe parcouru et extrémités (même sens que les gabarits de perçage)
+export const GROOVE_EDGES = {
+  front: { along: 'x', start: 'gauche', end: 'droite' },
+  back: { along: 'x', start: 'gauche', end: 'droite' },
+  left: { along: 'z', start: 'arrière', end: 'avant' },
+  right: { along: 'z', start: 'arrière', end: 'avant' }
+};
+
+// Étendues le long du chant ; positions mesurées depuis l'extrémité de départ du chant
+export const GROOVE_EXTENTS = {
+  full: { name: 'Toute la longueur' },
+  'stopped-start': { name: 'Arrêtée côté départ' },
+  'stopped-end': { name: 'Arrêtée côté fin' },
+  between: { name: 'Entre deux positions' }
+};
+
+// Tolérance des comparaisons au bord du panneau (mm)
+const EPSILON = 1e-6;
+
+/**
+ * Indique si une rainure est une feuillure (ouverte sur son chant)
+ * @param {Object} params - Paramètres de la rainure
+ * @returns {boolean} true si le décalage est nul
+ */
+export function isRabbet(params) {
+  return !(params?.offset > 0);
+}
+
+/**
+ * Longueur du chant de référence
+ * @param {string} edge - Clé de GROOVE_EDGES
+ * @param {Object} panel - Configuration du panneau
+ * @returns {number} Longueur en mm
+ */
+export function getGrooveEdgeLength(edge, panel) {
+  return GROOVE_EDGES[edge]?.along === 'z' ? panel.width : panel.length;
+}
+
+/**
+ * Début et fin de la rainure le long de son chant
+ * @param {Object} params - Paramètres de la rainure
+ * @param {Object} panel - Configuration du panneau
+ * @returns {Object} { start, end } depuis l'extrémité de départ du chant (mm)
+ */
+export function getGrooveSpan(params, panel) {
+  const length = getGrooveEdgeLength(params.edge, panel);
+  const extent = params.extent || { type: 'full' };
+  switch (extent.type) {
+    case 'stopped-start':
+      return { start: extent.stop, end: length };
+    case 'stopped-end':
+      return { start: 0, end: length - extent.stop };
+    case 'between':
+      return { start: extent.start, end: extent.end };
+    default:
+      return { start: 0, end: length };
+  }
+}
+
+/**
+ * Rectangle usiné par la rainure dans le plan du panneau
+ * Les côtés qui atteignent le bord du panneau (extrémités débouchantes, côté ouvert d'une feuillure)
+ * sont prolongés de overshoot pour éviter les faces confondues dans le calcul CSG
+ * @param {Object} params - Paramètres de la rainure
+ * @param {Object} panel - Configuration du panneau
+ * @param {number} overshoot - Dépassement au-delà du panneau (mm)
+ * @returns {Object} { x, z, length, width } : centre et cotes suivant X et Z
+ */
+export function getGrooveRectangle(params, panel, overshoot = 0) {
+  const halfL = panel.length / 2;
+  const halfW = panel.width / 2;
+  const { start, end } = getGrooveSpan(params, panel);
+  const near = params.offset || 0;
+  const far = near + params.width;
+
+  // Bornes [min, max] suivant X et Z
+  let rangeX;
+  let rangeZ;
+  switch (params.edge) {
+    case 'back':
+      rangeX = [-halfL + start, -halfL + end];
+      rangeZ = [-halfW + near, -halfW + far];
+      break;
+    case 'left':
+      rangeX = [-halfL + near, -halfL + far];
+      rangeZ = [-halfW + start, -halfW + end];
+      break;
+    case 'right':
+      rangeX = [halfL - far, halfL - near];
+      rangeZ = [-halfW + start, -halfW + end];
+      break;
+    default:
+      rangeX = [-halfL + start, -halfL + end];
+      rangeZ = [halfW - far, halfW - near];
+      break;
+  }
+
+  const extend = ([min, max], half) => [
+    min <= -half + EPSILON ? min - overshoot : min,
+    max >= half - EPSILON ? max + overshoot : max
+  ];
+  const [minX, maxX] = extend(rangeX, halfL);
+  const [minZ, maxZ] = extend(rangeZ, halfW);
+
+  return {
+    x: (minX + maxX) / 2,
+    z: (minZ + maxZ) / 2,
+    length: maxX - minX,
+    width: maxZ - minZ
+  };
+}
+
+/**
+ * Poche rectangulaire équivalente à une rainure (mêmes identifiant, face et profondeur)
+ * @param {Object} cut - Rainure de config.cuts (ou occurrence)
+ * @param {Object} panel - Configuration du panneau
+ * @param {number} overshoot - Dépassement au-delà du panneau (mm)
+ * @returns {Object} Découpe rectangulaire sans rotation
+ */
+export function toRectangularCut(cut, panel, overshoot = 0) {
+  const rectangle = getGrooveRectangle(cut.params, panel, overshoot);
+  return {
+    ...cut,
+    type: 'rectangular',
+    params: {
+      length: rectangle.length,
+      width: rectangle.width,
+      depth: cut.params.depth,
+      through: !!cut.params.through,
+      cornerRadius: 0
+    },
+    position: { x: rectangle.x, z: rectangle.z },
+    rotation: { y: 0 }
+  };
+}
+
+/**
+ * Vérifie le chant, le décalage et l'étendue d'une rainure
+ * Sans panneau, seules les valeurs sont vérifiées (fichier projet) ; avec, la rainure doit tenir dans le panneau
+ * @param {Object} params - Paramètres de la rainure
+ * @param {Object|null} panel - Configuration du panneau
+ * @returns {string[]} Messages d'erreur (vide si la rainure est valide)
+ */
+export function validateGroove(params, panel = null) {
+  const errors = [];
+  const edge = GROOVE_EDGES[params?.edge];
+  if (!edge) {
+    errors.push(`Chant de référence inconnu: "${params?.edge}". Chants possibles: ${Object.keys(GROOVE_EDGES).join(', ')}`);
+  }
+  if (!(params?.width > 0)) {
+    errors.push('La largeur de la rainure doit être positive');
+  }
+  if (!(params?.offset >= 0)) {
+    errors.push('Le décalage depuis le chant doit être positif ou nul');
+  }
+
+  const extent = params?.extent;
+  if (!GROOVE_EXTENTS[extent?.type]) {
+    errors.push(`Étendue inconnue: "${extent?.type}". Étendues possibles: ${Object.keys(GROOVE_EXTENTS).join(', ')}`);
+  } else if (extent.type === 'stopped-start' || extent.type === 'stopped-end') {
+    if (!(extent.stop > 0)) {
+      errors.push('La distance d\'arrêt doit être positive');
+    }
+  } else if (extent.type === 'between') {
+    if (!(extent.start >= 0) || !(extent.end > extent.start)) {
+      errors.push('La fin de la rainure doit être au-delà de son début (positions positives)');
+    }
+  }
+
+  if (!panel || !edge || errors.length > 0) {
+    return errors;
+  }
+
+  const length = getGrooveEdgeLength(params.edge, panel);
+  const across = edge.along === 'z' ? panel.length : panel.width;
+  if (params.offset + params.width > across) {
+    errors.push(`La rainure dépasse du panneau : décalage + largeur ${params.offset + params.width}mm, limite ${across}mm`);
+  }
+  const { start, end } = getGrooveSpan(params, panel);
+  if (start < 0 || end > length || end <= start) {
+    errors.push(`L'étendue de la rainure doit rester sur le chant (longueur ${length}mm)`);
+  }
+  return errors;
+}
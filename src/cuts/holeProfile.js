@@ -0,0 +1,158 @@
+/**
+ * Module des profils de perçage
+ * Un perçage circulaire peut recevoir une fraisure conique, un lamage ou plusieurs étages
+ * au-dessus de son avant-trou (params.profile, absent pour un trou droit)
+ * Le profil est décrit par sa demi-section depuis la face de perçage : elle sert au volume de révolution,
+ * à l'aperçu du modal et aux plans. Indépendant du navigateur
+ */
+
+// Types de profil
+export const HOLE_PROFILE_TYPES = {
+  straight: { name: 'Droit' },
+  countersink: { name: 'Fraisure conique' },
+  counterbore: { name: 'Lamage' },
+  stepped: { name: 'Étagé' }
+};
+
+// Profils proposés à la création (vis Ø5 : tête fraisée Ø10, tête cylindrique Ø10)
+export const DEFAULT_HOLE_PROFILES = {
+  countersink: { type: 'countersink', diameter: 10, angle: 90 },
+  counterbore: { type: 'counterbore', diameter: 10, depth: 5 },
+  stepped: { type: 'stepped', steps: [{ diameter: 20, depth: 3 }, { diameter: 12, depth: 8 }] }
+};
+
+/**
+ * Type de profil d'un perçage
+ * @param {Object} params - Paramètres de la découpe circulaire
+ * @returns {string} Clé de HOLE_PROFILE_TYPES ('straight' sans profil)
+ */
+export function getHoleProfileType(params) {
+  const type = params?.profile?.type;
+  return HOLE_PROFILE_TYPES[type] ? type : 'straight';
+}
+
+/**
+ * Étages cylindriques au-dessus de l'avant-trou, du plus large (en surface) au plus étroit
+ * Un lamage est un étage unique ; les profondeurs sont mesurées depuis la face
+ * @param {Object} params - Paramètres de la découpe circulaire
+ * @returns {Object[]} Étages { diameter, depth }, vide pour un trou droit ou fraisé
+ */
+export function getHoleSteps(params) {
+  const profile = params?.profile;
+  switch (getHoleProfileType(params)) {
+    case 'counterbore':
+      return [{ diameter: profile.diameter, depth: profile.depth }];
+    case 'stepped':
+      return (profile.steps || []).map(step => ({ diameter: step.diameter, depth: step.depth }));
+    default:
+      return [];
+  }
+}
+
+/**
+ * Profondeur du cône d'une fraisure
+ * @param {Object} profile - Profil { diameter, angle } (angle au sommet en degrés)
+ * @param {number} diameter - Diamètre de l'avant-trou
+ * @returns {number} Profondeur du cône depuis la face (mm)
+ */
+export function getCountersinkDepth(profile, diameter) {
+  return (profile.diameter - diameter) / 2 / Math.tan(profile.angle * Math.PI / 360);
+}
+
+/**
+ * Demi-section d'un perçage : rayon en fonction de la profondeur depuis la face
+ * Les ruptures (épaulements d'un lamage) sont décrites par deux points à la même profondeur
+ * @param {Object} params - Paramètres de la découpe circulaire
+ * @param {number} depth - Profondeur percée (dimension traversée si le perçage débouche)
+ * @returns {Object[]} Points { radius, depth } de la face (depth 0) jusqu'au fond
+ */
+export function getHoleSection(params, depth) {
+  const radius = (params.diameter ?? params.radius * 2) / 2;
+  const points = [];
+  let reached = 0;
+
+  if (getHoleProfileType(params) === 'countersink') {
+    const head = params.profile.diameter / 2;
+    const cone = getCountersinkDepth(params.profile, radius * 2);
+    // Cône tronqué par le fond si le perçage est moins profond que la fraisure
+    reached = Math.min(cone, depth);
+    points.push({ radius: head, depth: 0 });
+    points.push({ radius: head - (head - radius) * reached / cone, depth: reached });
+  }
+
+  getHoleSteps(params).forEach(step => {
+    const bottom = Math.min(step.depth, depth);
+    points.push({ radius: step.diameter / 2, depth: reached });
+    points.push({ radius: step.diameter / 2, depth: bottom });
+    reached = bottom;
+  });
+
+  points.push({ radius, depth: reached });
+  points.push({ radius, depth });
+
+  // Points confondus supprimés (étage atteignant le fond, fraisure sans avant-trou visible)
+  return points.filter((p, i) => i === 0 || p.radius !== points[i - 1].radius || p.depth !== points[i - 1].depth);
+}
+
+/**
+ * Diamètre du perçage sur la face : tête de la fraisure ou premier étage
+ * @param {Object} params - Paramètres de la découpe circulaire
+ * @returns {number} Diamètre en mm
+ */
+export function getHoleEntryDiameter(params) {
+  if (getHoleProfileType(params) === 'countersink') {
+    return params.profile.diameter;
+  }
+  const steps = getHoleSteps(params);
+  return steps.length > 0 ? steps[0].diameter : params.diameter ?? params.radius * 2;
+}
+
+/**
+ * Vérifie le profil d'un perçage
+ * @param {Object} params - Paramètres de la découpe circulaire
+ * @param {number} depth - Profondeur percée (dimension traversée si le perçage débouche)
+ * @returns {string[]} Messages d'erreur (vide si le profil est valide)
+ */
+export function validateHoleProfile(params, depth) {
+  const errors = [];
+  const type = getHoleProfileType(params);
+  if (type === 'straight') {
+    return errors;
+  }
+
+  const diameter = params.diameter ?? params.radius * 2;
+  const profile = params.profile;
+
+  if (type === 'countersink') {
+    if (!(profile.diameter > diameter)) {
+      errors.push('Le diamètre de la fraisure doit être supérieur à celui de l\'avant-trou');
+    }
+    if (!(profile.angle > 0 && profile.angle < 180)) {
+      errors.push('L\'angle de la fraisure doit être compris entre 0 et 180°');
+    }
+    if (errors.length === 0 && getCountersinkDepth(profile, diameter) >= depth) {
+      errors.push('La fraisure doit être moins profonde que le perçage');
+    }
+    return errors;
+  }
+
+  const steps = getHoleSteps(params);
+  if (steps.length === 0) {
+    errors.push('Le perçage étagé doit avoir au moins un étage');
+  }
+  steps.forEach((step, i) => {
+    const previous = steps[i - 1];
+    const label = type === 'counterbore' ? 'Le lamage' : `L'étage ${i + 1}`;
+    if (!(step.diameter > diameter)) {
+      errors.push(`${label} doit être plus large que l'avant-trou`);
+    } else if (previous && !(step.diameter < previous.diameter)) {
+      errors.push(`${label} doit être plus étroit que l'étage précédent`);
+    }
+    if (!(step.depth > (previous ? previous.depth : 0))) {
+      errors.push(previous ? `${label} doit être plus profond que l'étage précédent` : `${label} doit avoir une profondeur positive`);
+    } else if (step.depth >= depth) {
+      errors.push(`${label} doit être moins profond que le perçage`);
+    }
+  });
+  return errors;
+}
@@ -0,0 +1,205 @@
+/**
+ * Module de rendu PDF d'une mise en plan
+ * PDF 1.4 vectoriel d'une page, polices standard Helvetica (aucune police embarquée)
+ */
+
+import { LINE_STYLES } from './technicalDrawing.js';
+
+// Conversion mm → points PDF
+const MM_TO_PT = 72 / 25.4;
+
+// Approximation d'un quart de cercle par une courbe de Bézier
+const KAPPA = 0.5522847498;
+
+// Caractères hors Latin-1 disponibles dans l'encodage WinAnsi
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80,
+  '…': 0x85,
+  '–': 0x96,
+  '—': 0x97,
+  '’': 0x92
+};
+
+/**
+ * Formate un nombre pour le flux PDF (2 décimales au plus)
+ * @param {number} value - Valeur
+ * @returns {string} Valeur formatée
+ */
+function formatNumber(value) {
+  return String(Number(value.toFixed(2)));
+}
+
+/**
+ * Encode un texte en WinAnsi et l'échappe pour une chaîne littérale PDF
+ * @param {string} text - Texte
+ * @returns {string} Chaîne PDF (octets 0-255)
+ */
+function encodeText(text) {
+  return [...text].map(char => {
+    const code = char.charCodeAt(0);
+    const byte = WIN_ANSI_EXTRAS[char] ?? (code < 256 ? code : 63);
+    const encoded = String.fromCharCode(byte);
+    return '()\\'.includes(encoded) ? `\\${encoded}` : encoded;
+  }).join('');
+}
+
+/**
+ * Estime la largeur d'un texte en Helvetica (pour l'alignement centré ou à droite)
+ * @param {string} text - Texte
+ * @param {number} size - Hauteur du texte
+ * @param {boolean} bold - Texte gras
+ * @returns {number} Largeur estimée, dans l'unité de size
+ */
+function estimateTextWidth(text, size, bold) {
+  const em = [...text].reduce((sum, char) => {
+    if (char === ' ' || char === '.' || char === ',' || char === ':') return sum + 0.278;
+    if (/[0-9]/.test(char)) return sum + 0.556;
+    if (/[A-ZÀ-ÖØ-Þ]/.test(char)) return sum + 0.667;
+    if (/[a-zß-ÿ]/.test(char)) return sum + 0.5;
+    return sum + 0.584;
+  }, 0);
+  return em * size * (bold ? 1.06 : 1);
+}
+
+/**
+ * Génère le flux de contenu de la page
+ * @param {Object} drawing - Résultat de buildTechnicalDrawing
+ * @returns {string} Flux PDF
+ */
+function buildContentStream(drawing) {
+  const n = formatNumber;
+  const px = (x) => x * MM_TO_PT;
+  const py = (y) => (drawing.height - y) * MM_TO_PT;
+  const ops = ['1 J 1 j 0 G 0 g'];
+  let currentStyle = null;
+
+  const setStyle = (styleName) => {
+    if (styleName === currentStyle) return;
+    currentStyle = styleName;
+    const style = LINE_STYLES[styleName] || LINE_STYLES.thin;
+    const dash = style.dash ? style.dash.map(d => n(d * MM_TO_PT)).join(' ') : '';
+    ops.push(`${n(style.width * MM_TO_PT)} w [${dash}] 0 d`);
+  };
+
+  drawing.items.forEach(item => {
+    switch (item.kind) {
+      case 'line':
+        setStyle(item.style);
+        ops.push(`${n(px(item.x1))} ${n(py(item.y1))} m ${n(px(item.x2))} ${n(py(item.y2))} l S`);
+        break;
+      case 'polyline': {
+        setStyle(item.style);
+        const [first, ...rest] = item.points;
+        ops.push([
+          `${n(px(first.x))} ${n(py(first.y))} m`,
+          ...rest.map(p => `${n(px(p.x))} ${n(py(p.y))} l`),
+          item.closed ? 's' : 'S'
+        ].join(' '));
+        break;
+      }
+      case 'circle': {
+        setStyle(item.style);
+        const cx = px(item.cx);
+        const cy = py(item.cy);
+        const r = item.r * MM_TO_PT;
+        const k = r * KAPPA;
+        ops.push([
+          `${n(cx + r)} ${n(cy)} m`,
+          `${n(cx + r)} ${n(cy + k)} ${n(cx + k)} ${n(cy + r)} ${n(cx)} ${n(cy + r)} c`,
+          `${n(cx - k)} ${n(cy + r)} ${n(cx - r)} ${n(cy + k)} ${n(cx - r)} ${n(cy)} c`,
+          `${n(cx - r)} ${n(cy - k)} ${n(cx - k)} ${n(cy - r)} ${n(cx)} ${n(cy - r)} c`,
+          `${n(cx + k)} ${n(cy - r)} ${n(cx + r)} ${n(cy - k)} ${n(cx + r)} ${n(cy)} c s`
+        ].join(' '));
+        break;
+      }
+      case 'arc': {
+        // Arcs de Bézier d'au plus 90°, sens trigonométrique conservé (axe Y du PDF vers le haut)
+        setStyle(item.style);
+        const cx = px(item.cx);
+        const cy = py(item.cy);
+        const r = item.r * MM_TO_PT;
+        const count = Math.max(1, Math.ceil((item.end - item.start) / (Math.PI / 2) - 1e-9));
+        const step = (item.end - item.start) / count;
+        const k = 4 / 3 * Math.tan(step / 4) * r;
+        const parts = [`${n(cx + r * Math.cos(item.start))} ${n(cy + r * Math.sin(item.start))} m`];
+        for (let i = 0; i < count; i++) {
+          const a = item.start + i * step;
+          const b = a + step;
+          parts.push([
+            n(cx + r * Math.cos(a) - k * Math.sin(a)), n(cy + r * Math.sin(a) + k * Math.cos(a)),
+            n(cx + r * Math.cos(b) + k * Math.sin(b)), n(cy + r * Math.sin(b) - k * Math.cos(b)),
+            n(cx + r * Math.cos(b)), n(cy + r * Math.sin(b)), 'c'
+          ].join(' '));
+        }
+        ops.push(`${parts.join(' ')} S`);
+        break;
+      }
+      case 'text': {
+        const size = item.size * MM_TO_PT;
+        const width = estimateTextWidth(item.text, size, item.bold);
+        const shift = item.anchor === 'middle' ? width / 2 : item.anchor === 'end' ? width : 0;
+        const angle = (item.angle || 0) * Math.PI / 180;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        // Point d'origine décalé le long de la ligne de base selon l'alignement
+        const x = px(item.x) - shift * cos;
+        const y = py(item.y) - shift * sin;
+        ops.push(
+          `BT /${item.bold ? 'F2' : 'F1'} ${n(size)} Tf ` +
+          `${n(cos)} ${n(sin)} ${n(-sin)} ${n(cos)} ${n(x)} ${n(y)} Tm ` +
+          `(${encodeText(item.text)}) Tj ET`
+        );
+        break;
+      }
+      default:
+        break;
+    }
+  });
+
+  return ops.join('\n');
+}
+
+/**
+ * Génère le fichier PDF d'une mise en plan
+ * @param {Object} drawing - Résultat de buildTechnicalDrawing
+ * @param {string} title - Titre du document
+ * @returns {Uint8Array} Contenu du fichier PDF
+ */
+export function renderDrawingPdf(drawing, title = 'Mise en plan') {
+  const width = formatNumber(drawing.width * MM_TO_PT);
+  const height = formatNumber(drawing.height * MM_TO_PT);
+  const content = buildContentStream(drawing);
+
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] ` +
+      '/Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+    `<< /Title (${encodeText(title)}) >>`
+  ];
+
+  // Toutes les chaînes ne contiennent que des octets 0-255 : longueur = nombre d'octets
+  let pdf = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+  const offsets = objects.map((body, i) => {
+    const offset = pdf.length;
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  offsets.forEach(offset => {
+    pdf += `${String(offset).padStart(10, '0')} 00000 n \n`;
+  });
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\n`;
+  pdf += `startxref\n${xrefOffset}\n%%EOF\n`;
+
+  const bytes = new Uint8Array(pdf.length);
+  for (let i = 0; i < pdf.length; i++) {
+    bytes[i] = pdf.charCodeAt(i);
+  }
+  return bytes;
+}
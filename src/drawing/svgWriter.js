@@ -0,0 +1,98 @@
+/**
+ * Module de rendu SVG d'une mise en plan
+ * Les coordonnées de la feuille (mm) sont reprises telles quelles dans le viewBox
+ */
+
+import { LINE_STYLES } from './technicalDrawing.js';
+
+const FONT_FAMILY = 'Helvetica, Arial, sans-serif';
+
+/**
+ * Formate un nombre pour le SVG (3 décimales au plus)
+ * @param {number} value - Valeur
+ * @returns {string} Valeur formatée
+ */
+function formatNumber(value) {
+  return String(Number(value.toFixed(3)));
+}
+
+/**
+ * Échappe un texte pour le XML
+ * @param {string} text - Texte brut
+ * @returns {string} Texte échappé
+ */
+function escapeXml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Attributs de trait d'un style
+ * @param {string} styleName - Clé de LINE_STYLES
+ * @returns {string} Attributs SVG
+ */
+function strokeAttributes(styleName) {
+  const style = LINE_STYLES[styleName] || LINE_STYLES.thin;
+  const dash = style.dash ? ` stroke-dasharray="${style.dash.join(' ')}"` : '';
+  return `fill="none" stroke="#000" stroke-width="${style.width}"${dash}`;
+}
+
+/**
+ * Convertit une primitive en élément SVG
+ * @param {Object} item - Primitive de la mise en plan
+ * @returns {string} Élément SVG
+ */
+function renderItem(item) {
+  const n = formatNumber;
+
+  switch (item.kind) {
+    case 'line':
+      return `<line x1="${n(item.x1)}" y1="${n(item.y1)}" x2="${n(item.x2)}" y2="${n(item.y2)}" ${strokeAttributes(item.style)}/>`;
+    case 'polyline': {
+      const tag = item.closed ? 'polygon' : 'polyline';
+      const points = item.points.map(p => `${n(p.x)},${n(p.y)}`).join(' ');
+      return `<${tag} points="${points}" ${strokeAttributes(item.style)}/>`;
+    }
+    case 'circle':
+      return `<circle cx="${n(item.cx)}" cy="${n(item.cy)}" r="${n(item.r)}" ${strokeAttributes(item.style)}/>`;
+    case 'arc': {
+      // Sens trigonométrique à l'écran : balayage négatif du SVG (axe Y vers le bas)
+      const sweep = item.end - item.start;
+      const x1 = item.cx + item.r * Math.cos(item.start);
+      const y1 = item.cy - item.r * Math.sin(item.start);
+      const x2 = item.cx + item.r * Math.cos(item.end);
+      const y2 = item.cy - item.r * Math.sin(item.end);
+      return `<path d="M${n(x1)} ${n(y1)} A${n(item.r)} ${n(item.r)} 0 ${sweep > Math.PI + 1e-9 ? 1 : 0} 0 ${n(x2)} ${n(y2)}" ${strokeAttributes(item.style)}/>`;
+    }
+    case 'text': {
+      const anchor = item.anchor !== 'start' ? ` text-anchor="${item.anchor}"` : '';
+      const weight = item.bold ? ' font-weight="bold"' : '';
+      // Angle trigonométrique sur la feuille, l'axe Y du SVG étant orienté vers le bas
+      const rotation = item.angle ? ` transform="rotate(${n(-item.angle)} ${n(item.x)} ${n(item.y)})"` : '';
+      return `<text x="${n(item.x)}" y="${n(item.y)}" font-size="${n(item.size)}"${anchor}${weight}${rotation}>${escapeXml(item.text)}</text>`;
+    }
+    default:
+      return '';
+  }
+}
+
+/**
+ * Génère le fichier SVG d'une mise en plan
+ * @param {Object} drawing - Résultat de buildTechnicalDrawing
+ * @returns {string} Contenu du fichier SVG
+ */
+export function renderDrawingSvg(drawing) {
+  const { width, height } = drawing;
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}mm" height="${height}mm" viewBox="0 0 ${width} ${height}">`,
+    `<rect x="0" y="0" width="${width}" height="${height}" fill="#fff"/>`,
+    `<g font-family="${FONT_FAMILY}" stroke-linecap="round" stroke-linejoin="round">`,
+    ...drawing.items.map(renderItem),
+    '</g>',
+    '</svg>'
+  ].join('\n') + '\n';
+}
@@ -0,0 +1,675 @@
+/**
+ * Module de mise en plan (dessin technique 2D)
+ * Construit une feuille A3 en projection européenne : vue de face, vue de dessus, vue de gauche,
+ * cotation en chaîne depuis le coin de référence, nomenclature des découpes et cartouche
+ * Indépendant du navigateur : produit une liste de primitives en mm rendue en SVG ou en PDF
+ *
+ * Repère de la feuille : millimètres, origine en haut à gauche, Y vers le bas
+ * Coin de référence du panneau : comme l'export DXF (X = -longueur/2, Z = +largeur/2)
+ */
+
+import { materials } from '../materials.js';
+import { getCutDepth, isCutThrough, isEdgeCut, PANEL_FACES } from '../csg/cutPlacement.js';
+import { toDxfPoint, getSlotOutline } from '../io/dxfExporter.js';
+import { getCutFootprint, getCutDiameter, getEdgeBoreFootprint } from '../cuts/cutFootprint.js';
+import { getCutTypeLabel, describeHoleProfile, formatMm } from '../cuts/cutDescription.js';
+import { getHoleSection, getHoleSteps } from '../cuts/holeProfile.js';
+import { getGrooveSpan, toRectangularCut } from '../cuts/groove.js';
+import { expandCuts } from '../cuts/cutPattern.js';
+import {
+  PANEL_CORNERS,
+  EDGE_PROFILE_TYPES,
+  EDGE_PROFILE_SIDES,
+  getCornerRadii,
+  getEdgeProfile,
+  getEdgeProfileLayers,
+  getPanelOutline
+} from '../models/panelOutline.js';
+
+// Feuille A3 paysage
+export const SHEET = { width: 420, height: 297, margin: 10 };
+
+// Échelles normalisées, de la plus grande à la plus petite
+export const DRAWING_SCALES = [1, 1 / 2, 1 / 2.5, 1 / 5, 1 / 10, 1 / 20, 1 / 25, 1 / 50];
+
+// Styles de trait (épaisseur en mm, pointillés en mm)
+export const LINE_STYLES = {
+  frame: { width: 0.5 },
+  outline: { width: 0.5 },
+  visible: { width: 0.35 },
+  hidden: { width: 0.25, dash: [3, 1.5] },
+  center: { width: 0.18, dash: [8, 1.5, 1, 1.5] },
+  thin: { width: 0.18 }
+};
+
+// Hauteurs de texte (mm)
+const TEXT_SIZE = 2.5;
+const LABEL_SIZE = 3.5;
+const TITLE_SIZE = 5;
+
+// Réservations de mise en page (mm)
+const DIMENSION_SPACE = 22;
+const VIEW_GAP = 18;
+const ELEVATION_DIMENSIONS = 24;
+const TITLE_BLOCK = { width: 170, height: 36 };
+const TABLE_ROW = 5;
+const TABLE_COLUMNS = [
+  { title: 'Rep.', width: 12 },
+  { title: 'Qté', width: 10 },
+  { title: 'Type', width: 28 },
+  { title: 'Dimensions', width: 50 },
+  { title: 'Profondeur', width: 38 },
+  { title: 'Face', width: 22 }
+];
+
+/**
+ * Formate une date au format JJ/MM/AAAA
+ * @param {Date} date - Date
+ * @returns {string} Date formatée
+ */
+function formatDate(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${pad(date.getDate())}/${pad(date.getMonth() + 1)}/${date.getFullYear()}`;
+}
+
+/**
+ * Formate une échelle (ex: 1:2.5)
+ * @param {number} scale - Échelle
+ * @returns {string} Échelle lisible
+ */
+export function formatScale(scale) {
+  return scale >= 1 ? `${scale}:1` : `1:${Number((1 / scale).toFixed(2))}`;
+}
+
+/**
+ * Crée le collecteur de primitives de la feuille
+ * @returns {Object} Collecteur
+ */
+function createSheet() {
+  const items = [];
+  return {
+    items,
+    line(x1, y1, x2, y2, style = 'thin') {
+      items.push({ kind: 'line', x1, y1, x2, y2, style });
+    },
+    polyline(points, closed, style = 'visible') {
+      items.push({ kind: 'polyline', points, closed, style });
+    },
+    rect(x, y, width, height, style = 'thin') {
+      items.push({
+        kind: 'polyline',
+        points: [{ x, y }, { x: x + width, y }, { x: x + width, y: y + height }, { x, y: y + height }],
+        closed: true,
+        style
+      });
+    },
+    circle(cx, cy, r, style = 'visible') {
+      items.push({ kind: 'circle', cx, cy, r, style });
+    },
+    // Arc trigonométrique sur la feuille (comme l'angle des textes), angles en radians
+    arc(cx, cy, r, start, end, style = 'visible') {
+      items.push({ kind: 'arc', cx, cy, r, start, end, style });
+    },
+    text(x, y, text, { size = TEXT_SIZE, anchor = 'start', angle = 0, bold = false } = {}) {
+      items.push({ kind: 'text', x, y, text: String(text), size, anchor, angle, bold });
+    }
+  };
+}
+
+/**
+ * Cotes d'une découpe dans le tableau des découpes
+ * @param {Object} cut - Découpe simple
+ * @param {Object} panel - Configuration du panneau
+ * @returns {string} Diamètre et profil, longueur × largeur, ou longueur le long du chant × largeur d'une rainure
+ */
+function describeDimensions(cut, panel) {
+  switch (cut.type) {
+    case 'circular':
+      return [`Ø${formatMm(getCutDiameter(cut))}`, describeHoleProfile(cut.params)].filter(Boolean).join(' · ');
+    case 'groove': {
+      const { start, end } = getGrooveSpan(cut.params, panel);
+      return `${formatMm(end - start)} × ${formatMm(cut.params.width)}`;
+    }
+    default:
+      return `${formatMm(cut.params.length)} × ${formatMm(cut.params.width)}` +
+        (cut.params.cornerRadius > 0 ? ` R${formatMm(cut.params.cornerRadius)}` : '');
+  }
+}
+
+/**
+ * Regroupe les découpes identiques (type, dimensions, profondeur, face) sous un même repère
+ * @param {Object[]} cuts - Découpes simples (motifs développés)
+ * @param {Object} panel - Configuration du panneau
+ * @returns {Object[]} Groupes { mark, cuts, type, dimensions, depth, face }
+ */
+function groupCuts(cuts, panel) {
+  const groups = new Map();
+
+  cuts.forEach(cut => {
+    const depth = getCutDepth(cut, panel);
+    const through = isCutThrough(cut, panel);
+    const dimensions = describeDimensions(cut, panel);
+    const type = getCutTypeLabel(cut);
+    // Un perçage de chant garde son chant, même traversant
+    const face = through && !isEdgeCut(cut) ? '—' : (PANEL_FACES[cut.face]?.name || PANEL_FACES.top.name);
+    const depthLabel = through ? 'Traversant' : formatMm(depth);
+    const key = [type, dimensions, depthLabel, face].join('|');
+
+    if (!groups.has(key)) {
+      groups.set(key, {
+        mark: markForIndex(groups.size),
+        cuts: [],
+        type,
+        dimensions,
+        depth: depthLabel,
+        face
+      });
+    }
+    groups.get(key).cuts.push(cut);
+  });
+
+  return [...groups.values()];
+}
+
+/**
+ * Repère alphabétique : A, B, ..., Z, AA, AB...
+ * @param {number} index - Index du groupe
+ * @returns {string} Repère
+ */
+function markForIndex(index) {
+  let mark = '';
+  let n = index;
+  do {
+    mark = String.fromCharCode(65 + (n % 26)) + mark;
+    n = Math.floor(n / 26) - 1;
+  } while (n >= 0);
+  return mark;
+}
+
+/**
+ * Choisit la plus grande échelle normalisée permettant de loger les vues
+ * @param {Object} panel - Configuration du panneau
+ * @returns {number} Échelle
+ */
+function chooseScale(panel) {
+  // Colonne de gauche : vues de face et de dessus ; colonne de droite : vue de gauche et cartouche
+  // Chaque élévation garde à sa droite la place de ses cotes de profondeur
+  const availableWidth = SHEET.width - 2 * SHEET.margin - DIMENSION_SPACE - ELEVATION_DIMENSIONS - TITLE_BLOCK.width;
+  const availableHeight = SHEET.height - 2 * SHEET.margin - 2 * DIMENSION_SPACE - VIEW_GAP;
+
+  return DRAWING_SCALES.find(scale =>
+    panel.length * scale <= availableWidth &&
+    panel.width * scale + panel.thickness * scale <= availableHeight &&
+    panel.width * scale <= TITLE_BLOCK.width - ELEVATION_DIMENSIONS
+  ) || DRAWING_SCALES[DRAWING_SCALES.length - 1];
+}
+
+/**
+ * Ajoute une cote horizontale ou verticale
+ * @param {Object} sheet - Collecteur de primitives
+ * @param {Object} from - Premier point coté (feuille)
+ * @param {Object} to - Second point coté (feuille)
+ * @param {string} orientation - 'horizontal' ou 'vertical'
+ * @param {number} position - Position de la ligne de cote (y si horizontale, x si verticale)
+ * @param {string} label - Texte de la cote
+ * @param {number} textShift - Décalage supplémentaire du texte (cotes courtes en chaîne)
+ */
+function addDimension(sheet, from, to, orientation, position, label, textShift = 0) {
+  const tick = 1.2;
+
+  if (orientation === 'horizontal') {
+    const direction = Math.sign(position - from.y) || 1;
+    sheet.line(from.x, from.y + direction, from.x, position + direction * 1.5);
+    sheet.line(to.x, to.y + direction, to.x, position + direction * 1.5);
+    sheet.line(from.x, position, to.x, position);
+    // Traits obliques aux extrémités (cotation en chaîne)
+    [from.x, to.x].forEach(x => sheet.line(x - tick, position + tick, x + tick, position - tick, 'visible'));
+    sheet.text((from.x + to.x) / 2, position - 1 - textShift, label, { anchor: 'middle' });
+  } else {
+    const direction = Math.sign(position - from.x) || 1;
+    sheet.line(from.x + direction, from.y, position + direction * 1.5, from.y);
+    sheet.line(to.x + direction, to.y, position + direction * 1.5, to.y);
+    sheet.line(position, from.y, position, to.y);
+    [from.y, to.y].forEach(y => sheet.line(position - tick, y + tick, position + tick, y - tick, 'visible'));
+    sheet.text(position - 1 - textShift, (from.y + to.y) / 2, label, { anchor: 'middle', angle: 90 });
+  }
+}
+
+/**
+ * Ajoute une chaîne de cotes entre des abscisses successives
+ * @param {Object} sheet - Collecteur de primitives
+ * @param {number[]} values - Abscisses réelles triées, de 0 à la dimension totale
+ * @param {Function} toSheet - Convertit une abscisse réelle en point de la feuille
+ * @param {string} orientation - 'horizontal' ou 'vertical'
+ * @param {number} position - Position de la ligne de cote
+ */
+function addChainDimensions(sheet, values, toSheet, orientation, position) {
+  let shifted = false;
+  for (let i = 1; i < values.length; i++) {
+    const from = toSheet(values[i - 1]);
+    const to = toSheet(values[i]);
+    const label = formatMm(values[i] - values[i - 1]);
+    const length = orientation === 'horizontal' ? Math.abs(to.x - from.x) : Math.abs(to.y - from.y);
+    // Les cotes trop courtes pour leur texte sont décalées en alternance
+    const tooShort = length < label.length * TEXT_SIZE * 0.6 + 1;
+    shifted = tooShort ? !shifted : false;
+    addDimension(sheet, from, to, orientation, position, label, shifted ? TEXT_SIZE + 0.5 : 0);
+  }
+}
+
+/**
+ * Positions distinctes (arrondies au dixième) incluant 0 et la dimension totale
+ * @param {number[]} values - Positions réelles
+ * @param {number} total - Dimension totale
+ * @returns {number[]} Positions triées
+ */
+function chainValues(values, total) {
+  const rounded = values
+    .map(v => Math.round(v * 10) / 10)
+    .filter(v => v > 0 && v < total);
+  return [0, ...new Set(rounded.sort((a, b) => a - b)), total];
+}
+
+/**
+ * Coupe d'un perçage : demi-section reportée des deux côtés de l'axe
+ * @param {Object[]} section - Demi-section { radius, depth } (voir getHoleSection)
+ * @param {Function} toSheet - (depth, offset) → point de la feuille, offset étant la distance signée à l'axe
+ * @returns {Object[]} Contour fermé
+ */
+function sectionOutline(section, toSheet) {
+  return [
+    ...section.map(p => toSheet(p.depth, -p.radius)),
+    ...section.slice().reverse().map(p => toSheet(p.depth, p.radius))
+  ];
+}
+
+/**
+ * Rayons distincts d'un perçage (avant-trou, fraisure ou étages), vus dans l'axe
+ */
+function sectionRadii(cut, panel) {
+  return [...new Set(getHoleSection(cut.params, getCutDepth(cut, panel)).map(p => p.radius))];
+}
+
+/**
+ * Dessine l'alésage d'un perçage de chant en vue de dessus : caché dans l'épaisseur, avec son axe
+ * Seule la position le long du chant est cotée
+ */
+function drawEdgeBore(sheet, panel, cut, mark, toSheet, xs, ys) {
+  const outline = getEdgeBoreFootprint(cut, panel).map(p => toSheet(toDxfPoint(p.x, p.z, panel)));
+  sheet.polyline(outline, true, 'hidden');
+
+  // Axe de l'alésage, de l'entrée sur le chant jusqu'au fond (milieux des extrémités de la coupe)
+  const half = outline.length / 2;
+  const middle = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+  const entry = middle(outline[0], outline[outline.length - 1]);
+  const end = middle(outline[half - 1], outline[half]);
+  const dx = end.x - entry.x;
+  const dy = end.y - entry.y;
+  const length = Math.hypot(dx, dy) || 1;
+  sheet.line(entry.x - dx / length * 1.5, entry.y - dy / length * 1.5, end.x + dx / length * 1.5, end.y + dy / length * 1.5, 'center');
+  sheet.text(end.x + 0.8, end.y - 0.8, mark, { bold: true });
+
+  const center = toDxfPoint(cut.position?.x || 0, cut.position?.z || 0, panel);
+  if (cut.face === 'front' || cut.face === 'back') {
+    xs.push(center.x);
+  } else {
+    ys.push(center.y);
+  }
+}
+
+/**
+ * Dessine la vue de dessus : contour, découpes, axes des trous, repères et cotes en chaîne
+ */
+function drawTopView(sheet, panel, groups, origin, scale) {
+  const toSheet = (point) => ({ x: origin.x + point.x * scale, y: origin.y - point.y * scale });
+  const L = panel.length * scale;
+  const W = panel.width * scale;
+
+  const outline = (inset) => getPanelOutline(panel, inset).map(p => toSheet(toDxfPoint(p.x, p.z, panel)));
+  sheet.polyline(outline(0), true, 'outline');
+  sheet.text(origin.x, origin.y - W - 4, `Vue de dessus (échelle ${formatScale(scale)})`, { size: LABEL_SIZE, bold: true });
+
+  // Limite du profil de chant sur la face (cachée si le profil n'est qu'au dessous)
+  const profile = getEdgeProfile(panel);
+  if (profile.type !== 'none') {
+    sheet.polyline(outline(profile.size), true, profile.sides === 'bottom' ? 'hidden' : 'thin');
+    const note = `Chants : ${EDGE_PROFILE_TYPES[profile.type].toLowerCase()} ${formatMm(profile.size)} mm (${EDGE_PROFILE_SIDES[profile.sides].toLowerCase()})`;
+    sheet.text(origin.x + L, origin.y - W - 4, note, { anchor: 'end' });
+  }
+
+  // Rayons des angles arrondis, inscrits au centre de l'arc
+  const radii = getCornerRadii(panel);
+  Object.entries(PANEL_CORNERS).forEach(([key, corner]) => {
+    const r = radii[key];
+    if (r <= 0) return;
+    const center = toSheet({
+      x: corner.sx > 0 ? panel.length - r : r,
+      y: corner.sy > 0 ? panel.width - r : r
+    });
+    sheet.text(center.x, center.y + 1, `R${formatMm(r)}`, { anchor: 'middle' });
+  });
+
+  const xs = [];
+  const ys = [];
+
+  groups.forEach(group => {
+    group.cuts.forEach(cut => {
+      if (isEdgeCut(cut)) {
+        drawEdgeBore(sheet, panel, cut, group.mark, toSheet, xs, ys);
+        return;
+      }
+
+      const through = isCutThrough(cut, panel);
+      // Découpes borgnes depuis le dessous : invisibles depuis le dessus
+      const style = cut.face === 'bottom' && !through ? 'hidden' : 'visible';
+      // Rainure : centre du rectangle usiné
+      const position = cut.type === 'groove' ? toRectangularCut(cut, panel).position : cut.position;
+      const center = toDxfPoint(position?.x || 0, position?.z || 0, panel);
+      const sheetCenter = toSheet(center);
+      xs.push(center.x);
+      ys.push(center.y);
+
+      let markRadius;
+      if (cut.type === 'circular') {
+        // Avant-trou et cercles de la fraisure ou des étages
+        const radii = sectionRadii(cut, panel).map(r => r * scale);
+        radii.forEach(r => sheet.circle(sheetCenter.x, sheetCenter.y, r, style));
+        markRadius = Math.max(...radii);
+      } else if (cut.type === 'slot') {
+        // Oblong : deux segments et deux arcs exacts
+        const { lines, arcs } = getSlotOutline(cut, panel);
+        lines.forEach(({ from, to }) => {
+          const a = toSheet(from);
+          const b = toSheet(to);
+          sheet.line(a.x, a.y, b.x, b.y, style);
+        });
+        arcs.forEach(arc => {
+          const c = toSheet(arc.center);
+          sheet.arc(c.x, c.y, arc.radius * scale, arc.start, arc.end, style);
+        });
+        markRadius = cut.params.length / 2 * scale;
+      } else {
+        const outline = getCutFootprint(cut, panel).map(p => toSheet(toDxfPoint(p.x, p.z, panel)));
+        sheet.polyline(outline, true, style);
+        markRadius = Math.max(...outline.map(p => Math.hypot(p.x - sheetCenter.x, p.y - sheetCenter.y)));
+      }
+
+      // Axes de la découpe
+      const axis = markRadius + 1.5;
+      sheet.line(sheetCenter.x - axis, sheetCenter.y, sheetCenter.x + axis, sheetCenter.y, 'center');
+      sheet.line(sheetCenter.x, sheetCenter.y - axis, sheetCenter.x, sheetCenter.y + axis, 'center');
+      sheet.text(sheetCenter.x + markRadius * 0.7 + 0.8, sheetCenter.y - markRadius * 0.7 - 0.8, group.mark, { bold: true });
+    });
+  });
+
+  // Cotes en chaîne depuis le coin de référence, puis cotes d'encombrement
+  const below = origin.y + 9;
+  addChainDimensions(sheet, chainValues(xs, panel.length), (x) => toSheet({ x, y: 0 }), 'horizontal', below);
+  addDimension(sheet, toSheet({ x: 0, y: 0 }), toSheet({ x: panel.length, y: 0 }), 'horizontal', below + 9, formatMm(panel.length));
+
+  const left = origin.x - 9;
+  addChainDimensions(sheet, chainValues(ys, panel.width), (y) => toSheet({ x: 0, y }), 'vertical', left);
+  addDimension(sheet, toSheet({ x: 0, y: 0 }), toSheet({ x: 0, y: panel.width }), 'vertical', left - 9, formatMm(panel.width));
+
+  // Coin de référence
+  sheet.circle(origin.x, origin.y, 1.2, 'visible');
+  sheet.text(origin.x - 2, origin.y + 4, '0', { anchor: 'end' });
+}
+
+/**
+ * Dessine un perçage de chant dans une vue en élévation
+ * Chant vu de face : cercles (cachés sur le chant opposé) ; autres chants : coupe cachée dans l'épaisseur
+ */
+function drawEdgeHoleElevation(sheet, panel, cut, view, toY, scale) {
+  const [min, max] = view.extent(cut);
+  const x1 = view.origin.x + min * scale;
+  const x2 = view.origin.x + max * scale;
+  const y = toY(cut.position?.y || 0);
+
+  if (view.faces.includes(cut.face)) {
+    const cx = (x1 + x2) / 2;
+    const radii = sectionRadii(cut, panel).map(r => r * scale);
+    const r = Math.max(...radii);
+    radii.forEach(radius => sheet.circle(cx, y, radius, cut.face === view.faces[0] ? 'visible' : 'hidden'));
+    sheet.line(cx - r - 1.5, y, cx + r + 1.5, y, 'center');
+    sheet.line(cx, y - r - 1.5, cx, y + r + 1.5, 'center');
+  } else {
+    // Entrée sur l'extrémité de la vue la plus proche du chant percé
+    const fromStart = min < view.span - max;
+    const entry = fromStart ? x1 : x2;
+    const direction = fromStart ? 1 : -1;
+    const section = getHoleSection(cut.params, getCutDepth(cut, panel));
+    sheet.polyline(sectionOutline(section, (depth, offset) => ({ x: entry + direction * depth * scale, y: y + offset * scale })), true, 'hidden');
+    sheet.line(x1 - 1.5, y, x2 + 1.5, y, 'center');
+  }
+}
+
+/**
+ * Dessine une vue en élévation (face ou gauche) : épaisseur et profondeurs des découpes
+ * @param {Object} sheet - Collecteur de primitives
+ * @param {Object} panel - Configuration du panneau
+ * @param {Object[]} cuts - Découpes
+ * @param {Object} view - { origin (coin haut gauche), span (dimension horizontale réelle),
+ *                          extent (cut) → [min, max] horizontaux réels, title,
+ *                          faces : chants vus de face dans la vue [chant visible, chant opposé] }
+ * @param {number} scale - Échelle
+ */
+function drawElevation(sheet, panel, cuts, view, scale) {
+  const { origin, span } = view;
+  const T = panel.thickness * scale;
+  const width = span * scale;
+
+  // Silhouette : le profil de chant rétrécit le contour aux deux extrémités de la vue
+  const layers = getEdgeProfileLayers(panel);
+  const toY = (y) => origin.y + (panel.thickness / 2 - y) * scale;
+  sheet.polyline([
+    ...layers.map(layer => ({ x: origin.x + layer.inset * scale, y: toY(layer.y) })),
+    ...layers.slice().reverse().map(layer => ({ x: origin.x + width - layer.inset * scale, y: toY(layer.y) }))
+  ], true, 'outline');
+  sheet.text(origin.x, origin.y - 4, view.title, { size: LABEL_SIZE, bold: true });
+
+  // Arêtes du profil sur le chant : vives pour un chanfrein, lignes de tangence pour un arrondi
+  const profile = getEdgeProfile(panel);
+  if (profile.type !== 'none') {
+    const style = profile.type === 'chamfer' ? 'visible' : 'thin';
+    const edges = new Set();
+    if (profile.sides !== 'bottom') edges.add(panel.thickness / 2 - profile.size);
+    if (profile.sides !== 'top') edges.add(-panel.thickness / 2 + profile.size);
+    edges.forEach(y => sheet.line(origin.x, toY(y), origin.x + width, toY(y), style));
+  }
+
+  const depths = new Map();
+
+  cuts.forEach(cut => {
+    if (isEdgeCut(cut)) {
+      drawEdgeHoleElevation(sheet, panel, cut, view, toY, scale);
+      return;
+    }
+
+    const depth = getCutDepth(cut, panel);
+    const through = isCutThrough(cut, panel);
+    const [min, max] = view.extent(cut);
+    const x1 = origin.x + min * scale;
+    const x2 = origin.x + max * scale;
+    const fromBottom = cut.face === 'bottom' && !through;
+    const y1 = fromBottom ? origin.y + T - depth * scale : origin.y;
+    const y2 = fromBottom ? origin.y + T : origin.y + (through ? T : depth * scale);
+
+    // Découpes cachées dans l'épaisseur (coupe exacte d'un perçage profilé), axe des trous
+    if (cut.type === 'circular') {
+      const cx = (x1 + x2) / 2;
+      const drilledFromBottom = cut.face === 'bottom';
+      const faceY = drilledFromBottom ? origin.y + T : origin.y;
+      const section = getHoleSection(cut.params, depth);
+      sheet.polyline(sectionOutline(section, (d, offset) => ({
+        x: cx + offset * scale,
+        y: faceY + (drilledFromBottom ? -d : d) * scale
+      })), true, 'hidden');
+      sheet.line(cx, origin.y - 1.5, cx, origin.y + T + 1.5, 'center');
+
+      // Profondeurs des lamages et des étages, cotées depuis la face de perçage
+      getHoleSteps(cut.params).map(step => step.depth).filter(d => d < depth).forEach(d => {
+        depths.set(`${drilledFromBottom ? 'bottom' : 'top'}|${formatMm(d)}`, { depth: d, fromBottom: drilledFromBottom });
+      });
+    } else {
+      sheet.rect(x1, y1, x2 - x1, y2 - y1, 'hidden');
+    }
+
+    if (!through) {
+      depths.set(`${fromBottom ? 'bottom' : 'top'}|${formatMm(depth)}`, { depth, fromBottom });
+    }
+  });
+
+  // Cote d'épaisseur puis profondeurs des découpes borgnes, à droite de la vue
+  let position = origin.x + width + 6;
+  addDimension(sheet, { x: origin.x + width, y: origin.y }, { x: origin.x + width, y: origin.y + T }, 'vertical', position, formatMm(panel.thickness));
+
+  [...depths.values()]
+    .sort((a, b) => a.depth - b.depth)
+    .forEach(({ depth, fromBottom }) => {
+      position += 6;
+      const faceY = fromBottom ? origin.y + T : origin.y;
+      const bottomY = fromBottom ? faceY - depth * scale : faceY + depth * scale;
+      addDimension(sheet, { x: origin.x + width, y: faceY }, { x: origin.x + width, y: bottomY }, 'vertical', position, formatMm(depth));
+    });
+}
+
+/**
+ * Dessine la nomenclature des découpes (groupes repérés)
+ * @returns {number} Nombre de groupes non affichés faute de place
+ */
+function drawCutTable(sheet, groups, origin, maxRows) {
+  const width = TABLE_COLUMNS.reduce((sum, column) => sum + column.width, 0);
+  const rows = groups.length > maxRows ? groups.slice(0, Math.max(maxRows - 1, 0)) : groups;
+  const hidden = groups.length - rows.length;
+  const rowCount = rows.length + (hidden > 0 ? 1 : 0);
+
+  sheet.text(origin.x, origin.y - 3, 'Nomenclature des découpes', { size: LABEL_SIZE, bold: true });
+  sheet.rect(origin.x, origin.y, width, TABLE_ROW * (rowCount + 1), 'visible');
+
+  const writeRow = (cells, y, bold = false) => {
+    let x = origin.x;
+    cells.forEach((cell, i) => {
+      sheet.text(x + 1.5, y + TABLE_ROW - 1.5, cell, { bold });
+      x += TABLE_COLUMNS[i].width;
+    });
+    sheet.line(origin.x, y + TABLE_ROW, origin.x + width, y + TABLE_ROW);
+  };
+
+  writeRow(TABLE_COLUMNS.map(column => column.title), origin.y, true);
+  rows.forEach((group, i) => {
+    writeRow([group.mark, group.cuts.length, group.type, group.dimensions, group.depth, group.face], origin.y + TABLE_ROW * (i + 1));
+  });
+  if (hidden > 0) {
+    writeRow(['…', '', `${hidden} autre(s) repère(s)`, '', '', ''], origin.y + TABLE_ROW * (rows.length + 1));
+  }
+
+  let x = origin.x;
+  TABLE_COLUMNS.slice(0, -1).forEach(column => {
+    x += column.width;
+    sheet.line(x, origin.y, x, origin.y + TABLE_ROW * (rowCount + 1));
+  });
+
+  return hidden;
+}
+
+/**
+ * Dessine le cartouche
+ */
+function drawTitleBlock(sheet, panel, cutCount, scale, date) {
+  const x = SHEET.width - SHEET.margin - TITLE_BLOCK.width;
+  const y = SHEET.height - SHEET.margin - TITLE_BLOCK.height;
+  const material = materials[panel.material]?.name || panel.material;
+  const half = TITLE_BLOCK.width / 2;
+  const row = TITLE_BLOCK.height / 4;
+
+  sheet.rect(x, y, TITLE_BLOCK.width, TITLE_BLOCK.height, 'frame');
+  sheet.line(x, y + row * 1.5, x + TITLE_BLOCK.width, y + row * 1.5);
+  sheet.line(x, y + row * 2.5, x + TITLE_BLOCK.width, y + row * 2.5);
+  sheet.line(x + half, y + row * 1.5, x + half, y + TITLE_BLOCK.height);
+
+  sheet.text(x + 3, y + row * 1.5 - 3.5, `Panneau ${formatMm(panel.length)} × ${formatMm(panel.width)} × ${formatMm(panel.thickness)} mm`, { size: TITLE_SIZE, bold: true });
+  sheet.text(x + 3, y + row * 2.5 - 2.5, `Matériau : ${material}`, { size: LABEL_SIZE });
+  sheet.text(x + half + 3, y + row * 2.5 - 2.5, `Épaisseur : ${formatMm(panel.thickness)} mm`, { size: LABEL_SIZE });
+  sheet.text(x + 3, y + row * 3.5 - 2, `Date : ${formatDate(date)}`, { size: LABEL_SIZE });
+  sheet.text(x + half + 3, y + row * 3.5 - 2, `Échelle : ${formatScale(scale)} · ${cutCount} découpe(s)`, { size: LABEL_SIZE });
+  sheet.text(x + TITLE_BLOCK.width - 2, y + TITLE_BLOCK.height - 1.5, 'Cotes en mm · projection européenne', { size: 2, anchor: 'end' });
+}
+
+/**
+ * Construit la mise en plan du panneau et de ses découpes
+ * @param {Object} config - Configuration ({ panel, cuts })
+ * @param {Object} options - Options
+ * @param {Date} options.date - Date portée au cartouche
+ * @returns {Object} { width, height, scale, items, hiddenGroups }
+ */
+export function buildTechnicalDrawing(config, { date = new Date() } = {}) {
+  const { panel } = config;
+  const scale = chooseScale(panel);
+  // Chaque occurrence d'un motif est cotée et comptée comme une découpe
+  const cuts = expandCuts(config.cuts);
+  const groups = groupCuts(cuts, panel);
+  const sheet = createSheet();
+
+  // Cadre
+  sheet.rect(SHEET.margin, SHEET.margin, SHEET.width - 2 * SHEET.margin, SHEET.height - 2 * SHEET.margin, 'frame');
+
+  // Projection européenne : vue de face en haut, vue de dessus dessous, vue de gauche à droite de la vue de face
+  const left = SHEET.margin + DIMENSION_SPACE;
+  const frontTop = SHEET.margin + 14;
+  const topViewBottom = frontTop + panel.thickness * scale + VIEW_GAP + panel.width * scale;
+  const sideLeft = SHEET.width - SHEET.margin - TITLE_BLOCK.width;
+
+  // Emprise en vue de dessus ; projection de l'alésage pour un perçage de chant
+  const bounds = (cut) => {
+    const footprint = isEdgeCut(cut) ? getEdgeBoreFootprint(cut, panel) : getCutFootprint(cut, panel);
+    const points = footprint.map(p => toDxfPoint(p.x, p.z, panel));
+    return {
+      minX: Math.min(...points.map(p => p.x)),
+      maxX: Math.max(...points.map(p => p.x)),
+      minY: Math.min(...points.map(p => p.y)),
+      maxY: Math.max(...points.map(p => p.y))
+    };
+  };
+
+  drawElevation(sheet, panel, cuts, {
+    origin: { x: left, y: frontTop },
+    span: panel.length,
+    extent: (cut) => {
+      const b = bounds(cut);
+      return [b.minX, b.maxX];
+    },
+    faces: ['front', 'back'],
+    title: 'Vue de face'
+  }, scale);
+
+  // Vue de gauche : l'observateur regarde vers +X, l'avant du panneau (Y = 0) est à droite
+  drawElevation(sheet, panel, cuts, {
+    origin: { x: sideLeft, y: frontTop },
+    span: panel.width,
+    extent: (cut) => {
+      const b = bounds(cut);
+      return [panel.width - b.maxY, panel.width - b.minY];
+    },
+    faces: ['left', 'right'],
+    title: 'Vue de gauche'
+  }, scale);
+
+  drawTopView(sheet, panel, groups, { x: left, y: topViewBottom }, scale);
+
+  // Nomenclature entre la vue de gauche et le cartouche
+  const tableTop = frontTop + panel.thickness * scale + VIEW_GAP;
+  const tableBottom = SHEET.height - SHEET.margin - TITLE_BLOCK.height - 4;
+  const maxRows = Math.floor((tableBottom - tableTop) / TABLE_ROW) - 1;
+  const hiddenGroups = drawCutTable(sheet, groups, { x: sideLeft, y: tableTop }, maxRows);
+
+  drawTitleBlock(sheet, panel, cuts.length, scale, date);
+
+  return {
+    width: SHEET.width,
+    height: SHEET.height,
+    scale,
+    items: sheet.items,
+    hiddenGroups
+  };
+}
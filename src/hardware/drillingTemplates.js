@@ -0,0 +1,445 @@
+/**
+ * Module des gabarits de perçage de quincaillerie (charnières, excentriques, tourillons, coulisses, poignées)
+ * Les gabarits viennent d'un catalogue JSON : chaque gabarit déclare ses paramètres et ses trous,
+ * dont les cotes sont des expressions des paramètres ("cupDistance + 17.5"). Indépendant du navigateur
+ *
+ * Repère d'un gabarit : le long du chant de référence (along, depuis le point de pose)
+ * et vers l'intérieur du panneau (offset, depuis le chant)
+ * Les trous de chant sont percés dans le chant de référence, au milieu de l'épaisseur
+ */
+
+import { createCircularCut } from '../cuts/cutFactory.js';
+import { PANEL_FACES, getFaceSpan } from '../csg/cutPlacement.js';
+import { PANEL_EDGES } from '../models/edgeBanding.js';
+import { MAX_PATTERN_INSTANCES } from '../cuts/cutPattern.js';
+import { HOLE_PROFILE_TYPES, validateHoleProfile } from '../cuts/holeProfile.js';
+import defaultCatalog from './hardwareCatalog.json';
+
+// Identifiant du format des catalogues de quincaillerie
+export const HARDWARE_CATALOG_FORMAT = 'panel-configurator-hardware';
+
+// Catalogue livré avec l'application
+export const DEFAULT_HARDWARE_CATALOG = defaultCatalog;
+
+// Surfaces d'un trou : la face choisie à la pose ou le chant de référence
+export const HOLE_SURFACES = {
+  face: 'Face',
+  edge: 'Chant'
+};
+
+/**
+ * Repère de chaque chant de référence dans le panneau (vue de dessus)
+ * along : sens positif le long du chant (vers +X, ou vers l'avant pour les chants latéraux)
+ * inward : de ce chant vers l'intérieur du panneau
+ */
+const EDGE_FRAMES = {
+  front: { origin: (l, w) => ({ x: 0, z: w / 2 }), along: { x: 1, z: 0 }, inward: { x: 0, z: -1 } },
+  back: { origin: (l, w) => ({ x: 0, z: -w / 2 }), along: { x: 1, z: 0 }, inward: { x: 0, z: 1 } },
+  left: { origin: (l) => ({ x: -l / 2, z: 0 }), along: { x: 0, z: 1 }, inward: { x: 1, z: 0 } },
+  right: { origin: (l) => ({ x: l / 2, z: 0 }), along: { x: 0, z: 1 }, inward: { x: -1, z: 0 } }
+};
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Découpe une expression en jetons (nombres, identifiants, opérateurs, parenthèses)
+ * @param {string} text - Expression
+ * @returns {string[]} Jetons
+ */
+function tokenize(text) {
+  const tokens = text.match(/\d+(?:\.\d+)?|\.\d+|[A-Za-z_][A-Za-z0-9_]*|[-+*/()]|\S/g) || [];
+  const invalid = tokens.find(token => !/^(?:[\d.]|[A-Za-z_]|[-+*/()])/.test(token));
+  if (invalid) {
+    throw new Error(`caractère inattendu "${invalid}"`);
+  }
+  return tokens;
+}
+
+/**
+ * Évalue une cote de gabarit : nombre, ou expression des paramètres avec + - * / et parenthèses
+ * @param {number|string} expression - Cote
+ * @param {Object} values - Valeurs des paramètres { clé: nombre }
+ * @returns {number} Valeur (mm)
+ * @throws {Error} Expression invalide ou paramètre inconnu
+ */
+export function evaluateExpression(expression, values) {
+  if (typeof expression === 'number') return expression;
+  if (typeof expression !== 'string') {
+    throw new Error('doit être un nombre ou une expression');
+  }
+
+  const tokens = tokenize(expression);
+  let index = 0;
+
+  const parseFactor = () => {
+    const token = tokens[index++];
+    if (token === '-') return -parseFactor();
+    if (token === '+') return parseFactor();
+    if (token === '(') {
+      const value = parseSum();
+      if (tokens[index++] !== ')') throw new Error('parenthèse fermante manquante');
+      return value;
+    }
+    if (token !== undefined && IDENTIFIER.test(token)) {
+      if (!(token in values)) throw new Error(`paramètre inconnu "${token}"`);
+      return values[token];
+    }
+    const number = parseFloat(token);
+    if (!Number.isFinite(number)) throw new Error(token === undefined ? 'expression incomplète' : `jeton inattendu "${token}"`);
+    return number;
+  };
+
+  const parseProduct = () => {
+    let value = parseFactor();
+    while (tokens[index] === '*' || tokens[index] === '/') {
+      value = tokens[index++] === '*' ? value * parseFactor() : value / parseFactor();
+    }
+    return value;
+  };
+
+  const parseSum = () => {
+    let value = parseProduct();
+    while (tokens[index] === '+' || tokens[index] === '-') {
+      value = tokens[index++] === '+' ? value + parseProduct() : value - parseProduct();
+    }
+    return value;
+  };
+
+  const value = parseSum();
+  if (index < tokens.length) {
+    throw new Error(`jeton inattendu "${tokens[index]}"`);
+  }
+  if (!Number.isFinite(value)) {
+    throw new Error('résultat non fini');
+  }
+  return value;
+}
+
+/**
+ * Valeurs par défaut des paramètres d'un gabarit
+ * @param {Object} template - Gabarit du catalogue
+ * @returns {Object} { clé: valeur }
+ */
+export function getTemplateDefaults(template) {
+  return Object.fromEntries(template.params.map(param => [param.key, param.default]));
+}
+
+/**
+ * Valide les valeurs saisies pour les paramètres d'un gabarit
+ * @param {Object} template - Gabarit du catalogue
+ * @param {Object} values - Valeurs { clé: nombre }
+ * @returns {string[]} Messages d'erreur (vide si les valeurs sont valides)
+ */
+export function validateTemplateParams(template, values) {
+  const errors = [];
+
+  template.params.forEach(param => {
+    const value = values[param.key];
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      errors.push(`${param.label} : doit être un nombre`);
+    } else if (param.options && !param.options.includes(value)) {
+      errors.push(`${param.label} : valeurs possibles ${param.options.join(', ')}`);
+    } else if (param.integer && !Number.isInteger(value)) {
+      errors.push(`${param.label} : doit être un entier`);
+    } else if ((param.min !== undefined && value < param.min) || (param.max !== undefined && value > param.max)) {
+      errors.push(`${param.label} : doit être entre ${param.min ?? '-∞'} et ${param.max ?? '∞'} (valeur: ${value})`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Cotes d'un trou du gabarit pour des valeurs de paramètres
+ * @param {Object} hole - Trou du catalogue
+ * @param {Object} values - Valeurs des paramètres
+ * @returns {Object} { surface, diameter, depth, through, along, offset, repeat, profile }
+ * @throws {Error} Expression invalide
+ */
+function evaluateHole(hole, values) {
+  const evaluate = (key, expression) => {
+    try {
+      return evaluateExpression(expression, values);
+    } catch (error) {
+      throw new Error(`${key} : ${error.message}`);
+    }
+  };
+
+  // Profil : cotes évaluées comme celles du trou (étages compris), le type est conservé
+  const evaluateProfile = (profile) => Object.fromEntries(Object.entries(profile).map(([key, value]) => {
+    if (key === 'type') return [key, value];
+    if (key === 'steps') {
+      return [key, value.map((step, i) => ({
+        diameter: evaluate(`profile.steps[${i}].diameter`, step.diameter),
+        depth: evaluate(`profile.steps[${i}].depth`, step.depth)
+      }))];
+    }
+    return [key, evaluate(`profile.${key}`, value)];
+  }));
+
+  return {
+    surface: hole.face || 'face',
+    diameter: evaluate('diameter', hole.diameter),
+    depth: hole.through ? null : evaluate('depth', hole.depth),
+    through: !!hole.through,
+    along: evaluate('along', hole.along ?? 0),
+    offset: hole.face === 'edge' ? 0 : evaluate('offset', hole.offset ?? 0),
+    repeat: hole.repeat
+      ? { count: evaluate('repeat.count', hole.repeat.count), pitch: evaluate('repeat.pitch', hole.repeat.pitch) }
+      : null,
+    profile: hole.profile ? evaluateProfile(hole.profile) : null
+  };
+}
+
+/**
+ * Messages d'erreur sur les cotes évaluées d'un trou
+ * @param {Object} hole - Trou évalué par evaluateHole
+ * @returns {string[]} Messages d'erreur
+ */
+function checkHole(hole) {
+  const errors = [];
+  if (hole.diameter <= 0) errors.push('diamètre : doit être positif');
+  if (!hole.through && hole.depth <= 0) errors.push('profondeur : doit être positive (ou trou traversant)');
+  if (hole.repeat) {
+    if (!Number.isInteger(hole.repeat.count) || hole.repeat.count < 1 || hole.repeat.count > MAX_PATTERN_INSTANCES) {
+      errors.push(`répétition : le nombre doit être un entier entre 1 et ${MAX_PATTERN_INSTANCES}`);
+    }
+    if (hole.repeat.pitch <= 0) errors.push('répétition : le pas doit être positif');
+  }
+  // Trou traversant : profondeur connue à la pose seulement
+  if (hole.profile) {
+    validateHoleProfile(hole, hole.through ? Infinity : hole.depth).forEach(message => errors.push(`profil : ${message}`));
+  }
+  return errors;
+}
+
+/**
+ * Génère les découpes d'un gabarit posé sur le panneau
+ * @param {Object} template - Gabarit du catalogue
+ * @param {Object} values - Valeurs des paramètres, supposées valides
+ * @param {Object} placement - Pose du gabarit
+ * @param {string} placement.face - Face percée par les trous de face ('top' ou 'bottom')
+ * @param {string} placement.edge - Chant de référence ('front', 'back', 'left' ou 'right'), percé par les trous de chant
+ * @param {number} placement.position - Position le long du chant, depuis son milieu (mm)
+ * @param {Object} panel - Configuration du panneau
+ * @returns {Object} { cuts, errors }
+ */
+export function buildTemplateCuts(template, values, { face, edge, position }, panel) {
+  const edgeKey = EDGE_FRAMES[edge] ? edge : 'front';
+  const frame = EDGE_FRAMES[edgeKey];
+  const origin = frame.origin(panel.length, panel.width);
+  const cuts = [];
+  const errors = [];
+
+  template.holes.forEach((definition, index) => {
+    let hole;
+    try {
+      hole = evaluateHole(definition, values);
+    } catch (error) {
+      errors.push(`Trou ${index + 1} : ${error.message}`);
+      return;
+    }
+    checkHole(hole).forEach(message => errors.push(`Trou ${index + 1} : ${message}`));
+
+    // Trou de chant : le long du chant, au milieu de l'épaisseur ; trou de face : sur la face choisie
+    const onEdge = hole.surface === 'edge';
+    const holeFace = onEdge ? edgeKey : (PANEL_FACES[face] && !PANEL_FACES[face].edge ? face : 'top');
+    const along = position + hole.along;
+    const cut = createCircularCut({
+      diameter: hole.diameter,
+      depth: hole.through ? getFaceSpan(holeFace, panel) : hole.depth,
+      through: hole.through,
+      profile: hole.profile,
+      face: holeFace,
+      x: origin.x + along * frame.along.x + hole.offset * frame.inward.x,
+      y: 0,
+      z: origin.z + along * frame.along.z + hole.offset * frame.inward.z
+    });
+
+    if (hole.repeat && hole.repeat.count > 1) {
+      // Répétition le long du chant : direction trigonométrique de la vue de dessus (z = -y),
+      // ou premier axe du repère du chant pour un trou de chant
+      cut.pattern = {
+        type: 'linear',
+        count: hole.repeat.count,
+        pitch: hole.repeat.pitch,
+        angle: onEdge ? 0 : Math.atan2(-frame.along.z, frame.along.x)
+      };
+    }
+    cuts.push(cut);
+  });
+
+  return { cuts, errors };
+}
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Valide un paramètre de gabarit
+ * @param {Object} param - Paramètre du catalogue
+ * @param {string} field - Chemin du champ
+ * @param {Function} addError - Ajoute une erreur (champ, message)
+ */
+function validateParamDefinition(param, field, addError) {
+  if (typeof param?.key !== 'string' || !IDENTIFIER.test(param.key)) {
+    addError(`${field}.key`, 'Doit être un identifiant (lettres, chiffres, _)');
+  }
+  if (typeof param?.label !== 'string' || param.label.trim() === '') {
+    addError(`${field}.label`, 'Libellé manquant');
+  }
+  if (!isNumber(param?.default)) {
+    addError(`${field}.default`, 'Doit être un nombre');
+  }
+  ['min', 'max'].forEach(key => {
+    if (param?.[key] !== undefined && !isNumber(param[key])) {
+      addError(`${field}.${key}`, 'Doit être un nombre');
+    }
+  });
+  if (param?.options !== undefined && (!Array.isArray(param.options) || param.options.length === 0 || !param.options.every(isNumber))) {
+    addError(`${field}.options`, 'Doit être une liste de nombres');
+  }
+}
+
+/**
+ * Valide un gabarit : paramètres, trous et cotes évaluées avec les valeurs par défaut
+ * @param {Object} template - Gabarit
+ * @param {string} field - Chemin du champ (ex: "templates[2]")
+ * @param {Function} addError - Ajoute une erreur (champ, message)
+ */
+function validateTemplate(template, field, addError) {
+  if (!template || typeof template !== 'object') {
+    addError(field, 'Gabarit invalide');
+    return;
+  }
+
+  if (typeof template.id !== 'string' || template.id === '') {
+    addError(`${field}.id`, 'Identifiant manquant');
+  }
+  if (typeof template.name !== 'string' || template.name.trim() === '') {
+    addError(`${field}.name`, 'Nom manquant');
+  }
+
+  if (!Array.isArray(template.params)) {
+    addError(`${field}.params`, 'Doit être une liste de paramètres');
+    return;
+  }
+  // Les cotes ne sont évaluées que si les définitions sont correctes
+  let hasDefinitionErrors = false;
+  const addDefinitionError = (key, message) => {
+    hasDefinitionErrors = true;
+    addError(key, message);
+  };
+  template.params.forEach((param, index) => validateParamDefinition(param, `${field}.params[${index}]`, addDefinitionError));
+
+  if (!Array.isArray(template.holes) || template.holes.length === 0) {
+    addError(`${field}.holes`, 'Doit être une liste d\'au moins un trou');
+    return;
+  }
+  template.holes.forEach((hole, index) => {
+    if (hole?.face !== undefined && !HOLE_SURFACES[hole.face]) {
+      addDefinitionError(`${field}.holes[${index}].face`, `Surface inconnue: "${hole.face}". Surfaces connues: ${Object.keys(HOLE_SURFACES).join(', ')}`);
+    }
+    const profileTypes = Object.keys(HOLE_PROFILE_TYPES).filter(key => key !== 'straight');
+    if (hole?.profile !== undefined && !profileTypes.includes(hole.profile?.type)) {
+      addDefinitionError(`${field}.holes[${index}].profile`, `Profil inconnu: "${hole.profile?.type}". Profils connus: ${profileTypes.join(', ')}`);
+    } else if (hole?.profile?.type === 'stepped' && !Array.isArray(hole.profile.steps)) {
+      addDefinitionError(`${field}.holes[${index}].profile.steps`, 'Doit être une liste d\'étages');
+    }
+  });
+  if (hasDefinitionErrors) return;
+
+  // Cotes évaluées avec les valeurs par défaut : expressions et paramètres référencés
+  const defaults = getTemplateDefaults(template);
+  validateTemplateParams(template, defaults).forEach(message => addError(`${field}.params`, `Valeur par défaut invalide : ${message}`));
+  template.holes.forEach((hole, index) => {
+    const holeField = `${field}.holes[${index}]`;
+    try {
+      checkHole(evaluateHole(hole, defaults)).forEach(message => addError(holeField, message));
+    } catch (error) {
+      addError(holeField, error.message);
+    }
+  });
+}
+
+/**
+ * Valide un catalogue de quincaillerie
+ * @param {Object} catalog - Catalogue lu depuis un fichier
+ * @returns {Object} { isValid, errors } ; errors : [{ field, message }]
+ */
+export function validateHardwareCatalog(catalog) {
+  const errors = [];
+  const addError = (field, message) => errors.push({ field, message });
+
+  if (!Array.isArray(catalog.templates) || catalog.templates.length === 0) {
+    addError('templates', 'Doit être une liste d\'au moins un gabarit');
+  } else {
+    const seenIds = new Set();
+    catalog.templates.forEach((template, index) => {
+      validateTemplate(template, `templates[${index}]`, addError);
+      if (template?.id && seenIds.has(template.id)) {
+        addError(`templates[${index}].id`, `Identifiant en double: "${template.id}"`);
+      }
+      seenIds.add(template?.id);
+    });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Lit et valide un fichier de catalogue de quincaillerie
+ * @param {string} text - Contenu JSON du fichier
+ * @returns {Object} { catalog, errors } ; catalog est null si le fichier est invalide
+ */
+export function parseHardwareCatalog(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { catalog: null, errors: [{ field: 'fichier', message: `JSON invalide: ${error.message}` }] };
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { catalog: null, errors: [{ field: 'fichier', message: 'Le fichier ne contient pas de catalogue' }] };
+  }
+
+  if (data.format !== undefined && data.format !== HARDWARE_CATALOG_FORMAT) {
+    return { catalog: null, errors: [{ field: 'format', message: `Format inconnu: "${data.format}"` }] };
+  }
+
+  const validation = validateHardwareCatalog(data);
+  if (!validation.isValid) {
+    return { catalog: null, errors: validation.errors };
+  }
+
+  return { catalog: { ...data, format: HARDWARE_CATALOG_FORMAT }, errors: [] };
+}
+
+/**
+ * Complète un catalogue avec les gabarits d'un autre ; un gabarit de même identifiant est remplacé
+ * @param {Object} catalog - Catalogue courant
+ * @param {Object} extension - Catalogue chargé
+ * @returns {Object} Nouveau catalogue
+ */
+export function mergeHardwareCatalogs(catalog, extension) {
+  const replaced = catalog.templates.map(template => extension.templates.find(t => t.id === template.id) || template);
+  const added = extension.templates.filter(template => !catalog.templates.some(t => t.id === template.id));
+  return {
+    ...catalog,
+    name: `${catalog.name} + ${extension.name || 'catalogue chargé'}`,
+    templates: [...replaced, ...added]
+  };
+}
+
+/**
+ * Chants de référence proposés à la pose
+ * @returns {Object} { clé: nom } dans l'ordre des chants du panneau
+ */
+export function getTemplateEdges() {
+  return Object.fromEntries(Object.entries(PANEL_EDGES).map(([key, edge]) => [key, edge.name]));
+}
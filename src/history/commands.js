@@ -0,0 +1,202 @@
+/**
+ * Module des commandes annulables appliquées à la configuration
+ * Chaque commande mémorise l'état avant/après pour pouvoir être annulée puis rétablie
+ */
+
+import { cloneCut } from '../cuts/cutOperations.js';
+
+/**
+ * Extrait les valeurs actuelles des clés modifiées
+ * @param {Object} target - Objet source
+ * @param {Object} changes - Nouvelles valeurs
+ * @returns {Object} Anciennes valeurs pour les mêmes clés
+ */
+function pickPrevious(target, changes) {
+  const previous = {};
+  Object.keys(changes).forEach(key => {
+    previous[key] = target[key];
+  });
+  return previous;
+}
+
+/**
+ * Crée une commande modifiant des propriétés d'un objet de la configuration
+ * @param {Object} target - Objet modifié en place (config.panel, config.grid...)
+ * @param {Object} changes - Nouvelles valeurs
+ * @param {string} label - Libellé affiché dans l'historique
+ * @param {Function} onApplied - Appelée après exécution et annulation (rafraîchissement)
+ * @returns {Object|null} Commande, ou null si aucune valeur ne change
+ */
+function createPropertyCommand(target, changes, label, onApplied) {
+  const before = pickPrevious(target, changes);
+  const after = { ...changes };
+
+  if (Object.keys(after).every(key => before[key] === after[key])) {
+    return null;
+  }
+
+  return {
+    label,
+    execute() {
+      Object.assign(target, after);
+      onApplied?.();
+    },
+    undo() {
+      Object.assign(target, before);
+      onApplied?.();
+    }
+  };
+}
+
+/**
+ * Crée une commande de modification du panneau (dimensions, matériau, épaisseur)
+ * @param {Object} config - Configuration de l'application
+ * @param {Object} changes - Nouvelles valeurs de config.panel
+ * @param {Function} onApplied - Rafraîchissement après application
+ * @returns {Object|null} Commande, ou null si rien ne change
+ */
+export function createPanelCommand(config, changes, onApplied) {
+  return createPropertyCommand(config.panel, changes, 'Modification du panneau', onApplied);
+}
+
+/**
+ * Crée une commande de modification des paramètres de grille
+ * @param {Object} config - Configuration de l'application
+ * @param {Object} changes - Nouvelles valeurs de config.grid
+ * @param {Function} onApplied - Rafraîchissement après application
+ * @returns {Object|null} Commande, ou null si rien ne change
+ */
+export function createGridCommand(config, changes, onApplied) {
+  return createPropertyCommand(config.grid, changes, 'Paramètres de grille', onApplied);
+}
+
+/**
+ * Remplace le contenu de config.cuts en conservant l'identité du tableau
+ * @param {Object[]} cuts - Tableau des découpes
+ * @param {Object[]} snapshot - Découpes à restaurer
+ */
+function restoreCuts(cuts, snapshot) {
+  cuts.splice(0, cuts.length, ...snapshot.map(cloneCut));
+}
+
+/**
+ * Crée une commande modifiant la liste des découpes
+ * La modification est calculée une seule fois, sur une copie ; l'exécution et les rétablissements restaurent son résultat
+ * @param {Object} config - Configuration de l'application
+ * @param {string} label - Libellé affiché dans l'historique
+ * @param {Function} mutate - Modifie en place la copie de config.cuts qui lui est passée
+ * @param {Function} onApplied - Rafraîchissement après application
+ * @returns {Object|null} Commande, ou null si la liste des découpes ne change pas
+ */
+export function createCutsCommand(config, label, mutate, onApplied) {
+  // Découpes de la pièce active au moment de la modification, même si une autre pièce est activée ensuite
+  const cuts = config.cuts;
+  const before = cuts.map(cloneCut);
+  const after = before.map(cloneCut);
+  mutate(after);
+
+  if (JSON.stringify(after) === JSON.stringify(before)) {
+    return null;
+  }
+
+  return {
+    label,
+    execute() {
+      restoreCuts(cuts, after);
+      onApplied?.();
+    },
+    undo() {
+      restoreCuts(cuts, before);
+      onApplied?.();
+    }
+  };
+}
+
+/**
+ * Crée une commande modifiant une pièce de l'assemblage (nom, visibilité, transformation)
+ * @param {Object} part - Pièce modifiée en place
+ * @param {Object} changes - Nouvelles valeurs
+ * @param {string} label - Libellé affiché dans l'historique
+ * @param {Function} onApplied - Rafraîchissement après application
+ * @returns {Object|null} Commande, ou null si rien ne change
+ */
+export function createPartCommand(part, changes, label, onApplied) {
+  return createPropertyCommand(part, changes, label, onApplied);
+}
+
+/**
+ * Crée une commande ajoutant une pièce à l'assemblage
+ * La même pièce est réinsérée à chaque rétablissement : les commandes qui la visent restent valables
+ * @param {Object} config - Configuration de l'application
+ * @param {Object} part - Pièce à ajouter
+ * @param {Function} onApplied - Rafraîchissement après application
+ * @returns {Object} Commande
+ */
+export function createAddPartCommand(config, part, onApplied) {
+  const { assembly } = config;
+
+  return {
+    label: 'Ajout d\'une pièce',
+    execute() {
+      assembly.parts.push(part);
+      onApplied?.();
+    },
+    undo() {
+      assembly.parts.splice(assembly.parts.indexOf(part), 1);
+      onApplied?.();
+    }
+  };
+}
+
+/**
+ * Crée une commande retirant une pièce de l'assemblage (réinsérée à sa place par l'annulation)
+ * @param {Object} config - Configuration de l'application
+ * @param {Object} part - Pièce à retirer
+ * @param {Function} onApplied - Rafraîchissement après application
+ * @returns {Object} Commande
+ */
+export function createRemovePartCommand(config, part, onApplied) {
+  const { assembly } = config;
+  const index = assembly.parts.indexOf(part);
+
+  return {
+    label: 'Suppression d\'une pièce',
+    execute() {
+      assembly.parts.splice(assembly.parts.indexOf(part), 1);
+      onApplied?.();
+    },
+    undo() {
+      assembly.parts.splice(index, 0, part);
+      onApplied?.();
+    }
+  };
+}
+
+/**
+ * Crée une commande remplaçant les pièces de l'assemblage par celles d'un caisson généré
+ * Les pièces remplacées sont restaurées telles quelles par l'annulation
+ * @param {Object} config - Configuration de l'application
+ * @param {Object[]} parts - Nouvelles pièces de l'assemblage
+ * @param {Object} carcass - Paramètres du caisson générateur
+ * @param {string} label - Libellé affiché dans l'historique
+ * @param {Function} onApplied - Rafraîchissement après application
+ * @returns {Object} Commande
+ */
+export function createCarcassCommand(config, parts, carcass, label, onApplied) {
+  const { assembly } = config;
+  const before = { parts: assembly.parts.slice(), carcass: assembly.carcass || null };
+
+  return {
+    label,
+    execute() {
+      assembly.parts.splice(0, assembly.parts.length, ...parts);
+      assembly.carcass = carcass;
+      onApplied?.();
+    },
+    undo() {
+      assembly.parts.splice(0, assembly.parts.length, ...before.parts);
+      assembly.carcass = before.carcass;
+      onApplied?.();
+    }
+  };
+}
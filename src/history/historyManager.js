@@ -0,0 +1,117 @@
+/**
+ * Module de gestion de l'historique (annuler / rétablir)
+ * Chaque modification passe par une commande { label, execute(), undo() }
+ */
+
+// Nombre maximal de commandes conservées par défaut
+export const DEFAULT_HISTORY_LIMIT = 100;
+
+// Variables privées du module
+let undoStack = [];
+let redoStack = [];
+let historyLimit = DEFAULT_HISTORY_LIMIT;
+let onChangeCallback = null;
+
+/**
+ * Initialise l'historique
+ * @param {Object} options - Options de l'historique
+ * @param {number} options.limit - Nombre maximal de commandes annulables
+ * @param {Function} options.onChange - Appelée après chaque modification de l'historique
+ */
+export function initHistory({ limit = DEFAULT_HISTORY_LIMIT, onChange = null } = {}) {
+  undoStack = [];
+  redoStack = [];
+  historyLimit = Math.max(1, limit);
+  onChangeCallback = onChange;
+  notifyChange();
+}
+
+function notifyChange() {
+  if (onChangeCallback) {
+    onChangeCallback(getHistoryState());
+  }
+}
+
+/**
+ * Exécute une commande et l'enregistre dans l'historique
+ * @param {Object} command - Commande { label, execute(), undo() }
+ * @returns {boolean} true si la commande a été exécutée
+ */
+export function executeCommand(command) {
+  if (!command) {
+    return false;
+  }
+
+  command.execute();
+  undoStack.push(command);
+
+  // Les commandes les plus anciennes sont abandonnées au-delà de la limite
+  if (undoStack.length > historyLimit) {
+    undoStack.splice(0, undoStack.length - historyLimit);
+  }
+
+  // Une nouvelle action invalide les commandes annulées
+  redoStack = [];
+
+  console.log(`Historique: ${command.label}`);
+  notifyChange();
+  return true;
+}
+
+/**
+ * Annule la dernière commande
+ * @returns {boolean} true si une commande a été annulée
+ */
+export function undo() {
+  const command = undoStack.pop();
+  if (!command) {
+    return false;
+  }
+
+  command.undo();
+  redoStack.push(command);
+
+  console.log(`Annulé: ${command.label}`);
+  notifyChange();
+  return true;
+}
+
+/**
+ * Rétablit la dernière commande annulée
+ * @returns {boolean} true si une commande a été rétablie
+ */
+export function redo() {
+  const command = redoStack.pop();
+  if (!command) {
+    return false;
+  }
+
+  command.execute();
+  undoStack.push(command);
+
+  console.log(`Rétabli: ${command.label}`);
+  notifyChange();
+  return true;
+}
+
+/**
+ * Vide l'historique (ex: chargement d'un nouveau projet)
+ */
+export function clearHistory() {
+  undoStack = [];
+  redoStack = [];
+  notifyChange();
+}
+
+/**
+ * Retourne l'état courant de l'historique pour l'interface
+ * @returns {Object} { canUndo, canRedo, undoLabel, redoLabel }
+ */
+export function getHistoryState() {
+  return {
+    canUndo: undoStack.length > 0,
+    canRedo: redoStack.length > 0,
+    undoLabel: undoStack[undoStack.length - 1]?.label || null,
+    redoLabel: redoStack[redoStack.length - 1]?.label || null
+  };
+}
@@ -0,0 +1,419 @@
+/**
+ * Module d'export DXF (vue de dessus 2D) pour l'usinage CNC
+ * Contour du panneau et découpes sur des calques encodant profondeur et type d'usinage
+ * Indépendant du navigateur : fonctionne sur de simples objets de configuration
+ *
+ * Repère du DXF : millimètres, origine au coin du panneau (X = -longueur/2, Z = +largeur/2),
+ * X le long de la longueur, Y le long de la largeur (vue de dessus, non miroir)
+ * Les perçages de chant sont dessinés par la projection de leur alésage en vue de dessus
+ * La fraisure ou les étages d'un perçage profilé sont des cercles concentriques sur leurs propres calques
+ */
+
+import { getCutDepth, isCutThrough, isEdgeCut } from '../csg/cutPlacement.js';
+import { getEdgeBoreFootprint } from '../cuts/cutFootprint.js';
+import { expandCuts } from '../cuts/cutPattern.js';
+import { getHoleProfileType, getHoleSteps } from '../cuts/holeProfile.js';
+import { getGrooveRectangle, isRabbet } from '../cuts/groove.js';
+import { getPanelOutlineVertices, getEdgeProfile } from '../models/panelOutline.js';
+
+// Calques fixes et couleurs ACI associées
+export const OUTLINE_LAYER = 'PANEL_OUTLINE';
+const LAYER_COLORS = {
+  PANEL_OUTLINE: 7,
+  DRILL: 1,
+  HDRILL: 4,
+  CSINK: 30,
+  CBORE: 2,
+  POCKET: 5,
+  CUTOUT: 3,
+  GROOVE: 140,
+  RABBET: 160,
+  SLOT: 200,
+  EDGE: 6
+};
+
+// Bulge d'un arc de 90° parcouru dans le sens trigonométrique (tan(90°/4))
+const QUARTER_ARC_BULGE = Math.tan(Math.PI / 8);
+
+/**
+ * Formate un nombre pour le DXF (4 décimales au plus)
+ * @param {number} value - Valeur
+ * @returns {string} Valeur formatée
+ */
+function formatNumber(value) {
+  return String(Number(value.toFixed(4)));
+}
+
+/**
+ * Formate une cote pour un nom de calque ("8.5" devient "8P5", les noms de calque évitant le point)
+ * @param {number} value - Cote en mm
+ * @returns {string} Cote utilisable dans un nom de calque
+ */
+function formatLayerNumber(value) {
+  return String(Number(value.toFixed(2))).replace('.', 'P');
+}
+
+/**
+ * Ramène un angle entre 0 et 360° (angles des arcs DXF)
+ * @param {number} degrees - Angle en degrés
+ * @returns {number} Angle dans [0, 360[
+ */
+function normalizeDegrees(degrees) {
+  const angle = ((degrees % 360) + 360) % 360;
+  return Math.abs(angle - 360) < 1e-9 ? 0 : angle;
+}
+
+/**
+ * Convertit une position du panneau (depuis son centre) en coordonnées DXF (depuis le coin)
+ * @param {number} x - Position X depuis le centre (mm)
+ * @param {number} z - Position Z depuis le centre (mm)
+ * @param {Object} panel - Configuration du panneau
+ * @returns {Object} { x, y } dans le repère DXF
+ */
+export function toDxfPoint(x, z, panel) {
+  return {
+    x: x + panel.length / 2,
+    y: panel.width / 2 - z
+  };
+}
+
+/**
+ * Retourne le nom de calque d'une découpe
+ * Ex: DRILL_D8_Z12, DRILL_D35_THROUGH, POCKET_Z6, CUTOUT_THROUGH, GROOVE_Z8, RABBET_Z10, SLOT_W8_THROUGH ;
+ * suffixe _BOTTOM pour la face du dessous
+ * Perçage de chant : HDRILL_D8_Z34_H9_FRONT (profondeur depuis le chant, axe à H mm sous le dessus)
+ * @param {Object} cut - Découpe de config.cuts
+ * @param {Object} panel - Configuration du panneau
+ * @returns {string} Nom du calque
+ */
+export function getDxfLayerName(cut, panel) {
+  const depth = getCutDepth(cut, panel);
+  const through = isCutThrough(cut, panel);
+  const depthPart = through ? 'THROUGH' : `Z${formatLayerNumber(depth)}`;
+  const facePart = cut.face === 'bottom' && !through ? '_BOTTOM' : '';
+
+  if (isEdgeCut(cut)) {
+    const diameter = cut.params.diameter ?? cut.params.radius * 2;
+    const height = panel.thickness / 2 - (cut.position?.y || 0);
+    return `HDRILL_D${formatLayerNumber(diameter)}_${depthPart}_H${formatLayerNumber(height)}_${cut.face.toUpperCase()}`;
+  }
+
+  switch (cut.type) {
+    case 'circular': {
+      const diameter = cut.params.diameter ?? cut.params.radius * 2;
+      return `DRILL_D${formatLayerNumber(diameter)}_${depthPart}${facePart}`;
+    }
+    case 'rectangular':
+      return through ? 'CUTOUT_THROUGH' : `POCKET_${depthPart}${facePart}`;
+    case 'slot':
+      return `SLOT_W${formatLayerNumber(cut.params.width)}_${depthPart}${facePart}`;
+    case 'groove':
+      return `${isRabbet(cut.params) ? 'RABBET' : 'GROOVE'}_${depthPart}${facePart}`;
+    default:
+      return `${cut.type.toUpperCase()}_${depthPart}${facePart}`;
+  }
+}
+
+/**
+ * Calques et diamètres des têtes d'un perçage profilé, de la face vers l'avant-trou
+ * Ex: CSINK_D10_A90 (fraisure, angle au sommet), CBORE_D10_Z5 (lamage ou étage, profondeur depuis la face) ;
+ * suffixe _BOTTOM pour un profil percé depuis le dessous
+ * @param {Object} cut - Découpe circulaire de config.cuts
+ * @returns {Object[]} { layer, diameter }, vide pour un trou droit
+ */
+export function getHoleProfileLayers(cut) {
+  const facePart = cut.face === 'bottom' ? '_BOTTOM' : '';
+  if (getHoleProfileType(cut.params) === 'countersink') {
+    const { diameter, angle } = cut.params.profile;
+    return [{ layer: `CSINK_D${formatLayerNumber(diameter)}_A${formatLayerNumber(angle)}${facePart}`, diameter }];
+  }
+  return getHoleSteps(cut.params).map(step => ({
+    layer: `CBORE_D${formatLayerNumber(step.diameter)}_Z${formatLayerNumber(step.depth)}${facePart}`,
+    diameter: step.diameter
+  }));
+}
+
+/**
+ * Retourne le nom de calque du profil de chant
+ * Ex: EDGE_CHAMFER_3_TOP, EDGE_ROUND_2_BOTH
+ * @param {Object} profile - Profil de chant normalisé
+ * @returns {string} Nom du calque
+ */
+export function getEdgeProfileLayerName(profile) {
+  return `EDGE_${profile.type.toUpperCase()}_${formatLayerNumber(profile.size)}_${profile.sides.toUpperCase()}`;
+}
+
+/**
+ * Contour d'un oblong dans le repère DXF : deux demi-cercles reliés par deux segments tangents
+ * Partagé par l'export DXF et la mise en plan (même repère, Y vers le fond du panneau)
+ * @param {Object} cut - Découpe oblongue
+ * @param {Object} panel - Configuration du panneau
+ * @returns {Object} { lines: [{ from, to }], arcs: [{ center, radius, start, end }] } ;
+ *                   arcs dans le sens trigonométrique, angles en radians
+ */
+export function getSlotOutline(cut, panel) {
+  const center = toDxfPoint(cut.position?.x || 0, cut.position?.z || 0, panel);
+  // La rotation trigonométrique de la vue de dessus est conservée par le passage au repère DXF
+  const angle = cut.rotation?.y || 0;
+  const radius = cut.params.width / 2;
+  const half = Math.max(cut.params.length / 2 - radius, 0);
+  const axis = { x: Math.cos(angle), y: Math.sin(angle) };
+  const side = { x: -axis.y, y: axis.x };
+  const point = (along, across) => ({
+    x: center.x + axis.x * along + side.x * across,
+    y: center.y + axis.y * along + side.y * across
+  });
+
+  return {
+    lines: [
+      { from: point(-half, -radius), to: point(half, -radius) },
+      { from: point(half, radius), to: point(-half, radius) }
+    ],
+    arcs: [
+      { center: point(half, 0), radius, start: angle - Math.PI / 2, end: angle + Math.PI / 2 },
+      { center: point(-half, 0), radius, start: angle + Math.PI / 2, end: angle + Math.PI * 1.5 }
+    ]
+  };
+}
+
+/**
+ * Calcule les sommets (avec bulges) d'un rectangle éventuellement arrondi et tourné
+ * @param {Object} center - Centre dans le repère DXF
+ * @param {number} length - Longueur (axe X local)
+ * @param {number} width - Largeur (axe Y local)
+ * @param {number} angle - Rotation trigonométrique (radians)
+ * @param {number} cornerRadius - Rayon des angles
+ * @returns {Object[]} Sommets { x, y, bulge } parcourus dans le sens trigonométrique
+ */
+function rectangleVertices(center, length, width, angle, cornerRadius) {
+  const hl = length / 2;
+  const hw = width / 2;
+  const r = Math.min(cornerRadius || 0, hl, hw);
+
+  const local = r > 0
+    ? [
+      { x: -hl + r, y: -hw, bulge: 0 },
+      { x: hl - r, y: -hw, bulge: QUARTER_ARC_BULGE },
+      { x: hl, y: -hw + r, bulge: 0 },
+      { x: hl, y: hw - r, bulge: QUARTER_ARC_BULGE },
+      { x: hl - r, y: hw, bulge: 0 },
+      { x: -hl + r, y: hw, bulge: QUARTER_ARC_BULGE },
+      { x: -hl, y: hw - r, bulge: 0 },
+      { x: -hl, y: -hw + r, bulge: QUARTER_ARC_BULGE }
+    ]
+    : [
+      { x: -hl, y: -hw, bulge: 0 },
+      { x: hl, y: -hw, bulge: 0 },
+      { x: hl, y: hw, bulge: 0 },
+      { x: -hl, y: hw, bulge: 0 }
+    ];
+
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  return local.map(v => ({
+    x: center.x + v.x * cos - v.y * sin,
+    y: center.y + v.x * sin + v.y * cos,
+    bulge: v.bulge
+  }));
+}
+
+/**
+ * Collecteur d'entités DXF (format R12, compatible avec la plupart des logiciels de FAO)
+ */
+function createEntityWriter() {
+  const lines = [];
+  const layers = new Set();
+
+  const write = (code, value) => {
+    lines.push(String(code), String(value));
+  };
+
+  return {
+    lines,
+    layers,
+    write,
+    circle(layer, center, radius) {
+      layers.add(layer);
+      write(0, 'CIRCLE');
+      write(8, layer);
+      write(10, formatNumber(center.x));
+      write(20, formatNumber(center.y));
+      write(30, 0);
+      write(40, formatNumber(radius));
+    },
+    line(layer, from, to) {
+      layers.add(layer);
+      write(0, 'LINE');
+      write(8, layer);
+      write(10, formatNumber(from.x));
+      write(20, formatNumber(from.y));
+      write(30, 0);
+      write(11, formatNumber(to.x));
+      write(21, formatNumber(to.y));
+      write(31, 0);
+    },
+    // Arc parcouru dans le sens trigonométrique, angles en radians (écrits en degrés)
+    arc(layer, center, radius, start, end) {
+      layers.add(layer);
+      write(0, 'ARC');
+      write(8, layer);
+      write(10, formatNumber(center.x));
+      write(20, formatNumber(center.y));
+      write(30, 0);
+      write(40, formatNumber(radius));
+      write(50, formatNumber(normalizeDegrees(start * 180 / Math.PI)));
+      write(51, formatNumber(normalizeDegrees(end * 180 / Math.PI)));
+    },
+    closedPolyline(layer, vertices) {
+      layers.add(layer);
+      write(0, 'POLYLINE');
+      write(8, layer);
+      write(66, 1);
+      write(10, 0);
+      write(20, 0);
+      write(30, 0);
+      write(70, 1);
+      vertices.forEach(v => {
+        write(0, 'VERTEX');
+        write(8, layer);
+        write(10, formatNumber(v.x));
+        write(20, formatNumber(v.y));
+        write(30, 0);
+        if (v.bulge) {
+          write(42, formatNumber(v.bulge));
+        }
+      });
+      write(0, 'SEQEND');
+      write(8, layer);
+    }
+  };
+}
+
+/**
+ * Écrit une découpe sous forme d'entités DXF
+ * @param {Object} writer - Collecteur d'entités
+ * @param {Object} cut - Découpe de config.cuts
+ * @param {Object} panel - Configuration du panneau
+ */
+function writeCut(writer, cut, panel) {
+  const layer = getDxfLayerName(cut, panel);
+  if (isEdgeCut(cut)) {
+    writer.closedPolyline(layer, getEdgeBoreFootprint(cut, panel).map(p => toDxfPoint(p.x, p.z, panel)));
+    return;
+  }
+
+  const center = toDxfPoint(cut.position?.x || 0, cut.position?.z || 0, panel);
+  const angle = cut.rotation?.y || 0;
+
+  switch (cut.type) {
+    case 'circular':
+      writer.circle(layer, center, (cut.params.diameter ?? cut.params.radius * 2) / 2);
+      getHoleProfileLayers(cut).forEach(head => writer.circle(head.layer, center, head.diameter / 2));
+      break;
+    case 'rectangular':
+      writer.closedPolyline(layer, rectangleVertices(
+        center,
+        cut.params.length,
+        cut.params.width,
+        angle,
+        cut.params.cornerRadius
+      ));
+      break;
+    case 'slot': {
+      // Deux arcs et deux segments : les logiciels de FAO y reconnaissent les rayons exacts
+      const outline = getSlotOutline(cut, panel);
+      outline.lines.forEach(line => writer.line(layer, line.from, line.to));
+      outline.arcs.forEach(arc => writer.arc(layer, arc.center, arc.radius, arc.start, arc.end));
+      break;
+    }
+    case 'groove': {
+      // Rectangle usiné, recalculé depuis les dimensions du panneau
+      const rectangle = getGrooveRectangle(cut.params, panel);
+      writer.closedPolyline(layer, rectangleVertices(
+        toDxfPoint(rectangle.x, rectangle.z, panel),
+        rectangle.length,
+        rectangle.width,
+        0,
+        0
+      ));
+      break;
+    }
+    default:
+      console.warn(`Type de découpe non exporté en DXF: ${cut.type}`);
+  }
+}
+
+/**
+ * Couleur ACI d'un calque selon son préfixe
+ * @param {string} layer - Nom du calque
+ * @returns {number} Couleur ACI
+ */
+function layerColor(layer) {
+  const prefix = layer.split('_')[0];
+  return LAYER_COLORS[layer] || LAYER_COLORS[prefix] || 7;
+}
+
+/**
+ * Génère le fichier DXF du panneau et de ses découpes
+ * @param {Object} config - Configuration ({ panel, cuts })
+ * @returns {string} Contenu du fichier DXF
+ */
+export function exportDXF(config) {
+  const { panel } = config;
+  const entities = createEntityWriter();
+
+  // Contour du panneau (angles arrondis en arcs exacts), origine au coin
+  const toCorner = (v) => ({ x: v.x + panel.length / 2, y: v.y + panel.width / 2, bulge: v.bulge });
+  entities.closedPolyline(OUTLINE_LAYER, getPanelOutlineVertices(panel).map(toCorner));
+
+  // Profil de chant : limite du profil sur la face, décalée du contour de la taille du profil
+  const profile = getEdgeProfile(panel);
+  if (profile.type !== 'none') {
+    entities.closedPolyline(getEdgeProfileLayerName(profile), getPanelOutlineVertices(panel, profile.size).map(toCorner));
+  }
+
+  expandCuts(config.cuts).forEach(cut => writeCut(entities, cut, panel));
+
+  // En-tête : version R12 et emprise du dessin
+  // R12 n'a pas de variable d'unités ($INSUNITS, $MEASUREMENT) : les cotes sont en millimètres
+  const out = createEntityWriter();
+  const { write } = out;
+  write(0, 'SECTION');
+  write(2, 'HEADER');
+  write(9, '$ACADVER');
+  write(1, 'AC1009');
+  write(9, '$EXTMIN');
+  write(10, 0);
+  write(20, 0);
+  write(30, 0);
+  write(9, '$EXTMAX');
+  write(10, formatNumber(panel.length));
+  write(20, formatNumber(panel.width));
+  write(30, 0);
+  write(0, 'ENDSEC');
+
+  // Table des calques
+  write(0, 'SECTION');
+  write(2, 'TABLES');
+  write(0, 'TABLE');
+  write(2, 'LAYER');
+  write(70, entities.layers.size);
+  entities.layers.forEach(layer => {
+    write(0, 'LAYER');
+    write(2, layer);
+    write(70, 0);
+    write(62, layerColor(layer));
+    write(6, 'CONTINUOUS');
+  });
+  write(0, 'ENDTAB');
+  write(0, 'ENDSEC');
+
+  // Entités
+  write(0, 'SECTION');
+  write(2, 'ENTITIES');
+  out.lines.push(...entities.lines);
+  write(0, 'ENDSEC');
+  write(0, 'EOF');
+
+  return out.lines.join('\n') + '\n';
+}
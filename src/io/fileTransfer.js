@@ -0,0 +1,60 @@
+/**
+ * Module d'échange de fichiers avec le navigateur
+ * Téléchargement de contenus générés et lecture de fichiers choisis par l'utilisateur
+ */
+
+/**
+ * Déclenche le téléchargement d'un contenu généré
+ * @param {string|ArrayBuffer|Blob} content - Contenu du fichier
+ * @param {string} filename - Nom du fichier proposé
+ * @param {string} mimeType - Type MIME du contenu
+ */
+export function downloadFile(content, filename, mimeType = 'application/octet-stream') {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  // Libération différée pour laisser le navigateur démarrer le téléchargement
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+  console.log(`Fichier exporté: ${filename}`);
+}
+
+/**
+ * Ouvre le sélecteur de fichiers et lit le fichier choisi comme texte
+ * @param {string} accept - Types de fichiers acceptés (ex: ".json")
+ * @returns {Promise<{name: string, text: string}|null>} Fichier lu, ou null si annulé
+ */
+export function pickTextFile(accept) {
+  return new Promise((resolve) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = accept;
+
+    input.addEventListener('change', async () => {
+      const file = input.files[0];
+      if (!file) {
+        resolve(null);
+        return;
+      }
+      resolve({ name: file.name, text: await file.text() });
+    });
+
+    input.click();
+  });
+}
+
+/**
+ * Construit un horodatage compact pour les noms de fichiers (AAAA-MM-JJ)
+ * @param {Date} date - Date à formater
+ * @returns {string} Date formatée
+ */
+export function fileDateStamp(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
@@ -0,0 +1,240 @@
+/**
+ * Module d'export du maillage du panneau découpé (STL, OBJ, glTF/GLB)
+ * Coordonnées en millimètres, couleur reprise du matériau du panneau
+ */
+
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js';
+import { materials } from '../materials.js';
+import { mergeCoplanarFaces } from '../csg/coplanarMerge.js';
+
+// Formats disponibles
+export const MESH_FORMATS = {
+  'stl-binary': { name: 'STL binaire', extension: 'stl', mimeType: 'model/stl' },
+  'stl-ascii': { name: 'STL ASCII', extension: 'stl', mimeType: 'model/stl' },
+  obj: { name: 'OBJ', extension: 'obj', mimeType: 'model/obj' },
+  gltf: { name: 'glTF', extension: 'gltf', mimeType: 'model/gltf+json' },
+  glb: { name: 'GLB', extension: 'glb', mimeType: 'model/gltf-binary' }
+};
+
+// Conventions d'axes : l'épaisseur du panneau est portée par Y dans la scène
+export const UP_AXES = {
+  y: { name: 'Y vers le haut' },
+  z: { name: 'Z vers le haut' }
+};
+
+/**
+ * Prépare la géométrie à exporter : copie dans le repère du panneau (hors placement dans l'assemblage),
+ * axes et fusion des faces
+ * @param {THREE.Mesh} mesh - Maillage issu de CSGManager.applyCuts
+ * @param {Object} options - Options d'export
+ * @param {string} options.upAxis - 'y' (repère de la scène) ou 'z' (épaisseur selon Z, usage CAO)
+ * @param {boolean} options.mergeCoplanar - Fusion des faces coplanaires
+ * @returns {THREE.BufferGeometry} Géométrie non indexée à normales par face
+ */
+export function prepareExportGeometry(mesh, { upAxis = 'y', mergeCoplanar = false } = {}) {
+  mesh.updateMatrix();
+  let geometry = mesh.geometry.index ? mesh.geometry.toNonIndexed() : mesh.geometry.clone();
+  geometry.applyMatrix4(mesh.matrix);
+
+  if (upAxis === 'z') {
+    // Rotation de +90° autour de X : la face du dessus regarde +Z, la vue de dessus garde son sens
+    geometry.rotateX(Math.PI / 2);
+  }
+
+  if (mergeCoplanar) {
+    const merged = mergeCoplanarFaces(geometry);
+    geometry.dispose();
+    geometry = merged;
+  }
+
+  // Normales par face pour des arêtes vives
+  geometry.deleteAttribute('normal');
+  geometry.computeVertexNormals();
+  return geometry;
+}
+
+/**
+ * Parcourt les triangles d'une géométrie non indexée
+ * @param {THREE.BufferGeometry} geometry - Géométrie non indexée
+ * @param {Function} callback - Appelée avec (a, b, c, normal)
+ */
+function forEachTriangle(geometry, callback) {
+  const positions = geometry.getAttribute('position');
+  const a = new THREE.Vector3();
+  const b = new THREE.Vector3();
+  const c = new THREE.Vector3();
+  const normal = new THREE.Vector3();
+  const edge = new THREE.Vector3();
+
+  for (let i = 0; i < positions.count; i += 3) {
+    a.fromBufferAttribute(positions, i);
+    b.fromBufferAttribute(positions, i + 1);
+    c.fromBufferAttribute(positions, i + 2);
+    normal.subVectors(c, b).cross(edge.subVectors(a, b)).normalize();
+    callback(a, b, c, normal);
+  }
+}
+
+/**
+ * Génère un STL binaire
+ * La couleur suit les deux conventions usuelles : "COLOR=" dans l'en-tête (Materialise)
+ * et couleur 15 bits valide dans les octets d'attribut de chaque facette (VisCAM, SolidView)
+ * @param {THREE.BufferGeometry} geometry - Géométrie non indexée
+ * @param {Object} color - Couleur sRGB { r, g, b } (0 à 1)
+ * @param {string} name - Nom du solide
+ * @returns {ArrayBuffer} Contenu du fichier
+ */
+function writeBinaryStl(geometry, color, name) {
+  const triangleCount = geometry.getAttribute('position').count / 3;
+  const buffer = new ArrayBuffer(84 + triangleCount * 50);
+  const view = new DataView(buffer);
+
+  const header = `${name} - mm COLOR=`;
+  for (let i = 0; i < header.length && i < 74; i++) {
+    view.setUint8(i, header.charCodeAt(i) & 0x7f);
+  }
+  const rgb = [color.r, color.g, color.b].map(v => Math.round(v * 255));
+  const colorOffset = Math.min(header.length, 74);
+  rgb.forEach((v, i) => view.setUint8(colorOffset + i, v));
+  view.setUint8(colorOffset + 3, 255);
+
+  const facetColor = 0x8000 |
+    (Math.round(color.r * 31) << 10) |
+    (Math.round(color.g * 31) << 5) |
+    Math.round(color.b * 31);
+
+  view.setUint32(80, triangleCount, true);
+  let offset = 84;
+  forEachTriangle(geometry, (a, b, c, normal) => {
+    [normal, a, b, c].forEach(v => {
+      view.setFloat32(offset, v.x, true);
+      view.setFloat32(offset + 4, v.y, true);
+      view.setFloat32(offset + 8, v.z, true);
+      offset += 12;
+    });
+    view.setUint16(offset, facetColor, true);
+    offset += 2;
+  });
+
+  return buffer;
+}
+
+/**
+ * Génère un STL ASCII (le format ne porte pas de couleur)
+ * @param {THREE.BufferGeometry} geometry - Géométrie non indexée
+ * @param {string} name - Nom du solide
+ * @returns {string} Contenu du fichier
+ */
+function writeAsciiStl(geometry, name) {
+  const lines = [`solid ${name}`];
+  const format = (v) => `${v.x.toFixed(6)} ${v.y.toFixed(6)} ${v.z.toFixed(6)}`;
+
+  forEachTriangle(geometry, (a, b, c, normal) => {
+    lines.push(`  facet normal ${format(normal)}`);
+    lines.push('    outer loop');
+    [a, b, c].forEach(v => lines.push(`      vertex ${format(v)}`));
+    lines.push('    endloop');
+    lines.push('  endfacet');
+  });
+
+  lines.push(`endsolid ${name}`);
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Génère un OBJ avec couleurs de sommets (extension "v x y z r g b" lue par Blender, MeshLab...)
+ * @param {THREE.BufferGeometry} geometry - Géométrie non indexée
+ * @param {Object} color - Couleur sRGB { r, g, b } (0 à 1)
+ * @param {string} name - Nom de l'objet
+ * @returns {string} Contenu du fichier
+ */
+function writeObj(geometry, color, name) {
+  const lines = ['# Panneau découpé - unités: mm', `o ${name}`];
+  const rgb = `${color.r.toFixed(4)} ${color.g.toFixed(4)} ${color.b.toFixed(4)}`;
+  const faces = [];
+  let index = 1;
+
+  forEachTriangle(geometry, (a, b, c, normal) => {
+    [a, b, c].forEach(v => lines.push(`v ${v.x.toFixed(6)} ${v.y.toFixed(6)} ${v.z.toFixed(6)} ${rgb}`));
+    lines.push(`vn ${normal.x.toFixed(6)} ${normal.y.toFixed(6)} ${normal.z.toFixed(6)}`);
+    const n = (index + 2) / 3;
+    faces.push(`f ${index}//${n} ${index + 1}//${n} ${index + 2}//${n}`);
+    index += 3;
+  });
+
+  return [...lines, ...faces].join('\n') + '\n';
+}
+
+/**
+ * Génère un glTF (JSON) ou GLB (binaire)
+ * Les sommets restent en millimètres ; le nœud racine porte une échelle de 0.001
+ * pour que les visionneuses (unité glTF : le mètre) affichent la taille réelle.
+ * L'axe vertical est imposé par la spécification (Y vers le haut).
+ * @param {THREE.BufferGeometry} geometry - Géométrie non indexée
+ * @param {THREE.Color} color - Couleur du matériau
+ * @param {string} name - Nom du nœud
+ * @param {Object} material - Entrée de materials
+ * @param {boolean} binary - true pour GLB
+ * @returns {Promise<string|ArrayBuffer>} Contenu du fichier
+ */
+async function writeGltf(geometry, color, name, material, binary) {
+  const meshMaterial = new THREE.MeshStandardMaterial({
+    color,
+    name: material.name,
+    roughness: 0.8,
+    metalness: 0
+  });
+  const mesh = new THREE.Mesh(geometry, meshMaterial);
+  mesh.name = name;
+
+  const root = new THREE.Group();
+  root.name = `${name}_mm`;
+  root.scale.setScalar(0.001);
+  root.userData = { units: 'mm' };
+  root.add(mesh);
+
+  try {
+    const result = await new GLTFExporter().parseAsync(root, { binary });
+    return binary ? result : JSON.stringify(result, null, 2);
+  } finally {
+    meshMaterial.dispose();
+  }
+}
+
+/**
+ * Exporte le maillage du panneau découpé dans le format demandé
+ * @param {THREE.Mesh} mesh - Maillage issu de CSGManager.applyCuts
+ * @param {Object} panel - Configuration du panneau (matériau, dimensions)
+ * @param {string} format - Clé de MESH_FORMATS
+ * @param {Object} options - { upAxis, mergeCoplanar } (voir prepareExportGeometry)
+ * @returns {Promise<string|ArrayBuffer>} Contenu du fichier
+ */
+export async function exportMesh(mesh, panel, format, options = {}) {
+  if (!MESH_FORMATS[format]) {
+    throw new Error(`Format d'export inconnu: "${format}". Formats disponibles: ${Object.keys(MESH_FORMATS).join(', ')}`);
+  }
+
+  const material = materials[panel.material] || materials.pine;
+  const color = new THREE.Color(material.color);
+  // Composantes sRGB (telles que définies dans materials) pour les formats sans gestion des couleurs
+  const srgb = color.getRGB({ r: 0, g: 0, b: 0 }, THREE.SRGBColorSpace);
+  const name = `panneau_${panel.length}x${panel.width}x${panel.thickness}_${panel.material}`;
+  const upAxis = format === 'gltf' || format === 'glb' ? 'y' : options.upAxis;
+  const geometry = prepareExportGeometry(mesh, { ...options, upAxis });
+
+  try {
+    switch (format) {
+      case 'stl-binary':
+        return writeBinaryStl(geometry, srgb, name);
+      case 'stl-ascii':
+        return writeAsciiStl(geometry, name);
+      case 'obj':
+        return writeObj(geometry, srgb, name);
+      default:
+        return await writeGltf(geometry, color, name, material, format === 'glb');
+    }
+  } finally {
+    geometry.dispose();
+  }
+}
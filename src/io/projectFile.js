@@ -0,0 +1,392 @@
+/**
+ * Module de sérialisation des projets (fichiers JSON versionnés)
+ * Indépendant du navigateur : fonctionne sur de simples objets de configuration
+ */
+
+import { materials, constraints } from '../materials.js';
+import { PANEL_FACES, EDGE_CUT_TYPES } from '../csg/cutPlacement.js';
+import { PATTERN_CUT_TYPES, validatePattern } from '../cuts/cutPattern.js';
+import { HOLE_PROFILE_TYPES, validateHoleProfile } from '../cuts/holeProfile.js';
+import { validateGroove } from '../cuts/groove.js';
+import { CUT_ID_PATTERN } from '../cuts/cutFactory.js';
+import { validatePanelShape } from '../models/panelOutline.js';
+import { validateEdgeBanding } from '../models/edgeBanding.js';
+import { createIdentityTransform, validateTransform } from '../models/assembly.js';
+import { validateCarcass } from '../cabinet/carcassGenerator.js';
+
+// Identifiant du format et version courante du schéma
+export const PROJECT_FORMAT = 'panel-configurator-project';
+export const PROJECT_SCHEMA_VERSION = 2;
+
+// Types de découpe connus et paramètres numériques obligatoires (strictement positifs)
+const REQUIRED_CUT_PARAMS = {
+  circular: ['diameter'],
+  rectangular: ['length', 'width'],
+  groove: ['width'],
+  slot: ['length', 'width']
+};
+
+/**
+ * Construit le contenu d'un fichier projet
+ * @param {Object} config - Configuration de l'application (assembly, grid)
+ * @param {Object|null} cameraView - Vue de la caméra { position, target }
+ * @returns {Object} Projet prêt à être converti en JSON
+ */
+export function serializeProject(config, cameraView = null) {
+  const project = {
+    format: PROJECT_FORMAT,
+    schemaVersion: PROJECT_SCHEMA_VERSION,
+    savedAt: new Date().toISOString(),
+    parts: config.assembly.parts.map(part => ({
+      id: part.id,
+      name: part.name,
+      visible: part.visible,
+      transform: JSON.parse(JSON.stringify(part.transform)),
+      panel: { ...part.panel },
+      cuts: JSON.parse(JSON.stringify(part.cuts))
+    })),
+    activePartId: config.assembly.activePartId,
+    // Paramètres du caisson généré (facultatif) : la régénération reprend après l'ouverture
+    carcass: config.assembly.carcass ? { ...config.assembly.carcass } : null,
+    grid: {
+      sizeX: config.grid.sizeX,
+      sizeZ: config.grid.sizeZ,
+      autoSize: config.grid.autoSize,
+      show: config.grid.show
+    }
+  };
+
+  if (cameraView) {
+    project.view = {
+      camera: {
+        position: pickVector(cameraView.position),
+        target: pickVector(cameraView.target)
+      }
+    };
+  }
+
+  return project;
+}
+
+function pickVector(vector) {
+  return { x: vector.x, y: vector.y, z: vector.z };
+}
+
+// Migrations successives : migrations[n] transforme un projet de version n en version n + 1
+const migrations = {
+  /**
+   * Version 0 : copie brute de window.config (sans enveloppe ni version)
+   * Les découpes n'avaient ni identifiant ni diamètre (rayon uniquement)
+   */
+  0: (data) => ({
+    format: PROJECT_FORMAT,
+    schemaVersion: 1,
+    savedAt: null,
+    panel: data.panel,
+    cuts: (data.cuts || []).map((cut, index) => {
+      const migrated = { ...cut, id: cut.id || `cut-v0-${index + 1}`, params: { ...cut.params } };
+      if (cut.type === 'circular' && migrated.params.diameter === undefined && migrated.params.radius !== undefined) {
+        migrated.params.diameter = migrated.params.radius * 2;
+        delete migrated.params.radius;
+      }
+      return migrated;
+    }),
+    grid: data.grid
+  }),
+
+  /**
+   * Version 1 : un seul panneau (panel, cuts à la racine)
+   * Le panneau devient la pièce unique, non déplacée, d'un assemblage
+   */
+  1: ({ panel, cuts, ...data }) => ({
+    ...data,
+    schemaVersion: 2,
+    parts: [{
+      id: 'part-1',
+      name: 'Panneau 1',
+      visible: true,
+      transform: createIdentityTransform(),
+      panel,
+      cuts
+    }],
+    activePartId: 'part-1'
+  })
+};
+
+/**
+ * Fait évoluer un projet d'une ancienne version du schéma vers la version courante
+ * @param {Object} data - Contenu brut du fichier
+ * @returns {Object} Projet à la version courante
+ */
+export function migrateProject(data) {
+  let project = data;
+  let version = Number.isInteger(data.schemaVersion) ? data.schemaVersion : 0;
+
+  if (version > PROJECT_SCHEMA_VERSION) {
+    throw new Error(`Version de schéma ${version} plus récente que celle supportée (${PROJECT_SCHEMA_VERSION})`);
+  }
+
+  while (version < PROJECT_SCHEMA_VERSION) {
+    project = migrations[version](project);
+    version = project.schemaVersion;
+    console.log(`Projet migré vers la version ${version}`);
+  }
+
+  return project;
+}
+
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Valide le panneau d'un projet selon les contraintes
+ * @param {Object} panel - Panneau du projet
+ * @param {Function} addError - Ajoute une erreur (champ, message)
+ */
+function validatePanel(panel, addError) {
+  if (!panel || typeof panel !== 'object') {
+    addError('panel', 'Panneau manquant');
+    return;
+  }
+
+  ['length', 'width'].forEach(key => {
+    const { min, max } = constraints.panel[key];
+    if (!isFiniteNumber(panel[key])) {
+      addError(`panel.${key}`, 'Doit être un nombre');
+    } else if (panel[key] < min || panel[key] > max) {
+      addError(`panel.${key}`, `Doit être entre ${min} et ${max}mm (valeur: ${panel[key]})`);
+    }
+  });
+
+  if (!materials[panel.material]) {
+    addError('panel.material', `Matériau inconnu: "${panel.material}". Matériaux disponibles: ${Object.keys(materials).join(', ')}`);
+    return;
+  }
+
+  const availableThicknesses = constraints.panel.thickness[panel.material] || [];
+  if (!availableThicknesses.includes(panel.thickness)) {
+    addError('panel.thickness', `Épaisseur ${panel.thickness}mm non disponible pour ${materials[panel.material].name}. Épaisseurs disponibles: ${availableThicknesses.join(', ')}mm`);
+  }
+
+  // Angles arrondis, profil et placage de chants (facultatifs)
+  validatePanelShape(panel).forEach(message => addError('panel', message));
+  validateEdgeBanding(panel).forEach(message => addError('panel.edgeBanding', message));
+}
+
+/**
+ * Valide une découpe d'un projet
+ * @param {Object} cut - Découpe
+ * @param {string} field - Chemin du champ (ex: "cuts[2]")
+ * @param {Function} addError - Ajoute une erreur (champ, message)
+ */
+function validateCut(cut, field, addError) {
+  if (!cut || typeof cut !== 'object') {
+    addError(field, 'Découpe invalide');
+    return;
+  }
+
+  const requiredParams = REQUIRED_CUT_PARAMS[cut.type];
+  if (!requiredParams) {
+    addError(`${field}.type`, `Type de découpe inconnu: "${cut.type}". Types connus: ${Object.keys(REQUIRED_CUT_PARAMS).join(', ')}`);
+    return;
+  }
+
+  if (typeof cut.id !== 'string' || cut.id === '') {
+    addError(`${field}.id`, 'Identifiant manquant');
+  } else if (!CUT_ID_PATTERN.test(cut.id)) {
+    addError(`${field}.id`, `Identifiant invalide: "${cut.id}". Format attendu: cut-xxxx-n`);
+  }
+
+  if (cut.face !== undefined && !PANEL_FACES[cut.face]) {
+    addError(`${field}.face`, `Face inconnue: "${cut.face}". Faces connues: ${Object.keys(PANEL_FACES).join(', ')}`);
+  } else if (PANEL_FACES[cut.face]?.edge && !EDGE_CUT_TYPES.includes(cut.type)) {
+    addError(`${field}.face`, `Type de découpe non usinable dans un chant: "${cut.type}". Types possibles: ${EDGE_CUT_TYPES.join(', ')}`);
+  }
+
+  const params = cut.params || {};
+  requiredParams.forEach(key => {
+    if (!isFiniteNumber(params[key]) || params[key] <= 0) {
+      addError(`${field}.params.${key}`, 'Doit être un nombre positif');
+    }
+  });
+
+  if (!params.through && (!isFiniteNumber(params.depth) || params.depth <= 0)) {
+    addError(`${field}.params.depth`, 'Doit être un nombre positif (ou découpe traversante)');
+  }
+
+  ['position', 'rotation'].forEach(group => {
+    Object.entries(cut[group] || {}).forEach(([axis, value]) => {
+      if (!isFiniteNumber(value)) {
+        addError(`${field}.${group}.${axis}`, 'Doit être un nombre');
+      }
+    });
+  });
+
+  // Profil d'un perçage : cotes et étages ; sa profondeur face au perçage relève des règles d'usinage
+  if (params.profile !== undefined) {
+    if (cut.type !== 'circular' || !HOLE_PROFILE_TYPES[params.profile?.type] || params.profile.type === 'straight') {
+      addError(`${field}.params.profile`, 'Profil réservé aux découpes circulaires (countersink, counterbore ou stepped)');
+    } else if (params.profile.type === 'stepped' &&
+        !(Array.isArray(params.profile.steps) && params.profile.steps.every(step => step && typeof step === 'object'))) {
+      addError(`${field}.params.profile.steps`, 'Doit être une liste d\'étages');
+    } else {
+      validateHoleProfile(params, Infinity).forEach(message => addError(`${field}.params.profile`, message));
+    }
+  }
+
+  if (cut.type === 'slot' && params.length < params.width) {
+    addError(`${field}.params.length`, 'La longueur d\'un oblong doit être au moins égale à sa largeur');
+  }
+
+  // Rainure : chant, décalage et étendue ; sa place sur le panneau relève des règles d'usinage
+  if (cut.type === 'groove') {
+    validateGroove(params).forEach(message => addError(`${field}.params`, message));
+  }
+
+  if (cut.pattern !== undefined && !PATTERN_CUT_TYPES.includes(cut.type)) {
+    addError(`${field}.pattern`, `Répétition impossible pour le type: "${cut.type}". Types possibles: ${PATTERN_CUT_TYPES.join(', ')}`);
+  } else if (cut.pattern !== undefined) {
+    validatePattern(cut.pattern).forEach(message => addError(`${field}.pattern`, message));
+  }
+}
+
+/**
+ * Valide la liste des découpes d'un panneau
+ * @param {Object[]} cuts - Découpes
+ * @param {Function} addError - Ajoute une erreur (champ, message)
+ */
+function validateCuts(cuts, addError) {
+  if (!Array.isArray(cuts)) {
+    addError('cuts', 'Doit être une liste de découpes');
+    return;
+  }
+
+  const seenIds = new Set();
+  cuts.forEach((cut, index) => {
+    validateCut(cut, `cuts[${index}]`, addError);
+    if (cut?.id && seenIds.has(cut.id)) {
+      addError(`cuts[${index}].id`, `Identifiant en double: "${cut.id}"`);
+    }
+    seenIds.add(cut?.id);
+  });
+}
+
+/**
+ * Valide une pièce de l'assemblage
+ * @param {Object} part - Pièce
+ * @param {string} field - Chemin du champ (ex: "parts[1]")
+ * @param {Function} addError - Ajoute une erreur (champ, message)
+ */
+function validatePart(part, field, addError) {
+  if (!part || typeof part !== 'object') {
+    addError(field, 'Pièce invalide');
+    return;
+  }
+
+  if (typeof part.id !== 'string' || part.id === '') {
+    addError(`${field}.id`, 'Identifiant manquant');
+  }
+  if (typeof part.name !== 'string' || part.name.trim() === '') {
+    addError(`${field}.name`, 'Nom manquant');
+  }
+  if (typeof part.visible !== 'boolean') {
+    addError(`${field}.visible`, 'Doit être true ou false');
+  }
+  validateTransform(part.transform).forEach(message => addError(`${field}.transform`, message));
+
+  // Panneau et découpes : mêmes règles que pour un panneau seul, champs préfixés par la pièce
+  const addPartError = (key, message) => addError(`${field}.${key}`, message);
+  validatePanel(part.panel, addPartError);
+  validateCuts(part.cuts, addPartError);
+}
+
+/**
+ * Valide un projet (à la version courante du schéma)
+ * @param {Object} project - Projet migré
+ * @returns {Object} { isValid, errors: [{ field, message }] }
+ */
+export function validateProject(project) {
+  const errors = [];
+  const addError = (field, message) => errors.push({ field, message });
+
+  if (!Array.isArray(project.parts) || project.parts.length === 0) {
+    addError('parts', 'Doit être une liste d\'au moins une pièce');
+  } else {
+    const seenIds = new Set();
+    project.parts.forEach((part, index) => {
+      validatePart(part, `parts[${index}]`, addError);
+      if (part?.id && seenIds.has(part.id)) {
+        addError(`parts[${index}].id`, `Identifiant en double: "${part.id}"`);
+      }
+      seenIds.add(part?.id);
+    });
+
+    if (!project.parts.some(part => part?.id === project.activePartId)) {
+      addError('activePartId', `Pièce inconnue: "${project.activePartId}"`);
+    }
+  }
+
+  if (project.carcass !== undefined && project.carcass !== null) {
+    validateCarcass(project.carcass).forEach(message => addError('carcass', message));
+  }
+
+  if (project.grid !== undefined) {
+    ['sizeX', 'sizeZ'].forEach(key => {
+      if (!isFiniteNumber(project.grid[key]) || project.grid[key] < 1) {
+        addError(`grid.${key}`, 'Doit être un nombre supérieur ou égal à 1');
+      }
+    });
+  }
+
+  const camera = project.view?.camera;
+  if (camera) {
+    ['position', 'target'].forEach(key => {
+      const vector = camera[key] || {};
+      if (!['x', 'y', 'z'].every(axis => isFiniteNumber(vector[axis]))) {
+        addError(`view.camera.${key}`, 'Doit contenir des coordonnées x, y, z numériques');
+      }
+    });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors: errors
+  };
+}
+
+/**
+ * Lit, migre et valide le contenu texte d'un fichier projet
+ * @param {string} text - Contenu JSON du fichier
+ * @returns {Object} { project, errors } ; project est null si le fichier est invalide
+ */
+export function parseProject(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { project: null, errors: [{ field: 'fichier', message: `JSON invalide: ${error.message}` }] };
+  }
+
+  if (!data || typeof data !== 'object') {
+    return { project: null, errors: [{ field: 'fichier', message: 'Le fichier ne contient pas un projet' }] };
+  }
+
+  if (data.format !== undefined && data.format !== PROJECT_FORMAT) {
+    return { project: null, errors: [{ field: 'format', message: `Format inconnu: "${data.format}"` }] };
+  }
+
+  let project;
+  try {
+    project = migrateProject(data);
+  } catch (error) {
+    return { project: null, errors: [{ field: 'schemaVersion', message: error.message }] };
+  }
+
+  const validation = validateProject(project);
+  if (!validation.isValid) {
+    return { project: null, errors: validation.errors };
+  }
+
+  return { project, errors: [] };
+}
@@ -1,10 +1,31 @@
+// Matériaux des panneaux ; grain : matériau à fil, débité par défaut dans le sens du fil
 export const materials = {
-  pine: { color: 0xdeb887, name: 'Pin' },
-  oak: { color: 0x8b4513, name: 'Chêne' },
-  birch: { color: 0xf5deb3, name: 'Bouleau' },
-  mdf: { color: 0xd2b48c, name: 'MDF' },
-  plywood: { color: 0xdaa520, name: 'Contreplaqué' },
-  melamine: { color: 0xffffff, name: 'Mélaminé' }
+  pine: { color: 0xdeb887, name: 'Pin', grain: true },
+  oak: { color: 0x8b4513, name: 'Chêne', grain: true },
+  birch: { color: 0xf5deb3, name: 'Bouleau', grain: true },
+  mdf: { color: 0xd2b48c, name: 'MDF', grain: false },
+  plywood: { color: 0xdaa520, name: 'Contreplaqué', grain: true },
+  melamine: { color: 0xffffff, name: 'Mélaminé', grain: false }
+};
+
+// Feuilles standard du commerce par matériau (mm), fil dans le sens de la longueur
+export const standardSheets = {
+  pine: { length: 2500, width: 1250 },
+  oak: { length: 2500, width: 1250 },
+  birch: { length: 2500, width: 1250 },
+  mdf: { length: 2800, width: 2070 },
+  plywood: { length: 2500, width: 1220 },
+  melamine: { length: 2800, width: 2070 }
+};
+
+// Bandes de chant : couleur affichée sur les chants du panneau
+export const edgeBandMaterials = {
+  absWhite: { color: 0xf4f4f4, name: 'ABS blanc' },
+  absBlack: { color: 0x2b2b2b, name: 'ABS noir' },
+  absGrey: { color: 0x9e9e9e, name: 'ABS gris' },
+  oakVeneer: { color: 0xa0642d, name: 'Placage chêne' },
+  beechVeneer: { color: 0xe0b084, name: 'Placage hêtre' },
+  walnutVeneer: { color: 0x5c4033, name: 'Placage noyer' }
 };
 
 // Contraintes de validation
@@ -20,5 +41,21 @@ export const constraints = {
       plywood: [5, 10, 15, 18, 20],   // Épaisseurs pour le contreplaqué
       melamine: [10, 15, 18, 20, 25]  // Épaisseurs pour le mélaminé
     }
+  },
+  edgeBanding: {
+    thickness: [0.4, 1, 2]             // Épaisseurs de bande disponibles (mm)
+  },
+  machining: {
+    minEdgeDistance: 3,                // Matière minimale entre une découpe et le bord du panneau (mm)
+    minCutSpacing: 3,                  // Matière minimale entre deux découpes voisines (mm)
+    minRemainingThickness: 3,          // Matière minimale sous une poche ou un perçage borgne (mm)
+    diameter: {                        // Diamètres de perçage réalisables par matériau (mm)
+      pine: { min: 3, max: 250 },      // Fibres tendres : arrachement des petits forets
+      oak: { min: 2, max: 250 },
+      birch: { min: 2, max: 250 },
+      mdf: { min: 2, max: 300 },
+      plywood: { min: 3, max: 250 },   // Plis : éclatement des petits diamètres
+      melamine: { min: 3, max: 200 }   // Décor : éclats autour des petits perçages
+    }
   }
 };
\ No newline at end of file
@@ -1,239 +1,484 @@
-import * as THREE from 'three';
-import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
-import { createCylinderGeometryForHole } from '../models/index.js';
-import { updateAxesAndLabels, disposeAxes } from '../Tools/axesHelper.js';
-
-let modalScene = null;
-let modalCamera = null;
-let modalRenderer = null;
-let modalControls = null;
-let modalCutMesh = null;
+import { createCircularCut } from '../cuts/cutFactory.js';
+import { PANEL_FACES, FACE_AXIS_LABELS, getFaceCoordinates, getFaceSize, getFaceSpan } from '../csg/cutPlacement.js';
+import {
+  HOLE_PROFILE_TYPES,
+  DEFAULT_HOLE_PROFILES,
+  getCountersinkDepth,
+  getHoleEntryDiameter,
+  getHoleSection,
+  validateHoleProfile
+} from '../cuts/holeProfile.js';
+import { formatMm } from '../cuts/cutDescription.js';
+import { createModalDialog, resetModalFields } from './modalDialog.js';
+import {
+  initModalPreview,
+  updateModalPreviewCut,
+  isModalPreviewActive
+} from './modalPreview.js';
+
 let cfg = null;
+let dialog = null;
+let editingCutId = null;
+let displayedFace = 'top';
+// Étages du profil étagé en cours d'édition (tableau du modal)
+let profileSteps = DEFAULT_HOLE_PROFILES.stepped.steps.map(step => ({ ...step }));
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const MAX_PROFILE_STEPS = 6;
+
+/**
+ * Lit le profil du perçage depuis le formulaire
+ * @returns {Object|null} Profil (params.profile), null pour un trou droit
+ */
+function readHoleProfile() {
+  const value = (id) => parseFloat(document.getElementById(id).value);
+  switch (document.getElementById('cut-profile').value) {
+    case 'countersink':
+      return { type: 'countersink', diameter: value('cut-countersink-diameter'), angle: value('cut-countersink-angle') };
+    case 'counterbore':
+      return { type: 'counterbore', diameter: value('cut-counterbore-diameter'), depth: value('cut-counterbore-depth') };
+    case 'stepped':
+      return { type: 'stepped', steps: profileSteps.map(step => ({ ...step })) };
+    default:
+      return null;
+  }
+}
 
-function initModalScene(config) {
-  cfg = config;
-  const modalContainer = document.querySelector('.modal-3d-display');
-  modalContainer.innerHTML = '';
-
-  modalScene = new THREE.Scene();
-  modalScene.background = new THREE.Color(0xf0f0f0);
-
-  const aspect = modalContainer.clientWidth / modalContainer.clientHeight;
-  modalCamera = new THREE.PerspectiveCamera(75, aspect, 0.1, 1000);
-  modalCamera.position.set(100, 100, 100);
-  modalCamera.lookAt(0, 0, 0);
-
-  modalRenderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
-  modalRenderer.setSize(modalContainer.clientWidth, modalContainer.clientHeight);
-  modalRenderer.setPixelRatio(window.devicePixelRatio);
-  modalRenderer.shadowMap.enabled = true;
-  modalRenderer.shadowMap.type = THREE.PCFSoftShadowMap;
-  modalRenderer.outputColorSpace = THREE.SRGBColorSpace;
-
-  modalContainer.appendChild(modalRenderer.domElement);
-
-  modalControls = new OrbitControls(modalCamera, modalRenderer.domElement);
-  modalControls.enableDamping = true;
-  modalControls.dampingFactor = 0.05;
-  modalControls.target.set(0, 0, 0);
-  modalControls.minDistance = 30;
-  modalControls.maxDistance = 300;
-
-  setupModalLighting();
-  updateModalPreview();
+/**
+ * Remplit les champs du profil ; les autres profils gardent leurs dernières valeurs
+ * @param {Object|null} profile - Profil d'une découpe existante
+ */
+function fillHoleProfile(profile) {
+  const type = profile && HOLE_PROFILE_TYPES[profile.type] ? profile.type : 'straight';
+  document.getElementById('cut-profile').value = type;
+  if (type === 'countersink') {
+    document.getElementById('cut-countersink-diameter').value = profile.diameter;
+    document.getElementById('cut-countersink-angle').value = profile.angle;
+  } else if (type === 'counterbore') {
+    document.getElementById('cut-counterbore-diameter').value = profile.diameter;
+    document.getElementById('cut-counterbore-depth').value = profile.depth;
+  } else if (type === 'stepped') {
+    profileSteps = profile.steps.map(step => ({ diameter: step.diameter, depth: step.depth }));
+  }
+  updateProfileFields();
 }
 
-function setupModalLighting() {
-  const ambientLight = new THREE.AmbientLight(0x404040, 0.4);
-  modalScene.add(ambientLight);
+/**
+ * Affiche les champs du profil choisi
+ */
+function updateProfileFields() {
+  const type = document.getElementById('cut-profile').value;
+  Object.keys(HOLE_PROFILE_TYPES).filter(key => key !== 'straight').forEach(key => {
+    document.getElementById(`cut-profile-${key}-fields`).hidden = key !== type;
+  });
+  renderProfileSteps();
+}
 
-  const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
-  directionalLight.position.set(50, 50, 25);
-  directionalLight.castShadow = true;
-  directionalLight.shadow.mapSize.width = 1024;
-  directionalLight.shadow.mapSize.height = 1024;
-  directionalLight.shadow.camera.near = 0.5;
-  directionalLight.shadow.camera.far = 200;
-  directionalLight.shadow.camera.left = -100;
-  directionalLight.shadow.camera.right = 100;
-  directionalLight.shadow.camera.top = 100;
-  directionalLight.shadow.camera.bottom = -100;
-  modalScene.add(directionalLight);
+/**
+ * Construit le tableau des étages éditables
+ */
+function renderProfileSteps() {
+  const body = document.getElementById('cut-profile-steps');
+  body.innerHTML = '';
+
+  profileSteps.forEach((step, index) => {
+    const row = document.createElement('tr');
+    row.innerHTML = `
+      <td>${index + 1}</td>
+      <td><input type="number" step="0.1" min="0.1" data-index="${index}" data-key="diameter" value="${step.diameter}"></td>
+      <td><input type="number" step="0.1" min="0.1" data-index="${index}" data-key="depth" value="${step.depth}"></td>
+      <td><button type="button" data-index="${index}" title="Supprimer l'étage" ${profileSteps.length <= 1 ? 'disabled' : ''}>×</button></td>
+    `;
+    body.appendChild(row);
+  });
 
-  const fillLight = new THREE.DirectionalLight(0xffffff, 0.3);
-  fillLight.position.set(-25, 25, -25);
-  modalScene.add(fillLight);
+  document.getElementById('add-profile-step').disabled = profileSteps.length >= MAX_PROFILE_STEPS;
 }
 
-function updateModalPreview() {
-  // Suppression du mesh de découpe existant
-  if (modalCutMesh) {
-    modalScene.remove(modalCutMesh);
-    modalCutMesh.geometry.dispose();
-    modalCutMesh.material.dispose();
-    modalCutMesh = null;
+/**
+ * Profondeur percée depuis la face (dimension traversée pour une découpe traversante)
+ * @param {Object} params - Paramètres lus dans le formulaire
+ * @returns {number} Profondeur en mm
+ */
+function getDrilledDepth(params) {
+  const span = getFaceSpan(params.face, cfg.panel);
+  return params.through ? span : Math.min(params.depth, span);
+}
+
+/**
+ * Dessine la coupe du perçage à l'échelle : face de perçage en haut, matière autour du profil
+ * Sur une grande profondeur (perçage de chant), la matière sous le fond est interrompue
+ * @param {Object} params - Paramètres lus dans le formulaire
+ * @param {string[]} errors - Erreurs du profil (coupe non dessinée si le profil est invalide)
+ */
+function renderProfilePreview(params, errors) {
+  const svg = document.getElementById('cut-profile-preview');
+  svg.innerHTML = '';
+
+  const span = getFaceSpan(params.face, cfg.panel);
+  const depth = getDrilledDepth(params);
+  const entryRadius = errors.length === 0 ? getHoleEntryDiameter(params) / 2 : params.diameter / 2;
+  const broken = span > depth + 4 * entryRadius;
+  const shownDepth = broken ? depth + 2 * entryRadius : span;
+  const halfWidth = Math.max(entryRadius * 2, shownDepth * 0.9);
+  const margin = Math.max(halfWidth, shownDepth) * 0.12;
+  const size = Math.max(2 * halfWidth, shownDepth);
+  svg.setAttribute('viewBox', `${-halfWidth - margin} ${-margin * 1.5} ${2 * (halfWidth + margin)} ${shownDepth + margin * 2.5}`);
+
+  const append = (tag, attributes) => {
+    const node = document.createElementNS(SVG_NS, tag);
+    Object.entries(attributes).forEach(([key, value]) => node.setAttribute(key, value));
+    svg.appendChild(node);
+    return node;
+  };
+  const stroke = size / 250;
+
+  // Matière coupée ; arête du bas en pointillés si la vue est interrompue
+  append('rect', { x: -halfWidth, y: 0, width: 2 * halfWidth, height: shownDepth, fill: '#e9ecef' });
+  append('polyline', {
+    points: `${-halfWidth},${shownDepth} ${-halfWidth},0 ${halfWidth},0 ${halfWidth},${shownDepth}`,
+    fill: 'none',
+    stroke: '#495057',
+    'stroke-width': stroke
+  });
+  append('line', {
+    x1: -halfWidth, y1: shownDepth, x2: halfWidth, y2: shownDepth,
+    stroke: '#495057',
+    'stroke-width': stroke,
+    'stroke-dasharray': broken ? `${size / 40} ${size / 60}` : 'none'
+  });
+
+  if (errors.length === 0) {
+    const section = getHoleSection(params, depth);
+    const points = [
+      ...section.map(p => `${-p.radius},${p.depth}`),
+      ...section.slice().reverse().map(p => `${p.radius},${p.depth}`)
+    ];
+    append('polygon', { points: points.join(' '), fill: 'white', stroke: '#007bff', 'stroke-width': stroke * 1.5 });
   }
 
-  // Lecture des paramètres depuis l'interface
-  const cutDiameter = parseFloat(document.getElementById('cut-diameter').value) || 50;
-  const cutRadius = cutDiameter / 2; // Conversion diamètre -> rayon
-  const cutThroughCheckbox = document.getElementById('cut-through');
-  const cutDepthInput = document.getElementById('cut-depth');
-  
-  let cutDepth;
-  if (cutThroughCheckbox && cutThroughCheckbox.checked) {
-    // Si découpe traversante, utiliser l'épaisseur du panneau
-    cutDepth = cfg.panel.thickness;
-  } else {
-    // Sinon, utiliser la valeur saisie
-    cutDepth = parseFloat(cutDepthInput.value) || 18;
+  // Axe du perçage et face de perçage
+  append('line', {
+    x1: 0, y1: -margin, x2: 0, y2: shownDepth + margin * 0.7,
+    stroke: '#6c757d',
+    'stroke-width': stroke,
+    'stroke-dasharray': `${size / 30} ${size / 80} ${size / 200} ${size / 80}`
+  });
+  const label = append('text', { x: -halfWidth, y: -margin * 0.4, 'font-size': size / 16, fill: '#495057' });
+  label.textContent = `${PANEL_FACES[params.face].name} (face de perçage)`;
+}
+
+/**
+ * Erreurs du profil, résumé de la coupe et aperçu 2D
+ * @param {Object} params - Paramètres lus dans le formulaire
+ * @returns {string[]} Erreurs du profil
+ */
+function refreshProfile(params) {
+  const depth = getDrilledDepth(params);
+  const errors = validateHoleProfile(params, depth);
+
+  let summary = `Avant-trou Ø${formatMm(params.diameter)} sur ${formatMm(depth)}mm`;
+  if (params.profile?.type === 'countersink') {
+    summary += ` · cône de ${formatMm(getCountersinkDepth(params.profile, params.diameter))}mm`;
   }
+  if (params.profile) {
+    summary = `Entrée Ø${formatMm(getHoleEntryDiameter(params))} · ${summary}`;
+  }
+  document.getElementById('cut-profile-summary').textContent = errors.length > 0 ? errors[0] : summary;
+
+  renderProfilePreview(params, errors);
+  return errors;
+}
+
+/**
+ * Lit les paramètres de la découpe depuis le formulaire du modal
+ * @returns {Object} Paramètres de la découpe circulaire
+ */
+function readCutParameters() {
+  const through = document.getElementById('cut-through').checked;
+  const face = document.getElementById('cut-face').value;
+  // Coordonnées saisies dans le repère de la face choisie
+  const [uAxis, vAxis] = PANEL_FACES[face].axes;
+  return {
+    diameter: parseFloat(document.getElementById('cut-diameter').value) || 50,
+    depth: through ? getFaceSpan(face, cfg.panel) : (parseFloat(document.getElementById('cut-depth').value) || 18),
+    through,
+    face,
+    profile: readHoleProfile(),
+    x: 0,
+    y: 0,
+    z: 0,
+    [uAxis]: parseFloat(document.getElementById('cut-position-u').value) || 0,
+    [vAxis]: parseFloat(document.getElementById('cut-position-v').value) || 0
+  };
+}
 
-  // Création de la géométrie du cylindre
-  const cutGeometry = createCylinderGeometryForHole({
-    radius: cutRadius,
-    depth: cutDepth,
-    segments: 32
+/**
+ * Adapte les libellés des coordonnées et l'épaisseur traversée à la face choisie
+ */
+function updateFaceFields() {
+  const face = document.getElementById('cut-face').value;
+  displayedFace = face;
+  PANEL_FACES[face].axes.forEach((axis, index) => {
+    const key = index === 0 ? 'u' : 'v';
+    document.getElementById(`cut-position-${key}-label`).textContent = `Position ${axis.toUpperCase()} (mm):`;
+    document.getElementById(`cut-position-${key}-hint`).textContent = FACE_AXIS_LABELS[axis];
   });
+  if (document.getElementById('cut-through').checked) {
+    document.getElementById('cut-depth').value = getFaceSpan(face, cfg.panel);
+  }
+}
 
-  const cutMaterial = new THREE.MeshLambertMaterial({
-    color: 0xff4444,
-    transparent: true,
-    opacity: 0.8
+/**
+ * Changement de face : les coordonnées communes aux deux repères sont conservées, les autres remises à 0
+ */
+function changeFace() {
+  const inputs = ['cut-position-u', 'cut-position-v'].map(id => document.getElementById(id));
+  const coordinates = { x: 0, y: 0, z: 0 };
+  PANEL_FACES[displayedFace].axes.forEach((axis, index) => {
+    coordinates[axis] = parseFloat(inputs[index].value) || 0;
+  });
+  PANEL_FACES[document.getElementById('cut-face').value].axes.forEach((axis, index) => {
+    inputs[index].value = coordinates[axis];
   });
+  updateFaceFields();
+  updateModalPreview();
+}
+
+/**
+ * Valide une découpe circulaire par rapport au panneau
+ * @param {Object} params - Paramètres de la découpe
+ * @param {Object} panel - Configuration du panneau
+ * @returns {Object} Résultat de validation avec erreurs éventuelles
+ */
+function validateCircularCut(params, panel) {
+  const errors = [];
+  // Emprise sur la face : fraisure ou premier étage d'un perçage profilé
+  const radius = getHoleEntryDiameter(params) / 2;
+  const span = getFaceSpan(params.face, panel);
+
+  if (params.diameter <= 0) {
+    errors.push('Le diamètre doit être positif');
+  }
+
+  if (!params.through && (params.depth <= 0 || params.depth >= span)) {
+    errors.push(`La profondeur doit être entre 0 et ${span}mm (exclus). Cochez "Découpe traversante" pour traverser le panneau`);
+  }
 
-  modalCutMesh = new THREE.Mesh(cutGeometry, cutMaterial);
-  modalCutMesh.position.set(0, 0, 0); // Centré à l'origine
-  modalCutMesh.castShadow = true;
-  modalScene.add(modalCutMesh);
+  errors.push(...validateHoleProfile(params, params.through ? span : params.depth));
 
-  // Mise à jour des axes selon les dimensions du cylindre
-  const cylinderConfig = {
-    length: cutDiameter,
-    width: cutDiameter,
-    thickness: cutDepth
+  // Le trou doit rester entièrement dans sa face (chant : longueur du chant × épaisseur)
+  const face = PANEL_FACES[params.face];
+  getFaceSize(params.face, panel).forEach((size, index) => {
+    const axis = face.axes[index];
+    const label = axis.toUpperCase();
+    if (Math.abs(params[axis]) + radius > size / 2) {
+      errors.push(`Position ${label} hors ${face.edge ? 'du chant' : 'du panneau'}: |${label}| + rayon doit rester inférieur à ${size / 2}mm`);
+    }
+  });
+
+  return {
+    isValid: errors.length === 0,
+    errors: errors
   };
-  updateAxesAndLabels(cylinderConfig, modalScene);
+}
+
+function updateModalPreview() {
+  const params = readCutParameters();
+  const profileErrors = refreshProfile(params);
+  if (!isModalPreviewActive()) return;
+
+  // Aperçu du trou sur la face choisie du panneau ; trou droit tant que le profil est invalide
+  const profile = params.profile && profileErrors.length === 0 ? { profile: params.profile } : {};
+  updateModalPreviewCut({
+    type: 'circular',
+    face: params.face,
+    params: { diameter: params.diameter, depth: params.depth, through: params.through, ...profile },
+    position: { x: params.x, y: params.y, z: params.z }
+  }, cfg.panel);
+}
 
-  modalControls.target.set(0, 0, 0);
-  modalControls.update();
+/**
+ * Remplit le formulaire du modal avec les paramètres d'une découpe existante
+ * @param {Object} cut - Découpe circulaire de config.cuts
+ */
+function fillCutParameters(cut) {
+  const cutDepthInput = document.getElementById('cut-depth');
+  document.getElementById('cut-diameter').value = cut.params.diameter ?? cut.params.radius * 2;
+  document.getElementById('cut-through').checked = !!cut.params.through;
+  cutDepthInput.value = cut.params.through ? getFaceSpan(cut.face, cfg.panel) : cut.params.depth;
+  cutDepthInput.disabled = !!cut.params.through;
+  document.getElementById('cut-face').value = PANEL_FACES[cut.face] ? cut.face : 'top';
+  const [u, v] = getFaceCoordinates(cut);
+  document.getElementById('cut-position-u').value = u;
+  document.getElementById('cut-position-v').value = v;
+  fillHoleProfile(cut.params.profile);
 }
 
-function animateModal() {
-  if (modalRenderer && modalScene && modalCamera && modalControls) {
-    modalControls.update();
-    modalRenderer.render(modalScene, modalCamera);
-  }
+/**
+ * Remet le formulaire du modal aux valeurs par défaut d'une nouvelle découpe
+ */
+function resetCutParameters() {
+  resetModalFields(document.getElementById('circular-cut-modal'));
+  document.getElementById('cut-depth').disabled = false;
+  profileSteps = DEFAULT_HOLE_PROFILES.stepped.steps.map(step => ({ ...step }));
 }
 
-function cleanupModalScene() {
-  if (modalCutMesh) {
-    modalScene.remove(modalCutMesh);
-    modalCutMesh.geometry.dispose();
-    modalCutMesh.material.dispose();
-    modalCutMesh = null;
+/**
+ * Ouvre le modal en mode création ou en mode modification
+ * @param {Object|null} cut - Découpe à modifier, null pour une nouvelle découpe
+ */
+function openModal(cut = null) {
+  editingCutId = cut ? cut.id : null;
+  if (cut) {
+    fillCutParameters(cut);
+  } else {
+    resetCutParameters();
   }
+  updateFaceFields();
+  updateProfileFields();
+  document.querySelector('#circular-cut-modal .modal-header h3').textContent = cut
+    ? 'Modifier la Découpe Circulaire'
+    : 'Nouvelle Découpe Circulaire';
+  dialog.open();
+}
+
+/**
+ * Ouvre le modal prérempli pour modifier une découpe circulaire existante
+ * @param {Object} cut - Découpe circulaire de config.cuts
+ */
+function editCircularCut(cut) {
+  openModal(cut);
+}
 
-  // Nettoyage des axes du modal
-  if (modalScene) {
-    disposeAxes(modalScene);
+/**
+ * Valide le formulaire, crée la découpe et ferme le modal
+ * @param {Function} onDone - Appelée avec la découpe créée
+ * @param {Object} options - atCenter : découpe validée et créée au centre du panneau
+ */
+function submitCut(onDone, { atCenter = false } = {}) {
+  const params = readCutParameters();
+  if (atCenter) {
+    params.x = 0;
+    params.y = 0;
+    params.z = 0;
   }
+  const validation = validateCircularCut(params, cfg.panel);
 
-  if (modalRenderer) {
-    modalRenderer.dispose();
-    modalRenderer = null;
+  if (!validation.isValid) {
+    alert('Erreurs de validation:\n' + validation.errors.join('\n'));
+    return;
   }
 
-  if (modalControls) {
-    modalControls.dispose();
-    modalControls = null;
+  // En modification, la découpe conserve son identifiant
+  const cut = createCircularCut(params);
+  if (editingCutId) {
+    cut.id = editingCutId;
   }
+  dialog.close();
 
-  modalScene = null;
-  modalCamera = null;
+  if (onDone) {
+    onDone(cut);
+  }
 }
 
-function initCircularCutModal(config) {
+/**
+ * Initialise le modal de découpe circulaire
+ * @param {Object} config - Configuration de l'application (panneau et découpes)
+ * @param {Function} onApply - Appelée avec la découpe créée lors de la validation
+ * @param {Function} onPlace - Appelée avec la découpe à placer ensuite sur le panneau à la souris
+ */
+function initCircularCutModal(config, onApply, onPlace) {
   cfg = config;
   const openModalButton = document.getElementById('open-circular-cut-modal');
   const closeModalButton = document.getElementById('close-circular-cut-modal');
   const modal = document.getElementById('circular-cut-modal');
   const cancelButton = document.getElementById('cancel-cut');
   const applyButton = document.getElementById('apply-cut');
+  const placeButton = document.getElementById('place-cut');
   const cutThroughCheckbox = document.getElementById('cut-through');
   const cutDepthInput = document.getElementById('cut-depth');
 
-  openModalButton.addEventListener('click', () => {
-    modal.classList.add('active');
-    setTimeout(() => {
-      initModalScene(cfg);
-    }, 100);
-  });
-
-  function closeModal() {
-    modal.classList.remove('active');
-    cleanupModalScene();
-  }
-
-  closeModalButton.addEventListener('click', closeModal);
-  cancelButton.addEventListener('click', closeModal);
-
-  modal.addEventListener('click', (e) => {
-    if (e.target === modal) {
-      closeModal();
+  dialog = createModalDialog(modal, {
+    closeButtons: [closeModalButton, cancelButton],
+    onOpen: () => {
+      initModalPreview(modal.querySelector('.modal-3d-display'), cfg, { excludeCutId: editingCutId });
+      updateModalPreview();
     }
   });
 
-  document.addEventListener('keydown', (e) => {
-    if (e.key === 'Escape' && modal.classList.contains('active')) {
-      closeModal();
-    }
-  });
+  openModalButton.addEventListener('click', () => openModal());
 
   // Gestion de la case à cocher "Découpe traversante"
   if (cutThroughCheckbox && cutDepthInput) {
     cutThroughCheckbox.addEventListener('change', () => {
       if (cutThroughCheckbox.checked) {
-        // Découpe traversante : désactiver l'input de profondeur et utiliser l'épaisseur du panneau
-        cutDepthInput.value = cfg.panel.thickness;
+        // Découpe traversante : désactiver l'input de profondeur et utiliser la dimension traversée
+        cutDepthInput.value = getFaceSpan(document.getElementById('cut-face').value, cfg.panel);
         cutDepthInput.disabled = true;
       } else {
         // Découpe normale : réactiver l'input et remettre une valeur par défaut
         cutDepthInput.disabled = false;
         cutDepthInput.value = 18;
       }
-      
+
       // Mise à jour de l'aperçu si le modal est actif
-      if (modalScene) {
-        updateModalPreview();
-      }
+      updateModalPreview();
     });
   }
 
-  // Écouteurs pour les changements de paramètres (diamètre et profondeur)
-  ['cut-diameter', 'cut-depth'].forEach(id => {
+  // Profil : champs du type choisi, étages modifiés dans le tableau
+  Object.entries(HOLE_PROFILE_TYPES).forEach(([key, type]) => {
+    document.getElementById('cut-profile').add(new Option(type.name, key));
+  });
+  document.getElementById('cut-profile').addEventListener('change', () => {
+    updateProfileFields();
+    updateModalPreview();
+  });
+  modal.querySelectorAll('.profile-fields input[id]').forEach(input => {
+    input.addEventListener('input', updateModalPreview);
+  });
+
+  const stepsBody = document.getElementById('cut-profile-steps');
+  stepsBody.addEventListener('input', (e) => {
+    const { index, key } = e.target.dataset;
+    if (index === undefined || !key) return;
+    profileSteps[index][key] = parseFloat(e.target.value);
+    updateModalPreview();
+  });
+  stepsBody.addEventListener('click', (e) => {
+    const button = e.target.closest('button');
+    if (!button || profileSteps.length <= 1) return;
+    profileSteps.splice(Number(button.dataset.index), 1);
+    renderProfileSteps();
+    updateModalPreview();
+  });
+
+  // Nouvel étage entre le dernier étage et l'avant-trou, 3mm plus profond
+  document.getElementById('add-profile-step').addEventListener('click', () => {
+    const diameter = parseFloat(document.getElementById('cut-diameter').value) || 0;
+    const last = profileSteps[profileSteps.length - 1];
+    profileSteps.push({
+      diameter: Number((((last ? last.diameter : diameter * 2) + diameter) / 2).toFixed(1)),
+      depth: (last ? last.depth : 0) + 3
+    });
+    renderProfileSteps();
+    updateModalPreview();
+  });
+
+  // Écouteurs pour les changements de paramètres (dimensions et position)
+  document.getElementById('cut-face').addEventListener('change', changeFace);
+  ['cut-diameter', 'cut-depth', 'cut-position-u', 'cut-position-v'].forEach(id => {
     const input = document.getElementById(id);
     if (input) {
-      input.addEventListener('input', () => {
-        if (modalScene) {
-          updateModalPreview();
-        }
-      });
+      input.addEventListener('input', updateModalPreview);
     }
   });
 
-  applyButton.addEventListener('click', () => {
-    // TODO: appliquer la découpe au panneau principal
-    closeModal();
-  });
-}
-
-function getModalCamera() {
-  return modalCamera;
-}
+  applyButton.addEventListener('click', () => submitCut(onApply));
 
-function getModalRenderer() {
-  return modalRenderer;
+  // Placement à la souris : la position saisie est ignorée, elle sera choisie sur le panneau
+  placeButton.addEventListener('click', () => submitCut(onPlace, { atCenter: true }));
 }
 
-export { initCircularCutModal, animateModal, getModalCamera, getModalRenderer };
\ No newline at end of file
+export { initCircularCutModal, editCircularCut };
@@ -0,0 +1,222 @@
+import { createGrooveCut } from '../cuts/cutFactory.js';
+import { getCutTypeLabel, formatMm } from '../cuts/cutDescription.js';
+import {
+  GROOVE_EDGES,
+  GROOVE_EXTENTS,
+  getGrooveEdgeLength,
+  getGrooveSpan,
+  validateGroove
+} from '../cuts/groove.js';
+import { PANEL_FACES } from '../csg/cutPlacement.js';
+import { createModalDialog, resetModalFields } from './modalDialog.js';
+import {
+  initModalPreview,
+  updateModalPreviewCuts,
+  isModalPreviewActive
+} from './modalPreview.js';
+
+let cfg = null;
+let dialog = null;
+let editingCutId = null;
+
+const element = (id) => document.getElementById(id);
+
+/**
+ * Lit l'étendue de la rainure le long de son chant
+ * @returns {Object} { type: 'full' }, { type: 'stopped-start', stop }, { type: 'stopped-end', stop } ou { type: 'between', start, end }
+ */
+function readExtent() {
+  const type = element('groove-extent').value;
+  switch (type) {
+    case 'stopped-start':
+    case 'stopped-end':
+      return { type, stop: parseFloat(element('groove-stop').value) || 0 };
+    case 'between':
+      return {
+        type,
+        start: parseFloat(element('groove-start').value) || 0,
+        end: parseFloat(element('groove-end').value) || 0
+      };
+    default:
+      return { type: 'full' };
+  }
+}
+
+/**
+ * Lit les paramètres de la rainure depuis le formulaire du modal
+ * @returns {Object} Paramètres de la rainure
+ */
+function readGrooveParameters() {
+  return {
+    face: element('groove-face').value,
+    edge: element('groove-edge').value,
+    offset: Math.max(0, parseFloat(element('groove-offset').value) || 0),
+    width: parseFloat(element('groove-width').value) || 8,
+    depth: parseFloat(element('groove-depth').value) || 8,
+    extent: readExtent()
+  };
+}
+
+/**
+ * Valide une rainure par rapport au panneau
+ * @param {Object} params - Paramètres de la rainure
+ * @param {Object} panel - Configuration du panneau
+ * @returns {Object} Résultat de validation avec erreurs éventuelles
+ */
+function validateGrooveCut(params, panel) {
+  const errors = validateGroove(params, panel);
+
+  if (params.depth <= 0 || params.depth >= panel.thickness) {
+    errors.push(`La profondeur doit être entre 0 et ${panel.thickness}mm (exclus)`);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors: errors
+  };
+}
+
+/**
+ * Affiche les champs de l'étendue choisie et rappelle l'extrémité d'où partent les cotes
+ */
+function updateExtentFields() {
+  const type = element('groove-extent').value;
+  const edgeKey = element('groove-edge').value;
+  const edge = GROOVE_EDGES[edgeKey];
+  const length = getGrooveEdgeLength(edgeKey, cfg.panel);
+
+  element('groove-stop-fields').hidden = type !== 'stopped-start' && type !== 'stopped-end';
+  element('groove-between-fields').hidden = type !== 'between';
+
+  const end = type === 'stopped-end' ? edge.end : edge.start;
+  element('groove-stop-hint').textContent = `Depuis l'extrémité ${end} du chant (${formatMm(length)}mm)`;
+  element('groove-between-hint').textContent = `Positions depuis l'extrémité ${edge.start} du chant (${formatMm(length)}mm)`;
+}
+
+function updateGroovePreview() {
+  updateExtentFields();
+
+  const params = readGrooveParameters();
+  const { isValid, errors } = validateGrooveCut(params, cfg.panel);
+  const cut = { type: 'groove', face: params.face, params };
+  if (isValid) {
+    const { start, end } = getGrooveSpan(params, cfg.panel);
+    const edgeName = PANEL_FACES[params.edge].name.toLowerCase();
+    element('groove-summary').textContent = `${getCutTypeLabel(cut)} de ${formatMm(end - start)}mm le long du ${edgeName}`;
+  } else {
+    element('groove-summary').textContent = errors[0];
+  }
+
+  if (!isModalPreviewActive()) return;
+
+  // Aperçu de la rainure sur la face choisie ; rien tant qu'elle ne tient pas sur le panneau
+  updateModalPreviewCuts(isValid ? [cut] : [], cfg.panel);
+}
+
+/**
+ * Remplit le formulaire du modal avec les paramètres d'une rainure existante
+ * @param {Object} cut - Rainure de config.cuts
+ */
+function fillGrooveParameters(cut) {
+  const { params } = cut;
+  const extent = params.extent || { type: 'full' };
+  element('groove-face').value = cut.face || 'top';
+  element('groove-edge').value = params.edge;
+  element('groove-offset').value = params.offset || 0;
+  element('groove-width').value = params.width;
+  element('groove-depth').value = params.depth;
+  element('groove-extent').value = GROOVE_EXTENTS[extent.type] ? extent.type : 'full';
+  if (extent.stop !== undefined) element('groove-stop').value = extent.stop;
+  if (extent.start !== undefined) element('groove-start').value = extent.start;
+  if (extent.end !== undefined) element('groove-end').value = extent.end;
+}
+
+/**
+ * Remet le formulaire du modal aux valeurs par défaut d'une nouvelle rainure
+ */
+function resetGrooveParameters() {
+  resetModalFields(element('groove-modal'));
+  element('groove-edge').value = 'back';
+}
+
+/**
+ * Ouvre le modal en mode création ou en mode modification
+ * @param {Object|null} cut - Rainure à modifier, null pour une nouvelle rainure
+ */
+function openModal(cut = null) {
+  editingCutId = cut ? cut.id : null;
+  if (cut) {
+    fillGrooveParameters(cut);
+  } else {
+    resetGrooveParameters();
+  }
+  element('groove-modal').querySelector('.modal-header h3').textContent = cut
+    ? 'Modifier la Rainure'
+    : 'Nouvelle Rainure';
+  dialog.open();
+}
+
+/**
+ * Ouvre le modal prérempli pour modifier une rainure existante
+ * @param {Object} cut - Rainure de config.cuts
+ */
+function editGrooveCut(cut) {
+  openModal(cut);
+}
+
+/**
+ * Initialise le modal des rainures et feuillures
+ * @param {Object} config - Configuration de l'application (panneau et découpes)
+ * @param {Function} onApply - Appelée avec la rainure créée lors de la validation
+ */
+function initGrooveModal(config, onApply) {
+  cfg = config;
+  const modal = element('groove-modal');
+
+  dialog = createModalDialog(modal, {
+    closeButtons: [element('close-groove-modal'), element('cancel-groove')],
+    onOpen: () => {
+      initModalPreview(modal.querySelector('.modal-3d-display'), cfg, { excludeCutId: editingCutId });
+      updateGroovePreview();
+    }
+  });
+
+  Object.keys(GROOVE_EDGES).forEach(key => {
+    element('groove-edge').add(new Option(PANEL_FACES[key].name, key));
+  });
+  Object.entries(GROOVE_EXTENTS).forEach(([key, extent]) => {
+    element('groove-extent').add(new Option(extent.name, key));
+  });
+
+  element('open-groove-modal').addEventListener('click', () => openModal());
+
+  ['groove-face', 'groove-edge', 'groove-extent'].forEach(id => {
+    element(id).addEventListener('change', updateGroovePreview);
+  });
+  ['groove-offset', 'groove-width', 'groove-depth', 'groove-stop', 'groove-start', 'groove-end'].forEach(id => {
+    element(id).addEventListener('input', updateGroovePreview);
+  });
+
+  element('apply-groove').addEventListener('click', () => {
+    const params = readGrooveParameters();
+    const validation = validateGrooveCut(params, cfg.panel);
+
+    if (!validation.isValid) {
+      alert('Erreurs de validation:\n' + validation.errors.join('\n'));
+      return;
+    }
+
+    // En modification, la rainure conserve son identifiant
+    const cut = createGrooveCut(params);
+    if (editingCutId) {
+      cut.id = editingCutId;
+    }
+    dialog.close();
+
+    if (onApply) {
+      onApply(cut);
+    }
+  });
+}
+
+export { initGrooveModal, editGrooveCut };
@@ -0,0 +1,246 @@
+import { createModalDialog } from './modalDialog.js';
+import {
+  initModalPreview,
+  updateModalPreviewCuts,
+  isModalPreviewActive
+} from './modalPreview.js';
+import { PANEL_FACES, isEdgeCut } from '../csg/cutPlacement.js';
+import { isPatternWithinFace } from '../cuts/cutPattern.js';
+import {
+  DEFAULT_HARDWARE_CATALOG,
+  getTemplateDefaults,
+  getTemplateEdges,
+  validateTemplateParams,
+  buildTemplateCuts
+} from '../hardware/drillingTemplates.js';
+
+let cfg = null;
+let dialog = null;
+let catalog = DEFAULT_HARDWARE_CATALOG;
+
+const element = (id) => document.getElementById(id);
+
+/**
+ * Gabarit choisi dans la liste
+ * @returns {Object|null} Gabarit du catalogue
+ */
+function getSelectedTemplate() {
+  return catalog.templates.find(template => template.id === element('hardware-template').value) || null;
+}
+
+/**
+ * Remplit la liste des gabarits, regroupés par catégorie
+ * @param {string} selectedId - Gabarit à conserver s'il existe encore
+ */
+function fillTemplateList(selectedId) {
+  const select = element('hardware-template');
+  select.innerHTML = '';
+
+  const groups = new Map();
+  catalog.templates.forEach(template => {
+    const category = template.category || 'Divers';
+    if (!groups.has(category)) {
+      const group = document.createElement('optgroup');
+      group.label = category;
+      groups.set(category, group);
+      select.appendChild(group);
+    }
+    groups.get(category).appendChild(new Option(template.name, template.id));
+  });
+
+  if (catalog.templates.some(template => template.id === selectedId)) {
+    select.value = selectedId;
+  }
+  element('hardware-catalog-name').textContent = catalog.name || 'Catalogue sans nom';
+}
+
+/**
+ * Crée les champs des paramètres du gabarit choisi, avec leurs valeurs par défaut
+ */
+function renderTemplateParams() {
+  const template = getSelectedTemplate();
+  const container = element('hardware-params');
+  container.innerHTML = '';
+  element('hardware-description').textContent = template?.description || '';
+  if (!template) return;
+
+  const defaults = getTemplateDefaults(template);
+  template.params.forEach(param => {
+    const group = document.createElement('div');
+    group.className = 'parameter-group';
+
+    const label = document.createElement('label');
+    label.htmlFor = `hardware-param-${param.key}`;
+    label.textContent = `${param.label}:`;
+    group.appendChild(label);
+
+    let input;
+    if (param.options) {
+      input = document.createElement('select');
+      param.options.forEach(option => input.add(new Option(String(option), option)));
+    } else {
+      input = document.createElement('input');
+      input.type = 'number';
+      input.step = param.integer ? '1' : 'any';
+      if (param.min !== undefined) input.min = param.min;
+      if (param.max !== undefined) input.max = param.max;
+    }
+    input.id = `hardware-param-${param.key}`;
+    input.dataset.paramKey = param.key;
+    input.value = defaults[param.key];
+    group.appendChild(input);
+
+    container.appendChild(group);
+  });
+}
+
+/**
+ * Lit les valeurs des paramètres du gabarit
+ * @returns {Object} { clé: nombre }
+ */
+function readTemplateValues() {
+  const values = {};
+  element('hardware-params').querySelectorAll('[data-param-key]').forEach(input => {
+    values[input.dataset.paramKey] = parseFloat(input.value);
+  });
+  return values;
+}
+
+/**
+ * Lit la pose du gabarit
+ * @returns {Object} { face, edge, position }
+ */
+function readPlacement() {
+  return {
+    face: element('hardware-face').value,
+    edge: element('hardware-edge').value,
+    position: parseFloat(element('hardware-position').value) || 0
+  };
+}
+
+/**
+ * Calcule les perçages du gabarit avec les valeurs saisies et vérifie qu'ils restent dans le panneau
+ * @returns {Object} { cuts, errors }
+ */
+function computeTemplateCuts() {
+  const template = getSelectedTemplate();
+  if (!template) {
+    return { cuts: [], errors: ['Aucun gabarit sélectionné'] };
+  }
+
+  const values = readTemplateValues();
+  const errors = validateTemplateParams(template, values);
+  if (errors.length > 0) {
+    return { cuts: [], errors };
+  }
+
+  // Trous de face dans la face, trous de chant dans la longueur du chant et l'épaisseur
+  const result = buildTemplateCuts(template, values, readPlacement(), cfg.panel);
+  if (result.cuts.some(cut => !isPatternWithinFace(cut, cfg.panel))) {
+    result.errors.push('Des perçages dépassent du panneau : modifiez le chant, la position ou les paramètres');
+  }
+  return result;
+}
+
+function updateHardwarePreview() {
+  const { cuts, errors } = computeTemplateCuts();
+
+  const edgeCount = cuts.filter(isEdgeCut).length;
+  const faceCount = cuts.length - edgeCount;
+  const parts = [];
+  if (faceCount > 0) parts.push(`${faceCount} perçage${faceCount > 1 ? 's' : ''} sur la face`);
+  if (edgeCount > 0) parts.push(`${edgeCount} perçage${edgeCount > 1 ? 's' : ''} dans le chant`);
+  element('hardware-summary').textContent = errors.length > 0 ? errors[0] : parts.join(' ; ');
+
+  if (!isModalPreviewActive()) return;
+  updateModalPreviewCuts(errors.length > 0 ? [] : cuts, cfg.panel);
+}
+
+/**
+ * Ouvre la bibliothèque de quincaillerie pour le panneau actif
+ */
+function openHardwareLibrary() {
+  updateHardwarePreview();
+  dialog.open();
+}
+
+/**
+ * Remplace le catalogue de gabarits (catalogue chargé depuis un fichier)
+ * @param {Object} nextCatalog - Catalogue validé
+ */
+function setHardwareCatalog(nextCatalog) {
+  const selectedId = element('hardware-template').value;
+  catalog = nextCatalog;
+  fillTemplateList(selectedId);
+  renderTemplateParams();
+  updateHardwarePreview();
+}
+
+/**
+ * Catalogue de gabarits courant
+ * @returns {Object} Catalogue
+ */
+function getHardwareCatalog() {
+  return catalog;
+}
+
+/**
+ * Initialise la bibliothèque de gabarits de perçage
+ * @param {Object} config - Configuration de l'application (panneau et découpes)
+ * @param {Object} handlers - Actions déclenchées depuis le modal
+ * @param {Function} handlers.onInsert - Insertion des perçages (découpes) dans config.cuts
+ * @param {Function} handlers.onLoadCatalog - Chargement d'un catalogue JSON
+ * @param {Function} handlers.onExportCatalog - Export du catalogue courant
+ */
+function initHardwareModal(config, { onInsert, onLoadCatalog, onExportCatalog }) {
+  cfg = config;
+  const modal = element('hardware-modal');
+
+  dialog = createModalDialog(modal, {
+    closeButtons: [element('close-hardware-modal'), element('cancel-hardware')],
+    onOpen: () => {
+      initModalPreview(modal.querySelector('.modal-3d-display'), cfg);
+      updateHardwarePreview();
+    }
+  });
+
+  // Les trous de face se posent sur le dessus ou le dessous ; les trous de chant suivent le chant de référence
+  Object.entries(PANEL_FACES).filter(([, face]) => !face.edge).forEach(([key, face]) => {
+    element('hardware-face').add(new Option(face.name, key));
+  });
+  Object.entries(getTemplateEdges()).forEach(([key, name]) => {
+    element('hardware-edge').add(new Option(name, key));
+  });
+
+  fillTemplateList(null);
+  renderTemplateParams();
+
+  element('hardware-template').addEventListener('change', () => {
+    renderTemplateParams();
+    updateHardwarePreview();
+  });
+  // Champs des paramètres recréés à chaque changement de gabarit : délégation
+  element('hardware-params').addEventListener('input', updateHardwarePreview);
+  element('hardware-params').addEventListener('change', updateHardwarePreview);
+  ['hardware-face', 'hardware-edge'].forEach(id => element(id).addEventListener('change', updateHardwarePreview));
+  element('hardware-position').addEventListener('input', updateHardwarePreview);
+
+  element('insert-hardware').addEventListener('click', () => {
+    const { cuts, errors } = computeTemplateCuts();
+
+    if (errors.length > 0) {
+      alert('Erreurs de validation:\n' + errors.join('\n'));
+      return;
+    }
+
+    dialog.close();
+    if (onInsert) {
+      onInsert(cuts, getSelectedTemplate());
+    }
+  });
+
+  element('load-hardware-catalog').addEventListener('click', () => onLoadCatalog?.());
+  element('export-hardware-catalog').addEventListener('click', () => onExportCatalog?.());
+}
+
+export { initHardwareModal, openHardwareLibrary, setHardwareCatalog, getHardwareCatalog };
@@ -0,0 +1,73 @@
+/**
+ * Module de gestion des fenêtres modales
+ * Ouverture, fermeture (bouton, clic extérieur, Échap) et cycle de vie de l'aperçu 3D
+ */
+
+import { disposeModalPreview } from './modalPreview.js';
+
+/**
+ * Branche les comportements d'ouverture et de fermeture d'un modal
+ * @param {HTMLElement} modal - Élément .modal-overlay
+ * @param {Object} options - Options du modal
+ * @param {HTMLElement[]} options.closeButtons - Boutons fermant le modal
+ * @param {Function} options.onOpen - Appelée une fois le modal affiché (mise en page terminée)
+ * @param {Function} options.onClose - Appelée après la fermeture du modal
+ * @returns {Object} { open, close, isOpen }
+ */
+export function createModalDialog(modal, { closeButtons = [], onOpen, onClose } = {}) {
+  function isOpen() {
+    return modal.classList.contains('active');
+  }
+
+  function open() {
+    modal.classList.add('active');
+    // Attente de la mise en page pour que la zone 3D ait ses dimensions
+    setTimeout(() => {
+      if (isOpen() && onOpen) {
+        onOpen();
+      }
+    }, 100);
+  }
+
+  function close() {
+    modal.classList.remove('active');
+    disposeModalPreview();
+    if (onClose) {
+      onClose();
+    }
+  }
+
+  closeButtons.forEach(button => button.addEventListener('click', close));
+
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) {
+      close();
+    }
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && isOpen()) {
+      close();
+    }
+  });
+
+  return { open, close, isOpen };
+}
+
+/**
+ * Remet les champs d'un modal aux valeurs écrites dans le HTML (nouvelle découpe)
+ * Les listes sans option présélectionnée reviennent à leur première option
+ * @param {HTMLElement} modal - Élément contenant les champs
+ */
+export function resetModalFields(modal) {
+  modal.querySelectorAll('input, select').forEach(field => {
+    if (field.tagName === 'SELECT') {
+      const option = Array.from(field.options).find(o => o.defaultSelected);
+      field.selectedIndex = option ? option.index : 0;
+    } else if (field.type === 'checkbox') {
+      field.checked = field.defaultChecked;
+    } else {
+      field.value = field.defaultValue;
+    }
+  });
+}
@@ -0,0 +1,235 @@
+/**
+ * Module d'aperçu 3D partagé par les modals de découpe
+ * Affiche un fantôme du panneau réel sur lequel l'aperçu de la découpe est positionné
+ */
+
+import * as THREE from 'three';
+import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { CSGManager } from '../csg/CSGManager.ts';
+import { buildCutVolume } from '../csg/cutGeometry.js';
+import { expandCut } from '../cuts/cutPattern.js';
+import { calculateOptimalCameraSettings } from '../Tools/cameraManager.js';
+
+// Variables privées du module (un seul modal ouvert à la fois)
+let modalContainer = null;
+let modalScene = null;
+let modalCamera = null;
+let modalRenderer = null;
+let modalControls = null;
+let modalCutGroup = null;
+let modalGhostMesh = null;
+let modalAxes = null;
+
+/**
+ * Initialise la scène d'aperçu dans le conteneur d'un modal
+ * @param {HTMLElement} container - Zone d'affichage 3D du modal
+ * @param {Object} config - Configuration de l'application (panneau et découpes)
+ * @param {Object} options - Options d'affichage
+ * @param {string} options.excludeCutId - Découpe en cours de modification, retirée du fantôme
+ */
+export function initModalPreview(container, config, options = {}) {
+  modalContainer = container;
+  modalContainer.innerHTML = '';
+
+  modalScene = new THREE.Scene();
+  modalScene.background = new THREE.Color(0xf0f0f0);
+
+  // Cadrage de la caméra sur le panneau réel
+  const cameraSettings = calculateOptimalCameraSettings(config.panel);
+  const aspect = modalContainer.clientWidth / modalContainer.clientHeight;
+  modalCamera = new THREE.PerspectiveCamera(75, aspect, 0.1, 10000);
+  modalCamera.position.set(
+    cameraSettings.position.x,
+    cameraSettings.position.y,
+    cameraSettings.position.z
+  );
+  modalCamera.lookAt(0, 0, 0);
+
+  modalRenderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
+  modalRenderer.setSize(modalContainer.clientWidth, modalContainer.clientHeight);
+  modalRenderer.setPixelRatio(window.devicePixelRatio);
+  modalRenderer.shadowMap.enabled = true;
+  modalRenderer.shadowMap.type = THREE.PCFSoftShadowMap;
+  modalRenderer.outputColorSpace = THREE.SRGBColorSpace;
+
+  modalContainer.appendChild(modalRenderer.domElement);
+
+  modalControls = new OrbitControls(modalCamera, modalRenderer.domElement);
+  modalControls.enableDamping = true;
+  modalControls.dampingFactor = 0.05;
+  modalControls.target.set(0, 0, 0);
+  modalControls.minDistance = cameraSettings.minDistance;
+  modalControls.maxDistance = cameraSettings.maxDistance;
+
+  setupModalLighting();
+  createGhostPanel(config, options.excludeCutId);
+}
+
+function setupModalLighting() {
+  const ambientLight = new THREE.AmbientLight(0x404040, 0.4);
+  modalScene.add(ambientLight);
+
+  const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
+  directionalLight.position.set(50, 50, 25);
+  directionalLight.castShadow = true;
+  directionalLight.shadow.mapSize.width = 1024;
+  directionalLight.shadow.mapSize.height = 1024;
+  directionalLight.shadow.camera.near = 0.5;
+  directionalLight.shadow.camera.far = 200;
+  directionalLight.shadow.camera.left = -100;
+  directionalLight.shadow.camera.right = 100;
+  directionalLight.shadow.camera.top = 100;
+  directionalLight.shadow.camera.bottom = -100;
+  modalScene.add(directionalLight);
+
+  const fillLight = new THREE.DirectionalLight(0xffffff, 0.3);
+  fillLight.position.set(-25, 25, -25);
+  modalScene.add(fillLight);
+}
+
+/**
+ * Crée le fantôme du panneau réel (avec ses découpes existantes)
+ * @param {Object} config - Configuration de l'application
+ * @param {string} excludeCutId - Découpe à ne pas soustraire du fantôme
+ */
+function createGhostPanel(config, excludeCutId) {
+  const ghostConfig = {
+    ...config,
+    cuts: config.cuts.filter(cut => cut.id !== excludeCutId)
+  };
+
+  try {
+    modalGhostMesh = CSGManager.applyCuts(ghostConfig);
+  } catch (error) {
+    console.error('Erreur lors de la création du fantôme du panneau:', error);
+    return;
+  }
+  modalGhostMesh.material.opacity = 0.35;
+  modalGhostMesh.material.depthWrite = false;
+  modalScene.add(modalGhostMesh);
+
+  // Axes locaux au modal (le module axesHelper est réservé à la scène principale)
+  const { length, width, thickness } = config.panel;
+  const axesSize = Math.max(length, width, thickness) * 0.7;
+  modalAxes = new THREE.AxesHelper(Math.max(axesSize, 140));
+  modalScene.add(modalAxes);
+}
+
+/**
+ * Remplace le volume de découpe affiché sur le fantôme du panneau
+ * Une découpe avec motif affiche toutes ses occurrences
+ * @param {Object} cut - Découpe à prévisualiser (même format que config.cuts)
+ * @param {Object} panel - Configuration du panneau
+ */
+export function updateModalPreviewCut(cut, panel) {
+  updateModalPreviewCuts([cut], panel);
+}
+
+/**
+ * Remplace les volumes affichés sur le fantôme du panneau par ceux d'un groupe de découpes
+ * @param {Object[]} cuts - Découpes à prévisualiser (même format que config.cuts)
+ * @param {Object} panel - Configuration du panneau
+ */
+export function updateModalPreviewCuts(cuts, panel) {
+  if (!modalScene) return;
+
+  // Suppression des volumes de découpe existants
+  disposeCutMesh();
+
+  const cutMaterial = new THREE.MeshLambertMaterial({
+    color: 0xff4444,
+    transparent: true,
+    opacity: 0.8
+  });
+
+  // Positionnement des volumes sur la face choisie du panneau
+  modalCutGroup = new THREE.Group();
+  cuts.flatMap(expandCut).forEach(instance => {
+    const volume = buildCutVolume(instance, panel);
+    if (!volume) return;
+
+    const mesh = new THREE.Mesh(volume.geometry, cutMaterial);
+    mesh.position.set(volume.position.x, volume.position.y, volume.position.z);
+    mesh.rotation.set(volume.rotation.x, volume.rotation.y, volume.rotation.z);
+    mesh.castShadow = true;
+    modalCutGroup.add(mesh);
+  });
+  modalScene.add(modalCutGroup);
+
+  modalControls.update();
+}
+
+function disposeCutMesh() {
+  if (modalCutGroup) {
+    modalScene.remove(modalCutGroup);
+    modalCutGroup.children.forEach(mesh => mesh.geometry.dispose());
+    modalCutGroup.children[0]?.material.dispose();
+    modalCutGroup = null;
+  }
+}
+
+/**
+ * Indique si un aperçu est actuellement affiché
+ * @returns {boolean} true si la scène d'aperçu est active
+ */
+export function isModalPreviewActive() {
+  return modalScene !== null;
+}
+
+/**
+ * Animation de l'aperçu (à appeler dans la boucle d'animation principale)
+ */
+export function animateModal() {
+  if (modalRenderer && modalScene && modalCamera && modalControls) {
+    modalControls.update();
+    modalRenderer.render(modalScene, modalCamera);
+  }
+}
+
+/**
+ * Redimensionne l'aperçu selon la taille actuelle de son conteneur
+ */
+export function resizeModalPreview() {
+  if (!modalRenderer || !modalCamera || !modalContainer) return;
+
+  modalCamera.aspect = modalContainer.clientWidth / modalContainer.clientHeight;
+  modalCamera.updateProjectionMatrix();
+  modalRenderer.setSize(modalContainer.clientWidth, modalContainer.clientHeight);
+}
+
+/**
+ * Nettoie les ressources de l'aperçu
+ */
+export function disposeModalPreview() {
+  if (modalScene) {
+    disposeCutMesh();
+  }
+
+  if (modalGhostMesh) {
+    modalScene.remove(modalGhostMesh);
+    modalGhostMesh.geometry.dispose();
+    modalGhostMesh.material.dispose();
+    modalGhostMesh = null;
+  }
+
+  // Nettoyage des axes du modal
+  if (modalAxes) {
+    modalScene.remove(modalAxes);
+    modalAxes.dispose();
+    modalAxes = null;
+  }
+
+  if (modalRenderer) {
+    modalRenderer.dispose();
+    modalRenderer = null;
+  }
+
+  if (modalControls) {
+    modalControls.dispose();
+    modalControls = null;
+  }
+
+  modalScene = null;
+  modalCamera = null;
+  modalContainer = null;
+}
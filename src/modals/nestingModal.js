@@ -0,0 +1,203 @@
+import { createModalDialog } from './modalDialog.js';
+import { materials, standardSheets } from '../materials.js';
+import { formatMm } from '../cuts/cutDescription.js';
+import { describeNestingPart, nestPanels, validateNesting } from '../nesting/guillotineNesting.js';
+import { renderNestingSvg, describeNestingSheet, formatPercent } from '../nesting/nestingExport.js';
+
+let cfg = null;
+let dialog = null;
+let callbacks = {};
+// Liste de débit : { id, name, panel, quantity, grainLocked } ; panel est une copie figée du panneau ajouté
+let entries = [];
+let nextPartNumber = 1;
+let result = null;
+
+/**
+ * Lit les dimensions des feuilles depuis le formulaire
+ * @returns {Object} { matériau: { length, width } }
+ */
+function readSheetSizes() {
+  const sizes = {};
+  Object.keys(standardSheets).forEach(material => {
+    sizes[material] = {
+      length: parseFloat(document.getElementById(`nesting-sheet-${material}-length`).value),
+      width: parseFloat(document.getElementById(`nesting-sheet-${material}-width`).value)
+    };
+  });
+  return sizes;
+}
+
+/**
+ * Construit le tableau des feuilles standard (une ligne par matériau)
+ */
+function renderSheetTable() {
+  const body = document.getElementById('nesting-sheets');
+  body.innerHTML = '';
+
+  Object.entries(standardSheets).forEach(([material, sheet]) => {
+    const row = document.createElement('tr');
+    row.innerHTML = `
+      <td>${materials[material].name}</td>
+      <td><input type="number" id="nesting-sheet-${material}-length" value="${sheet.length}" min="100" step="1"></td>
+      <td><input type="number" id="nesting-sheet-${material}-width" value="${sheet.width}" min="100" step="1"></td>
+    `;
+    body.appendChild(row);
+  });
+}
+
+/**
+ * Construit le tableau de la liste de débit
+ */
+function renderPartTable() {
+  const body = document.getElementById('nesting-parts');
+  body.innerHTML = '';
+
+  entries.forEach((entry, index) => {
+    const part = describeNestingPart(entry);
+    const row = document.createElement('tr');
+    row.innerHTML = `
+      <td><input type="text" data-index="${index}" data-key="name"></td>
+      <td>${formatMm(part.length)} × ${formatMm(part.width)}<small>${materials[part.material]?.name || part.material} ${formatMm(part.thickness)}mm</small></td>
+      <td><input type="number" data-index="${index}" data-key="quantity" value="${entry.quantity}" min="1" step="1"></td>
+      <td><input type="checkbox" data-index="${index}" data-key="grainLocked" title="Pièce débitée dans le sens du fil de la feuille" ${entry.grainLocked ? 'checked' : ''}></td>
+      <td><button type="button" data-index="${index}" title="Retirer la pièce">×</button></td>
+    `;
+    row.querySelector('[data-key="name"]').value = entry.name;
+    body.appendChild(row);
+  });
+}
+
+/**
+ * Calcule le débit et l'affiche (plan des feuilles et résumé)
+ */
+function refreshLayout() {
+  const preview = document.getElementById('nesting-preview');
+  const summary = document.getElementById('nesting-summary');
+  const parts = entries.map(describeNestingPart);
+  const options = {
+    sheetSizes: readSheetSizes(),
+    kerf: parseFloat(document.getElementById('nesting-kerf').value)
+  };
+
+  const errors = validateNesting(parts, options);
+  result = errors.length === 0 ? nestPanels(parts, options) : null;
+
+  document.getElementById('export-nesting-svg').disabled = !result;
+  document.getElementById('export-nesting-csv').disabled = !result;
+
+  if (!result) {
+    preview.innerHTML = '';
+    summary.textContent = errors.join(' · ');
+    return;
+  }
+
+  preview.innerHTML = renderNestingSvg(result);
+  const lines = [`${result.sheets.length} feuille(s) · rendement global ${formatPercent(result.yield)}`];
+  result.sheets.forEach((sheet, index) => lines.push(describeNestingSheet(sheet, index)));
+  if (result.unplaced.length > 0) {
+    lines.push(`Hors feuille (trop grandes) : ${result.unplaced.map(p => p.name).join(', ')}`);
+  }
+  summary.textContent = lines.join('\n');
+}
+
+/**
+ * Ajoute une copie figée d'un panneau à la liste de débit
+ * @param {Object} source - Configuration du panneau
+ * @param {string} name - Nom de la pièce (numéro de pièce par défaut)
+ */
+function pushEntry(source, name = `Pièce ${nextPartNumber}`) {
+  const panel = JSON.parse(JSON.stringify(source));
+  entries.push({
+    id: `part-${nextPartNumber}`,
+    name,
+    panel,
+    quantity: 1,
+    grainLocked: Boolean(materials[panel.material]?.grain)
+  });
+  nextPartNumber++;
+}
+
+/**
+ * Ajoute le panneau courant à la liste de débit
+ */
+function addCurrentPanel() {
+  pushEntry(cfg.panel);
+  renderPartTable();
+  refreshLayout();
+}
+
+/**
+ * Ajoute chaque pièce de l'assemblage à la liste de débit, sous son nom
+ */
+function addAssemblyParts() {
+  cfg.assembly.parts.forEach(part => pushEntry(part.panel, part.name));
+  renderPartTable();
+  refreshLayout();
+}
+
+/**
+ * Ouvre le modal du débit ; la liste démarre avec le panneau courant
+ */
+function openNesting() {
+  if (entries.length === 0) {
+    addCurrentPanel();
+  } else {
+    refreshLayout();
+  }
+  dialog.open();
+}
+
+/**
+ * Initialise le modal d'optimisation du débit
+ * @param {Object} config - Configuration de l'application
+ * @param {Object} handlers - Exports déclenchés depuis le modal
+ * @param {Function} handlers.onExportSvg - Export du plan de découpe (résultat du débit)
+ * @param {Function} handlers.onExportCsv - Export de la liste de débit (résultat du débit)
+ */
+function initNestingModal(config, handlers) {
+  cfg = config;
+  callbacks = handlers;
+  const modal = document.getElementById('nesting-modal');
+
+  dialog = createModalDialog(modal, {
+    closeButtons: [document.getElementById('close-nesting-modal'), document.getElementById('cancel-nesting')]
+  });
+
+  renderSheetTable();
+  document.getElementById('nesting-sheets').addEventListener('change', refreshLayout);
+  document.getElementById('nesting-kerf').addEventListener('change', refreshLayout);
+  document.getElementById('add-nesting-part').addEventListener('click', addCurrentPanel);
+  document.getElementById('add-nesting-assembly').addEventListener('click', addAssemblyParts);
+
+  const body = document.getElementById('nesting-parts');
+  body.addEventListener('change', (e) => {
+    const { index, key } = e.target.dataset;
+    if (index === undefined || !key) return;
+    const entry = entries[index];
+    if (key === 'grainLocked') {
+      entry.grainLocked = e.target.checked;
+    } else if (key === 'quantity') {
+      entry.quantity = parseInt(e.target.value, 10);
+    } else {
+      entry.name = e.target.value.trim() || entry.name;
+    }
+    refreshLayout();
+  });
+
+  body.addEventListener('click', (e) => {
+    const button = e.target.closest('button');
+    if (!button) return;
+    entries.splice(Number(button.dataset.index), 1);
+    renderPartTable();
+    refreshLayout();
+  });
+
+  document.getElementById('export-nesting-svg').addEventListener('click', () => {
+    if (result) callbacks.onExportSvg(result);
+  });
+  document.getElementById('export-nesting-csv').addEventListener('click', () => {
+    if (result) callbacks.onExportCsv(result);
+  });
+}
+
+export { initNestingModal, openNesting };
@@ -0,0 +1,309 @@
+import { createModalDialog } from './modalDialog.js';
+import { PANEL_SHAPES, NOTCH_CORNERS, validateShapeParams } from '../models/panelShapes.js';
+import {
+  tessellateOutline,
+  normalizeOutline,
+  validateOutline,
+  MAX_OUTLINE_VERTICES
+} from '../models/freeformOutline.js';
+
+let cfg = null;
+let dialog = null;
+let vertices = [];
+
+// Cotes saisies pour chaque forme paramétrique (champs "outline-<forme>-<cote>" en kebab-case)
+const SHAPE_FIELDS = {
+  rectangle: ['length', 'width'],
+  lShape: ['length', 'width', 'depth', 'returnWidth'],
+  trapezoid: ['length', 'width', 'backLength', 'backOffset'],
+  notched: ['length', 'width', 'notchLength', 'notchWidth', 'corner'],
+  arched: ['length', 'width', 'rise'],
+  custom: []
+};
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+const kebabCase = (name) => name.replace(/[A-Z]/g, c => '-' + c.toLowerCase());
+const fieldId = (shape, key) => `outline-${kebabCase(shape)}-${kebabCase(key)}`;
+
+/**
+ * Lit les cotes d'une forme paramétrique depuis le formulaire
+ * @param {string} shape - Identifiant de la forme
+ * @returns {Object} Cotes de la forme
+ */
+function readShapeParams(shape) {
+  const params = {};
+  SHAPE_FIELDS[shape].forEach(key => {
+    const value = document.getElementById(fieldId(shape, key)).value;
+    params[key] = key === 'corner' ? value : parseFloat(value);
+  });
+  return params;
+}
+
+/**
+ * Remplit les cotes d'une forme dans le formulaire
+ * @param {string} shape - Identifiant de la forme
+ * @param {Object} params - Cotes de la forme
+ */
+function fillShapeParams(shape, params) {
+  SHAPE_FIELDS[shape].forEach(key => {
+    if (params[key] !== undefined) {
+      document.getElementById(fieldId(shape, key)).value = params[key];
+    }
+  });
+}
+
+/**
+ * Sommets d'un rectangle depuis l'origine
+ */
+function rectangleVertices(length, width) {
+  return [
+    { x: 0, y: 0, bulge: 0 },
+    { x: length, y: 0, bulge: 0 },
+    { x: length, y: width, bulge: 0 },
+    { x: 0, y: width, bulge: 0 }
+  ];
+}
+
+/**
+ * Recalcule les sommets depuis les cotes de la forme choisie (sans effet pour un contour libre)
+ */
+function rebuildVertices() {
+  const shape = document.getElementById('outline-shape').value;
+  if (shape === 'custom') return;
+
+  const params = readShapeParams(shape);
+  if (validateShapeParams(shape, params).length > 0) return;
+  vertices = shape === 'rectangle'
+    ? rectangleVertices(params.length, params.width)
+    : PANEL_SHAPES[shape].build(params);
+}
+
+/**
+ * Affiche les cotes de la forme choisie
+ */
+function updateFieldGroups() {
+  const shape = document.getElementById('outline-shape').value;
+  Object.keys(SHAPE_FIELDS).forEach(key => {
+    const group = document.getElementById(`outline-${kebabCase(key)}-fields`);
+    if (group) {
+      group.hidden = key !== shape;
+    }
+  });
+}
+
+/**
+ * Construit le tableau des sommets éditables
+ */
+function renderVertexTable() {
+  const body = document.getElementById('outline-vertices');
+  body.innerHTML = '';
+
+  vertices.forEach((vertex, index) => {
+    const row = document.createElement('tr');
+    row.innerHTML = `
+      <td>${index + 1}</td>
+      <td><input type="number" step="0.1" data-index="${index}" data-key="x" value="${vertex.x}"></td>
+      <td><input type="number" step="0.1" data-index="${index}" data-key="y" value="${vertex.y}"></td>
+      <td><input type="number" step="0.01" data-index="${index}" data-key="bulge" value="${vertex.bulge || 0}"></td>
+      <td><button type="button" data-index="${index}" title="Supprimer le sommet" ${vertices.length <= 3 ? 'disabled' : ''}>×</button></td>
+    `;
+    body.appendChild(row);
+  });
+
+  document.getElementById('add-outline-vertex').disabled = vertices.length >= MAX_OUTLINE_VERTICES;
+}
+
+/**
+ * Dessine le contour dans l'aperçu 2D (vue de dessus, avant en bas)
+ */
+function renderPreview() {
+  const svg = document.getElementById('outline-preview-svg');
+  svg.innerHTML = '';
+
+  const errors = validateOutline(vertices);
+  document.getElementById('outline-summary').textContent = errors.length === 0
+    ? `${vertices.length} sommets · encombrement ${formatSize(normalizeOutline(vertices))}`
+    : errors[0];
+
+  const points = tessellateOutline(vertices);
+  const xs = points.map(p => p.x);
+  const ys = points.map(p => p.y);
+  const minX = Math.min(...xs);
+  const maxY = Math.max(...ys);
+  const size = Math.max(Math.max(...xs) - minX, maxY - Math.min(...ys), 1);
+  const margin = size * 0.08;
+  // Repère SVG : Y vers le bas, la vue de dessus est retournée
+  svg.setAttribute('viewBox', `${minX - margin} ${-maxY - margin} ${size + 2 * margin} ${size + 2 * margin}`);
+
+  const polygon = document.createElementNS(SVG_NS, 'polygon');
+  polygon.setAttribute('points', points.map(p => `${p.x},${-p.y}`).join(' '));
+  polygon.setAttribute('fill', errors.length === 0 ? 'rgba(0, 123, 255, 0.15)' : 'rgba(220, 53, 69, 0.15)');
+  polygon.setAttribute('stroke', errors.length === 0 ? '#007bff' : '#dc3545');
+  polygon.setAttribute('stroke-width', size / 250);
+  svg.appendChild(polygon);
+
+  vertices.forEach((vertex, index) => {
+    const dot = document.createElementNS(SVG_NS, 'circle');
+    dot.setAttribute('cx', vertex.x);
+    dot.setAttribute('cy', -vertex.y);
+    dot.setAttribute('r', size / 120);
+    dot.setAttribute('fill', '#495057');
+    svg.appendChild(dot);
+
+    const label = document.createElementNS(SVG_NS, 'text');
+    label.setAttribute('x', vertex.x + size / 80);
+    label.setAttribute('y', -vertex.y - size / 80);
+    label.setAttribute('font-size', size / 30);
+    label.setAttribute('fill', '#495057');
+    label.textContent = index + 1;
+    svg.appendChild(label);
+  });
+}
+
+function formatSize({ length, width }) {
+  return `${Number(length.toFixed(1))} × ${Number(width.toFixed(1))}mm`;
+}
+
+function refresh() {
+  renderVertexTable();
+  renderPreview();
+}
+
+/**
+ * Calcule la modification du panneau correspondant au formulaire
+ * @returns {Object} { changes, errors } ; changes : { outline, length, width }
+ */
+function readOutlineChanges() {
+  const shape = document.getElementById('outline-shape').value;
+  const params = shape === 'custom' ? null : readShapeParams(shape);
+  const errors = params ? validateShapeParams(shape, params) : [];
+  if (errors.length > 0) {
+    return { changes: null, errors };
+  }
+
+  // Le rectangle n'a pas de contour : le panneau est défini par sa longueur et sa largeur
+  if (shape === 'rectangle') {
+    return { changes: { outline: null, length: params.length, width: params.width }, errors };
+  }
+
+  errors.push(...validateOutline(vertices));
+  if (errors.length > 0) {
+    return { changes: null, errors };
+  }
+
+  const normalized = normalizeOutline(vertices);
+  return {
+    changes: {
+      outline: { shape, params, vertices: normalized.vertices },
+      length: normalized.length,
+      width: normalized.width
+    },
+    errors
+  };
+}
+
+/**
+ * Ouvre le modal pour modifier le contour du panneau
+ */
+function editPanelOutline() {
+  const outline = cfg.panel.outline;
+  const shape = outline && PANEL_SHAPES[outline.shape] ? outline.shape : (outline ? 'custom' : 'rectangle');
+
+  // Cotes par défaut de chaque forme depuis les dimensions actuelles, puis celles de la forme en cours
+  Object.entries(PANEL_SHAPES).forEach(([key, definition]) => fillShapeParams(key, definition.defaults(cfg.panel)));
+  if (outline?.params) {
+    fillShapeParams(shape, outline.params);
+  }
+
+  document.getElementById('outline-shape').value = shape;
+  vertices = outline
+    ? outline.vertices.map(v => ({ ...v }))
+    : rectangleVertices(cfg.panel.length, cfg.panel.width);
+
+  updateFieldGroups();
+  refresh();
+  dialog.open();
+}
+
+/**
+ * Initialise le modal du contour du panneau
+ * @param {Object} config - Configuration de l'application
+ * @param {Function} onApply - Appelée avec la modification { outline, length, width } ;
+ *                             retourne un résultat de validation { isValid, errors }
+ */
+function initOutlineModal(config, onApply) {
+  cfg = config;
+  const modal = document.getElementById('outline-modal');
+  const shapeSelect = document.getElementById('outline-shape');
+
+  dialog = createModalDialog(modal, {
+    closeButtons: [document.getElementById('close-outline-modal'), document.getElementById('cancel-outline')]
+  });
+
+  Object.entries(PANEL_SHAPES).forEach(([key, definition]) => {
+    shapeSelect.add(new Option(definition.name, key));
+  });
+  Object.entries(NOTCH_CORNERS).forEach(([key, name]) => {
+    document.getElementById(fieldId('notched', 'corner')).add(new Option(name, key));
+  });
+
+  shapeSelect.addEventListener('change', () => {
+    updateFieldGroups();
+    rebuildVertices();
+    refresh();
+  });
+
+  modal.querySelectorAll('.outline-fields input, .outline-fields select').forEach(input => {
+    input.addEventListener('input', () => {
+      rebuildVertices();
+      refresh();
+    });
+  });
+
+  // Édition d'un sommet : le contour devient un contour libre
+  const body = document.getElementById('outline-vertices');
+  body.addEventListener('change', (e) => {
+    const { index, key } = e.target.dataset;
+    if (index === undefined || !key) return;
+    vertices[index][key] = parseFloat(e.target.value) || 0;
+    shapeSelect.value = 'custom';
+    updateFieldGroups();
+    renderPreview();
+  });
+
+  body.addEventListener('click', (e) => {
+    const button = e.target.closest('button');
+    if (!button || vertices.length <= 3) return;
+    vertices.splice(Number(button.dataset.index), 1);
+    shapeSelect.value = 'custom';
+    updateFieldGroups();
+    refresh();
+  });
+
+  // Nouveau sommet au milieu du dernier côté (du dernier sommet vers le premier) ;
+  // un arc sur ce côté est remplacé par deux segments droits
+  document.getElementById('add-outline-vertex').addEventListener('click', () => {
+    const last = vertices[vertices.length - 1];
+    const first = vertices[0];
+    last.bulge = 0;
+    vertices.push({ x: (last.x + first.x) / 2, y: (last.y + first.y) / 2, bulge: 0 });
+    shapeSelect.value = 'custom';
+    updateFieldGroups();
+    refresh();
+  });
+
+  document.getElementById('apply-outline').addEventListener('click', () => {
+    const { changes, errors } = readOutlineChanges();
+    const validation = changes ? onApply(changes) : { isValid: false, errors };
+
+    if (!validation.isValid) {
+      alert('Erreurs de validation:\n' + validation.errors.join('\n'));
+      return;
+    }
+
+    dialog.close();
+  });
+}
+
+export { initOutlineModal, editPanelOutline };
@@ -0,0 +1,226 @@
+import { createModalDialog } from './modalDialog.js';
+import {
+  initModalPreview,
+  updateModalPreviewCut,
+  isModalPreviewActive
+} from './modalPreview.js';
+import {
+  PATTERN_PRESETS,
+  getPatternInstanceCount,
+  isPatternWithinFace,
+  validatePattern
+} from '../cuts/cutPattern.js';
+
+let cfg = null;
+let dialog = null;
+let editedCut = null;
+
+// Champs affichés pour chaque type de motif
+const FIELD_GROUPS = {
+  linear: 'pattern-linear-fields',
+  grid: 'pattern-grid-fields',
+  polar: 'pattern-polar-fields'
+};
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+const toDegrees = (radians) => Number((radians * 180 / Math.PI).toFixed(2));
+
+const readNumber = (id) => parseFloat(document.getElementById(id).value);
+const readCount = (id) => parseInt(document.getElementById(id).value, 10);
+
+/**
+ * Lit le motif depuis le formulaire du modal
+ * Le centre polaire est saisi depuis le centre du panneau et stocké relativement à la découpe
+ * @returns {Object} Motif de la découpe
+ */
+function readPattern() {
+  const type = document.getElementById('pattern-type').value;
+
+  switch (type) {
+    case 'grid':
+      return {
+        type,
+        countX: readCount('pattern-count-x'),
+        countZ: readCount('pattern-count-z'),
+        pitchX: readNumber('pattern-pitch-x'),
+        pitchZ: readNumber('pattern-pitch-z')
+      };
+    case 'polar':
+      return {
+        type,
+        count: readCount('pattern-polar-count'),
+        center: {
+          x: readNumber('pattern-center-x') - (editedCut.position?.x || 0),
+          z: readNumber('pattern-center-z') - (editedCut.position?.z || 0)
+        },
+        sweep: toRadians(readNumber('pattern-sweep')),
+        rotateInstances: document.getElementById('pattern-rotate').checked
+      };
+    default:
+      return {
+        type: 'linear',
+        count: readCount('pattern-count'),
+        pitch: readNumber('pattern-pitch'),
+        angle: toRadians(readNumber('pattern-angle') || 0)
+      };
+  }
+}
+
+/**
+ * Valide un motif : paramètres et occurrences entièrement dans le panneau
+ * @param {Object} pattern - Motif à valider
+ * @param {Object} panel - Configuration du panneau
+ * @returns {Object} Résultat de validation avec erreurs éventuelles
+ */
+function validateCutPattern(pattern, panel) {
+  const errors = validatePattern(pattern);
+
+  if (errors.length === 0) {
+    if (!isPatternWithinFace({ ...editedCut, pattern }, panel)) {
+      errors.push('Des occurrences dépassent du panneau : réduisez le nombre ou le pas, ou déplacez la découpe');
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors: errors
+  };
+}
+
+/**
+ * Affiche les champs du type de motif choisi
+ */
+function updateFieldGroups() {
+  const type = document.getElementById('pattern-type').value;
+  Object.entries(FIELD_GROUPS).forEach(([key, id]) => {
+    document.getElementById(id).hidden = key !== type;
+  });
+}
+
+function updatePatternPreview() {
+  const pattern = readPattern();
+  const errors = validatePattern(pattern);
+  document.getElementById('pattern-summary').textContent = errors.length === 0
+    ? `${getPatternInstanceCount(pattern)} occurrences`
+    : errors[0];
+
+  if (!isModalPreviewActive() || errors.length > 0) return;
+  updateModalPreviewCut({ ...editedCut, pattern }, cfg.panel);
+}
+
+/**
+ * Remplit le formulaire avec un motif
+ * @param {Object} pattern - Motif existant ou généré par un préréglage
+ */
+function fillPattern(pattern) {
+  const set = (id, value) => {
+    document.getElementById(id).value = value;
+  };
+
+  set('pattern-type', pattern.type);
+  switch (pattern.type) {
+    case 'grid':
+      set('pattern-count-x', pattern.countX);
+      set('pattern-count-z', pattern.countZ);
+      set('pattern-pitch-x', pattern.pitchX);
+      set('pattern-pitch-z', pattern.pitchZ);
+      break;
+    case 'polar':
+      set('pattern-polar-count', pattern.count);
+      set('pattern-center-x', (editedCut.position?.x || 0) + pattern.center.x);
+      set('pattern-center-z', (editedCut.position?.z || 0) + pattern.center.z);
+      set('pattern-sweep', toDegrees(pattern.sweep));
+      document.getElementById('pattern-rotate').checked = !!pattern.rotateInstances;
+      break;
+    default:
+      set('pattern-count', pattern.count);
+      set('pattern-pitch', pattern.pitch);
+      set('pattern-angle', toDegrees(pattern.angle || 0));
+  }
+  updateFieldGroups();
+}
+
+/**
+ * Ouvre le modal pour définir ou modifier le motif d'une découpe
+ * @param {Object} cut - Découpe de config.cuts
+ */
+function editCutPattern(cut) {
+  editedCut = cut;
+  document.getElementById('pattern-preset').value = '';
+  document.getElementById('remove-pattern').hidden = !cut.pattern;
+  document.querySelector('#pattern-modal .modal-header h3').textContent = cut.pattern
+    ? 'Modifier la Répétition'
+    : 'Répéter la Découpe';
+
+  if (cut.pattern) {
+    fillPattern(cut.pattern);
+  } else {
+    updateFieldGroups();
+  }
+  updatePatternPreview();
+  dialog.open();
+}
+
+/**
+ * Initialise le modal de répétition des découpes
+ * @param {Object} config - Configuration de l'application (panneau et découpes)
+ * @param {Function} onApply - Appelée avec l'identifiant de la découpe et son motif (null pour le retirer)
+ */
+function initPatternModal(config, onApply) {
+  cfg = config;
+  const modal = document.getElementById('pattern-modal');
+  const presetSelect = document.getElementById('pattern-preset');
+
+  dialog = createModalDialog(modal, {
+    closeButtons: [document.getElementById('close-pattern-modal'), document.getElementById('cancel-pattern')],
+    onOpen: () => {
+      initModalPreview(modal.querySelector('.modal-3d-display'), cfg, { excludeCutId: editedCut.id });
+      updatePatternPreview();
+    }
+  });
+
+  PATTERN_PRESETS.forEach(preset => {
+    presetSelect.add(new Option(preset.label, preset.id));
+  });
+
+  presetSelect.addEventListener('change', () => {
+    const preset = PATTERN_PRESETS.find(p => p.id === presetSelect.value);
+    if (preset) {
+      fillPattern(preset.build(editedCut, cfg.panel));
+      updatePatternPreview();
+    }
+  });
+
+  document.getElementById('pattern-type').addEventListener('change', () => {
+    updateFieldGroups();
+    updatePatternPreview();
+  });
+
+  modal.querySelectorAll('.pattern-fields input').forEach(input => {
+    input.addEventListener('input', updatePatternPreview);
+  });
+
+  document.getElementById('apply-pattern').addEventListener('click', () => {
+    const pattern = readPattern();
+    const validation = validateCutPattern(pattern, cfg.panel);
+
+    if (!validation.isValid) {
+      alert('Erreurs de validation:\n' + validation.errors.join('\n'));
+      return;
+    }
+
+    dialog.close();
+    if (onApply) {
+      onApply(editedCut.id, pattern);
+    }
+  });
+
+  document.getElementById('remove-pattern').addEventListener('click', () => {
+    dialog.close();
+    if (onApply) {
+      onApply(editedCut.id, null);
+    }
+  });
+}
+
+export { initPatternModal, editCutPattern };
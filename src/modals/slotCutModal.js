@@ -0,0 +1,228 @@
+import { createSlotCut } from '../cuts/cutFactory.js';
+import { createModalDialog, resetModalFields } from './modalDialog.js';
+import {
+  initModalPreview,
+  updateModalPreviewCut,
+  isModalPreviewActive
+} from './modalPreview.js';
+
+let cfg = null;
+let dialog = null;
+let editingCutId = null;
+
+/**
+ * Lit les paramètres de la découpe depuis le formulaire du modal
+ * @returns {Object} Paramètres de la découpe oblongue
+ */
+function readCutParameters() {
+  const through = document.getElementById('slot-cut-through').checked;
+  return {
+    length: parseFloat(document.getElementById('slot-cut-length').value) || 40,
+    width: parseFloat(document.getElementById('slot-cut-width').value) || 8,
+    depth: through ? cfg.panel.thickness : (parseFloat(document.getElementById('slot-cut-depth').value) || 10),
+    through,
+    face: document.getElementById('slot-cut-face').value,
+    x: parseFloat(document.getElementById('slot-cut-position-x').value) || 0,
+    z: parseFloat(document.getElementById('slot-cut-position-z').value) || 0,
+    angle: parseFloat(document.getElementById('slot-cut-angle').value) || 0
+  };
+}
+
+/**
+ * Valide une découpe oblongue par rapport au panneau
+ * @param {Object} params - Paramètres de la découpe
+ * @param {Object} panel - Configuration du panneau
+ * @returns {Object} Résultat de validation avec erreurs éventuelles
+ */
+function validateSlotCut(params, panel) {
+  const errors = [];
+
+  if (params.length <= 0 || params.width <= 0) {
+    errors.push('La longueur et la largeur doivent être positives');
+  }
+
+  if (!params.through && (params.depth <= 0 || params.depth >= panel.thickness)) {
+    errors.push(`La profondeur doit être entre 0 et ${panel.thickness}mm (exclus). Cochez "Découpe traversante" pour traverser le panneau`);
+  }
+
+  if (params.length < params.width) {
+    errors.push('La longueur hors tout doit être au moins égale à la largeur (diamètre des extrémités)');
+  }
+
+  // Emprise de l'oblong tourné : segment entre les centres des extrémités élargi de la demi-largeur
+  const angle = params.angle * Math.PI / 180;
+  const half = Math.max(params.length - params.width, 0) / 2;
+  const halfX = half * Math.abs(Math.cos(angle)) + params.width / 2;
+  const halfZ = half * Math.abs(Math.sin(angle)) + params.width / 2;
+
+  if (Math.abs(params.x) + halfX > panel.length / 2) {
+    errors.push(`La découpe dépasse du panneau en X (demi-emprise ${halfX.toFixed(1)}mm, limite ${panel.length / 2}mm)`);
+  }
+  if (Math.abs(params.z) + halfZ > panel.width / 2) {
+    errors.push(`La découpe dépasse du panneau en Z (demi-emprise ${halfZ.toFixed(1)}mm, limite ${panel.width / 2}mm)`);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors: errors
+  };
+}
+
+function updateModalPreview() {
+  if (!isModalPreviewActive()) return;
+
+  // Aperçu de l'oblong sur la face choisie du panneau
+  const params = readCutParameters();
+  updateModalPreviewCut({
+    type: 'slot',
+    face: params.face,
+    params: {
+      length: params.length,
+      width: params.width,
+      depth: params.depth,
+      through: params.through
+    },
+    position: { x: params.x, z: params.z },
+    rotation: { y: params.angle * Math.PI / 180 }
+  }, cfg.panel);
+}
+
+/**
+ * Remplit le formulaire du modal avec les paramètres d'une découpe existante
+ * @param {Object} cut - Découpe oblongue de config.cuts
+ */
+function fillCutParameters(cut) {
+  const cutDepthInput = document.getElementById('slot-cut-depth');
+  document.getElementById('slot-cut-length').value = cut.params.length;
+  document.getElementById('slot-cut-width').value = cut.params.width;
+  document.getElementById('slot-cut-through').checked = !!cut.params.through;
+  cutDepthInput.value = cut.params.through ? cfg.panel.thickness : cut.params.depth;
+  cutDepthInput.disabled = !!cut.params.through;
+  document.getElementById('slot-cut-face').value = cut.face || 'top';
+  document.getElementById('slot-cut-position-x').value = cut.position?.x || 0;
+  document.getElementById('slot-cut-position-z').value = cut.position?.z || 0;
+  document.getElementById('slot-cut-angle').value = Number(((cut.rotation?.y || 0) * 180 / Math.PI).toFixed(2));
+}
+
+/**
+ * Remet le formulaire du modal aux valeurs par défaut d'une nouvelle découpe
+ */
+function resetCutParameters() {
+  resetModalFields(document.getElementById('slot-cut-modal'));
+  document.getElementById('slot-cut-depth').disabled = false;
+}
+
+/**
+ * Ouvre le modal en mode création ou en mode modification
+ * @param {Object|null} cut - Découpe à modifier, null pour une nouvelle découpe
+ */
+function openModal(cut = null) {
+  editingCutId = cut ? cut.id : null;
+  if (cut) {
+    fillCutParameters(cut);
+  } else {
+    resetCutParameters();
+  }
+  document.querySelector('#slot-cut-modal .modal-header h3').textContent = cut
+    ? 'Modifier la Découpe Oblongue'
+    : 'Nouvelle Découpe Oblongue';
+  dialog.open();
+}
+
+/**
+ * Ouvre le modal prérempli pour modifier une découpe oblongue existante
+ * @param {Object} cut - Découpe oblongue de config.cuts
+ */
+function editSlotCut(cut) {
+  openModal(cut);
+}
+
+/**
+ * Valide le formulaire, crée la découpe et ferme le modal
+ * @param {Function} onDone - Appelée avec la découpe créée
+ * @param {Object} options - atCenter : découpe validée et créée au centre du panneau
+ */
+function submitCut(onDone, { atCenter = false } = {}) {
+  const params = readCutParameters();
+  if (atCenter) {
+    params.x = 0;
+    params.z = 0;
+  }
+  const validation = validateSlotCut(params, cfg.panel);
+
+  if (!validation.isValid) {
+    alert('Erreurs de validation:\n' + validation.errors.join('\n'));
+    return;
+  }
+
+  // En modification, la découpe conserve son identifiant
+  const cut = createSlotCut(params);
+  if (editingCutId) {
+    cut.id = editingCutId;
+  }
+  dialog.close();
+
+  if (onDone) {
+    onDone(cut);
+  }
+}
+
+/**
+ * Initialise le modal de découpe oblongue
+ * @param {Object} config - Configuration de l'application (panneau et découpes)
+ * @param {Function} onApply - Appelée avec la découpe créée lors de la validation
+ * @param {Function} onPlace - Appelée avec la découpe à placer ensuite sur le panneau à la souris
+ */
+function initSlotCutModal(config, onApply, onPlace) {
+  cfg = config;
+  const openModalButton = document.getElementById('open-slot-cut-modal');
+  const closeModalButton = document.getElementById('close-slot-cut-modal');
+  const modal = document.getElementById('slot-cut-modal');
+  const cancelButton = document.getElementById('cancel-slot-cut');
+  const applyButton = document.getElementById('apply-slot-cut');
+  const placeButton = document.getElementById('place-slot-cut');
+  const cutThroughCheckbox = document.getElementById('slot-cut-through');
+  const cutDepthInput = document.getElementById('slot-cut-depth');
+
+  dialog = createModalDialog(modal, {
+    closeButtons: [closeModalButton, cancelButton],
+    onOpen: () => {
+      initModalPreview(modal.querySelector('.modal-3d-display'), cfg, { excludeCutId: editingCutId });
+      updateModalPreview();
+    }
+  });
+
+  openModalButton.addEventListener('click', () => openModal());
+
+  // Gestion de la case à cocher "Découpe traversante"
+  cutThroughCheckbox.addEventListener('change', () => {
+    if (cutThroughCheckbox.checked) {
+      cutDepthInput.value = cfg.panel.thickness;
+      cutDepthInput.disabled = true;
+    } else {
+      cutDepthInput.disabled = false;
+      cutDepthInput.value = 10;
+    }
+    updateModalPreview();
+  });
+
+  // Écouteurs pour les changements de paramètres
+  [
+    'slot-cut-length',
+    'slot-cut-width',
+    'slot-cut-depth',
+    'slot-cut-face',
+    'slot-cut-position-x',
+    'slot-cut-position-z',
+    'slot-cut-angle'
+  ].forEach(id => {
+    document.getElementById(id).addEventListener('input', updateModalPreview);
+  });
+
+  applyButton.addEventListener('click', () => submitCut(onApply));
+
+  // Placement à la souris : la position saisie est ignorée, elle sera choisie sur le panneau
+  placeButton.addEventListener('click', () => submitCut(onPlace, { atCenter: true }));
+}
+
+export { initSlotCutModal, editSlotCut };
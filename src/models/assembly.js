@@ -0,0 +1,192 @@
+/**
+ * Module de l'assemblage : plusieurs panneaux placés dans la scène
+ * Chaque pièce porte son panneau, ses découpes et sa transformation (position en mm,
+ * rotation en radians, appliquée au centre du panneau)
+ *
+ * config.panel et config.cuts désignent toujours le panneau et les découpes de la pièce active :
+ * le reste de l'application (contrôles, modals, exports, usinage) travaille sur la pièce active
+ */
+
+import * as THREE from 'three';
+import { getFinishedSize } from './edgeBanding.js';
+
+// Compteur pour garantir l'unicité des identifiants dans une même session
+let partCounter = 0;
+
+/**
+ * Génère un identifiant unique de pièce
+ * @returns {string} Identifiant de la forme "part-xxxx-n"
+ */
+export function createPartId() {
+  partCounter += 1;
+  return `part-${Date.now().toString(36)}-${partCounter}`;
+}
+
+/**
+ * Transformation neutre (pièce centrée sur l'origine, à plat)
+ * @returns {Object} { position, rotation }
+ */
+export function createIdentityTransform() {
+  return {
+    position: { x: 0, y: 0, z: 0 },
+    rotation: { x: 0, y: 0, z: 0 }
+  };
+}
+
+/**
+ * Crée une pièce de l'assemblage
+ * @param {Object} options - Contenu de la pièce
+ * @param {string} options.name - Nom affiché dans l'arborescence
+ * @param {Object} options.panel - Configuration du panneau
+ * @param {Object[]} options.cuts - Découpes du panneau
+ * @param {Object} options.transform - Transformation { position, rotation }
+ * @returns {Object} Pièce { id, name, visible, panel, cuts, transform }
+ */
+export function createAssemblyPart({ name, panel, cuts = [], transform = createIdentityTransform() }) {
+  return {
+    id: createPartId(),
+    name,
+    visible: true,
+    panel,
+    cuts,
+    transform
+  };
+}
+
+/**
+ * Crée un assemblage d'une seule pièce, active
+ * @param {Object} panel - Configuration du panneau
+ * @param {Object[]} cuts - Découpes du panneau
+ * @returns {Object} Assemblage { parts, activePartId, carcass } ; carcass : paramètres du caisson généré ou null
+ */
+export function createAssembly(panel, cuts) {
+  const part = createAssemblyPart({ name: 'Panneau 1', panel, cuts });
+  return { parts: [part], activePartId: part.id, carcass: null };
+}
+
+/**
+ * Nom proposé pour une nouvelle pièce ("Panneau n", premier numéro libre)
+ * @param {Object} assembly - Assemblage
+ * @returns {string} Nom
+ */
+export function nextPartName(assembly) {
+  const names = new Set(assembly.parts.map(part => part.name));
+  let index = assembly.parts.length + 1;
+  while (names.has(`Panneau ${index}`)) {
+    index++;
+  }
+  return `Panneau ${index}`;
+}
+
+/**
+ * Retourne la pièce active de l'assemblage
+ * @param {Object} assembly - Assemblage
+ * @returns {Object|null} Pièce active
+ */
+export function getActivePart(assembly) {
+  return assembly.parts.find(part => part.id === assembly.activePartId) || null;
+}
+
+/**
+ * Active une pièce : config.panel et config.cuts désignent désormais son panneau et ses découpes
+ * @param {Object} config - Configuration de l'application
+ * @param {string} id - Identifiant de la pièce
+ * @returns {Object|null} Pièce activée, null si elle n'existe pas
+ */
+export function activatePart(config, id) {
+  const part = config.assembly.parts.find(p => p.id === id);
+  if (!part) return null;
+
+  config.assembly.activePartId = id;
+  config.panel = part.panel;
+  config.cuts = part.cuts;
+  return part;
+}
+
+/**
+ * Matrice de transformation d'une pièce (repère du panneau vers la scène)
+ * @param {Object} part - Pièce
+ * @returns {THREE.Matrix4} Matrice
+ */
+export function getPartMatrix(part) {
+  const { position, rotation } = part.transform;
+  return new THREE.Matrix4().compose(
+    new THREE.Vector3(position.x, position.y, position.z),
+    new THREE.Quaternion().setFromEuler(new THREE.Euler(rotation.x, rotation.y, rotation.z)),
+    new THREE.Vector3(1, 1, 1)
+  );
+}
+
+/**
+ * Boîte englobante de l'assemblage dans la scène (cotes finies, chants compris)
+ * Les pièces masquées sont ignorées, sauf si toutes le sont
+ * @param {Object} assembly - Assemblage
+ * @returns {THREE.Box3} Boîte englobante
+ */
+export function getAssemblyBounds(assembly) {
+  const visible = assembly.parts.filter(part => part.visible);
+  const parts = visible.length > 0 ? visible : assembly.parts;
+  const bounds = new THREE.Box3();
+
+  parts.forEach(part => {
+    const { length, width } = getFinishedSize(part.panel);
+    const box = new THREE.Box3().setFromCenterAndSize(
+      new THREE.Vector3(),
+      new THREE.Vector3(length, part.panel.thickness, width)
+    );
+    bounds.union(box.applyMatrix4(getPartMatrix(part)));
+  });
+
+  return bounds;
+}
+
+/**
+ * Encombrement de l'assemblage, sous la forme attendue par la caméra, la grille et les axes
+ * @param {Object} assembly - Assemblage
+ * @returns {Object} { length, width, thickness, center } ; length : X, width : Z, thickness : Y
+ */
+export function getAssemblyExtent(assembly) {
+  const bounds = getAssemblyBounds(assembly);
+  const size = bounds.getSize(new THREE.Vector3());
+  const center = bounds.getCenter(new THREE.Vector3());
+
+  return {
+    length: size.x,
+    width: size.z,
+    thickness: size.y,
+    center: { x: center.x, y: center.y, z: center.z }
+  };
+}
+
+/**
+ * Transformation plaçant un nouveau panneau à plat, à droite de l'assemblage (écart de 50mm)
+ * @param {Object} assembly - Assemblage
+ * @param {Object} panel - Configuration du panneau ajouté
+ * @returns {Object} Transformation { position, rotation }
+ */
+export function placeBesideAssembly(assembly, panel) {
+  const transform = createIdentityTransform();
+  if (assembly.parts.length === 0) return transform;
+
+  const bounds = getAssemblyBounds(assembly);
+  transform.position.x = Math.round(bounds.max.x + 50 + getFinishedSize(panel).length / 2);
+  return transform;
+}
+
+/**
+ * Valide la transformation d'une pièce
+ * @param {Object} transform - { position, rotation }
+ * @returns {string[]} Messages d'erreur (vide si la transformation est valide)
+ */
+export function validateTransform(transform) {
+  const errors = [];
+  ['position', 'rotation'].forEach(group => {
+    ['x', 'y', 'z'].forEach(axis => {
+      const value = transform?.[group]?.[axis];
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        errors.push(`${group === 'position' ? 'Position' : 'Rotation'} ${axis.toUpperCase()} : doit être un nombre`);
+      }
+    });
+  });
+  return errors;
+}
@@ -50,4 +50,46 @@ export function createCylinderGeometryForHole(params) {
   geometry.computeBoundingSphere();
   
   return geometry;
-}
\ No newline at end of file
+}
+
+/**
+ * Crée le volume de révolution d'un perçage profilé (fraisure, lamage, étages)
+ * Un seul solide fermé : une soustraction CSG suffit pour tout le profil
+ * L'entrée du perçage est en +Y : la demi-section part de hauteur / 2 - dépassement, le volume est prolongé
+ * au diamètre d'entrée jusqu'en haut et au dernier diamètre jusqu'en bas
+ * @param {Object} params - Paramètres du volume
+ * @param {Object[]} params.section - Demi-section { radius, depth } depuis la face (voir getHoleSection)
+ * @param {number} params.height - Hauteur totale du volume (axe Y)
+ * @param {number} params.overshoot - Dépassement au-dessus de la face
+ * @param {number} params.segments - Nombre de segments radiaux (qualité)
+ * @returns {THREE.LatheGeometry} Géométrie de révolution autour de Y
+ */
+export function createRevolvedHoleGeometry(params) {
+  const {
+    section,
+    height,
+    overshoot = 0,
+    segments = 32
+  } = params;
+
+  const faceY = height / 2 - overshoot;
+  const first = section[0];
+  const last = section[section.length - 1];
+
+  // Profil parcouru de bas en haut, fermé sur l'axe aux deux extrémités
+  const points = [
+    new THREE.Vector2(0, -height / 2),
+    new THREE.Vector2(last.radius, -height / 2),
+    ...section.slice().reverse().map(p => new THREE.Vector2(p.radius, faceY - p.depth)),
+    new THREE.Vector2(first.radius, height / 2),
+    new THREE.Vector2(0, height / 2)
+  ].filter((p, i, all) => i === 0 || !p.equals(all[i - 1]));
+
+  const geometry = new THREE.LatheGeometry(points, segments);
+
+  // Optimisation pour les opérations CSG
+  geometry.computeBoundingBox();
+  geometry.computeBoundingSphere();
+
+  return geometry;
+}
@@ -0,0 +1,264 @@
+/**
+ * Module du placage de chants
+ * Chaque chant du panneau rectangulaire peut recevoir une bande (matériau, épaisseur) ;
+ * les cotes saisies sont soit les cotes finies (chants compris), soit celles du panneau brut
+ *
+ * Le panneau brut (âme) est centré sur le panneau fini : il se décale si les chants opposés
+ * n'ont pas la même épaisseur. Repère de la scène : avant = +Z, gauche = -X
+ */
+
+import * as THREE from 'three';
+import { edgeBandMaterials, constraints } from '../materials.js';
+import { PANEL_CORNERS, getCornerRadii, getEdgeProfileLayers } from './panelOutline.js';
+
+// Chants du panneau : angles de départ et d'arrivée, dans l'ordre trigonométrique de la vue de dessus
+export const PANEL_EDGES = {
+  front: { name: 'Avant', from: 'frontLeft', to: 'frontRight' },
+  right: { name: 'Droit', from: 'frontRight', to: 'backRight' },
+  back: { name: 'Arrière', from: 'backRight', to: 'backLeft' },
+  left: { name: 'Gauche', from: 'backLeft', to: 'frontLeft' }
+};
+
+// Interprétation des cotes saisies
+export const EDGE_BAND_SIZE_MODES = {
+  finished: 'Cotes finies (chants compris)',
+  core: 'Cotes avant placage'
+};
+
+// Segments d'un demi-angle arrondi
+const HALF_CORNER_SEGMENTS = 6;
+
+/**
+ * Placage normalisé du panneau
+ * Le placage ne s'applique qu'aux panneaux rectangulaires (sans contour libre)
+ * @param {Object} panel - Configuration du panneau
+ * @returns {Object} { sizeMode, edges: { front, right, back, left } } ; chaque chant : { material, thickness } ou null
+ */
+export function getEdgeBanding(panel) {
+  const banding = panel.edgeBanding || {};
+  const edges = {};
+  Object.keys(PANEL_EDGES).forEach(key => {
+    const band = banding.edges?.[key];
+    edges[key] = !panel.outline && band && edgeBandMaterials[band.material] && band.thickness > 0
+      ? { material: band.material, thickness: band.thickness }
+      : null;
+  });
+
+  return {
+    sizeMode: EDGE_BAND_SIZE_MODES[banding.sizeMode] ? banding.sizeMode : 'finished',
+    edges
+  };
+}
+
+/**
+ * Placage complet à enregistrer, pour compléter un panneau sans placage
+ * @param {Object} panel - Configuration du panneau
+ * @returns {Object} { sizeMode, edges }
+ */
+export function normalizeEdgeBanding(panel) {
+  const banding = panel.edgeBanding || {};
+  const edges = {};
+  Object.keys(PANEL_EDGES).forEach(key => {
+    const band = banding.edges?.[key];
+    edges[key] = band ? { material: band.material, thickness: band.thickness } : null;
+  });
+
+  return {
+    sizeMode: EDGE_BAND_SIZE_MODES[banding.sizeMode] ? banding.sizeMode : 'finished',
+    edges
+  };
+}
+
+/**
+ * Épaisseur de bande d'un chant
+ * @param {Object} banding - Placage normalisé
+ * @param {string} edge - Chant
+ * @returns {number} Épaisseur en mm (0 sans bande)
+ */
+function bandThickness(banding, edge) {
+  return banding.edges[edge]?.thickness || 0;
+}
+
+/**
+ * Panneau brut (âme) à débiter avant placage
+ * En cotes finies, l'âme est réduite de l'épaisseur des bandes et décalée vers les chants les plus fins
+ * @param {Object} panel - Configuration du panneau
+ * @returns {Object} Panneau { ...panel, length, width, offsetX, offsetZ } ; offset : centre de l'âme dans la scène
+ */
+export function getPanelCore(panel) {
+  const banding = getEdgeBanding(panel);
+  if (banding.sizeMode !== 'finished') {
+    return { ...panel, offsetX: 0, offsetZ: 0 };
+  }
+
+  const left = bandThickness(banding, 'left');
+  const right = bandThickness(banding, 'right');
+  const front = bandThickness(banding, 'front');
+  const back = bandThickness(banding, 'back');
+
+  return {
+    ...panel,
+    length: panel.length - left - right,
+    width: panel.width - front - back,
+    offsetX: (left - right) / 2,
+    offsetZ: (back - front) / 2
+  };
+}
+
+/**
+ * Cotes finies du panneau, chants compris
+ * @param {Object} panel - Configuration du panneau
+ * @returns {Object} { length, width }
+ */
+export function getFinishedSize(panel) {
+  const banding = getEdgeBanding(panel);
+  if (banding.sizeMode === 'finished') {
+    return { length: panel.length, width: panel.width };
+  }
+
+  return {
+    length: panel.length + bandThickness(banding, 'left') + bandThickness(banding, 'right'),
+    width: panel.width + bandThickness(banding, 'front') + bandThickness(banding, 'back')
+  };
+}
+
+/**
+ * Longueur plaquée de chaque chant (côté droit de l'âme et demi-angles arrondis compris)
+ * @param {Object} panel - Configuration du panneau
+ * @returns {Object} Longueurs en mm par chant (0 sans bande)
+ */
+export function getEdgeBandLengths(panel) {
+  const banding = getEdgeBanding(panel);
+  const core = getPanelCore(panel);
+  const radii = getCornerRadii(core);
+  const lengths = {};
+
+  Object.entries(PANEL_EDGES).forEach(([key, edge]) => {
+    if (!banding.edges[key]) {
+      lengths[key] = 0;
+      return;
+    }
+    const side = key === 'front' || key === 'back' ? core.length : core.width;
+    const rFrom = radii[edge.from];
+    const rTo = radii[edge.to];
+    lengths[key] = side - rFrom - rTo + (rFrom + rTo) * Math.PI / 4;
+  });
+
+  return lengths;
+}
+
+/**
+ * Crée la géométrie de la bande d'un chant, plaquée sur l'âme du panneau
+ * La bande suit le côté droit et la moitié des angles arrondis voisins, sur la partie verticale du chant
+ * @param {Object} panel - Configuration du panneau
+ * @param {string} edge - Chant ('front', 'right', 'back', 'left')
+ * @returns {THREE.BufferGeometry|null} Géométrie dans le repère de la scène, null sans bande
+ */
+export function createEdgeBandGeometry(panel, edge) {
+  const band = getEdgeBanding(panel).edges[edge];
+  if (!band) return null;
+
+  const core = getPanelCore(panel);
+  const radii = getCornerRadii(core);
+  const hx = core.length / 2;
+  const hy = core.width / 2;
+  const t = band.thickness;
+
+  // Hauteur de la bande : partie du chant non entamée par le profil
+  const straight = getEdgeProfileLayers(core).filter(layer => layer.inset < 1e-9).map(layer => layer.y);
+  const y0 = Math.min(...straight);
+  const y1 = Math.max(...straight);
+
+  const from = PANEL_CORNERS[PANEL_EDGES[edge].from];
+  const to = PANEL_CORNERS[PANEL_EDGES[edge].to];
+  // Direction de la normale extérieure du côté (fin de l'angle de départ, début de l'angle d'arrivée)
+  const normal = to.start;
+
+  // Points intérieurs (sur l'âme) et extérieurs (face de la bande) le long du chant, vue de dessus
+  // Un angle vif ne donne qu'un point, décalé selon la normale du côté
+  const inner = [];
+  const outer = [];
+  const addArc = (cornerKey, fromAngle, toAngle) => {
+    const corner = PANEL_CORNERS[cornerKey];
+    const r = radii[cornerKey];
+    const cx = corner.sx * (hx - r);
+    const cy = corner.sy * (hy - r);
+    const steps = r > 0 ? HALF_CORNER_SEGMENTS : 0;
+    for (let i = 0; i <= steps; i++) {
+      const angle = steps > 0 ? fromAngle + (toAngle - fromAngle) * i / steps : normal;
+      const dir = { x: Math.cos(angle), y: Math.sin(angle) };
+      inner.push({ x: cx + r * dir.x, y: cy + r * dir.y });
+      outer.push({ x: cx + (r + t) * dir.x, y: cy + (r + t) * dir.y });
+    }
+  };
+
+  // Seconde moitié de l'angle de départ, puis première moitié de l'angle d'arrivée
+  addArc(PANEL_EDGES[edge].from, from.start + Math.PI / 4, from.start + Math.PI / 2);
+  addArc(PANEL_EDGES[edge].to, to.start, to.start + Math.PI / 4);
+
+  const positions = [];
+  const toScene = (p, y) => [p.x + core.offsetX, y, -p.y + core.offsetZ];
+  const quad = (a, b, c, d) => positions.push(...a, ...b, ...c, ...a, ...c, ...d);
+
+  for (let i = 0; i < inner.length - 1; i++) {
+    const [i0, i1, o0, o1] = [inner[i], inner[i + 1], outer[i], outer[i + 1]];
+    // Face extérieure, dessus, dessous puis face contre l'âme
+    quad(toScene(o0, y0), toScene(o1, y0), toScene(o1, y1), toScene(o0, y1));
+    quad(toScene(o0, y1), toScene(o1, y1), toScene(i1, y1), toScene(i0, y1));
+    quad(toScene(i0, y0), toScene(i1, y0), toScene(o1, y0), toScene(o0, y0));
+    quad(toScene(i1, y0), toScene(i0, y0), toScene(i0, y1), toScene(i1, y1));
+  }
+
+  // Extrémités de la bande
+  const first = 0;
+  const last = inner.length - 1;
+  quad(toScene(inner[first], y0), toScene(outer[first], y0), toScene(outer[first], y1), toScene(inner[first], y1));
+  quad(toScene(outer[last], y0), toScene(inner[last], y0), toScene(inner[last], y1), toScene(outer[last], y1));
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geometry.computeVertexNormals();
+  return geometry;
+}
+
+/**
+ * Valide le placage de chants
+ * @param {Object} panel - Configuration du panneau (dimensions, outline, edgeBanding)
+ * @returns {string[]} Messages d'erreur (vide si le placage est valide)
+ */
+export function validateEdgeBanding(panel) {
+  const errors = [];
+  const banding = panel.edgeBanding;
+  if (!banding) return errors;
+
+  if (banding.sizeMode !== undefined && !EDGE_BAND_SIZE_MODES[banding.sizeMode]) {
+    errors.push(`Mode de cotes inconnu: "${banding.sizeMode}". Modes connus: ${Object.keys(EDGE_BAND_SIZE_MODES).join(', ')}`);
+  }
+
+  const thicknesses = constraints.edgeBanding.thickness;
+  let banded = false;
+  Object.entries(PANEL_EDGES).forEach(([key, edge]) => {
+    const band = banding.edges?.[key];
+    if (!band) return;
+    banded = true;
+    if (!edgeBandMaterials[band.material]) {
+      errors.push(`Chant ${edge.name.toLowerCase()} : matériau inconnu "${band.material}". Matériaux disponibles: ${Object.keys(edgeBandMaterials).join(', ')}`);
+    }
+    if (!thicknesses.includes(band.thickness)) {
+      errors.push(`Chant ${edge.name.toLowerCase()} : épaisseur ${band.thickness}mm non disponible. Épaisseurs disponibles: ${thicknesses.join(', ')}mm`);
+    }
+  });
+
+  if (banded && panel.outline) {
+    errors.push('Le placage de chants n\'est disponible que pour les panneaux rectangulaires');
+  }
+
+  if (errors.length === 0 && banded) {
+    const core = getPanelCore(panel);
+    if (core.length <= 0 || core.width <= 0) {
+      errors.push('Les bandes de chant sont plus épaisses que le panneau');
+    }
+  }
+
+  return errors;
+}
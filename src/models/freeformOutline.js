@@ -0,0 +1,261 @@
+/**
+ * Module des contours libres du panneau : segments droits et arcs
+ * Un contour est une liste de sommets { x, y, bulge } dans le repère du DXF (origine au coin
+ * avant gauche, X le long de la longueur, Y vers l'arrière) ; comme dans une polyligne DXF,
+ * bulge = tan(angle de l'arc / 4) décrit le segment allant du sommet au suivant (0 : segment droit,
+ * positif : arc parcouru dans le sens trigonométrique)
+ */
+
+// Segments de la tessellation d'un quart de tour d'arc
+const ARC_SEGMENTS_PER_QUARTER = 12;
+
+// Nombre maximal de sommets d'un contour
+export const MAX_OUTLINE_VERTICES = 200;
+
+const EPSILON = 1e-9;
+
+/**
+ * Caractéristiques de l'arc reliant deux sommets
+ * @param {Object} p1 - Sommet de départ { x, y }
+ * @param {Object} p2 - Sommet d'arrivée { x, y }
+ * @param {number} bulge - Bulge du segment (non nul)
+ * @returns {Object} { center, radius, start, sweep } ; sweep signé (positif : sens trigonométrique)
+ */
+export function bulgeArc(p1, p2, bulge) {
+  const sweep = 4 * Math.atan(bulge);
+  const dx = p2.x - p1.x;
+  const dy = p2.y - p1.y;
+  // Distance signée du milieu de la corde au centre, le long de la normale à gauche
+  const offset = 1 / (2 * Math.tan(sweep / 2));
+  const center = {
+    x: (p1.x + p2.x) / 2 - dy * offset,
+    y: (p1.y + p2.y) / 2 + dx * offset
+  };
+
+  return {
+    center,
+    radius: Math.hypot(p1.x - center.x, p1.y - center.y),
+    start: Math.atan2(p1.y - center.y, p1.x - center.x),
+    sweep
+  };
+}
+
+/**
+ * Tessellation d'un contour : les arcs sont découpés en segments droits
+ * @param {Object[]} vertices - Sommets { x, y, bulge }
+ * @returns {Object[]} Points { x, y } du polygone fermé (sans répétition du premier point)
+ */
+export function tessellateOutline(vertices) {
+  const points = [];
+
+  vertices.forEach((vertex, index) => {
+    points.push({ x: vertex.x, y: vertex.y });
+    if (!vertex.bulge) return;
+
+    const next = vertices[(index + 1) % vertices.length];
+    const arc = bulgeArc(vertex, next, vertex.bulge);
+    // Nombre pair de segments : le sommet d'un arc symétrique (cintre) est un point du polygone
+    const segments = 2 * Math.max(1, Math.ceil(Math.abs(arc.sweep) / Math.PI * ARC_SEGMENTS_PER_QUARTER));
+    for (let i = 1; i < segments; i++) {
+      const angle = arc.start + arc.sweep * i / segments;
+      points.push({ x: arc.center.x + arc.radius * Math.cos(angle), y: arc.center.y + arc.radius * Math.sin(angle) });
+    }
+  });
+
+  return points;
+}
+
+/**
+ * Aire signée d'un polygone
+ * @param {Object[]} points - Points { x, y }
+ * @returns {number} Aire (positive si le polygone est parcouru dans le sens trigonométrique)
+ */
+export function polygonArea(points) {
+  let area = 0;
+  points.forEach((p, i) => {
+    const q = points[(i + 1) % points.length];
+    area += p.x * q.y - q.x * p.y;
+  });
+  return area / 2;
+}
+
+/**
+ * Boîte englobante d'un contour (arcs compris)
+ * @param {Object[]} vertices - Sommets { x, y, bulge }
+ * @returns {Object} { minX, maxX, minY, maxY }
+ */
+export function getOutlineBounds(vertices) {
+  const points = vertices.map(v => ({ x: v.x, y: v.y }));
+
+  // Extrémités des arcs : points de l'arc aux angles multiples de 90° compris dans son balayage
+  vertices.forEach((vertex, index) => {
+    if (!vertex.bulge) return;
+    const arc = bulgeArc(vertex, vertices[(index + 1) % vertices.length], vertex.bulge);
+    const from = Math.min(arc.start, arc.start + arc.sweep);
+    const to = Math.max(arc.start, arc.start + arc.sweep);
+    for (let k = Math.ceil(from / (Math.PI / 2)); k * Math.PI / 2 <= to; k++) {
+      const angle = k * Math.PI / 2;
+      points.push({ x: arc.center.x + arc.radius * Math.cos(angle), y: arc.center.y + arc.radius * Math.sin(angle) });
+    }
+  });
+
+  return {
+    minX: Math.min(...points.map(p => p.x)),
+    maxX: Math.max(...points.map(p => p.x)),
+    minY: Math.min(...points.map(p => p.y)),
+    maxY: Math.max(...points.map(p => p.y))
+  };
+}
+
+/**
+ * Inverse le sens de parcours d'un contour (les arcs changent de sens)
+ * @param {Object[]} vertices - Sommets { x, y, bulge }
+ * @returns {Object[]} Sommets parcourus en sens inverse
+ */
+export function reverseOutline(vertices) {
+  const count = vertices.length;
+  return vertices.map((_, k) => {
+    const vertex = vertices[count - 1 - k];
+    const bulge = vertices[(2 * count - 2 - k) % count].bulge || 0;
+    return { x: vertex.x, y: vertex.y, bulge: bulge ? -bulge : 0 };
+  });
+}
+
+/**
+ * Normalise un contour : sens trigonométrique, boîte englobante calée sur l'origine
+ * @param {Object[]} vertices - Sommets { x, y, bulge }
+ * @returns {Object} { vertices, length, width } ; length et width : encombrement du contour
+ */
+export function normalizeOutline(vertices) {
+  const oriented = polygonArea(tessellateOutline(vertices)) < 0 ? reverseOutline(vertices) : vertices;
+  const bounds = getOutlineBounds(oriented);
+  const round = (value) => Number(value.toFixed(4));
+
+  return {
+    vertices: oriented.map(v => ({
+      x: round(v.x - bounds.minX),
+      y: round(v.y - bounds.minY),
+      bulge: round(v.bulge || 0)
+    })),
+    length: round(bounds.maxX - bounds.minX),
+    width: round(bounds.maxY - bounds.minY)
+  };
+}
+
+/**
+ * Décale un polygone parcouru dans le sens trigonométrique vers l'intérieur
+ * Chaque sommet est déplacé sur la bissectrice (raccord en onglet) : le nombre de points est conservé
+ * @param {Object[]} points - Points { x, y }
+ * @param {number} inset - Retrait (mm)
+ * @returns {Object[]} Points décalés
+ */
+export function offsetPolygon(points, inset) {
+  if (!inset) return points;
+
+  const count = points.length;
+  // Normale intérieure (à gauche) de chaque côté
+  const normals = points.map((p, i) => {
+    const q = points[(i + 1) % count];
+    const length = Math.hypot(q.x - p.x, q.y - p.y) || 1;
+    return { x: -(q.y - p.y) / length, y: (q.x - p.x) / length };
+  });
+
+  return points.map((p, i) => {
+    const n1 = normals[(i + count - 1) % count];
+    const n2 = normals[i];
+    const factor = inset / Math.max(1 + n1.x * n2.x + n1.y * n2.y, EPSILON);
+    return { x: p.x + (n1.x + n2.x) * factor, y: p.y + (n1.y + n2.y) * factor };
+  });
+}
+
+/**
+ * Orientation de trois points
+ * @returns {number} Positif si a, b, c tournent dans le sens trigonométrique, 0 si alignés
+ */
+function orientation(a, b, c) {
+  const value = (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+  return Math.abs(value) < EPSILON ? 0 : Math.sign(value);
+}
+
+function onSegment(a, b, p) {
+  return Math.min(a.x, b.x) - EPSILON <= p.x && p.x <= Math.max(a.x, b.x) + EPSILON &&
+    Math.min(a.y, b.y) - EPSILON <= p.y && p.y <= Math.max(a.y, b.y) + EPSILON;
+}
+
+/**
+ * Indique si deux segments se coupent ou se touchent
+ */
+function segmentsIntersect(a, b, c, d) {
+  const o1 = orientation(a, b, c);
+  const o2 = orientation(a, b, d);
+  const o3 = orientation(c, d, a);
+  const o4 = orientation(c, d, b);
+
+  if (o1 !== o2 && o3 !== o4) return true;
+  return (o1 === 0 && onSegment(a, b, c)) || (o2 === 0 && onSegment(a, b, d)) ||
+    (o3 === 0 && onSegment(c, d, a)) || (o4 === 0 && onSegment(c, d, b));
+}
+
+/**
+ * Recherche une auto-intersection d'un polygone fermé
+ * @param {Object[]} points - Points { x, y }
+ * @returns {Object|null} Indices { first, second } des deux côtés qui se croisent, ou null
+ */
+export function findSelfIntersection(points) {
+  const count = points.length;
+  for (let i = 0; i < count; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % count];
+    // Les côtés adjacents partagent un sommet : ils ne sont pas testés
+    for (let j = i + 2; j < count; j++) {
+      if (i === 0 && j === count - 1) continue;
+      if (segmentsIntersect(a, b, points[j], points[(j + 1) % count])) {
+        return { first: i, second: j };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Valide un contour libre
+ * @param {Object[]} vertices - Sommets { x, y, bulge }
+ * @returns {string[]} Messages d'erreur (vide si le contour est valide)
+ */
+export function validateOutline(vertices) {
+  const errors = [];
+  const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+  if (!Array.isArray(vertices) || vertices.length < 3) {
+    errors.push('Le contour doit avoir au moins 3 sommets');
+    return errors;
+  }
+  if (vertices.length > MAX_OUTLINE_VERTICES) {
+    errors.push(`Le contour ne peut pas dépasser ${MAX_OUTLINE_VERTICES} sommets`);
+    return errors;
+  }
+
+  vertices.forEach((v, i) => {
+    if (!isNumber(v?.x) || !isNumber(v?.y) || (v.bulge !== undefined && !isNumber(v.bulge))) {
+      errors.push(`Sommet ${i + 1} : les coordonnées et le bulge doivent être des nombres`);
+    }
+  });
+  if (errors.length > 0) return errors;
+
+  vertices.forEach((v, i) => {
+    const next = vertices[(i + 1) % vertices.length];
+    if (Math.hypot(next.x - v.x, next.y - v.y) < 1e-6) {
+      errors.push(`Les sommets ${i + 1} et ${(i + 1) % vertices.length + 1} sont confondus`);
+    }
+  });
+  if (errors.length > 0) return errors;
+
+  const points = tessellateOutline(vertices);
+  if (findSelfIntersection(points)) {
+    errors.push('Le contour se recoupe : ses côtés ne doivent pas se croiser');
+  } else if (Math.abs(polygonArea(points)) < 1e-6) {
+    errors.push('Le contour n\'a pas de surface');
+  }
+
+  return errors;
+}
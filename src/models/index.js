@@ -4,5 +4,6 @@
  */
 
 export { createPanelGeometry } from './panel.js';
-export { createCylinderGeometryForHole } from './circularCut.js';
-export { createBoxGeometryForRectangularCut } from './rectangularCut.js';
\ No newline at end of file
+export { createCylinderGeometryForHole, createRevolvedHoleGeometry } from './circularCut.js';
+export { createBoxGeometryForRectangularCut } from './rectangularCut.js';
+export { createSlotGeometry } from './slotCut.js';
\ No newline at end of file
@@ -1,34 +1,119 @@
 /**
  * Module pour la création de géométries de panneau
- * Génère des panneaux rectangulaires paramétrables pour les opérations CSG
+ * Génère des panneaux paramétrables (angles arrondis, profils de chant) pour les opérations CSG
  */
 
 import * as THREE from 'three';
+import { getPanelOutline, getEdgeProfileLayers } from './panelOutline.js';
 
 /**
- * Crée une géométrie de panneau rectangulaire
+ * Supprime les points confondus consécutifs d'un contour fermé
+ * @param {THREE.Vector2[]} points - Contour
+ * @returns {THREE.Vector2[]} Contour sans doublons
+ */
+function removeDuplicatePoints(points) {
+  return points.filter((point, index) => {
+    const previous = points[(index + points.length - 1) % points.length];
+    return point.distanceToSquared(previous) > 1e-12;
+  });
+}
+
+/**
+ * Ajoute une face plane (dessus ou dessous) triangulée à partir d'un contour
+ * @param {number[]} positions - Positions à compléter
+ * @param {THREE.Vector3[]} ring - Contour à la hauteur de la face
+ * @param {boolean} facingUp - Normale vers +Y (dessus) ou -Y (dessous)
+ */
+function addCap(positions, ring, facingUp) {
+  const contour = removeDuplicatePoints(ring.map(p => new THREE.Vector2(p.x, p.z)));
+  const y = ring[0].y;
+
+  THREE.ShapeUtils.triangulateShape(contour, []).forEach(triangle => {
+    let [a, b, c] = triangle.map(index => contour[index]);
+    // Orientation dans le plan (x, z) : une aire négative correspond à une normale vers +Y
+    const area = (b.x - a.x) * (c.y - a.y) - (c.x - a.x) * (b.y - a.y);
+    if ((area < 0) !== facingUp) {
+      [b, c] = [c, b];
+    }
+    positions.push(a.x, y, a.y, b.x, y, b.y, c.x, y, c.y);
+  });
+}
+
+/**
+ * Ajoute le pourtour reliant deux contours de même nombre de points
+ * @param {number[]} positions - Positions à compléter
+ * @param {THREE.Vector3[]} lower - Contour inférieur
+ * @param {THREE.Vector3[]} upper - Contour supérieur
+ */
+function addWall(positions, lower, upper) {
+  const push = (...points) => points.forEach(p => positions.push(p.x, p.y, p.z));
+  const count = lower.length;
+
+  for (let i = 0; i < count; i++) {
+    const a0 = lower[i];
+    const a1 = lower[(i + 1) % count];
+    const b0 = upper[i];
+    const b1 = upper[(i + 1) % count];
+
+    // Segments dégénérés (angle vif) : un seul triangle, ou aucun
+    if (a0.distanceToSquared(a1) > 1e-12) {
+      push(a0, a1, b1);
+    }
+    if (b0.distanceToSquared(b1) > 1e-12) {
+      push(a0, b1, b0);
+    }
+  }
+}
+
+/**
+ * Crée une géométrie de panneau
+ * Le contour (angles arrondis) est extrudé sur l'épaisseur ; un profil de chant
+ * (chanfrein ou arrondi) rétrécit le contour à l'approche des faces concernées
  * @param {Object} params - Paramètres du panneau
  * @param {number} params.length - Longueur du panneau (axe X)
- * @param {number} params.width - Largeur du panneau (axe y)  
- * @param {number} params.thickness - Épaisseur du panneau (axe z)
- * @returns {THREE.BoxGeometry} Géométrie du panneau
+ * @param {number} params.width - Largeur du panneau (axe Z)
+ * @param {number} params.thickness - Épaisseur du panneau (axe Y)
+ * @param {Object} [params.corners] - Rayons des angles { frontRight, backRight, backLeft, frontLeft }
+ * @param {Object} [params.edgeProfile] - Profil de chant { type, size, sides }
+ * @returns {THREE.BufferGeometry} Géométrie du panneau
  */
 export function createPanelGeometry(params) {
   const { length = 200, width = 100, thickness = 18 } = params;
-  
+
   // Validation des paramètres
   if (length <= 0 || width <= 0 || thickness <= 0) {
     console.warn('Les dimensions du panneau doivent être positives');
     return new THREE.BoxGeometry(200, 18, 100);
   }
-  
-  // Création de la géométrie BoxGeometry
-  // Paramètres: longueur (X), épaisseur (Z), largeur (Y)
-  const geometry = new THREE.BoxGeometry(length, thickness, width);
-  
+
+  const panel = { ...params, length, width, thickness };
+
+  // Contours de chaque hauteur du profil, avec le même nombre de points
+  const rings = getEdgeProfileLayers(panel).map(layer =>
+    getPanelOutline(panel, layer.inset).map(p => new THREE.Vector3(p.x, layer.y, p.z))
+  );
+
+  const positions = [];
+  for (let i = 0; i < rings.length - 1; i++) {
+    addWall(positions, rings[i], rings[i + 1]);
+  }
+  addCap(positions, rings[rings.length - 1], true);
+  addCap(positions, rings[0], false);
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+
+  // Coordonnées de texture projetées sur la vue de dessus (requises par l'évaluateur CSG)
+  const uvs = [];
+  for (let i = 0; i < positions.length; i += 3) {
+    uvs.push(positions[i] / length + 0.5, 0.5 - positions[i + 2] / width);
+  }
+  geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+  geometry.computeVertexNormals();
+
   // Optimisation pour les opérations CSG
   geometry.computeBoundingBox();
   geometry.computeBoundingSphere();
-  
+
   return geometry;
-}
\ No newline at end of file
+}
@@ -0,0 +1,301 @@
+/**
+ * Module du contour du panneau : angles arrondis, contour libre et profils de chant
+ * Partagé par la géométrie 3D, l'export DXF et la mise en plan
+ *
+ * Repère : vue de dessus centrée sur le panneau, X le long de la longueur, y = -z
+ * (l'avant du panneau, z = +largeur/2, est en bas de la vue de dessus)
+ * Un contour libre (panel.outline) remplace le rectangle ; length et width sont alors son encombrement
+ */
+
+import {
+  tessellateOutline,
+  offsetPolygon,
+  polygonArea,
+  findSelfIntersection,
+  getOutlineBounds,
+  validateOutline
+} from './freeformOutline.js';
+
+// Angles du panneau dans l'ordre trigonométrique de la vue de dessus, en partant de l'avant droit
+// sx / sy : signes du coin dans la vue de dessus ; start : angle de début de l'arc
+export const PANEL_CORNERS = {
+  frontRight: { name: 'Avant droit', sx: 1, sy: -1, start: -Math.PI / 2 },
+  backRight: { name: 'Arrière droit', sx: 1, sy: 1, start: 0 },
+  backLeft: { name: 'Arrière gauche', sx: -1, sy: 1, start: Math.PI / 2 },
+  frontLeft: { name: 'Avant gauche', sx: -1, sy: -1, start: Math.PI }
+};
+
+// Types de profil appliqués aux arêtes du pourtour
+export const EDGE_PROFILE_TYPES = {
+  none: 'Aucun',
+  chamfer: 'Chanfrein',
+  round: 'Arrondi'
+};
+
+// Arêtes concernées par le profil
+export const EDGE_PROFILE_SIDES = {
+  top: 'Dessus',
+  bottom: 'Dessous',
+  both: 'Dessus et dessous'
+};
+
+// Segments de la tessellation d'un angle arrondi et d'un profil arrondi
+const CORNER_SEGMENTS = 12;
+const PROFILE_SEGMENTS = 6;
+
+// Bulge d'un arc de 90° parcouru dans le sens trigonométrique (tan(90°/4))
+const QUARTER_ARC_BULGE = Math.tan(Math.PI / 8);
+
+/**
+ * Rayons des angles du panneau (0 pour un angle vif)
+ * Les rayons ne s'appliquent qu'au panneau rectangulaire, pas à un contour libre
+ * @param {Object} panel - Configuration du panneau
+ * @returns {Object} Rayons { frontRight, backRight, backLeft, frontLeft } en mm
+ */
+export function getCornerRadii(panel) {
+  const radii = {};
+  Object.keys(PANEL_CORNERS).forEach(key => {
+    radii[key] = panel.outline ? 0 : Math.max(0, panel.corners?.[key] || 0);
+  });
+  return radii;
+}
+
+/**
+ * Profil de chant du panneau
+ * @param {Object} panel - Configuration du panneau
+ * @returns {Object} { type, size, sides } ; type 'none' si aucun profil n'est appliqué
+ */
+export function getEdgeProfile(panel) {
+  const profile = panel.edgeProfile || {};
+  const type = EDGE_PROFILE_TYPES[profile.type] ? profile.type : 'none';
+  const size = profile.size > 0 ? profile.size : 0;
+  return {
+    type: size > 0 ? type : 'none',
+    size,
+    sides: EDGE_PROFILE_SIDES[profile.sides] ? profile.sides : 'top'
+  };
+}
+
+/**
+ * Forme normalisée du panneau, pour compléter un panneau enregistré sans contour, angles ni profil
+ * @param {Object} panel - Configuration du panneau
+ * @returns {Object} { outline, corners, edgeProfile }
+ */
+export function normalizePanelShape(panel) {
+  const profile = panel.edgeProfile || {};
+  return {
+    outline: panel.outline || null,
+    corners: getCornerRadii(panel),
+    edgeProfile: {
+      type: EDGE_PROFILE_TYPES[profile.type] ? profile.type : 'none',
+      size: profile.size > 0 ? profile.size : 3,
+      sides: EDGE_PROFILE_SIDES[profile.sides] ? profile.sides : 'top'
+    }
+  };
+}
+
+/**
+ * Indique si le panneau a une forme autre qu'un pavé droit
+ * @param {Object} panel - Configuration du panneau
+ * @returns {boolean} true si un angle est arrondi ou un profil appliqué
+ */
+export function hasPanelShape(panel) {
+  const radii = getCornerRadii(panel);
+  return !!panel.outline || Object.values(radii).some(r => r > 0) || getEdgeProfile(panel).type !== 'none';
+}
+
+/**
+ * Polygone d'un contour libre décalé vers l'intérieur, dans la vue de dessus centrée
+ * @param {Object} panel - Configuration du panneau avec contour libre
+ * @param {number} inset - Retrait vers l'intérieur (mm)
+ * @returns {Object[]} Points { x, y }
+ */
+function freeformPolygon(panel, inset) {
+  return offsetPolygon(tessellateOutline(panel.outline.vertices), inset).map(p => ({
+    x: p.x - panel.length / 2,
+    y: p.y - panel.width / 2
+  }));
+}
+
+/**
+ * Contour tessellé du panneau, éventuellement décalé vers l'intérieur
+ * Le nombre de points est constant (quel que soit le rayon) pour relier les contours
+ * des différentes hauteurs du profil de chant point à point
+ * @param {Object} panel - Configuration du panneau
+ * @param {number} inset - Retrait vers l'intérieur (mm)
+ * @returns {Object[]} Points { x, z } parcourus dans le sens trigonométrique de la vue de dessus
+ */
+export function getPanelOutline(panel, inset = 0) {
+  if (panel.outline) {
+    return freeformPolygon(panel, inset).map(p => ({ x: p.x, z: -p.y }));
+  }
+
+  const radii = getCornerRadii(panel);
+  const hx = panel.length / 2 - inset;
+  const hy = panel.width / 2 - inset;
+  const points = [];
+
+  Object.entries(PANEL_CORNERS).forEach(([key, corner]) => {
+    const r = Math.max(radii[key] - inset, 0);
+    const cx = corner.sx * (hx - r);
+    const cy = corner.sy * (hy - r);
+    for (let i = 0; i <= CORNER_SEGMENTS; i++) {
+      const angle = corner.start + (i / CORNER_SEGMENTS) * Math.PI / 2;
+      points.push({ x: cx + r * Math.cos(angle), z: -(cy + r * Math.sin(angle)) });
+    }
+  });
+
+  return points;
+}
+
+/**
+ * Sommets du contour avec bulges (arcs exacts), pour l'export DXF
+ * @param {Object} panel - Configuration du panneau
+ * @param {number} inset - Retrait vers l'intérieur (mm)
+ * @returns {Object[]} Sommets { x, y, bulge } de la vue de dessus centrée, sens trigonométrique
+ */
+export function getPanelOutlineVertices(panel, inset = 0) {
+  if (panel.outline) {
+    // Contour décalé : approché par ses segments (le décalage d'un arc n'est pas recalculé)
+    return inset > 0
+      ? freeformPolygon(panel, inset).map(p => ({ ...p, bulge: 0 }))
+      : panel.outline.vertices.map(v => ({ x: v.x - panel.length / 2, y: v.y - panel.width / 2, bulge: v.bulge || 0 }));
+  }
+
+  const radii = getCornerRadii(panel);
+  const hx = panel.length / 2 - inset;
+  const hy = panel.width / 2 - inset;
+  const vertices = [];
+
+  Object.entries(PANEL_CORNERS).forEach(([key, corner]) => {
+    const r = Math.max(radii[key] - inset, 0);
+    const cx = corner.sx * (hx - r);
+    const cy = corner.sy * (hy - r);
+    const end = corner.start + Math.PI / 2;
+    if (r > 0) {
+      vertices.push({ x: cx + r * Math.cos(corner.start), y: cy + r * Math.sin(corner.start), bulge: QUARTER_ARC_BULGE });
+      vertices.push({ x: cx + r * Math.cos(end), y: cy + r * Math.sin(end), bulge: 0 });
+    } else {
+      vertices.push({ x: corner.sx * hx, y: corner.sy * hy, bulge: 0 });
+    }
+  });
+
+  return vertices;
+}
+
+/**
+ * Points d'un profil de chant depuis l'arête : retrait horizontal et retombée verticale
+ * @param {Object} profile - Profil normalisé
+ * @returns {Object[]} Points { inset, drop }, du pied du profil sur le chant (retrait nul) jusqu'à la face (retombée nulle)
+ */
+function profileSamples(profile) {
+  const { type, size } = profile;
+  if (type === 'chamfer') {
+    return [{ inset: 0, drop: size }, { inset: size, drop: 0 }];
+  }
+
+  const samples = [];
+  for (let i = 0; i <= PROFILE_SEGMENTS; i++) {
+    const angle = (i / PROFILE_SEGMENTS) * Math.PI / 2;
+    samples.push({ inset: size * (1 - Math.cos(angle)), drop: size * (1 - Math.sin(angle)) });
+  }
+  return samples;
+}
+
+/**
+ * Couches horizontales du panneau : hauteur et retrait du contour à cette hauteur
+ * Un panneau sans profil n'a que deux couches (dessous et dessus, sans retrait)
+ * @param {Object} panel - Configuration du panneau
+ * @returns {Object[]} Couches { y, inset } du dessous vers le dessus
+ */
+export function getEdgeProfileLayers(panel) {
+  const half = panel.thickness / 2;
+  const profile = getEdgeProfile(panel);
+  const layers = [];
+
+  if (profile.type !== 'none' && profile.sides !== 'top') {
+    profileSamples(profile).slice().reverse().forEach(s => layers.push({ y: -half + s.drop, inset: s.inset }));
+  } else {
+    layers.push({ y: -half, inset: 0 });
+  }
+
+  if (profile.type !== 'none' && profile.sides !== 'bottom') {
+    profileSamples(profile).forEach(s => layers.push({ y: half - s.drop, inset: s.inset }));
+  } else {
+    layers.push({ y: half, inset: 0 });
+  }
+
+  // Couches confondues (profil sur toute l'épaisseur) : la première est conservée
+  return layers.filter((layer, index) => index === 0 || layer.y - layers[index - 1].y > 1e-9);
+}
+
+/**
+ * Valide les angles et le profil de chant au regard des dimensions du panneau
+ * @param {Object} panel - Configuration du panneau (dimensions, corners, edgeProfile)
+ * @returns {string[]} Messages d'erreur (vide si la forme est valide)
+ */
+export function validatePanelShape(panel) {
+  const errors = [];
+  const radii = getCornerRadii(panel);
+
+  if (panel.outline) {
+    const outlineErrors = validateOutline(panel.outline.vertices);
+    errors.push(...outlineErrors);
+    if (outlineErrors.length === 0) {
+      const bounds = getOutlineBounds(panel.outline.vertices);
+      const length = bounds.maxX - bounds.minX;
+      const width = bounds.maxY - bounds.minY;
+      if (Math.abs(bounds.minX) > 0.01 || Math.abs(bounds.minY) > 0.01 ||
+          Math.abs(length - panel.length) > 0.01 || Math.abs(width - panel.width) > 0.01) {
+        errors.push(`L'encombrement du contour (${Number(length.toFixed(2))} × ${Number(width.toFixed(2))}mm depuis l'origine) ne correspond pas aux dimensions du panneau (${panel.length} × ${panel.width}mm)`);
+      }
+    }
+  }
+
+  Object.entries(PANEL_CORNERS).forEach(([key, corner]) => {
+    const value = panel.corners?.[key];
+    if (value !== undefined && !(typeof value === 'number' && Number.isFinite(value) && value >= 0)) {
+      errors.push(`Le rayon de l'angle ${corner.name.toLowerCase()} doit être positif ou nul`);
+    }
+  });
+
+  // Deux angles d'un même côté ne peuvent pas se chevaucher
+  const sides = [
+    ['frontLeft', 'frontRight', panel.length, 'avant'],
+    ['backLeft', 'backRight', panel.length, 'arrière'],
+    ['frontLeft', 'backLeft', panel.width, 'gauche'],
+    ['frontRight', 'backRight', panel.width, 'droit']
+  ];
+  sides.forEach(([a, b, available, name]) => {
+    if (radii[a] + radii[b] > available) {
+      errors.push(`Les rayons du côté ${name} (${radii[a]} + ${radii[b]}mm) dépassent sa longueur (${available}mm)`);
+    }
+  });
+
+  const profile = panel.edgeProfile;
+  if (profile && profile.type && profile.type !== 'none') {
+    if (!EDGE_PROFILE_TYPES[profile.type]) {
+      errors.push(`Profil de chant inconnu: "${profile.type}". Profils connus: ${Object.keys(EDGE_PROFILE_TYPES).join(', ')}`);
+    } else if (!EDGE_PROFILE_SIDES[profile.sides]) {
+      errors.push(`Arêtes du profil inconnues: "${profile.sides}". Valeurs connues: ${Object.keys(EDGE_PROFILE_SIDES).join(', ')}`);
+    } else if (!(profile.size > 0)) {
+      errors.push('La taille du profil de chant doit être positive');
+    } else {
+      const maxDepth = profile.sides === 'both' ? panel.thickness / 2 : panel.thickness;
+      if (profile.size > maxDepth) {
+        errors.push(`La taille du profil (${profile.size}mm) ne peut pas dépasser ${maxDepth}mm pour cette épaisseur`);
+      }
+      if (profile.size >= Math.min(panel.length, panel.width) / 2) {
+        errors.push('La taille du profil doit rester inférieure à la moitié de la plus petite dimension');
+      } else if (panel.outline && errors.length === 0) {
+        // Le contour décalé de la taille du profil doit rester un polygone simple
+        const inner = offsetPolygon(tessellateOutline(panel.outline.vertices), profile.size);
+        if (polygonArea(inner) <= 0 || findSelfIntersection(inner)) {
+          errors.push(`Le profil de ${profile.size}mm est trop grand pour les parties étroites du contour`);
+        }
+      }
+    }
+  }
+
+  return errors;
+}
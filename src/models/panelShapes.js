@@ -0,0 +1,143 @@
+/**
+ * Module des formes paramétriques de panneau
+ * Chaque forme génère un contour libre (sommets { x, y, bulge } dans le repère du DXF,
+ * origine au coin avant gauche) à partir de quelques cotes
+ */
+
+// Angles du panneau pour l'entaille
+export const NOTCH_CORNERS = {
+  backRight: 'Arrière droit',
+  backLeft: 'Arrière gauche',
+  frontRight: 'Avant droit',
+  frontLeft: 'Avant gauche'
+};
+
+/**
+ * Formes disponibles : libellé, cotes par défaut (depuis les dimensions du panneau),
+ * validation des cotes et construction du contour
+ * Le rectangle n'a pas de contour : le panneau reste défini par sa longueur et sa largeur
+ */
+export const PANEL_SHAPES = {
+  rectangle: {
+    name: 'Rectangle',
+    defaults: (panel) => ({ length: panel.length, width: panel.width }),
+    validate: () => [],
+    build: null
+  },
+  lShape: {
+    name: 'En L',
+    defaults: (panel) => ({
+      length: panel.length,
+      width: panel.width,
+      depth: Math.round(panel.width / 2),
+      returnWidth: Math.round(panel.length / 3)
+    }),
+    validate: (p) => {
+      const errors = [];
+      if (!(p.depth > 0 && p.depth < p.width)) errors.push('La profondeur de la partie avant doit être comprise entre 0 et la largeur');
+      if (!(p.returnWidth > 0 && p.returnWidth < p.length)) errors.push('La largeur du retour doit être comprise entre 0 et la longueur');
+      return errors;
+    },
+    // Partie avant sur toute la longueur, retour à gauche sur toute la largeur
+    build: (p) => [
+      { x: 0, y: 0, bulge: 0 },
+      { x: p.length, y: 0, bulge: 0 },
+      { x: p.length, y: p.depth, bulge: 0 },
+      { x: p.returnWidth, y: p.depth, bulge: 0 },
+      { x: p.returnWidth, y: p.width, bulge: 0 },
+      { x: 0, y: p.width, bulge: 0 }
+    ]
+  },
+  trapezoid: {
+    name: 'Trapèze',
+    defaults: (panel) => ({
+      length: panel.length,
+      width: panel.width,
+      backLength: Math.round(panel.length * 0.6),
+      backOffset: Math.round(panel.length * 0.2)
+    }),
+    validate: (p) => (p.backLength > 0 ? [] : ['La longueur du chant arrière doit être positive']),
+    // Chant avant de 0 à length, chant arrière décalé de backOffset depuis la gauche
+    build: (p) => [
+      { x: 0, y: 0, bulge: 0 },
+      { x: p.length, y: 0, bulge: 0 },
+      { x: p.backOffset + p.backLength, y: p.width, bulge: 0 },
+      { x: p.backOffset, y: p.width, bulge: 0 }
+    ]
+  },
+  notched: {
+    name: 'Angle entaillé',
+    defaults: (panel) => ({
+      length: panel.length,
+      width: panel.width,
+      notchLength: Math.round(panel.length / 5),
+      notchWidth: Math.round(panel.width / 5),
+      corner: 'backRight'
+    }),
+    validate: (p) => {
+      const errors = [];
+      if (!(p.notchLength > 0 && p.notchLength < p.length)) errors.push('La longueur de l\'entaille doit être comprise entre 0 et la longueur');
+      if (!(p.notchWidth > 0 && p.notchWidth < p.width)) errors.push('La largeur de l\'entaille doit être comprise entre 0 et la largeur');
+      if (!NOTCH_CORNERS[p.corner]) errors.push(`Angle inconnu: "${p.corner}"`);
+      return errors;
+    },
+    build: (p) => {
+      const { length: L, width: W, notchLength: nx, notchWidth: ny } = p;
+      const corners = {
+        backRight: [[0, 0], [L, 0], [L, W - ny], [L - nx, W - ny], [L - nx, W], [0, W]],
+        backLeft: [[0, 0], [L, 0], [L, W], [nx, W], [nx, W - ny], [0, W - ny]],
+        frontRight: [[0, 0], [L - nx, 0], [L - nx, ny], [L, ny], [L, W], [0, W]],
+        frontLeft: [[nx, 0], [L, 0], [L, W], [0, W], [0, ny], [nx, ny]]
+      };
+      return corners[p.corner].map(([x, y]) => ({ x, y, bulge: 0 }));
+    }
+  },
+  arched: {
+    name: 'Cintré',
+    defaults: (panel) => ({
+      length: panel.length,
+      width: panel.width,
+      rise: Math.round(Math.min(panel.length / 4, panel.width / 3))
+    }),
+    validate: (p) => (p.rise > 0 && p.rise < p.width && p.rise <= p.length / 2
+      ? []
+      : ['La flèche du cintre doit être positive, inférieure à la largeur et au plus la moitié de la longueur']),
+    // Chant arrière en arc de flèche rise : bulge = 2 × flèche / corde
+    build: (p) => [
+      { x: 0, y: 0, bulge: 0 },
+      { x: p.length, y: 0, bulge: 0 },
+      { x: p.length, y: p.width - p.rise, bulge: 2 * p.rise / p.length },
+      { x: 0, y: p.width - p.rise, bulge: 0 }
+    ]
+  },
+  custom: {
+    name: 'Contour libre',
+    defaults: () => ({}),
+    validate: () => [],
+    build: null
+  }
+};
+
+/**
+ * Valide les cotes d'une forme paramétrique
+ * @param {string} shape - Identifiant de la forme
+ * @param {Object} params - Cotes de la forme
+ * @returns {string[]} Messages d'erreur (vide si les cotes sont valides)
+ */
+export function validateShapeParams(shape, params) {
+  const definition = PANEL_SHAPES[shape];
+  if (!definition) {
+    return [`Forme inconnue: "${shape}". Formes connues: ${Object.keys(PANEL_SHAPES).join(', ')}`];
+  }
+
+  const errors = [];
+  Object.entries(params).forEach(([key, value]) => {
+    if (key !== 'corner' && !(typeof value === 'number' && Number.isFinite(value))) {
+      errors.push(`La cote "${key}" doit être un nombre`);
+    }
+  });
+  if (params.length !== undefined && !(params.length > 0)) errors.push('La longueur doit être positive');
+  if (params.width !== undefined && !(params.width > 0)) errors.push('La largeur doit être positive');
+
+  return errors.length > 0 ? errors : definition.validate(params);
+}
@@ -11,13 +11,15 @@ import * as THREE from 'three';
  * @param {number} params.length - Longueur de la découpe (axe X)
  * @param {number} params.width - Largeur de la découpe (axe Z)
  * @param {number} params.depth - Profondeur de la découpe (axe Y)
- * @returns {THREE.BoxGeometry} Géométrie de la découpe rectangulaire
+ * @param {number} params.cornerRadius - Rayon des angles intérieurs (0 = angles vifs)
+ * @returns {THREE.BufferGeometry} Géométrie de la découpe rectangulaire
  */
 export function createBoxGeometryForRectangularCut(params) {
   const { 
     length = 50, 
     width = 30, 
-    depth = 20 
+    depth = 20,
+    cornerRadius = 0
   } = params;
   
   // Validation des paramètres
@@ -26,6 +28,11 @@ export function createBoxGeometryForRectangularCut(params) {
     return new THREE.BoxGeometry(50, 20, 30);
   }
   
+  // Angles arrondis : contour extrudé sur la profondeur
+  if (cornerRadius > 0) {
+    return createRoundedRectangleGeometry(length, width, depth, cornerRadius);
+  }
+  
   // Création de la géométrie BoxGeometry pour la découpe
   // Paramètres: longueur (X), profondeur/hauteur (Y), largeur (Z)
   const geometry = new THREE.BoxGeometry(length, depth, width);
@@ -35,4 +42,46 @@ export function createBoxGeometryForRectangularCut(params) {
   geometry.computeBoundingSphere();
   
   return geometry;
-}
\ No newline at end of file
+}
+
+/**
+ * Crée une poche rectangulaire à angles arrondis centrée sur l'origine
+ * @param {number} length - Longueur (axe X)
+ * @param {number} width - Largeur (axe Z)
+ * @param {number} depth - Profondeur (axe Y)
+ * @param {number} cornerRadius - Rayon des angles, borné à la demi-largeur
+ * @returns {THREE.ExtrudeGeometry} Géométrie de la poche
+ */
+function createRoundedRectangleGeometry(length, width, depth, cornerRadius) {
+  const r = Math.min(cornerRadius, length / 2, width / 2);
+  const hl = length / 2;
+  const hw = width / 2;
+
+  // Contour dans le plan XY, parcouru dans le sens trigonométrique
+  const shape = new THREE.Shape();
+  shape.moveTo(-hl + r, -hw);
+  shape.lineTo(hl - r, -hw);
+  shape.absarc(hl - r, -hw + r, r, -Math.PI / 2, 0, false);
+  shape.lineTo(hl, hw - r);
+  shape.absarc(hl - r, hw - r, r, 0, Math.PI / 2, false);
+  shape.lineTo(-hl + r, hw);
+  shape.absarc(-hl + r, hw - r, r, Math.PI / 2, Math.PI, false);
+  shape.lineTo(-hl, -hw + r);
+  shape.absarc(-hl + r, -hw + r, r, Math.PI, Math.PI * 1.5, false);
+
+  const geometry = new THREE.ExtrudeGeometry(shape, {
+    depth,
+    bevelEnabled: false,
+    curveSegments: 8
+  });
+
+  // Extrusion selon Z -> profondeur selon Y, centrée sur l'origine
+  geometry.rotateX(-Math.PI / 2);
+  geometry.translate(0, -depth / 2, 0);
+
+  // Optimisation pour les opérations CSG
+  geometry.computeBoundingBox();
+  geometry.computeBoundingSphere();
+
+  return geometry;
+}
@@ -0,0 +1,58 @@
+/**
+ * Module pour la création de géométries de découpe oblongue (lumière)
+ * Deux demi-cercles reliés par deux segments, extrudés sur la profondeur
+ */
+
+import * as THREE from 'three';
+
+/**
+ * Crée une géométrie oblongue pour découpe
+ * @param {Object} params - Paramètres de l'oblong
+ * @param {number} params.length - Longueur hors tout, extrémités arrondies comprises (axe X)
+ * @param {number} params.width - Largeur, diamètre des extrémités (axe Z)
+ * @param {number} params.depth - Profondeur de la découpe (axe Y)
+ * @param {number} params.segments - Nombre de segments par demi-cercle (qualité)
+ * @returns {THREE.BufferGeometry} Géométrie de l'oblong centrée sur l'origine
+ */
+export function createSlotGeometry(params) {
+  const {
+    length = 40,
+    width = 10,
+    depth = 20,
+    segments = 16
+  } = params;
+
+  // Validation des paramètres
+  if (length <= 0 || width <= 0 || depth <= 0) {
+    console.warn('Les dimensions de l\'oblong doivent être positives');
+    return createSlotGeometry({ length: 40, width: 10, depth: 20, segments });
+  }
+
+  // Un oblong plus court que large est ramené à un cercle
+  const r = width / 2;
+  const hs = Math.max(length / 2 - r, 0);
+
+  // Contour dans le plan XY, parcouru dans le sens trigonométrique
+  const shape = new THREE.Shape();
+  shape.moveTo(-hs, -r);
+  shape.lineTo(hs, -r);
+  shape.absarc(hs, 0, r, -Math.PI / 2, Math.PI / 2, false);
+  shape.lineTo(-hs, r);
+  shape.absarc(-hs, 0, r, Math.PI / 2, Math.PI * 1.5, false);
+
+  const geometry = new THREE.ExtrudeGeometry(shape, {
+    depth,
+    bevelEnabled: false,
+    curveSegments: segments
+  });
+
+  // Extrusion selon Z -> profondeur selon Y, centrée sur l'origine
+  geometry.rotateX(-Math.PI / 2);
+  geometry.translate(0, -depth / 2, 0);
+
+  // Optimisation pour les opérations CSG
+  geometry.computeBoundingBox();
+  geometry.computeBoundingSphere();
+
+  return geometry;
+}
@@ -0,0 +1,262 @@
+/**
+ * Module d'optimisation de débit (calepinage) des panneaux dans des feuilles standard
+ * Placement guillotine : chaque pièce est posée dans un rectangle libre, puis le reste est
+ * recoupé d'un trait de scie traversant ; la disposition est donc réalisable à la scie à panneaux.
+ * Indépendant du navigateur
+ *
+ * Repère d'une feuille : origine dans un coin, X le long de la longueur (sens du fil), Y le long de la largeur
+ */
+
+import { materials, standardSheets } from '../materials.js';
+import { getPanelCore } from '../models/edgeBanding.js';
+
+// Tris essayés pour ordonner les pièces (les plus contraignantes d'abord)
+const SORT_ORDERS = {
+  area: (a, b) => b.length * b.width - a.length * a.width,
+  longestSide: (a, b) => Math.max(b.length, b.width) - Math.max(a.length, a.width),
+  perimeter: (a, b) => (b.length + b.width) - (a.length + a.width),
+  length: (a, b) => b.length - a.length || b.width - a.width
+};
+
+// Règles de recoupe du rectangle libre après placement d'une pièce
+const SPLIT_RULES = ['shorterLeftover', 'longerLeftover'];
+
+const EPSILON = 1e-9;
+
+/**
+ * Décrit une pièce de la liste de débit à partir d'une configuration de panneau
+ * La pièce est débitée aux cotes de l'âme (avant placage de chants), encombrement du contour compris
+ * @param {Object} entry - { id, name, panel, quantity, grainLocked }
+ * @returns {Object} Pièce { id, name, length, width, thickness, material, quantity, grainLocked }
+ */
+export function describeNestingPart(entry) {
+  const core = getPanelCore(entry.panel);
+  return {
+    id: entry.id,
+    name: entry.name,
+    length: core.length,
+    width: core.width,
+    thickness: entry.panel.thickness,
+    material: entry.panel.material,
+    quantity: entry.quantity,
+    grainLocked: entry.grainLocked
+  };
+}
+
+/**
+ * Cherche le meilleur rectangle libre pour une pièce (plus petit reste de surface)
+ * @param {Object[]} freeRects - Rectangles libres { x, y, length, width }
+ * @param {Object} item - Pièce { length, width, grainLocked }
+ * @returns {Object|null} { rect, length, width, rotated, score }
+ */
+function findPosition(freeRects, item) {
+  const orientations = [{ length: item.length, width: item.width, rotated: false }];
+  if (!item.grainLocked && Math.abs(item.length - item.width) > EPSILON) {
+    orientations.push({ length: item.width, width: item.length, rotated: true });
+  }
+
+  let best = null;
+  freeRects.forEach(rect => {
+    orientations.forEach(o => {
+      if (o.length > rect.length + EPSILON || o.width > rect.width + EPSILON) return;
+      const score = rect.length * rect.width - o.length * o.width;
+      if (!best || score < best.score - EPSILON) {
+        best = { rect, ...o, score };
+      }
+    });
+  });
+
+  return best;
+}
+
+/**
+ * Recoupe un rectangle libre après y avoir posé une pièce dans son coin
+ * Les deux restes sont séparés de la pièce par l'épaisseur du trait de scie
+ * @param {Object} rect - Rectangle libre
+ * @param {number} length - Longueur posée
+ * @param {number} width - Largeur posée
+ * @param {number} kerf - Trait de scie (mm)
+ * @param {string} rule - Règle de recoupe (SPLIT_RULES)
+ * @returns {Object[]} Rectangles libres restants
+ */
+function splitFreeRect(rect, length, width, kerf, rule) {
+  const leftoverLength = rect.length - length - kerf;
+  const leftoverWidth = rect.width - width - kerf;
+
+  // Premier trait sur toute la longueur (reste en largeur entier) ou sur toute la largeur
+  const shorter = leftoverLength < leftoverWidth;
+  const fullLengthCut = rule === 'shorterLeftover' ? shorter : !shorter;
+
+  const rects = fullLengthCut
+    ? [
+        { x: rect.x + length + kerf, y: rect.y, length: leftoverLength, width },
+        { x: rect.x, y: rect.y + width + kerf, length: rect.length, width: leftoverWidth }
+      ]
+    : [
+        { x: rect.x + length + kerf, y: rect.y, length: leftoverLength, width: rect.width },
+        { x: rect.x, y: rect.y + width + kerf, length, width: leftoverWidth }
+      ];
+
+  return rects.filter(r => r.length > EPSILON && r.width > EPSILON);
+}
+
+/**
+ * Place des pièces dans des feuilles identiques, en ouvrant une feuille quand aucune ne convient
+ * @param {Object[]} items - Pièces unitaires triées
+ * @param {Object} sheet - Feuille { length, width }
+ * @param {number} kerf - Trait de scie (mm)
+ * @param {string} rule - Règle de recoupe
+ * @returns {Object} { sheets, unplaced } ; sheets : [{ placements, freeRects }]
+ */
+function packItems(items, sheet, kerf, rule) {
+  const sheets = [];
+  const unplaced = [];
+
+  items.forEach(item => {
+    let target = null;
+    let position = null;
+    sheets.forEach(candidate => {
+      const found = findPosition(candidate.freeRects, item);
+      if (found && (!position || found.score < position.score - EPSILON)) {
+        target = candidate;
+        position = found;
+      }
+    });
+
+    if (!position) {
+      target = { placements: [], freeRects: [{ x: 0, y: 0, length: sheet.length, width: sheet.width }] };
+      position = findPosition(target.freeRects, item);
+      if (!position) {
+        unplaced.push(item);
+        return;
+      }
+      sheets.push(target);
+    }
+
+    const { rect } = position;
+    target.placements.push({
+      partId: item.id,
+      name: item.name,
+      x: rect.x,
+      y: rect.y,
+      length: position.length,
+      width: position.width,
+      rotated: position.rotated
+    });
+    target.freeRects.splice(target.freeRects.indexOf(rect), 1, ...splitFreeRect(rect, position.length, position.width, kerf, rule));
+  });
+
+  return { sheets, unplaced };
+}
+
+/**
+ * Surface occupée par les pièces d'une feuille
+ */
+function usedArea(placements) {
+  return placements.reduce((sum, p) => sum + p.length * p.width, 0);
+}
+
+/**
+ * Compare deux dispositions : moins de feuilles, puis la dernière feuille la moins remplie
+ * (les chutes sont regroupées sur une seule feuille, où elles restent réutilisables)
+ */
+function isBetterPacking(candidate, best) {
+  if (!best) return true;
+  if (candidate.unplaced.length !== best.unplaced.length) return candidate.unplaced.length < best.unplaced.length;
+  if (candidate.sheets.length !== best.sheets.length) return candidate.sheets.length < best.sheets.length;
+  const lastCandidate = candidate.sheets[candidate.sheets.length - 1];
+  const lastBest = best.sheets[best.sheets.length - 1];
+  return Boolean(lastCandidate) && usedArea(lastCandidate.placements) < usedArea(lastBest.placements) - EPSILON;
+}
+
+/**
+ * Calcule le débit des pièces dans les feuilles standard
+ * Les pièces sont regroupées par matériau et épaisseur ; chaque groupe est débité dans sa feuille
+ * @param {Object[]} parts - Pièces { id, name, length, width, thickness, material, quantity, grainLocked }
+ * @param {Object} options - Options du débit
+ * @param {Object} options.sheetSizes - Feuille par matériau { matériau: { length, width } } (défaut : standardSheets)
+ * @param {number} options.kerf - Trait de scie (mm)
+ * @returns {Object} { sheets, unplaced, yield } ; sheets : [{ material, thickness, length, width, placements, yield }],
+ *                   placements : [{ partId, name, x, y, length, width, rotated }]
+ */
+export function nestPanels(parts, { sheetSizes = standardSheets, kerf = 0 } = {}) {
+  const groups = new Map();
+  parts.forEach(part => {
+    const key = `${part.material}|${part.thickness}`;
+    if (!groups.has(key)) {
+      groups.set(key, { material: part.material, thickness: part.thickness, items: [] });
+    }
+    for (let i = 0; i < part.quantity; i++) {
+      groups.get(key).items.push(part);
+    }
+  });
+
+  const sheets = [];
+  const unplaced = [];
+  groups.forEach(group => {
+    const sheet = sheetSizes[group.material];
+
+    // Essai de chaque ordre de tri et règle de recoupe, la meilleure disposition est retenue
+    let best = null;
+    Object.values(SORT_ORDERS).forEach(compare => {
+      const items = [...group.items].sort(compare);
+      SPLIT_RULES.forEach(rule => {
+        const packing = packItems(items, sheet, kerf, rule);
+        if (isBetterPacking(packing, best)) {
+          best = packing;
+        }
+      });
+    });
+
+    best.sheets.forEach(({ placements }) => {
+      sheets.push({
+        material: group.material,
+        thickness: group.thickness,
+        length: sheet.length,
+        width: sheet.width,
+        placements,
+        yield: usedArea(placements) / (sheet.length * sheet.width)
+      });
+    });
+    best.unplaced.forEach(item => unplaced.push({ partId: item.id, name: item.name, length: item.length, width: item.width }));
+  });
+
+  const sheetArea = sheets.reduce((sum, s) => sum + s.length * s.width, 0);
+  return {
+    sheets,
+    unplaced,
+    yield: sheetArea > 0 ? sheets.reduce((sum, s) => sum + usedArea(s.placements), 0) / sheetArea : 0
+  };
+}
+
+/**
+ * Valide les paramètres du débit
+ * @param {Object[]} parts - Pièces
+ * @param {Object} options - { sheetSizes, kerf }
+ * @returns {string[]} Messages d'erreur (vide si le débit peut être calculé)
+ */
+export function validateNesting(parts, { sheetSizes = standardSheets, kerf = 0 } = {}) {
+  const errors = [];
+
+  if (parts.length === 0) {
+    errors.push('La liste de débit est vide');
+  }
+  if (!(kerf >= 0 && kerf <= 10)) {
+    errors.push('Le trait de scie doit être compris entre 0 et 10mm');
+  }
+
+  parts.forEach(part => {
+    if (!Number.isInteger(part.quantity) || part.quantity < 1) {
+      errors.push(`${part.name} : la quantité doit être un entier positif`);
+    }
+  });
+
+  [...new Set(parts.map(p => p.material))].forEach(material => {
+    const sheet = sheetSizes[material];
+    if (!sheet || !(sheet.length > 0) || !(sheet.width > 0)) {
+      errors.push(`Feuille ${materials[material]?.name || material} : les dimensions doivent être positives`);
+    }
+  });
+
+  return errors;
+}
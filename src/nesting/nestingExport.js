@@ -0,0 +1,119 @@
+/**
+ * Module d'export du débit : plan de découpe SVG et liste de débit CSV
+ * Indépendant du navigateur
+ */
+
+import { materials } from '../materials.js';
+import { formatMm } from '../cuts/cutDescription.js';
+
+// Mise en page du plan SVG (mm)
+const SHEET_GAP = 120;
+const TITLE_HEIGHT = 60;
+const MARGIN = 20;
+
+// Couleurs de remplissage des pièces, attribuées par pièce de la liste
+const PART_COLORS = ['#cfe2ff', '#d1e7dd', '#fff3cd', '#f8d7da', '#e2d9f3', '#d2f4ea', '#ffe5d0', '#e9ecef'];
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Libellé d'une feuille (matériau, épaisseur, dimensions, rendement)
+ * @param {Object} sheet - Feuille du débit
+ * @param {number} index - Rang de la feuille
+ * @returns {string} Libellé
+ */
+export function describeNestingSheet(sheet, index) {
+  const material = materials[sheet.material]?.name || sheet.material;
+  return `Feuille ${index + 1} · ${material} ${formatMm(sheet.thickness)}mm · ` +
+    `${formatMm(sheet.length)} × ${formatMm(sheet.width)} · rendement ${formatPercent(sheet.yield)}`;
+}
+
+/**
+ * Formate un rendement en pourcentage
+ * @param {number} ratio - Rendement (0 à 1)
+ * @returns {string} Pourcentage (ex: "78,4 %")
+ */
+export function formatPercent(ratio) {
+  return `${(ratio * 100).toFixed(1).replace('.', ',')} %`;
+}
+
+/**
+ * Dessine le débit : feuilles les unes sous les autres, pièces cotées
+ * @param {Object} result - Résultat de nestPanels
+ * @returns {string} Document SVG (unités en mm)
+ */
+export function renderNestingSvg(result) {
+  const width = Math.max(...result.sheets.map(s => s.length), 1) + 2 * MARGIN;
+  const colors = new Map();
+  const elements = [];
+  let top = MARGIN;
+
+  result.sheets.forEach((sheet, index) => {
+    elements.push(`<text x="${MARGIN}" y="${top + TITLE_HEIGHT * 0.6}" font-size="${TITLE_HEIGHT * 0.5}">${escapeXml(describeNestingSheet(sheet, index))}</text>`);
+    const y0 = top + TITLE_HEIGHT;
+    elements.push(`<rect x="${MARGIN}" y="${y0}" width="${sheet.length}" height="${sheet.width}" fill="#f1f3f5" stroke="#495057" stroke-width="3"/>`);
+
+    sheet.placements.forEach(p => {
+      if (!colors.has(p.partId)) {
+        colors.set(p.partId, PART_COLORS[colors.size % PART_COLORS.length]);
+      }
+      const x = MARGIN + p.x;
+      const y = y0 + p.y;
+      const size = Math.min(40, p.length / 8, p.width / 3);
+      elements.push(`<rect x="${x}" y="${y}" width="${p.length}" height="${p.width}" fill="${colors.get(p.partId)}" stroke="#212529" stroke-width="2"/>`);
+      elements.push(
+        `<text x="${x + p.length / 2}" y="${y + p.width / 2}" font-size="${size}" text-anchor="middle" dominant-baseline="middle">` +
+        `${escapeXml(p.name)} ${formatMm(p.length)} × ${formatMm(p.width)}${p.rotated ? ' ↻' : ''}</text>`
+      );
+    });
+
+    top = y0 + sheet.width + SHEET_GAP;
+  });
+
+  const height = Math.max(top - SHEET_GAP + MARGIN, 1);
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width / 10}mm" height="${height / 10}mm" viewBox="0 0 ${width} ${height}" font-family="Helvetica, Arial, sans-serif">`,
+    ...elements,
+    '</svg>'
+  ].join('\n');
+}
+
+/**
+ * Construit la liste de débit : une ligne par pièce placée, dans l'ordre des feuilles
+ * Séparateur ";" et marque d'ordre des octets pour une ouverture directe dans un tableur
+ * @param {Object} result - Résultat de nestPanels
+ * @returns {string} Contenu CSV
+ */
+export function buildCuttingListCsv(result) {
+  const quote = (value) => `"${String(value).replace(/"/g, '""')}"`;
+  const rows = [['Feuille', 'Pièce', 'Longueur (mm)', 'Largeur (mm)', 'Épaisseur (mm)', 'Matériau', 'X (mm)', 'Y (mm)', 'Pivotée']];
+
+  result.sheets.forEach((sheet, index) => {
+    sheet.placements.forEach(p => {
+      rows.push([
+        index + 1,
+        quote(p.name),
+        formatMm(p.length),
+        formatMm(p.width),
+        formatMm(sheet.thickness),
+        quote(materials[sheet.material]?.name || sheet.material),
+        formatMm(p.x),
+        formatMm(p.y),
+        p.rotated ? 'oui' : 'non'
+      ]);
+    });
+  });
+
+  result.unplaced.forEach(part => {
+    rows.push(['', quote(part.name), formatMm(part.length), formatMm(part.width), '', '', '', '', 'hors feuille']);
+  });
+
+  return '\uFEFF' + rows.map(row => row.join(';')).join('\r\n') + '\r\n';
+}
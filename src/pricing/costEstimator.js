@@ -0,0 +1,187 @@
+/**
+ * Module de chiffrage du panneau
+ * Calcule le détail du prix (matière, usinages, placage de chants) depuis la configuration
+ * et des tarifs ; indépendant du navigateur
+ *
+ * Règles de chiffrage :
+ * - matière : surface du panneau brut à débiter (encombrement du contour), minimum de facturation compris
+ * - découpes circulaires : prix par perçage
+ * - découpes rectangulaires et oblongues traversantes : prix au mètre de contour
+ * - découpes rectangulaires et oblongues borgnes (poches), rainures et feuillures : prix au dm³ de matière enlevée
+ * - chants : prix au mètre par bande et épaisseur
+ * Les occurrences d'un motif de répétition sont chiffrées une à une
+ */
+
+import { materials, edgeBandMaterials } from '../materials.js';
+import { getCutDepth, isCutThrough } from '../csg/cutPlacement.js';
+import { expandCuts } from '../cuts/cutPattern.js';
+import { getGrooveRectangle } from '../cuts/groove.js';
+import { getPanelCore, getEdgeBanding, getEdgeBandLengths } from '../models/edgeBanding.js';
+import { getMaterialPrice, getEdgeBandPrice } from './priceTables.js';
+
+/**
+ * Périmètre d'une découpe rectangulaire (angles arrondis compris)
+ * @param {Object} params - Paramètres de la découpe
+ * @returns {number} Périmètre en mm
+ */
+function rectanglePerimeter(params) {
+  const r = Math.min(params.cornerRadius || 0, params.length / 2, params.width / 2);
+  return 2 * (params.length + params.width) - (8 - 2 * Math.PI) * r;
+}
+
+/**
+ * Surface d'une découpe rectangulaire (angles arrondis compris)
+ * @param {Object} params - Paramètres de la découpe
+ * @returns {number} Surface en mm²
+ */
+function rectangleArea(params) {
+  const r = Math.min(params.cornerRadius || 0, params.length / 2, params.width / 2);
+  return params.length * params.width - (4 - Math.PI) * r * r;
+}
+
+/**
+ * Quantités à chiffrer : perçages, contour découpé, volume évidé
+ * @param {Object} config - Configuration ({ panel, cuts })
+ * @returns {Object} { holes, cutLength (mm), pocketVolume (mm³) }
+ */
+export function measureOperations(config) {
+  const { panel } = config;
+  const quantities = { holes: 0, cutLength: 0, pocketVolume: 0 };
+
+  expandCuts(config.cuts).forEach(cut => {
+    const depth = getCutDepth(cut, panel);
+    const through = isCutThrough(cut, panel);
+
+    switch (cut.type) {
+      case 'circular':
+        quantities.holes += 1;
+        break;
+      case 'rectangular':
+        if (through) {
+          quantities.cutLength += rectanglePerimeter(cut.params);
+        } else {
+          quantities.pocketVolume += rectangleArea(cut.params) * depth;
+        }
+        break;
+      case 'slot': {
+        // Oblong : rectangle aux angles arrondis de la demi-largeur
+        const params = { ...cut.params, cornerRadius: cut.params.width / 2 };
+        if (through) {
+          quantities.cutLength += rectanglePerimeter(params);
+        } else {
+          quantities.pocketVolume += rectangleArea(params) * depth;
+        }
+        break;
+      }
+      case 'groove': {
+        const rectangle = getGrooveRectangle(cut.params, panel);
+        quantities.pocketVolume += rectangle.length * rectangle.width * depth;
+        break;
+      }
+    }
+  });
+
+  return quantities;
+}
+
+/**
+ * Chiffre le panneau et ses usinages
+ * @param {Object} config - Configuration ({ panel, cuts })
+ * @param {Object} tables - Tarifs (voir DEFAULT_PRICE_TABLES)
+ * @returns {Object} { lines, total, currency, missing } ; lines : [{ label, detail, amount }],
+ *                   missing : postes sans tarif (non chiffrés)
+ */
+export function estimateCost(config, tables) {
+  const { panel } = config;
+  const lines = [];
+  const missing = [];
+
+  // Matière : panneau brut à débiter, avant placage
+  const core = getPanelCore(panel);
+  const area = core.length * core.width / 1e6;
+  const materialName = materials[panel.material]?.name || panel.material;
+  const materialPrice = getMaterialPrice(tables, panel.material, panel.thickness);
+  if (materialPrice) {
+    const amount = area * materialPrice.pricePerSquareMeter;
+    const minimumApplied = amount < materialPrice.minimumCharge;
+    lines.push({
+      label: `Panneau ${materialName} ${panel.thickness}mm`,
+      detail: minimumApplied
+        ? `${formatQuantity(area, 3)} m² · minimum de facturation`
+        : `${formatQuantity(area, 3)} m² × ${formatQuantity(materialPrice.pricePerSquareMeter)}/m²`,
+      amount: minimumApplied ? materialPrice.minimumCharge : amount
+    });
+  } else {
+    missing.push(`Panneau ${materialName} ${panel.thickness}mm`);
+  }
+
+  // Usinages
+  const { operations } = tables;
+  const quantities = measureOperations(config);
+  if (quantities.holes > 0) {
+    lines.push({
+      label: 'Perçages',
+      detail: `${quantities.holes} × ${formatQuantity(operations.hole)}`,
+      amount: quantities.holes * operations.hole
+    });
+  }
+  if (quantities.cutLength > 0) {
+    const meters = quantities.cutLength / 1000;
+    lines.push({
+      label: 'Découpes traversantes',
+      detail: `${formatQuantity(meters)} m × ${formatQuantity(operations.cutPerMeter)}/m`,
+      amount: meters * operations.cutPerMeter
+    });
+  }
+  if (quantities.pocketVolume > 0) {
+    const dm3 = quantities.pocketVolume / 1e6;
+    lines.push({
+      label: 'Poches',
+      detail: `${formatQuantity(dm3, 3)} dm³ × ${formatQuantity(operations.pocketPerDm3)}/dm³`,
+      amount: dm3 * operations.pocketPerDm3
+    });
+  }
+
+  // Placage : une ligne par bande et épaisseur, les chants identiques sont regroupés
+  const banding = getEdgeBanding(panel);
+  const lengths = getEdgeBandLengths(panel);
+  const bands = new Map();
+  Object.entries(banding.edges).forEach(([edge, band]) => {
+    if (!band) return;
+    const key = `${band.material}|${band.thickness}`;
+    const entry = bands.get(key) || { ...band, length: 0 };
+    entry.length += lengths[edge];
+    bands.set(key, entry);
+  });
+  bands.forEach(band => {
+    const label = `Chant ${edgeBandMaterials[band.material].name} ${band.thickness}mm`;
+    const price = getEdgeBandPrice(tables, band.material, band.thickness);
+    if (price === null) {
+      missing.push(label);
+      return;
+    }
+    const meters = band.length / 1000;
+    lines.push({
+      label,
+      detail: `${formatQuantity(meters)} m × ${formatQuantity(price)}/m`,
+      amount: meters * price
+    });
+  });
+
+  return {
+    lines,
+    total: lines.reduce((sum, line) => sum + line.amount, 0),
+    currency: tables.currency,
+    missing
+  };
+}
+
+/**
+ * Formate une quantité (sans zéros inutiles)
+ * @param {number} value - Quantité
+ * @param {number} decimals - Décimales au plus
+ * @returns {string} Quantité formatée
+ */
+function formatQuantity(value, decimals = 2) {
+  return String(Number(value.toFixed(decimals)));
+}
@@ -0,0 +1,220 @@
+/**
+ * Module des tarifs de chiffrage
+ * Prix des panneaux par matériau et épaisseur, des opérations d'usinage et des bandes de chant ;
+ * les tarifs sont un simple fichier JSON que le service commercial peut mettre à jour
+ * sans modifier le code. Indépendant du navigateur
+ */
+
+import { materials, edgeBandMaterials } from '../materials.js';
+
+// Identifiant du format des fichiers de tarifs
+export const PRICE_TABLES_FORMAT = 'panel-configurator-prices';
+
+// Opérations facturées et leur unité
+export const PRICED_OPERATIONS = {
+  hole: 'par perçage',
+  cutPerMeter: 'par mètre de contour découpé',
+  pocketPerDm3: 'par dm³ de matière évidée'
+};
+
+/**
+ * Tarifs par défaut (HT)
+ * materials : { matériau: { épaisseur: { pricePerSquareMeter, minimumCharge } } }
+ * edgeBanding : { bande: { épaisseur: prix par mètre } }
+ */
+export const DEFAULT_PRICE_TABLES = {
+  format: PRICE_TABLES_FORMAT,
+  name: 'Tarif par défaut',
+  currency: 'EUR',
+  materials: {
+    pine: {
+      5: { pricePerSquareMeter: 14, minimumCharge: 6 },
+      10: { pricePerSquareMeter: 19, minimumCharge: 6 },
+      15: { pricePerSquareMeter: 24, minimumCharge: 8 },
+      18: { pricePerSquareMeter: 27, minimumCharge: 8 },
+      20: { pricePerSquareMeter: 30, minimumCharge: 8 }
+    },
+    oak: {
+      10: { pricePerSquareMeter: 62, minimumCharge: 15 },
+      15: { pricePerSquareMeter: 78, minimumCharge: 15 },
+      18: { pricePerSquareMeter: 89, minimumCharge: 20 },
+      20: { pricePerSquareMeter: 96, minimumCharge: 20 },
+      25: { pricePerSquareMeter: 118, minimumCharge: 25 }
+    },
+    birch: {
+      5: { pricePerSquareMeter: 21, minimumCharge: 8 },
+      10: { pricePerSquareMeter: 29, minimumCharge: 8 },
+      15: { pricePerSquareMeter: 37, minimumCharge: 10 },
+      18: { pricePerSquareMeter: 42, minimumCharge: 10 },
+      20: { pricePerSquareMeter: 46, minimumCharge: 10 }
+    },
+    mdf: {
+      5: { pricePerSquareMeter: 7, minimumCharge: 5 },
+      10: { pricePerSquareMeter: 10, minimumCharge: 5 },
+      15: { pricePerSquareMeter: 13, minimumCharge: 5 },
+      18: { pricePerSquareMeter: 15, minimumCharge: 6 },
+      20: { pricePerSquareMeter: 17, minimumCharge: 6 },
+      25: { pricePerSquareMeter: 21, minimumCharge: 6 }
+    },
+    plywood: {
+      5: { pricePerSquareMeter: 16, minimumCharge: 6 },
+      10: { pricePerSquareMeter: 23, minimumCharge: 6 },
+      15: { pricePerSquareMeter: 31, minimumCharge: 8 },
+      18: { pricePerSquareMeter: 35, minimumCharge: 8 },
+      20: { pricePerSquareMeter: 39, minimumCharge: 8 }
+    },
+    melamine: {
+      10: { pricePerSquareMeter: 12, minimumCharge: 5 },
+      15: { pricePerSquareMeter: 15, minimumCharge: 5 },
+      18: { pricePerSquareMeter: 17, minimumCharge: 6 },
+      20: { pricePerSquareMeter: 19, minimumCharge: 6 },
+      25: { pricePerSquareMeter: 23, minimumCharge: 6 }
+    }
+  },
+  operations: {
+    hole: 0.35,
+    cutPerMeter: 2.5,
+    pocketPerDm3: 6
+  },
+  edgeBanding: {
+    absWhite: { 0.4: 0.6, 1: 0.9, 2: 1.4 },
+    absBlack: { 0.4: 0.7, 1: 1, 2: 1.5 },
+    absGrey: { 0.4: 0.7, 1: 1, 2: 1.5 },
+    oakVeneer: { 0.4: 1.6, 1: 2.2, 2: 3.1 },
+    beechVeneer: { 0.4: 1.3, 1: 1.9, 2: 2.7 },
+    walnutVeneer: { 0.4: 2.4, 1: 3.2, 2: 4.4 }
+  }
+};
+
+/**
+ * Prix d'un panneau selon son matériau et son épaisseur
+ * @param {Object} tables - Tarifs
+ * @param {string} material - Matériau
+ * @param {number} thickness - Épaisseur (mm)
+ * @returns {Object|null} { pricePerSquareMeter, minimumCharge } ou null sans tarif
+ */
+export function getMaterialPrice(tables, material, thickness) {
+  return tables.materials[material]?.[String(thickness)] || null;
+}
+
+/**
+ * Prix au mètre d'une bande de chant
+ * @param {Object} tables - Tarifs
+ * @param {string} material - Bande
+ * @param {number} thickness - Épaisseur (mm)
+ * @returns {number|null} Prix par mètre ou null sans tarif
+ */
+export function getEdgeBandPrice(tables, material, thickness) {
+  const price = tables.edgeBanding[material]?.[String(thickness)];
+  return price === undefined ? null : price;
+}
+
+function isPrice(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+function isTable(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Valide des tarifs
+ * @param {Object} tables - Tarifs lus depuis un fichier
+ * @returns {Object} { isValid, errors } ; errors : [{ field, message }]
+ */
+export function validatePriceTables(tables) {
+  const errors = [];
+  const addError = (field, message) => errors.push({ field, message });
+
+  if (typeof tables.currency !== 'string' || !/^[A-Z]{3}$/.test(tables.currency)) {
+    addError('currency', 'Doit être un code de devise ISO 4217 (ex: "EUR")');
+  }
+
+  if (!isTable(tables.materials)) {
+    addError('materials', 'Tarifs des matériaux manquants');
+  } else {
+    Object.entries(tables.materials).forEach(([material, byThickness]) => {
+      if (!materials[material]) {
+        addError(`materials.${material}`, `Matériau inconnu. Matériaux disponibles: ${Object.keys(materials).join(', ')}`);
+        return;
+      }
+      if (!isTable(byThickness)) {
+        addError(`materials.${material}`, 'Doit associer un prix à chaque épaisseur');
+        return;
+      }
+      Object.entries(byThickness).forEach(([thickness, price]) => {
+        const field = `materials.${material}.${thickness}`;
+        if (!isPrice(price?.pricePerSquareMeter)) {
+          addError(field, 'pricePerSquareMeter doit être un nombre positif ou nul');
+        }
+        if (!isPrice(price?.minimumCharge)) {
+          addError(field, 'minimumCharge doit être un nombre positif ou nul');
+        }
+      });
+    });
+  }
+
+  if (!isTable(tables.operations)) {
+    addError('operations', 'Tarifs des opérations manquants');
+  } else {
+    Object.keys(PRICED_OPERATIONS).forEach(key => {
+      if (!isPrice(tables.operations[key])) {
+        addError(`operations.${key}`, 'Doit être un nombre positif ou nul');
+      }
+    });
+  }
+
+  if (!isTable(tables.edgeBanding)) {
+    addError('edgeBanding', 'Tarifs des bandes de chant manquants');
+  } else {
+    Object.entries(tables.edgeBanding).forEach(([band, byThickness]) => {
+      if (!edgeBandMaterials[band]) {
+        addError(`edgeBanding.${band}`, `Bande inconnue. Bandes disponibles: ${Object.keys(edgeBandMaterials).join(', ')}`);
+        return;
+      }
+      if (!isTable(byThickness)) {
+        addError(`edgeBanding.${band}`, 'Doit associer un prix au mètre à chaque épaisseur');
+        return;
+      }
+      Object.entries(byThickness).forEach(([thickness, price]) => {
+        if (!isPrice(price)) {
+          addError(`edgeBanding.${band}.${thickness}`, 'Doit être un nombre positif ou nul');
+        }
+      });
+    });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Lit et valide un fichier de tarifs
+ * @param {string} text - Contenu JSON du fichier
+ * @returns {Object} { tables, errors } ; tables est null si le fichier est invalide
+ */
+export function parsePriceTables(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { tables: null, errors: [{ field: 'fichier', message: `JSON invalide: ${error.message}` }] };
+  }
+
+  if (!isTable(data)) {
+    return { tables: null, errors: [{ field: 'fichier', message: 'Le fichier ne contient pas de tarifs' }] };
+  }
+
+  if (data.format !== undefined && data.format !== PRICE_TABLES_FORMAT) {
+    return { tables: null, errors: [{ field: 'format', message: `Format inconnu: "${data.format}"` }] };
+  }
+
+  const validation = validatePriceTables(data);
+  if (!validation.isValid) {
+    return { tables: null, errors: validation.errors };
+  }
+
+  return { tables: { ...data, format: PRICE_TABLES_FORMAT }, errors: [] };
+}
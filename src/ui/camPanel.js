@@ -0,0 +1,57 @@
+/**
+ * Module du panneau d'usinage CNC
+ * Lit la définition de l'outil et déclenche l'aperçu des trajectoires et l'export G-code
+ */
+
+import { DEFAULT_TOOL } from '../cam/gcodeGenerator.js';
+
+// Champs numériques de l'outil et identifiants des contrôles associés
+const TOOL_INPUTS = {
+  diameter: 'cam-tool-diameter',
+  stepDown: 'cam-step-down',
+  feedRate: 'cam-feed-rate',
+  plungeRate: 'cam-plunge-rate',
+  spindleSpeed: 'cam-spindle-speed',
+  safeZ: 'cam-safe-z'
+};
+
+// Variables privées du module
+let previewButton = null;
+
+/**
+ * Initialise le panneau d'usinage
+ * @param {Object} handlers - Actions déclenchées depuis le panneau
+ * @param {Function} handlers.onTogglePreview - Affichage / masquage des trajectoires
+ * @param {Function} handlers.onExport - Export du G-code
+ * @param {Function} handlers.onToolChange - Modification d'un paramètre de l'outil
+ */
+export function initCamPanel(handlers) {
+  previewButton = document.getElementById('toggle-toolpath-preview');
+  previewButton.addEventListener('click', handlers.onTogglePreview);
+  document.getElementById('export-gcode').addEventListener('click', handlers.onExport);
+
+  [...Object.values(TOOL_INPUTS), 'cam-pocket-strategy'].forEach(id => {
+    document.getElementById(id).addEventListener('change', handlers.onToolChange);
+  });
+}
+
+/**
+ * Lit la définition de l'outil depuis les contrôles
+ * @returns {Object} Outil (valeurs par défaut pour les champs non numériques)
+ */
+export function readToolSettings() {
+  const tool = { ...DEFAULT_TOOL };
+  Object.entries(TOOL_INPUTS).forEach(([key, id]) => {
+    tool[key] = parseFloat(document.getElementById(id).value);
+  });
+  tool.pocketStrategy = document.getElementById('cam-pocket-strategy').value;
+  return tool;
+}
+
+/**
+ * Met à jour le libellé du bouton d'aperçu
+ * @param {boolean} visible - Aperçu affiché
+ */
+export function setToolpathPreviewState(visible) {
+  previewButton.textContent = visible ? 'Masquer les trajectoires' : 'Afficher les trajectoires';
+}
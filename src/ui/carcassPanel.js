@@ -0,0 +1,125 @@
+/**
+ * Module du panneau du caisson paramétrique
+ * Lit les paramètres du caisson ; une fois le caisson généré, chaque modification d'un champ
+ * le régénère (les pièces générées sont recalculées, les autres pièces de l'assemblage conservées)
+ */
+
+import { materials, constraints } from '../materials.js';
+import { BACK_TYPES, BACK_MATERIAL, DEFAULT_CARCASS } from '../cabinet/carcassGenerator.js';
+
+// Champs numériques du caisson
+const NUMBER_INPUTS = {
+  width: 'carcass-width',
+  height: 'carcass-height',
+  depth: 'carcass-depth',
+  shelfCount: 'carcass-shelf-count'
+};
+
+// Variables privées du module
+let cfg = null;
+let onGenerate = null;
+
+const element = (id) => document.getElementById(id);
+
+/**
+ * Remplit la liste des épaisseurs disponibles pour le matériau du caisson
+ * @param {string} material - Clé du matériau
+ * @param {number} preferred - Épaisseur à conserver si elle est disponible
+ */
+function updateThicknessOptions(material, preferred) {
+  const select = element('carcass-thickness');
+  const available = constraints.panel.thickness[material] || [];
+  select.innerHTML = '';
+  available.forEach(thickness => select.add(new Option(String(thickness), thickness)));
+  select.value = available.includes(preferred) ? preferred : available[available.length - 1];
+}
+
+/**
+ * Initialise le panneau du caisson
+ * @param {Object} config - Configuration de l'application (config.assembly.carcass : paramètres du caisson généré)
+ * @param {Function} generate - Génération ou régénération du caisson (paramètres lus)
+ */
+export function initCarcassPanel(config, generate) {
+  cfg = config;
+  onGenerate = generate;
+
+  Object.entries(materials).forEach(([key, material]) => {
+    element('carcass-material').add(new Option(material.name, key));
+  });
+  Object.entries(BACK_TYPES).forEach(([key, type]) => {
+    element('carcass-back-type').add(new Option(type.name, key));
+  });
+  constraints.panel.thickness[BACK_MATERIAL].forEach(thickness => {
+    element('carcass-back-thickness').add(new Option(String(thickness), thickness));
+  });
+
+  fillInputs(DEFAULT_CARCASS);
+
+  // Régénération à chaque modification, seulement si un caisson a déjà été généré
+  const regenerate = () => {
+    if (cfg.assembly.carcass) {
+      onGenerate(readCarcassParams());
+    }
+  };
+
+  element('carcass-material').addEventListener('change', () => {
+    updateThicknessOptions(element('carcass-material').value, parseFloat(element('carcass-thickness').value));
+    regenerate();
+  });
+  ['carcass-thickness', 'carcass-back-type', 'carcass-back-thickness', ...Object.values(NUMBER_INPUTS)].forEach(id => {
+    element(id).addEventListener('change', regenerate);
+  });
+
+  element('generate-carcass').addEventListener('click', () => onGenerate(readCarcassParams()));
+
+  renderCarcassPanel();
+}
+
+/**
+ * Lit les paramètres du caisson depuis l'interface
+ * @returns {Object} Paramètres (voir DEFAULT_CARCASS)
+ */
+export function readCarcassParams() {
+  const params = {};
+  Object.entries(NUMBER_INPUTS).forEach(([key, id]) => {
+    params[key] = parseFloat(element(id).value);
+  });
+
+  params.thickness = parseFloat(element('carcass-thickness').value);
+  params.material = element('carcass-material').value;
+  params.backType = element('carcass-back-type').value;
+  params.backThickness = parseFloat(element('carcass-back-thickness').value);
+  return params;
+}
+
+/**
+ * Remplit les champs avec des paramètres de caisson
+ * @param {Object} params - Paramètres du caisson
+ */
+function fillInputs(params) {
+  Object.entries(NUMBER_INPUTS).forEach(([key, id]) => {
+    element(id).value = params[key];
+  });
+  element('carcass-material').value = params.material;
+  updateThicknessOptions(params.material, params.thickness);
+  element('carcass-back-type').value = params.backType;
+  element('carcass-back-thickness').value = params.backThickness;
+}
+
+/**
+ * Synchronise le panneau avec le caisson de l'assemblage (génération, annulation, ouverture d'un projet)
+ * Sans caisson, les valeurs saisies sont conservées pour la prochaine génération
+ */
+export function renderCarcassPanel() {
+  if (!cfg) return;
+
+  const { carcass } = cfg.assembly;
+  if (carcass) {
+    fillInputs(carcass);
+  }
+
+  element('generate-carcass').textContent = carcass ? 'Régénérer le caisson' : 'Générer le caisson';
+  element('carcass-summary').textContent = carcass
+    ? 'Caisson généré : toute modification recalcule ses pièces et remplace leurs retouches'
+    : 'La génération remplace les pièces de l\'assemblage (annulable)';
+}
@@ -0,0 +1,60 @@
+/**
+ * Module du panneau de chiffrage
+ * Affiche le détail du prix et déclenche le chargement ou l'export des tarifs
+ */
+
+// Variables privées du module
+let breakdownElement = null;
+
+/**
+ * Initialise le panneau de chiffrage
+ * @param {Object} handlers - Actions déclenchées depuis le panneau
+ * @param {Function} handlers.onLoadPrices - Chargement d'un fichier de tarifs
+ * @param {Function} handlers.onExportPrices - Export des tarifs courants
+ */
+export function initCostPanel(handlers) {
+  breakdownElement = document.getElementById('cost-breakdown');
+  document.getElementById('load-price-tables').addEventListener('click', handlers.onLoadPrices);
+  document.getElementById('export-price-tables').addEventListener('click', handlers.onExportPrices);
+}
+
+/**
+ * Affiche le détail du prix
+ * @param {Object} estimate - Chiffrage { lines, total, currency, missing }
+ * @param {string} tablesName - Nom des tarifs utilisés
+ */
+export function renderCostBreakdown(estimate, tablesName) {
+  const money = new Intl.NumberFormat('fr-FR', { style: 'currency', currency: estimate.currency });
+  breakdownElement.innerHTML = '';
+
+  const table = document.createElement('table');
+  table.className = 'cost-table';
+  estimate.lines.forEach(line => {
+    const row = table.insertRow();
+    const label = row.insertCell();
+    label.textContent = line.label;
+    const detail = document.createElement('small');
+    detail.textContent = line.detail;
+    label.appendChild(detail);
+    const amount = row.insertCell();
+    amount.className = 'cost-amount';
+    amount.textContent = money.format(line.amount);
+  });
+
+  const totalRow = table.createTFoot().insertRow();
+  totalRow.insertCell().textContent = 'Total HT';
+  const total = totalRow.insertCell();
+  total.className = 'cost-amount';
+  total.textContent = money.format(estimate.total);
+  breakdownElement.appendChild(table);
+
+  // Postes sans tarif : signalés plutôt que comptés à zéro sans prévenir
+  if (estimate.missing.length > 0) {
+    const warning = document.createElement('p');
+    warning.className = 'cost-missing';
+    warning.textContent = `Sans tarif (non chiffré) : ${estimate.missing.join(', ')}`;
+    breakdownElement.appendChild(warning);
+  }
+
+  document.getElementById('price-tables-name').textContent = tablesName;
+}
@@ -0,0 +1,229 @@
+/**
+ * Module de la liste des découpes (gestionnaire de découpes)
+ * Affiche chaque découpe de config.cuts avec ses actions : modifier, répéter, dupliquer, supprimer, réordonner,
+ * et les résultats des règles d'usinage qui la concernent
+ */
+
+import {
+  getCutTypeLabel,
+  describeCutDimensions,
+  describeCutPosition,
+  describeCutPattern
+} from '../cuts/cutDescription.js';
+import { RULE_SEVERITIES, countIssues } from '../cuts/designRules.js';
+import { PATTERN_CUT_TYPES } from '../cuts/cutPattern.js';
+
+// Variables privées du module
+let cfg = null;
+let listElement = null;
+let callbacks = {};
+let selectedCutId = null;
+let cutIssues = [];
+
+/**
+ * Initialise la liste des découpes
+ * @param {Object} config - Configuration de l'application
+ * @param {Object} handlers - Actions déclenchées depuis la liste
+ * @param {Function} handlers.onSelect - Sélection d'une découpe (découpe ou null)
+ * @param {Function} handlers.onEdit - Modification d'une découpe
+ * @param {Function} handlers.onPattern - Modification du motif de répétition d'une découpe
+ * @param {Function} handlers.onDuplicate - Duplication (identifiant)
+ * @param {Function} handlers.onDelete - Suppression (identifiant)
+ * @param {Function} handlers.onMove - Réordonnancement (identifiant, décalage)
+ */
+export function initCutListPanel(config, handlers) {
+  cfg = config;
+  callbacks = handlers;
+  listElement = document.getElementById('cut-list');
+
+  // Délégation des clics sur les entrées et leurs boutons
+  listElement.addEventListener('click', (e) => {
+    const item = e.target.closest('.cut-list-item');
+    if (!item) return;
+
+    const id = item.dataset.cutId;
+    const action = e.target.closest('button')?.dataset.action;
+    const cut = cfg.cuts.find(c => c.id === id);
+    if (!cut) return;
+
+    switch (action) {
+      case 'edit':
+        selectCut(id);
+        callbacks.onEdit?.(cut);
+        break;
+      case 'pattern':
+        selectCut(id);
+        callbacks.onPattern?.(cut);
+        break;
+      case 'duplicate':
+        callbacks.onDuplicate?.(id);
+        break;
+      case 'delete':
+        callbacks.onDelete?.(id);
+        break;
+      case 'up':
+        callbacks.onMove?.(id, -1);
+        break;
+      case 'down':
+        callbacks.onMove?.(id, 1);
+        break;
+      default:
+        // Clic sur l'entrée : bascule de la sélection
+        selectCut(selectedCutId === id ? null : id);
+    }
+  });
+
+  renderCutList();
+}
+
+/**
+ * Sélectionne une découpe et notifie la scène
+ * @param {string|null} id - Identifiant de la découpe, null pour désélectionner
+ */
+export function selectCut(id) {
+  selectedCutId = id;
+  renderCutList();
+}
+
+/**
+ * Retourne la découpe sélectionnée
+ * @returns {Object|null} Découpe sélectionnée ou null
+ */
+export function getSelectedCut() {
+  return cfg?.cuts.find(c => c.id === selectedCutId) || null;
+}
+
+/**
+ * Mémorise les résultats des règles d'usinage affichés dans la liste
+ * (la liste est reconstruite par renderCutList)
+ * @param {Object[]} issues - Résultats de checkDesignRules
+ */
+export function setCutIssues(issues) {
+  cutIssues = issues;
+}
+
+/**
+ * Crée un élément portant un texte (jamais interprété comme du HTML)
+ * @param {string} tag - Balise de l'élément
+ * @param {string} className - Classe CSS, vide si aucune
+ * @param {string} text - Texte affiché
+ * @returns {HTMLElement} Élément créé
+ */
+function createTextElement(tag, className, text) {
+  const element = document.createElement(tag);
+  if (className) element.className = className;
+  element.textContent = text;
+  return element;
+}
+
+/**
+ * Résumé des résultats des règles d'usinage
+ * @returns {HTMLElement} Paragraphe du résumé
+ */
+function renderIssueSummary() {
+  const counts = countIssues(cutIssues);
+  if (counts.error === 0 && counts.warning === 0) {
+    return createTextElement('p', 'design-rule-summary ok', 'Règles d\'usinage respectées');
+  }
+  const parts = [];
+  if (counts.error > 0) parts.push(`${counts.error} erreur${counts.error > 1 ? 's' : ''}`);
+  if (counts.warning > 0) parts.push(`${counts.warning} avertissement${counts.warning > 1 ? 's' : ''}`);
+  return createTextElement('p', `design-rule-summary ${counts.error > 0 ? 'error' : 'warning'}`, `Règles d'usinage : ${parts.join(', ')}`);
+}
+
+/**
+ * Résultats concernant une découpe et classe de l'entrée selon la gravité la plus haute
+ * @param {Object} cut - Découpe
+ * @returns {Object} { className, elements }
+ */
+function renderCutIssues(cut) {
+  const issues = cutIssues.filter(issue => issue.cutId === cut.id);
+  if (issues.length === 0) return { className: '', elements: [] };
+  const hasError = issues.some(issue => issue.severity === 'error');
+  return {
+    className: hasError ? ' has-error' : ' has-warning',
+    elements: issues.map(issue => createTextElement(
+      'small',
+      `cut-rule-issue ${issue.severity}`,
+      `${RULE_SEVERITIES[issue.severity].name} : ${issue.message}`
+    ))
+  };
+}
+
+/**
+ * Boutons d'action d'une entrée de la liste
+ * @param {Object} cut - Découpe
+ * @param {number} index - Position de la découpe dans config.cuts
+ * @returns {HTMLElement} Conteneur des boutons
+ */
+function renderCutActions(cut, index) {
+  const actions = document.createElement('div');
+  actions.className = 'cut-list-actions';
+  [
+    { action: 'up', title: 'Monter', label: '↑', disabled: index === 0 },
+    { action: 'down', title: 'Descendre', label: '↓', disabled: index === cfg.cuts.length - 1 },
+    { action: 'edit', title: 'Modifier', label: '✎' },
+    { action: 'pattern', title: 'Répétition', label: '⁙', disabled: !PATTERN_CUT_TYPES.includes(cut.type) },
+    { action: 'duplicate', title: 'Dupliquer', label: '⧉' },
+    { action: 'delete', title: 'Supprimer', label: '✕' }
+  ].forEach(({ action, title, label, disabled = false }) => {
+    const button = createTextElement('button', '', label);
+    button.dataset.action = action;
+    button.title = title;
+    button.disabled = disabled;
+    actions.appendChild(button);
+  });
+  return actions;
+}
+
+/**
+ * Entrée de la liste pour une découpe
+ * Tous les textes passent par le DOM : un fichier projet importé ne peut pas injecter de balises
+ * @param {Object} cut - Découpe
+ * @param {number} index - Position de la découpe dans config.cuts
+ * @returns {HTMLElement} Entrée .cut-list-item
+ */
+function renderCutItem(cut, index) {
+  const issues = renderCutIssues(cut);
+  const item = document.createElement('div');
+  item.className = `cut-list-item${cut.id === selectedCutId ? ' selected' : ''}${issues.className}`;
+  item.dataset.cutId = cut.id;
+
+  const info = document.createElement('div');
+  info.className = 'cut-list-info';
+  info.append(
+    createTextElement('strong', '', `${index + 1}. ${getCutTypeLabel(cut)}`),
+    createTextElement('span', '', describeCutDimensions(cut)),
+    createTextElement('small', '', describeCutPosition(cut))
+  );
+  if (cut.pattern) {
+    info.appendChild(createTextElement('small', 'cut-list-pattern', describeCutPattern(cut)));
+  }
+  info.append(...issues.elements);
+
+  item.append(info, renderCutActions(cut, index));
+  return item;
+}
+
+/**
+ * Reconstruit la liste à partir de config.cuts
+ */
+export function renderCutList() {
+  if (!listElement) return;
+
+  // Sélection perdue si la découpe n'existe plus
+  if (selectedCutId && !cfg.cuts.some(c => c.id === selectedCutId)) {
+    selectedCutId = null;
+  }
+
+  if (cfg.cuts.length === 0) {
+    listElement.innerHTML = '<p class="cut-list-empty"><em>Aucune découpe sur ce panneau</em></p>';
+  } else {
+    listElement.replaceChildren(
+      renderIssueSummary(),
+      ...cfg.cuts.map((cut, index) => renderCutItem(cut, index))
+    );
+  }
+
+  callbacks.onSelect?.(getSelectedCut());
+}
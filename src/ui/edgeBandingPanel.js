@@ -0,0 +1,96 @@
+/**
+ * Module du panneau de placage de chants
+ * Une bande (matériau, épaisseur) par chant et l'interprétation des cotes saisies ;
+ * la configuration n'est modifiée que par la commande du panneau, pour rester annulable
+ */
+
+import { edgeBandMaterials, constraints } from '../materials.js';
+import {
+  PANEL_EDGES,
+  normalizeEdgeBanding,
+  getPanelCore,
+  getFinishedSize
+} from '../models/edgeBanding.js';
+
+const materialSelect = (edge) => document.getElementById(`band-${edge}-material`);
+const thicknessSelect = (edge) => document.getElementById(`band-${edge}-thickness`);
+
+/**
+ * Initialise les listes de bandes et d'épaisseurs
+ * @param {Function} onChange - Appelée à chaque modification d'un champ
+ */
+export function initEdgeBandingPanel(onChange) {
+  Object.keys(PANEL_EDGES).forEach(edge => {
+    Object.entries(edgeBandMaterials).forEach(([key, material]) => {
+      materialSelect(edge).add(new Option(material.name, key));
+    });
+    constraints.edgeBanding.thickness.forEach(thickness => {
+      thicknessSelect(edge).add(new Option(String(thickness), thickness));
+    });
+    thicknessSelect(edge).value = 1;
+
+    materialSelect(edge).addEventListener('change', () => {
+      thicknessSelect(edge).disabled = !materialSelect(edge).value;
+      onChange();
+    });
+    thicknessSelect(edge).addEventListener('change', onChange);
+  });
+
+  document.getElementById('band-size-mode').addEventListener('change', onChange);
+}
+
+/**
+ * Lit le placage depuis l'interface
+ * @returns {Object} { sizeMode, edges } ; chaque chant : { material, thickness } ou null
+ */
+export function readEdgeBanding() {
+  const edges = {};
+  Object.keys(PANEL_EDGES).forEach(edge => {
+    const material = materialSelect(edge).value;
+    edges[edge] = material ? { material, thickness: parseFloat(thicknessSelect(edge).value) } : null;
+  });
+
+  return {
+    sizeMode: document.getElementById('band-size-mode').value,
+    edges
+  };
+}
+
+/**
+ * Synchronise les champs avec la configuration du panneau
+ * @param {Object} panel - Configuration du panneau
+ */
+export function syncEdgeBandingPanel(panel) {
+  const banding = normalizeEdgeBanding(panel);
+
+  // Le placage par chant n'a de sens que pour un panneau rectangulaire
+  document.getElementById('edge-banding-group').style.display = panel.outline ? 'none' : 'block';
+  document.getElementById('edge-banding-unavailable').hidden = !panel.outline;
+
+  Object.keys(PANEL_EDGES).forEach(edge => {
+    const band = banding.edges[edge];
+    materialSelect(edge).value = band ? band.material : '';
+    if (band) {
+      thicknessSelect(edge).value = band.thickness;
+    }
+    thicknessSelect(edge).disabled = !band;
+  });
+  document.getElementById('band-size-mode').value = banding.sizeMode;
+
+  // Cotes de l'autre côté du placage : brut à débiter ou fini
+  const summary = document.getElementById('band-size-summary');
+  const hasBands = Object.values(banding.edges).some(Boolean);
+  if (!hasBands) {
+    summary.textContent = 'Aucun chant plaqué';
+  } else if (banding.sizeMode === 'finished') {
+    const core = getPanelCore(panel);
+    summary.textContent = `Panneau brut à débiter : ${format(core.length)} × ${format(core.width)}mm`;
+  } else {
+    const finished = getFinishedSize(panel);
+    summary.textContent = `Cotes finies : ${format(finished.length)} × ${format(finished.width)}mm`;
+  }
+}
+
+function format(value) {
+  return String(Number(value.toFixed(1)));
+}
@@ -0,0 +1,132 @@
+/**
+ * Module de l'arborescence de l'assemblage
+ * Liste les pièces (sélection de la pièce active, visibilité, renommage)
+ * et affiche la position et la rotation de la pièce active
+ */
+
+import { materials } from '../materials.js';
+import { formatMm } from '../cuts/cutDescription.js';
+import { getActivePart } from '../models/assembly.js';
+
+// Champs de la transformation de la pièce active (rotation saisie en degrés)
+const TRANSFORM_INPUTS = {
+  position: { x: 'part-position-x', y: 'part-position-y', z: 'part-position-z' },
+  rotation: { x: 'part-rotation-x', y: 'part-rotation-y', z: 'part-rotation-z' }
+};
+
+// Variables privées du module
+let cfg = null;
+let listElement = null;
+let callbacks = {};
+
+/**
+ * Initialise l'arborescence de l'assemblage
+ * @param {Object} config - Configuration de l'application
+ * @param {Object} handlers - Actions déclenchées depuis l'arborescence
+ * @param {Function} handlers.onActivate - Activation d'une pièce (identifiant)
+ * @param {Function} handlers.onToggleVisible - Affichage ou masquage d'une pièce (identifiant)
+ * @param {Function} handlers.onRename - Renommage d'une pièce (identifiant, nom)
+ * @param {Function} handlers.onAdd - Ajout d'une pièce
+ * @param {Function} handlers.onDuplicate - Duplication de la pièce active
+ * @param {Function} handlers.onDelete - Suppression de la pièce active
+ * @param {Function} handlers.onTransform - Transformation saisie pour la pièce active ({ position, rotation })
+ */
+export function initOutlinerPanel(config, handlers) {
+  cfg = config;
+  callbacks = handlers;
+  listElement = document.getElementById('part-list');
+
+  // Délégation des clics : œil pour la visibilité, reste de l'entrée pour l'activation
+  listElement.addEventListener('click', (e) => {
+    const item = e.target.closest('.part-list-item');
+    if (!item) return;
+
+    const id = item.dataset.partId;
+    if (e.target.closest('button')?.dataset.action === 'visibility') {
+      callbacks.onToggleVisible?.(id);
+    } else if (id !== cfg.assembly.activePartId) {
+      callbacks.onActivate?.(id);
+    }
+  });
+
+  listElement.addEventListener('change', (e) => {
+    const item = e.target.closest('.part-list-item');
+    if (!item || !e.target.classList.contains('part-list-name')) return;
+
+    const name = e.target.value.trim();
+    if (name) {
+      callbacks.onRename?.(item.dataset.partId, name);
+    } else {
+      renderOutliner();
+    }
+  });
+
+  document.getElementById('add-part').addEventListener('click', () => callbacks.onAdd?.());
+  document.getElementById('duplicate-part').addEventListener('click', () => callbacks.onDuplicate?.());
+  document.getElementById('delete-part').addEventListener('click', () => callbacks.onDelete?.());
+
+  Object.values(TRANSFORM_INPUTS).forEach(group => {
+    Object.values(group).forEach(id => {
+      document.getElementById(id).addEventListener('change', () => callbacks.onTransform?.(readPartTransform()));
+    });
+  });
+
+  renderOutliner();
+}
+
+/**
+ * Lit la transformation saisie pour la pièce active
+ * @returns {Object} { position: { x, y, z } en mm, rotation: { x, y, z } en radians }
+ */
+export function readPartTransform() {
+  const read = (id) => parseFloat(document.getElementById(id).value);
+  const transform = { position: {}, rotation: {} };
+
+  Object.entries(TRANSFORM_INPUTS.position).forEach(([axis, id]) => {
+    transform.position[axis] = read(id);
+  });
+  Object.entries(TRANSFORM_INPUTS.rotation).forEach(([axis, id]) => {
+    transform.rotation[axis] = read(id) * Math.PI / 180;
+  });
+
+  return transform;
+}
+
+/**
+ * Reconstruit la liste des pièces et les champs de la pièce active à partir de config.assembly
+ */
+export function renderOutliner() {
+  if (!listElement) return;
+
+  const { parts, activePartId } = cfg.assembly;
+  listElement.innerHTML = '';
+
+  parts.forEach(part => {
+    const { length, width, thickness, material } = part.panel;
+    const item = document.createElement('div');
+    item.className = `part-list-item${part.id === activePartId ? ' selected' : ''}${part.visible ? '' : ' hidden-part'}`;
+    item.dataset.partId = part.id;
+    item.innerHTML = `
+      <button data-action="visibility" title="${part.visible ? 'Masquer' : 'Afficher'}">${part.visible ? '◉' : '○'}</button>
+      <div class="part-list-info">
+        <input type="text" class="part-list-name" title="Renommer">
+        <small>${formatMm(length)} × ${formatMm(width)} × ${formatMm(thickness)}mm · ${materials[material]?.name || material}</small>
+      </div>
+    `;
+    item.querySelector('.part-list-name').value = part.name;
+    listElement.appendChild(item);
+  });
+
+  document.getElementById('delete-part').disabled = parts.length <= 1;
+
+  const active = getActivePart(cfg.assembly);
+  if (!active) return;
+
+  Object.entries(TRANSFORM_INPUTS.position).forEach(([axis, id]) => {
+    document.getElementById(id).value = active.transform.position[axis];
+  });
+  Object.entries(TRANSFORM_INPUTS.rotation).forEach(([axis, id]) => {
+    // Arrondi pour ne pas afficher les résidus de la conversion en radians
+    document.getElementById(id).value = Math.round(active.transform.rotation[axis] * 180 / Math.PI * 1000) / 1000;
+  });
+}
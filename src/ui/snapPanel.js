@@ -0,0 +1,52 @@
+/**
+ * Module du panneau d'accrochage
+ * Relie les cases à cocher et le retrait aux réglages config.snap
+ */
+
+// Modes d'accrochage et identifiants des cases à cocher associées
+const SNAP_TOGGLES = {
+  grid: 'snap-grid',
+  panelEdges: 'snap-panel-edges',
+  centerLines: 'snap-center-lines',
+  cuts: 'snap-cuts',
+  edgeOffsets: 'snap-edge-offsets'
+};
+
+/**
+ * Initialise le panneau d'accrochage à partir des réglages courants
+ * @param {Object} snapConfig - Réglages d'accrochage (config.snap), modifiés en place
+ */
+export function initSnapPanel(snapConfig) {
+  const enabledCheckbox = document.getElementById('snap-enabled');
+  const modes = document.getElementById('snap-modes');
+  const offsetInput = document.getElementById('snap-edge-offset');
+
+  const syncModes = () => {
+    modes.style.display = snapConfig.enabled ? 'block' : 'none';
+  };
+
+  enabledCheckbox.checked = snapConfig.enabled;
+  enabledCheckbox.addEventListener('change', () => {
+    snapConfig.enabled = enabledCheckbox.checked;
+    syncModes();
+  });
+  syncModes();
+
+  Object.entries(SNAP_TOGGLES).forEach(([key, id]) => {
+    const checkbox = document.getElementById(id);
+    checkbox.checked = snapConfig[key];
+    checkbox.addEventListener('change', () => {
+      snapConfig[key] = checkbox.checked;
+    });
+  });
+
+  offsetInput.value = snapConfig.edgeOffset;
+  offsetInput.addEventListener('change', () => {
+    const value = parseFloat(offsetInput.value);
+    if (value > 0) {
+      snapConfig.edgeOffset = value;
+    } else {
+      offsetInput.value = snapConfig.edgeOffset;
+    }
+  });
+}